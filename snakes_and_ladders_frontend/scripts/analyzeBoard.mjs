@@ -0,0 +1,83 @@
+import { parseArgs } from "node:util";
+import { loadBoard, RULE_OPTIONS, RULE_USAGE, rulesFromArgs } from "./cliOptions.mjs";
+import { describeRules } from "../src/game/rules.js";
+import { squareToGridPos } from "../src/game/geometry.js";
+import { analyzeBoard } from "../src/game/analysis.js";
+
+/**
+ * Board analysis for board designers: `npm run analyze -- [board] [options]`.
+ * The board is the id of a shipped board or a path to a board JSON file
+ * (default: the classic board). Prints the expected game length, the spread
+ * of game lengths, how often each snake and ladder is hit, and a landing
+ * heatmap laid out like the board; --json prints the full analysis instead.
+ */
+
+const USAGE = `Usage: npm run analyze -- [board id or file.json] [options]
+${RULE_USAGE}
+  --json                    print the analysis as JSON`;
+
+const pct = (p) => `${(p * 100).toFixed(1)}%`;
+
+function report(board, rules, analysis) {
+  const lines = [
+    `${board.name} (${board.id}), ${board.size}×${board.size}, ${board.snakes.length} snakes, ${board.ladders.length} ladders`,
+    `Rules: ${describeRules(rules)}`,
+    "",
+    `Expected rolls to finish: ${analysis.expectedTurns.toFixed(2)}${analysis.converged ? "" : " or more"}`,
+    `Quickest win: ${analysis.shortest ?? "never"} rolls; half of games by ${analysis.median ?? "?"}, 90% by ${analysis.p90 ?? "?"}`
+  ];
+  if (!analysis.converged) lines.push("Warning: some games never finish under these rules (a token can get stuck).");
+
+  // Chance of finishing within each band of 10 rolls
+  lines.push("", "Rolls to finish:");
+  const bands = [];
+  analysis.turnDistribution.forEach((p, n) => {
+    if (n) bands[Math.floor((n - 1) / 10)] = (bands[Math.floor((n - 1) / 10)] || 0) + p;
+  });
+  const maxBand = Math.max(...bands);
+  bands.forEach((p, b) => {
+    if (p < 0.001) return;
+    lines.push(`  ${String(b * 10 + 1).padStart(4)}–${String(b * 10 + 10).padEnd(4)} ${pct(p).padStart(6)} ${"#".repeat(Math.round((40 * p) / maxBand))}`);
+  });
+
+  lines.push("", "Snakes (expected trips per game):");
+  [...analysis.snakes].sort((a, b) => b.hits - a.hits).forEach((s) => {
+    lines.push(`  ${String(s.head).padStart(3)} → ${String(s.tail).padEnd(3)} ${s.hits.toFixed(3)}`);
+  });
+  lines.push("", "Ladders (expected climbs per game):");
+  [...analysis.ladders].sort((a, b) => b.climbs - a.climbs).forEach((l) => {
+    lines.push(`  ${String(l.base).padStart(3)} → ${String(l.top).padEnd(3)} ${l.climbs.toFixed(3)}`);
+  });
+
+  // Landing chance per roll, one row of the board per line, top row first
+  lines.push("", "Chance that a roll lands on each cell (%), as laid out on the board:");
+  const grid = Array.from({ length: board.size }, () => new Array(board.size).fill("     "));
+  for (let n = 1; n <= board.endCell; n++) {
+    const [row, col] = squareToGridPos(n, board.size);
+    grid[row][col] = (analysis.landingShare[n] * 100).toFixed(1).padStart(5);
+  }
+  grid.forEach((row) => lines.push(` ${row.join(" ")}`));
+  return lines.join("\n");
+}
+
+try {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      ...RULE_OPTIONS,
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  if (values.help) {
+    console.log(USAGE);
+  } else {
+    const board = loadBoard(positionals[0]);
+    const rules = rulesFromArgs(values);
+    const analysis = analyzeBoard(board, rules);
+    console.log(values.json ? JSON.stringify({ board: board.id, rules, ...analysis }, null, 2) : report(board, rules, analysis));
+  }
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exitCode = 1;
+}
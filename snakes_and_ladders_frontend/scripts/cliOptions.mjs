@@ -0,0 +1,49 @@
+import { readFileSync } from "node:fs";
+import { loadBoards, DEFAULT_BOARD_ID } from "../server/boards.mjs";
+import { parseBoard } from "../src/game/boardDefinition.js";
+import { normalizeRules } from "../src/game/rules.js";
+
+/**
+ * What the command line scripts share: picking a board and the house rule flags.
+ */
+
+// A shipped board by id, or a board JSON file (default: the classic board)
+export function loadBoard(arg) {
+  const boards = loadBoards();
+  if (!arg) return boards.get(DEFAULT_BOARD_ID);
+  if (boards.has(arg)) return boards.get(arg);
+  let text;
+  try {
+    text = readFileSync(arg, "utf8");
+  } catch {
+    throw new Error(`Unknown board "${arg}": not a shipped board (${[...boards.keys()].join(", ")}) or a readable file.`);
+  }
+  return parseBoard(JSON.parse(text));
+}
+
+// parseArgs options for the house rules
+export const RULE_OPTIONS = {
+  finish: { type: "string", default: "exact" },
+  "extra-turn": { type: "boolean", default: false },
+  "three-sixes": { type: "string", default: "off" },
+  "enter-on-six": { type: "boolean", default: false },
+  dice: { type: "string", default: "1" }
+};
+
+export const RULE_USAGE = `  --finish exact|bounce     how to finish (default exact)
+  --extra-turn              extra turn on a six
+  --three-sixes off|loseTurn|goBack
+  --enter-on-six            a six to enter the board
+  --dice 1|2                number of dice (default 1)`;
+
+// The rules named by the flags; `extra` adds rules a script sets itself
+export function rulesFromArgs(values, extra = {}) {
+  return normalizeRules({
+    finish: values.finish,
+    extraTurnOnSix: values["extra-turn"],
+    threeSixes: values["three-sixes"],
+    enterOnSix: values["enter-on-six"],
+    diceCount: Number(values.dice),
+    ...extra
+  });
+}
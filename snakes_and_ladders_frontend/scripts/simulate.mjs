@@ -0,0 +1,106 @@
+import { parseArgs } from "node:util";
+import { loadBoard, RULE_OPTIONS, RULE_USAGE, rulesFromArgs } from "./cliOptions.mjs";
+import { describeRules } from "../src/game/rules.js";
+import { AI_LEVELS } from "../src/game/ai.js";
+import { runTournament, tournamentToCsv, DEFAULT_TOURNAMENT_GAMES } from "../src/game/tournament.js";
+
+/**
+ * Self-play tournaments for tuning boards and rules:
+ * `npm run simulate -- [board] [options]`. Plays many seeded games between AI
+ * strategies on the game's own engine and prints win rates per seat and per
+ * strategy, the first mover's advantage and a game length histogram, as text,
+ * JSON or CSV.
+ */
+
+const USAGE = `Usage: npm run simulate -- [board id or file.json] [options]
+  --players 2-6             seats at the table (default: one per strategy, at least 2)
+  --ai a,b,…                strategies, repeated round the table (${AI_LEVELS.map((l) => l.id).join(", ")}; default greedy)
+  --tokens 1-4              tokens per player; strategies only differ with more than one
+  --chaos                   play chaos cards from the board's card cells (one token each)
+  --games N                 games to play (default ${DEFAULT_TOURNAMENT_GAMES})
+  --seed TEXT               seed for the dice and the AI (default tournament)
+  --bin N                   rolls per histogram bar (default 10)
+  --format text|json|csv    output (default text)
+${RULE_USAGE}`;
+
+const pct = (p) => `${(p * 100).toFixed(1)}%`;
+const signedPct = (p) => `${p >= 0 ? "+" : ""}${(p * 100).toFixed(1)} points`;
+
+function report(result) {
+  const lines = [
+    `${result.board.name} (${result.board.id}), ${result.games} games, seed "${result.seed}"`,
+    `Rules: ${describeRules(result.rules)}`,
+    `Seats: ${result.lineup.join(", ")}, rotated every game`,
+    "",
+    "Wins by seat (seat 1 rolls first):"
+  ];
+  result.seats.forEach((s) => lines.push(`  Seat ${String(s.seat).padEnd(3)} ${String(s.wins).padStart(6)}  ${pct(s.winRate).padStart(6)}`));
+  lines.push(
+    `First mover: ${pct(result.firstMover.winRate)} against a fair ${pct(result.firstMover.fairShare)} (${signedPct(result.firstMover.advantage)})`,
+    "",
+    "Wins by strategy:"
+  );
+  result.strategies.forEach((s) => {
+    const share = s.seats > 1 ? ` (${s.seats} seats, fair share ${pct(s.fairShare)})` : "";
+    lines.push(`  ${s.strategy.padEnd(11)} ${String(s.wins).padStart(6)}  ${pct(s.winRate).padStart(6)}${share}`);
+  });
+  if (result.unfinished) lines.push(`Unfinished: ${result.unfinished} games never ended (a token got stuck).`);
+
+  const { lengths } = result;
+  if (lengths.mean !== null) {
+    lines.push(
+      "",
+      `Rolls per game: mean ${lengths.mean.toFixed(1)}, median ${lengths.median}, 90% by ${lengths.p90}, shortest ${lengths.min}, longest ${lengths.max}`
+    );
+    const most = Math.max(...lengths.histogram.map((bar) => bar.count));
+    lengths.histogram.forEach((bar) => {
+      lines.push(`  ${bar.label.padStart(9)} ${String(bar.count).padStart(6)} ${"#".repeat(Math.round((40 * bar.count) / most))}`);
+    });
+  }
+  return lines.join("\n");
+}
+
+function whole(values, name) {
+  if (values[name] === undefined) return undefined;
+  const n = Number(values[name]);
+  if (!Number.isInteger(n)) throw new Error(`--${name} must be a whole number.`);
+  return n;
+}
+
+try {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      players: { type: "string" },
+      ai: { type: "string", default: "greedy" },
+      tokens: { type: "string", default: "1" },
+      chaos: { type: "boolean", default: false },
+      games: { type: "string", default: String(DEFAULT_TOURNAMENT_GAMES) },
+      seed: { type: "string", default: "tournament" },
+      bin: { type: "string", default: "10" },
+      format: { type: "string", default: "text" },
+      ...RULE_OPTIONS,
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  if (!["text", "json", "csv"].includes(values.format)) throw new Error(`Unknown format "${values.format}".`);
+  if (values.help) {
+    console.log(USAGE);
+  } else {
+    const result = runTournament({
+      board: loadBoard(positionals[0]),
+      rules: rulesFromArgs(values, { tokens: Number(values.tokens), chaos: values.chaos }),
+      strategies: values.ai.split(",").map((s) => s.trim()).filter(Boolean),
+      players: whole(values, "players"),
+      games: whole(values, "games"),
+      seed: values.seed,
+      binSize: whole(values, "bin")
+    });
+    if (values.format === "json") console.log(JSON.stringify(result, null, 2));
+    else if (values.format === "csv") process.stdout.write(tournamentToCsv(result));
+    else console.log(report(result));
+  }
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,23 @@
+import { readFileSync, readdirSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { parseBoard } from "../src/game/boardDefinition.js";
+
+const BOARDS_DIR = fileURLToPath(new URL("../src/game/boards/", import.meta.url));
+
+export const DEFAULT_BOARD_ID = "classic-10x10";
+
+// PUBLIC_INTERFACE
+/**
+ * Reads and validates every board definition shipped in src/game/boards.
+ * @returns {Map<string, object>} parsed boards keyed by id
+ * @throws {Error} when a definition is invalid
+ */
+export function loadBoards(dir = BOARDS_DIR) {
+  const boards = new Map();
+  for (const file of readdirSync(dir).filter((f) => f.endsWith(".json")).sort()) {
+    const board = parseBoard(JSON.parse(readFileSync(path.join(dir, file), "utf8")));
+    boards.set(board.id, board);
+  }
+  return boards;
+}
@@ -0,0 +1,99 @@
+import { DEFAULT_TEMPLATES, fillTemplate, personaEvent } from "../src/chat/personas.js";
+import { getCard } from "../src/game/cards.js";
+import { createTranslator, DEFAULT_LOCALE, getLocale } from "../src/i18n/index.js";
+
+/**
+ * Prompts for the AI chat. They are built on the server from the persona
+ * (../src/chat/personas.js) so the browser only describes what happened and
+ * which persona speaks, and never writes the prompt itself.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * One-line description of a move, shown in the chat and sent to the model.
+ * @param {{ player: { name: string }, dice: number, from: number, to: number,
+ *   isWin?: boolean, isSnake?: boolean, isLadder?: boolean, isBounce?: boolean,
+ *   card?: { id: string, action: "played"|"drawn", target?: string } }} event -
+ *   card: a chaos card played or drawn with the move, see ../src/game/cards.js
+ * @param {Function} [t] - translator (../src/i18n) for the player's language; English by default
+ */
+export function describeMove({ player, dice, from, to, isWin, isSnake, isLadder, isBounce, card }, t = createTranslator()) {
+  const name = player.name;
+  if (card) {
+    const values = { name, card: t(`card.${card.id}`), target: card.target };
+    if (card.action === "drawn") return t("move.drew", values);
+    if (!card.target) return t("move.played", values);
+    return t(card.id === "swap" ? "move.swapped" : "move.playedOn", values);
+  }
+  const values = { name, dice, from, to };
+  if (isWin) return t("move.won", values);
+  if (isSnake) return t("move.snake", values);
+  if (isLadder) return t("move.ladder", values);
+  if (from === to) return t("move.stuck", values);
+  if (isBounce) return t("move.bounced", values);
+  return t("move.moved", values);
+}
+
+const GUEST_PROMPT =
+  'You are "{name}", a playful, cheeky Snakes and Ladders opponent. Respond in very short, witty lines. Always stay family-friendly.';
+
+const clamp = (value, min, max, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * A persona the server does not know, built from what the browser may send
+ * for it (a name and numbers): a fixed system prompt with the name, the
+ * default templates, and the numbers clamped to the persona limits.
+ * @param {{ id?: string, name: string, temperature?: number, maxTokens?: number }} request
+ * @throws {Error} "Invalid persona: …" without a usable name
+ */
+export function guestPersona({ id, name, temperature, maxTokens } = {}) {
+  // One line of plain text: no line breaks or braces to break out of the prompt with
+  const cleanName = String(name ?? "").replace(/[\s{}"]+/g, " ").trim().slice(0, 32);
+  if (!cleanName) throw new Error("Invalid persona: name must be 1-32 characters.");
+  return {
+    id: typeof id === "string" ? id.slice(0, 32) : "guest",
+    name: cleanName,
+    systemPrompt: GUEST_PROMPT.replace("{name}", cleanName),
+    temperature: clamp(temperature, 0, 1.5, 0.95),
+    maxTokens: Math.round(clamp(maxTokens, 8, 200, 38)),
+    templates: { ...DEFAULT_TEMPLATES }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The line added to a persona's system prompt so the model answers in the
+ * player's language, e.g. "Always reply in Spanish." Empty for English, which
+ * the personas are written in.
+ * @param {string} [locale="en"]
+ */
+export function languageInstruction(locale = DEFAULT_LOCALE) {
+  if (locale === DEFAULT_LOCALE) return "";
+  return `Always reply in ${getLocale(locale).englishName}, whatever language the prompt is in.`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Chat messages for a persona's comment on a move: its system prompt, then
+ * the move description followed by the persona's instruction for the event.
+ * @param {object} persona - normalized persona
+ * @param {object} event - move event as for describeMove, plus isSelf when
+ *   the persona made the move itself
+ * @returns {{ system: string, user: string }}
+ */
+export function tauntPrompt(persona, event) {
+  const kind = personaEvent(event);
+  const values = {
+    player: event.isSelf ? "you" : event.player.name,
+    dice: event.dice,
+    from: event.from,
+    to: event.to,
+    card: event.card ? getCard(event.card.id).name : "",
+    target: event.card?.target || ""
+  };
+  return { system: persona.systemPrompt, user: `${describeMove(event)}\n${fillTemplate(persona, kind, values)}` };
+}
@@ -0,0 +1,412 @@
+import { createProvider, providerConfigFromEnv } from "../src/chat/providers.js";
+import { DEFAULT_PERSONA_ID } from "../src/chat/personas.js";
+import { ChatError } from "../src/chat/errors.js";
+import { formatEvent } from "../src/chat/sse.js";
+import { formatGameContext } from "../src/game/gameContext.js";
+import { getCard } from "../src/game/cards.js";
+import { LOCALES, DEFAULT_LOCALE, createTranslator } from "../src/i18n/index.js";
+import {
+  DEFAULT_MODERATION,
+  checkText,
+  createModerator,
+  isModerationLevel,
+  moderationConfigFromEnv
+} from "../src/chat/moderation.js";
+import { describeMove, guestPersona, languageInstruction, tauntPrompt } from "./chatPrompts.mjs";
+import { loadPersonas } from "./personas.mjs";
+
+/**
+ * Chat proxy: POST /api/chat on the game server.
+ *
+ * The browser never sees the LLM key. It sends what happened (a move to
+ * taunt about, or a message typed by the player) plus the last few chat
+ * turns; the server builds the prompt, calls the configured provider and
+ * returns the reply.
+ *
+ * Request:  { kind: "taunt", event: { player: { name, isUser }, dice, from, to, isWin, isSnake, isLadder, isBounce, isSelf, card? }, history, persona, locale }
+ *           card: { id, action: "played"|"drawn", target? } for chaos card events
+ *           { kind: "chat", message, history, persona, game, locale }
+ *           with an X-Chat-Session header identifying the browser session.
+ *           persona is the id of a persona the server knows (built in, or loaded
+ *           from CHAT_PERSONAS), or { id, name, avatar, temperature, maxTokens }
+ *           for one loaded in the browser (see personaRequest in
+ *           ../src/chat/personas.js): a known id still gets the server's copy,
+ *           anything else a fixed prompt with the name. Prompts never come from
+ *           the client. It defaults to the classic champion.
+ *           game is the live game summary with exact odds (see
+ *           ../src/game/gameContext.js), added to the prompt for typed messages.
+ *           locale is the player's language (../src/i18n, default "en"): the
+ *           move description comes back in it and the model is told to reply in it.
+ *           moderation is the chat filter level ("kidSafe", "standard" or "off",
+ *           see ../src/chat/moderation.js, default "standard"): typed messages it
+ *           blocks are refused with code "blocked", history lines it blocks are
+ *           dropped, and a reply it blocks is replaced by a friendly line.
+ *           With stream: true in the body the reply comes as server-sent events:
+ *           "prompt" { prompt }, then "token" { token } as the model writes,
+ *           then "done" { prompt, reply, usage } or "error" { error, code }.
+ * Response: { prompt, reply, usage: { tokens, budget } }, or { error, code } with
+ *           400 (bad request), 429 (rate limit / token budget / provider rate limit),
+ *           502 (provider failed), 503 (no API key) or 504 (provider timed out).
+ *           code is a ChatError code (../src/chat/errors.js).
+ */
+
+export const SESSION_HEADER = "x-chat-session";
+
+export const DEFAULT_LIMITS = {
+  requestsPerMinute: 12, // per session
+  requestsPerMinutePerIp: 60, // stops a client dodging the session limit with new ids
+  tokenBudget: 8000, // estimated prompt + reply tokens per session
+  tokenBudgetPerIp: 40000, // so new session ids do not buy a fresh budget
+  maxReplyTokens: 80, // cap on the persona's maxTokens
+  sessionTtlMs: 60 * 60 * 1000
+};
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_HISTORY = 5;
+const MAX_TEXT_LENGTH = 300;
+const MAX_NAME_LENGTH = 32;
+const SESSION_ID = /^[A-Za-z0-9-]{8,64}$/;
+
+// Rough token count (≈4 characters per token) used for the session budget
+function estimateTokens(messages) {
+  return messages.reduce((sum, m) => sum + Math.ceil(m.content.length / 4) + 4, 0);
+}
+
+function clip(text, max) {
+  return String(text ?? "").trim().slice(0, max);
+}
+
+function cleanHistory(history, moderation) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter((m) => m && (m.role === "user" || m.role === "assistant") && typeof m.content === "string")
+    .filter((m) => !checkText(m.content, moderation).flagged)
+    .slice(-MAX_HISTORY)
+    .map((m) => ({ role: m.role, content: clip(m.content, MAX_TEXT_LENGTH) }));
+}
+
+function cleanEvent(event) {
+  if (!event || typeof event !== "object" || !event.player) return null;
+  const name = clip(event.player.name, MAX_NAME_LENGTH);
+  const numbers = [event.dice, event.from, event.to].map(Number);
+  if (!name || !numbers.every((n) => Number.isInteger(n) && n >= 0 && n <= 10000)) return null;
+  const [dice, from, to] = numbers;
+  // Chaos cards are named by id only; the name in the prompt comes from the card list
+  let card = null;
+  if (event.card !== undefined) {
+    if (!getCard(event.card?.id) || !["played", "drawn"].includes(event.card.action)) return null;
+    const target = clip(event.card.target, MAX_NAME_LENGTH);
+    card = { id: event.card.id, action: event.card.action, ...(target ? { target } : {}) };
+  }
+  return {
+    player: { name, isUser: Boolean(event.player.isUser) },
+    dice,
+    from,
+    to,
+    isWin: Boolean(event.isWin),
+    isSnake: Boolean(event.isSnake),
+    isLadder: Boolean(event.isLadder),
+    isBounce: Boolean(event.isBounce),
+    isSelf: Boolean(event.isSelf),
+    ...(card ? { card } : {})
+  };
+}
+
+// Rebuilds the game context from known fields only, so the prompt never carries anything else
+function cleanGameContext(context) {
+  if (context === undefined || context === null) return null;
+  const invalid = () => {
+    throw new HttpError(400, "Invalid game context.");
+  };
+  if (typeof context !== "object" || !context.board || !Array.isArray(context.players)) invalid();
+  const count = context.players.length;
+  if (count < 2 || count > 6) invalid();
+  const num = (n) => (Number.isInteger(n) && n >= 0 && n <= 10000 ? n : invalid());
+  const index = (n) => (n === null || n === undefined ? null : Number.isInteger(n) && n >= 0 && n < count ? n : invalid());
+  const list = (items, fn) => (Array.isArray(items) ? items.slice(0, 12).map(fn) : []);
+  const odds = (o) => {
+    if (!o) return null;
+    const total = o.total === 6 || o.total === 36 ? o.total : invalid();
+    const part = (n) => (num(n) <= total ? n : invalid());
+    return { total, snake: part(o.snake), ladder: part(o.ladder), win: part(o.win), stuck: part(o.stuck) };
+  };
+  return {
+    board: { name: clip(context.board.name, MAX_NAME_LENGTH), endCell: num(context.board.endCell) },
+    rules: clip(context.rules, 120),
+    turn: index(context.turn) ?? 0,
+    me: index(context.me),
+    winner: index(context.winner),
+    players: context.players.map((p) => ({
+      name: clip(p?.name, MAX_NAME_LENGTH),
+      isUser: Boolean(p?.isUser),
+      position: num(p?.position),
+      toGo: num(p?.toGo),
+      ...(p?.waitingForSix ? { waitingForSix: true } : {}),
+      snakes: list(p?.snakes, (x) => ({ head: num(x?.head), tail: num(x?.tail), distance: num(x?.distance) })),
+      ladders: list(p?.ladders, (x) => ({ base: num(x?.base), top: num(x?.top), distance: num(x?.distance) })),
+      odds: odds(p?.odds)
+    })),
+    recentMoves: list(context.recentMoves, (line) => clip(line, 120))
+  };
+}
+
+// Personas the server knows come by id; others get a fixed prompt built from their name
+function resolvePersona(persona, known) {
+  if (persona === undefined || persona === null) return known.find((p) => p.id === DEFAULT_PERSONA_ID);
+  if (typeof persona === "string") {
+    const found = known.find((p) => p.id === persona);
+    if (!found) throw new HttpError(400, `Unknown persona "${clip(persona, MAX_NAME_LENGTH)}".`);
+    return found;
+  }
+  if (typeof persona !== "object" || Array.isArray(persona)) throw new HttpError(400, "Invalid persona.");
+  const found = known.find((p) => p.id === persona.id);
+  if (found) return found;
+  try {
+    return guestPersona(persona);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+}
+
+class HttpError extends Error {
+  constructor(status, message, code = "bad-request", headers = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+// HTTP status for a provider failure, by ChatError code (../src/chat/errors.js)
+const PROVIDER_STATUS = { "missing-key": 503, "rate-limit": 429, timeout: 504, aborted: 499 };
+
+function providerError(err) {
+  const code = err instanceof ChatError ? err.code : "server";
+  const headers = err.retryAfterMs ? { "Retry-After": String(Math.ceil(err.retryAfterMs / 1000)) } : {};
+  return new HttpError(PROVIDER_STATUS[code] || 502, err.message || "Chat provider error", code, headers);
+}
+
+function errorBody(err) {
+  return err.status ? { error: err.message, code: err.code } : { error: "Chat proxy error", code: "server" };
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store", ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new HttpError(400, "Body must be JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates the chat proxy request handler.
+ * @param {object} [options]
+ * @param {object} [options.provider] - chat provider, defaults to one built from
+ *   CHAT_PROVIDER / CHAT_BASE_URL / CHAT_MODEL / OPENAI_API_KEY
+ * @param {object[]} [options.personas] - personas known by id, defaults to the
+ *   built-in ones plus those in the CHAT_PERSONAS file (./personas.mjs)
+ * @param {object} [options.moderator] - chat filter from createModerator()
+ *   (../src/chat/moderation.js), defaults to one using MODERATION_URL if set
+ * @param {object} [options.limits] - overrides for DEFAULT_LIMITS
+ * @param {() => number} [options.now=Date.now]
+ * @returns {{ handle: (req, res) => Promise<void>, sessions: Map, ips: Map }}
+ */
+export function createChatProxy({
+  provider = createProvider(providerConfigFromEnv()),
+  personas = loadPersonas(),
+  moderator = createModerator(moderationConfigFromEnv()),
+  limits = {},
+  now = Date.now
+} = {}) {
+  const config = { ...DEFAULT_LIMITS, ...limits };
+  const sessions = new Map();
+  const ips = new Map();
+
+  // Sliding one-minute window; returns ms until the next slot frees up, or 0
+  function hit(timestamps, max) {
+    const cutoff = now() - 60 * 1000;
+    while (timestamps.length && timestamps[0] <= cutoff) timestamps.shift();
+    if (timestamps.length >= max) return timestamps[0] - cutoff;
+    timestamps.push(now());
+    return 0;
+  }
+
+  // Request times and tokens spent per session id or IP; entries idle for
+  // longer than sessionTtlMs are dropped, which also resets their budget
+  function usage(entries, key) {
+    for (const [k, entry] of entries) {
+      if (now() - entry.lastSeen > config.sessionTtlMs) entries.delete(k);
+    }
+    if (!entries.has(key)) entries.set(key, { tokens: 0, hits: [], lastSeen: now() });
+    const entry = entries.get(key);
+    entry.lastSeen = now();
+    return entry;
+  }
+
+  function checkRate(timestamps, max) {
+    const waitMs = hit(timestamps, max);
+    if (waitMs) {
+      throw new HttpError(429, "Slow down! Too many chat messages, try again in a moment.", "rate-limit", {
+        "Retry-After": String(Math.ceil(waitMs / 1000))
+      });
+    }
+  }
+
+  // Checks the request, limits and budget, and builds the prompt; nothing is sent to the provider yet
+  async function prepare(req) {
+    if (req.method !== "POST") throw new HttpError(405, "Use POST.");
+    const sessionId = req.headers[SESSION_HEADER];
+    if (!SESSION_ID.test(sessionId || "")) throw new HttpError(400, "Missing or invalid X-Chat-Session header.");
+
+    const client = usage(ips, req.socket.remoteAddress || "unknown");
+    checkRate(client.hits, config.requestsPerMinutePerIp);
+    const state = usage(sessions, sessionId);
+    checkRate(state.hits, config.requestsPerMinute);
+
+    const body = await readJson(req);
+    const persona = resolvePersona(body?.persona, personas);
+    const locale = body?.locale ?? DEFAULT_LOCALE;
+    if (!LOCALES.some((l) => l.id === locale)) throw new HttpError(400, `Unknown locale "${clip(locale, 16)}".`);
+    const moderation = body?.moderation ?? DEFAULT_MODERATION;
+    if (!isModerationLevel(moderation)) throw new HttpError(400, `Unknown chat filter level "${clip(moderation, 16)}".`);
+    // prompt is what the chat shows; content is what the model gets
+    let prompt;
+    let content;
+    let game = null;
+    if (body?.kind === "taunt") {
+      const event = cleanEvent(body.event);
+      if (!event) throw new HttpError(400, "A taunt needs a valid move event.");
+      // The chat shows the move in the player's language; the model reads it
+      // in English, like the persona's instructions, and is told what to reply in
+      prompt = describeMove(event, createTranslator(locale));
+      content = tauntPrompt(persona, event).user;
+    } else if (body?.kind === "chat") {
+      prompt = clip(body.message, MAX_TEXT_LENGTH);
+      if (!prompt) throw new HttpError(400, "Message is empty.");
+      // The browser checks too, but only with the local lists
+      if ((await moderator.check(prompt, moderation)).flagged) {
+        throw new HttpError(400, "That message was blocked by the chat filter.", "blocked");
+      }
+      content = prompt;
+      game = cleanGameContext(body.game);
+    } else {
+      throw new HttpError(400, 'kind must be "taunt" or "chat".');
+    }
+
+    const messages = [
+      { role: "system", content: [persona.systemPrompt, languageInstruction(locale)].filter(Boolean).join("\n") },
+      ...(game ? [{ role: "system", content: formatGameContext(game) }] : []),
+      ...cleanHistory(body.history, moderation),
+      { role: "user", content }
+    ];
+    const maxTokens = Math.min(persona.maxTokens, config.maxReplyTokens);
+    const promptTokens = estimateTokens(messages);
+    if (state.tokens + promptTokens + maxTokens > config.tokenBudget) {
+      throw new HttpError(429, "The AI has talked enough for this session.", "budget");
+    }
+    if (client.tokens + promptTokens + maxTokens > config.tokenBudgetPerIp) {
+      throw new HttpError(429, "The AI has talked enough for now. Try again later.", "budget");
+    }
+
+    return { state, client, prompt, messages, maxTokens, promptTokens, persona, locale, moderation, stream: body.stream === true };
+  }
+
+  // Asks the provider; with onToken the reply streams in as it is generated.
+  // With the filter on, words are passed on only while the reply so far passes
+  // the local lists, and a reply the full check blocks becomes a friendly line
+  async function complete(plan, { signal, onToken } = {}) {
+    const { state, client, prompt, messages, maxTokens, promptTokens, persona, locale, moderation } = plan;
+    let written = "";
+    let passed = 0;
+    let held = false;
+    const screened =
+      onToken &&
+      ((token) => {
+        written += token;
+        // Up to the last space: the word being written could still turn into a blocked one
+        const end = moderation === "off" ? written.length : written.search(/\s\S*$/);
+        if (held || end <= passed) return;
+        if (checkText(written.slice(0, end), moderation).flagged) {
+          held = true;
+          return;
+        }
+        onToken(written.slice(passed, end));
+        passed = end;
+      });
+    let text;
+    try {
+      text = await provider.complete({ messages, maxTokens, temperature: persona.temperature, locale, signal, onToken: screened });
+    } catch (err) {
+      throw providerError(err);
+    }
+    const spent = promptTokens + estimateTokens([{ content: text }]);
+    state.tokens += spent;
+    client.tokens += spent;
+    const blocked = (await moderator.check(text, moderation, { signal })).flagged;
+    if (!blocked && onToken && !held && passed < text.length) onToken(text.slice(passed));
+    const reply = blocked ? createTranslator(locale)("chat.blockedReply") : text;
+    return { prompt, reply, usage: { tokens: state.tokens, budget: config.tokenBudget } };
+  }
+
+  return {
+    sessions,
+    ips,
+    async handle(req, res) {
+      const controller = new AbortController();
+      // The browser went away (chat reset, page closed): stop the provider too
+      res.on("close", () => {
+        if (!res.writableEnded) controller.abort();
+      });
+      let plan;
+      try {
+        plan = await prepare(req);
+        if (!plan.stream) {
+          sendJson(res, 200, await complete(plan, { signal: controller.signal }));
+          return;
+        }
+      } catch (err) {
+        sendJson(res, err.status || 500, errorBody(err), err.headers);
+        return;
+      }
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "X-Accel-Buffering": "no"
+      });
+      res.write(formatEvent("prompt", { prompt: plan.prompt }));
+      try {
+        const payload = await complete(plan, {
+          signal: controller.signal,
+          onToken: (token) => res.write(formatEvent("token", { token }))
+        });
+        res.write(formatEvent("done", payload));
+      } catch (err) {
+        res.write(formatEvent("error", errorBody(err)));
+      }
+      res.end();
+    }
+  };
+}
@@ -0,0 +1,291 @@
+import http from "node:http";
+import { WebSocketServer } from "ws";
+import { createGame, applyRoll } from "../src/game/engine.js";
+import { createDiceService, randomSeed } from "../src/game/dice.js";
+import { normalizeRules } from "../src/game/rules.js";
+import { MAX_PLAYERS, MIN_PLAYERS, PLAYER_COLORS } from "../src/game/players.js";
+import { loadBoards, DEFAULT_BOARD_ID } from "./boards.mjs";
+import { createChatProxy } from "./chatProxy.mjs";
+import { DEFAULT_MODERATION, createModerator, isModerationLevel, moderationConfigFromEnv } from "../src/chat/moderation.js";
+
+/**
+ * Authoritative game server for online play.
+ *
+ * Clients join rooms by a short code and only send intents; every roll is
+ * made here and applied with the same engine the browser uses, then the
+ * resulting state and events are broadcast to the whole room.
+ *
+ * Client → server: create { name, boardId, moderation }, join { code, name },
+ *   start { aiSeats, rules }, roll, chat { text }, moderation { level }
+ * Server → client: joined { code, playerId }, room { ...summary },
+ *   started { state, commitment }, rolled { dice, rolls, events, state, seed? },
+ *   state { state } (seat changes mid-game), chat { from, text }, error { message, code }
+ *
+ * Every error has a code: name-missing, no-room, started, room-full,
+ * name-taken, host-only, too-few-players, one-token, no-chaos, not-started,
+ * game-over, not-your-turn and blocked for what a player can run into;
+ * bad-rules, bad-message, in-room and not-in-room for a client that
+ * misbehaves; server when a handler failed. The message is in English.
+ *
+ * Dice are seeded per game (src/game/dice.js). "started" carries only the
+ * SHA-256 commitment of the seed; the seed itself rides on the final
+ * "rolled" message so every player can re-check all rolls.
+ *
+ * Each room has a chat filter level (../src/chat/moderation.js) that the host
+ * picks; room chat it blocks is not broadcast, and the sender gets an error
+ * with code "blocked".
+ *
+ * The same HTTP server answers POST /api/chat (see chatProxy.mjs), so the
+ * LLM key stays on the server.
+ */
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+const MAX_CHAT_LENGTH = 300;
+const MAX_NAME_LENGTH = 16;
+
+function roomSummary(room) {
+  return {
+    type: "room",
+    code: room.code,
+    hostId: room.hostId,
+    boardId: room.board.id,
+    moderation: room.moderation,
+    started: Boolean(room.game),
+    members: room.members.map(({ id, name, color }) => ({ id, name, color }))
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates (but does not start) a game server.
+ * @param {object} [options]
+ * @param {number} [options.port=4000] - 0 picks a free port
+ * @param {number} [options.aiDelayMs=1200] - pause before an AI seat rolls
+ * @param {() => string} [options.newSeed=randomSeed] - dice seed for each new game
+ * @param {Map<string, object>} [options.boards] - boards by id, defaults to src/game/boards
+ * @param {object} [options.chat] - chat proxy from createChatProxy(), defaults to one configured from env
+ * @param {object} [options.moderator] - room chat filter from createModerator(), defaults to one configured from env
+ * @returns {{ listen: () => Promise<number>, close: () => Promise<void>, rooms: Map }}
+ */
+export function createGameServer({
+  port = 4000,
+  aiDelayMs = 1200,
+  newSeed = randomSeed,
+  boards = loadBoards(),
+  chat = createChatProxy(),
+  moderator = createModerator(moderationConfigFromEnv())
+} = {}) {
+  const rooms = new Map();
+  let nextId = 1;
+
+  const httpServer = http.createServer((req, res) => {
+    if (req.url.split("?")[0] === "/api/chat") return chat.handle(req, res);
+    res.writeHead(404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: "Not found" }));
+  });
+  const wss = new WebSocketServer({ server: httpServer });
+
+  const send = (socket, msg) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(msg));
+  };
+  const broadcast = (room, msg) => room.members.forEach((m) => send(m.socket, msg));
+  // The code says what went wrong, so clients can word it in the player's language
+  const fail = (socket, message, code) => send(socket, { type: "error", message, code });
+
+  function newCode() {
+    let code;
+    do {
+      code = Array.from({ length: 4 }, () => CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]).join("");
+    } while (rooms.has(code));
+    return code;
+  }
+
+  function cleanName(name) {
+    return String(name || "").trim().slice(0, MAX_NAME_LENGTH);
+  }
+
+  function addMember(room, socket, name) {
+    const member = {
+      id: nextId++,
+      name,
+      color: PLAYER_COLORS[room.members.length % PLAYER_COLORS.length],
+      socket
+    };
+    room.members.push(member);
+    if (room.hostId === null) room.hostId = member.id;
+    socket.membership = { room, member };
+    send(socket, { type: "joined", code: room.code, playerId: member.id });
+    broadcast(room, roomSummary(room));
+  }
+
+  function doRoll(room) {
+    room.aiTimer = null;
+    const rolls = Array.from({ length: room.game.rules.diceCount }, () => room.dice.roll());
+    const dice = rolls.reduce((sum, v) => sum + v, 0);
+    const { state, events } = applyRoll(room.game, rolls);
+    room.game = state;
+    // Game over: reveal the seed behind the commitment sent with "started"
+    broadcast(room, { type: "rolled", dice, rolls, events, state, ...(state.gameOver ? { seed: room.dice.seed } : {}) });
+    scheduleAi(room);
+  }
+
+  // AI seats (and seats whose player disconnected) roll on their own
+  function scheduleAi(room) {
+    const { game } = room;
+    if (!game || game.gameOver || room.aiTimer) return;
+    if (game.players[game.turn].isUser) return;
+    room.aiTimer = setTimeout(() => doRoll(room), aiDelayMs);
+  }
+
+  const handlers = {
+    create(socket, msg) {
+      const name = cleanName(msg.name);
+      if (!name) return fail(socket, "Enter a name first.", "name-missing");
+      const board = boards.get(msg.boardId) || boards.get(DEFAULT_BOARD_ID);
+      const moderation = isModerationLevel(msg.moderation) ? msg.moderation : DEFAULT_MODERATION;
+      const room = { code: newCode(), board, moderation, hostId: null, members: [], game: null, dice: null, aiTimer: null };
+      rooms.set(room.code, room);
+      addMember(room, socket, name);
+    },
+
+    join(socket, msg) {
+      const name = cleanName(msg.name);
+      const room = rooms.get(String(msg.code || "").toUpperCase());
+      if (!name) return fail(socket, "Enter a name first.", "name-missing");
+      if (!room) return fail(socket, `No room with code ${msg.code}.`, "no-room");
+      if (room.game) return fail(socket, "That game has already started.", "started");
+      if (room.members.length >= MAX_PLAYERS) return fail(socket, "That room is full.", "room-full");
+      if (room.members.some((m) => m.name.toLowerCase() === name.toLowerCase())) {
+        return fail(socket, `The name ${name} is already taken in this room.`, "name-taken");
+      }
+      addMember(room, socket, name);
+    },
+
+    start(socket, msg, room, member) {
+      if (member.id !== room.hostId) return fail(socket, "Only the host can start the game.", "host-only");
+      if (room.game) return fail(socket, "The game has already started.", "started");
+      const aiSeats = Math.max(0, Math.min(Number(msg.aiSeats) || 0, MAX_PLAYERS - room.members.length));
+      const players = room.members.map(({ id, name, color }) => ({ id, name, color, isUser: true }));
+      for (let i = 0; i < aiSeats; i++) {
+        players.push({
+          id: nextId++,
+          name: aiSeats === 1 ? "AI" : `AI ${i + 1}`,
+          color: PLAYER_COLORS[players.length % PLAYER_COLORS.length],
+          isUser: false
+        });
+      }
+      if (players.length < MIN_PLAYERS) return fail(socket, `At least ${MIN_PLAYERS} players are needed.`, "too-few-players");
+      let rules;
+      try {
+        rules = normalizeRules(msg.rules);
+      } catch (err) {
+        return fail(socket, err.message, "bad-rules");
+      }
+      // Picking a token or playing a card with a roll has no message yet, so rooms play the classic game
+      if (rules.tokens > 1) return fail(socket, "Online games are played with one token each.", "one-token");
+      if (rules.chaos) return fail(socket, "Online games are played without chaos cards.", "no-chaos");
+      room.game = createGame({ board: room.board, players, rules });
+      room.dice = createDiceService({ seed: newSeed() });
+      broadcast(room, roomSummary(room));
+      broadcast(room, { type: "started", state: room.game, commitment: room.dice.commitment });
+      scheduleAi(room);
+    },
+
+    roll(socket, msg, room, member) {
+      const { game } = room;
+      if (!game) return fail(socket, "The game has not started yet.", "not-started");
+      if (game.gameOver) return fail(socket, "The game is over.", "game-over");
+      if (game.players[game.turn].id !== member.id) return fail(socket, "It is not your turn.", "not-your-turn");
+      doRoll(room);
+    },
+
+    async chat(socket, msg, room, member) {
+      const text = String(msg.text || "").trim().slice(0, MAX_CHAT_LENGTH);
+      if (!text) return;
+      if ((await moderator.check(text, room.moderation)).flagged) {
+        return fail(socket, "That message was blocked by the chat filter.", "blocked");
+      }
+      broadcast(room, { type: "chat", from: { id: member.id, name: member.name }, text });
+    },
+
+    moderation(socket, msg, room, member) {
+      if (member.id !== room.hostId) return fail(socket, "Only the host can change the chat filter.", "host-only");
+      if (!isModerationLevel(msg.level)) {
+        return fail(socket, `Unknown chat filter level "${String(msg.level).slice(0, 16)}".`, "bad-message");
+      }
+      room.moderation = msg.level;
+      broadcast(room, roomSummary(room));
+    }
+  };
+
+  function leave(socket) {
+    const membership = socket.membership;
+    if (!membership) return;
+    socket.membership = null;
+    const { room, member } = membership;
+    room.members = room.members.filter((m) => m !== member);
+    if (!room.members.length) {
+      clearTimeout(room.aiTimer);
+      rooms.delete(room.code);
+      return;
+    }
+    if (room.hostId === member.id) room.hostId = room.members[0].id;
+    // A player who drops out mid-game is taken over by the AI
+    if (room.game) {
+      room.game = {
+        ...room.game,
+        players: room.game.players.map((p) => (p.id === member.id ? { ...p, isUser: false } : p))
+      };
+      broadcast(room, { type: "state", state: room.game });
+      scheduleAi(room);
+    }
+    broadcast(room, roomSummary(room));
+  }
+
+  function dispatch(socket, msg) {
+    // Own keys only, so "toString" or "constructor" is just an unknown type
+    const handler = Object.hasOwn(handlers, msg?.type) ? handlers[msg.type] : null;
+    if (!handler) return fail(socket, `Unknown message type: ${msg?.type}`, "bad-message");
+    const membership = socket.membership;
+    if (msg.type === "create" || msg.type === "join") {
+      if (membership) return fail(socket, "You are already in a room.", "in-room");
+      return handler(socket, msg);
+    }
+    if (!membership) return fail(socket, "Join a room first.", "not-in-room");
+    return handler(socket, msg, membership.room, membership.member);
+  }
+
+  wss.on("connection", (socket) => {
+    socket.on("message", async (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {
+        return fail(socket, "Messages must be JSON.", "bad-message");
+      }
+      // A handler that throws (or an async one that rejects, like a failed
+      // moderation check) costs the sender one message, not the whole server
+      try {
+        await dispatch(socket, msg);
+      } catch {
+        fail(socket, "Something went wrong on the server. Try again.", "server");
+      }
+    });
+    socket.on("close", () => leave(socket));
+  });
+
+  return {
+    rooms,
+    httpServer,
+    listen() {
+      return new Promise((resolve) => {
+        httpServer.listen(port, () => resolve(httpServer.address().port));
+      });
+    },
+    close() {
+      for (const room of rooms.values()) clearTimeout(room.aiTimer);
+      for (const client of wss.clients) client.terminate();
+      return new Promise((resolve) => wss.close(() => httpServer.close(() => resolve())));
+    }
+  };
+}
@@ -0,0 +1,276 @@
+import { on, once } from "node:events";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { createGameServer } from "./gameServer.mjs";
+import { createRoomClient } from "../src/net/roomClient.js";
+import { createDiceService, verifyRolls } from "../src/game/dice.js";
+
+// Harness: a real server on a free port plus headless clients over real sockets.
+const SEED = "test-seed";
+const FIRST_ROLL = createDiceService({ seed: SEED }).roll();
+let server;
+let url;
+
+before(async () => {
+  // A fixed seed makes every game roll the same dice
+  server = createGameServer({ port: 0, aiDelayMs: 5, newSeed: () => SEED });
+  url = `ws://localhost:${await server.listen()}`;
+});
+
+after(() => server.close());
+
+async function connect() {
+  const client = createRoomClient(url, { WebSocketImpl: WebSocket });
+  await client.ready;
+  return client;
+}
+
+// Resolves with the next message of a type (optionally matching a predicate)
+function next(client, type, predicate = () => true, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${type}"`)), timeoutMs);
+    const off = client.on(type, (msg) => {
+      if (!predicate(msg)) return;
+      clearTimeout(timer);
+      off();
+      resolve(msg);
+    });
+  });
+}
+
+async function openRoom(names) {
+  const [hostName, ...guestNames] = names;
+  const host = await connect();
+  const joined = next(host, "joined");
+  host.createRoom(hostName, "quick-8x8");
+  const { code, playerId } = await joined;
+  const clients = [{ client: host, playerId }];
+  for (const name of guestNames) {
+    const client = await connect();
+    const guestJoined = next(client, "joined");
+    client.joinRoom(code.toLowerCase(), name);
+    clients.push({ client, playerId: (await guestJoined).playerId });
+  }
+  return { code, clients };
+}
+
+test("players join a room by code and see each other", async () => {
+  const host = await connect();
+  const joined = next(host, "joined");
+  host.createRoom("Ann", "quick-8x8");
+  const { code } = await joined;
+  assert.match(code, /^[A-Z]{4}$/);
+
+  const guest = await connect();
+  const hostSees = next(host, "room", (m) => m.members.length === 2);
+  const guestSees = next(guest, "room");
+  guest.joinRoom(code.toLowerCase(), "Ben");
+  for (const summary of await Promise.all([hostSees, guestSees])) {
+    assert.equal(summary.code, code);
+    assert.deepEqual(summary.members.map((m) => m.name), ["Ann", "Ben"]);
+    assert.equal(summary.started, false);
+  }
+  host.close();
+  guest.close();
+});
+
+test("rolls are authoritative and broadcast to every client in turn order", async () => {
+  const { clients } = await openRoom(["Ann", "Ben"]);
+  const [ann, ben] = clients;
+  const started = Promise.all(clients.map(({ client }) => next(client, "started")));
+  ann.client.startGame();
+  const [{ state, commitment }] = await started;
+  assert.equal(commitment, createDiceService({ seed: SEED }).commitment);
+  assert.deepEqual(state.players.map((p) => p.name), ["Ann", "Ben"]);
+  assert.equal(state.board.id, "quick-8x8");
+
+  // Out of turn: rejected
+  const rejected = next(ben.client, "error");
+  ben.client.roll();
+  assert.deepEqual(await rejected, { type: "error", message: "It is not your turn.", code: "not-your-turn" });
+
+  const rolled = Promise.all(clients.map(({ client }) => next(client, "rolled")));
+  ann.client.roll();
+  const [a, b] = await rolled;
+  assert.deepEqual(a, b);
+  assert.equal(a.dice, FIRST_ROLL);
+  assert.deepEqual(a.events[0], { type: "moved", playerIndex: 0, dice: FIRST_ROLL, from: 1, to: 1 + FIRST_ROLL });
+  assert.equal(a.seed, undefined);
+  assert.equal(a.state.turn, 1);
+  clients.forEach(({ client }) => client.close());
+});
+
+test("AI seats roll on their own until it is a human's turn again", async () => {
+  const { clients } = await openRoom(["Cat"]);
+  const [cat] = clients;
+  const started = next(cat.client, "started");
+  cat.client.startGame({ aiSeats: 2 });
+  const { state } = await started;
+  assert.deepEqual(state.players.map((p) => p.isUser), [true, false, false]);
+
+  const aiRolls = [];
+  cat.client.on("rolled", (msg) => aiRolls.push(msg));
+  cat.client.roll();
+  await next(cat.client, "rolled", (m) => m.state.turn === 0);
+  assert.deepEqual(aiRolls.map((m) => m.events[0].playerIndex), [0, 1, 2]);
+  cat.client.close();
+});
+
+test("the seed is revealed with the winning roll and verifies every roll", async () => {
+  const { clients } = await openRoom(["Kim"]);
+  const [kim] = clients;
+  const started = next(kim.client, "started");
+  kim.client.startGame({ aiSeats: 1 });
+  const { commitment } = await started;
+
+  const rolls = [];
+  let last;
+  kim.client.on("rolled", (msg) => {
+    rolls.push(msg.dice);
+    last = msg;
+  });
+  // Kim rolls whenever it is her turn until someone wins
+  while (!last?.state.gameOver) {
+    const mine = next(kim.client, "rolled", (m) => m.state.gameOver || m.state.turn === 0, 5000);
+    if (!last || last.state.turn === 0) kim.client.roll();
+    await mine;
+  }
+  assert.equal(last.seed, SEED);
+  assert.deepEqual(verifyRolls({ seed: last.seed, commitment, rolls }), { ok: true, commitmentOk: true, mismatch: -1 });
+  kim.client.close();
+});
+
+test("the host's house rules apply to the online game", async () => {
+  const { clients } = await openRoom(["Lou", "Max"]);
+  const [lou] = clients;
+  let error = next(lou.client, "error");
+  lou.client.startGame({ rules: { threeSixes: "goBack" } });
+  assert.match((await error).message, /three-sixes penalty needs/);
+  error = next(lou.client, "error");
+  lou.client.startGame({ rules: { tokens: 2 } });
+  assert.equal((await error).message, "Online games are played with one token each.");
+  error = next(lou.client, "error");
+  lou.client.startGame({ rules: { chaos: true } });
+  assert.equal((await error).message, "Online games are played without chaos cards.");
+
+  const started = next(lou.client, "started");
+  lou.client.startGame({ rules: { diceCount: 2, finish: "bounce" } });
+  const { state } = await started;
+  assert.equal(state.rules.diceCount, 2);
+  const rolled = next(lou.client, "rolled");
+  lou.client.roll();
+  const { dice, rolls } = await rolled;
+  assert.equal(rolls.length, 2);
+  assert.equal(dice, rolls[0] + rolls[1]);
+  clients.forEach(({ client }) => client.close());
+});
+
+test("room chat reaches every member", async () => {
+  const { clients } = await openRoom(["Dee", "Eve", "Fay"]);
+  const received = Promise.all(clients.map(({ client }) => next(client, "chat")));
+  clients[1].client.chat("  good luck!  ");
+  for (const msg of await received) {
+    assert.deepEqual(msg, { type: "chat", from: { id: clients[1].playerId, name: "Eve" }, text: "good luck!" });
+  }
+  clients.forEach(({ client }) => client.close());
+});
+
+test("room chat goes through the room's chat filter, which only the host sets", async () => {
+  const { clients } = await openRoom(["Ida", "Jon"]);
+  const [ida, jon] = clients;
+  const blocked = next(jon.client, "error");
+  jon.client.chat("what the fuck");
+  assert.deepEqual(await blocked, { type: "error", message: "That message was blocked by the chat filter.", code: "blocked" });
+
+  const refused = next(jon.client, "error");
+  jon.client.setModeration("off");
+  assert.equal((await refused).code, "host-only");
+  const summary = next(jon.client, "room", (m) => m.moderation === "kidSafe");
+  ida.client.setModeration("kidSafe");
+  await summary;
+
+  const stillBlocked = next(ida.client, "error");
+  ida.client.chat("you are stupid");
+  assert.equal((await stillBlocked).code, "blocked");
+  const received = next(jon.client, "chat");
+  jon.client.chat("good luck");
+  assert.equal((await received).text, "good luck");
+  clients.forEach(({ client }) => client.close());
+});
+
+test("a player who disconnects mid-game is taken over by the AI", async () => {
+  const { code, clients } = await openRoom(["Gus", "Hal"]);
+  const [gus, hal] = clients;
+  const started = next(gus.client, "started");
+  gus.client.startGame();
+  await started;
+  const takeover = next(gus.client, "state");
+  hal.client.close();
+  const { state } = await takeover;
+  assert.equal(state.players[1].isUser, false);
+  assert.equal(server.rooms.get(code).members.length, 1);
+
+  gus.client.roll();
+  await next(gus.client, "rolled", (m) => m.events[0].playerIndex === 1);
+  gus.client.close();
+});
+
+test("joining rejects unknown codes and duplicate names", async () => {
+  const { code, clients } = await openRoom(["Ivy"]);
+  const stranger = await connect();
+  let error = next(stranger, "error");
+  stranger.joinRoom("ZZZZ", "Jo");
+  assert.equal((await error).code, "no-room");
+  error = next(stranger, "error");
+  stranger.joinRoom(code, "ivy");
+  assert.equal((await error).code, "name-taken");
+  stranger.close();
+  clients.forEach(({ client }) => client.close());
+});
+
+test("prototype keys are unknown message types, not handlers", async () => {
+  const { code, clients } = await openRoom(["Kim"]);
+  const [kim] = clients;
+  // The room client only sends known types, so talk to the server directly
+  const raw = new WebSocket(url);
+  await once(raw, "open");
+  const messages = on(raw, "message");
+  const reply = async (type) => {
+    for (;;) {
+      const msg = JSON.parse((await messages.next()).value[0].toString());
+      if (msg.type === type) return msg;
+    }
+  };
+
+  raw.send(JSON.stringify({ type: "join", code, name: "Lee" }));
+  await reply("joined");
+  for (const type of ["hasOwnProperty", "toString", "constructor", "__proto__"]) {
+    raw.send(JSON.stringify({ type }));
+    assert.match((await reply("error")).message, /Unknown message type/);
+    const chat = next(kim.client, "chat");
+    raw.send(JSON.stringify({ type: "chat", text: type }));
+    assert.equal((await chat).text, type);
+  }
+  raw.close();
+  kim.client.close();
+});
+
+test("a handler that fails answers with an error and the server carries on", async () => {
+  const moderator = { check: async () => Promise.reject(new TypeError("fetch failed")) };
+  const flaky = createGameServer({ port: 0, moderator });
+  const flakyUrl = `ws://localhost:${await flaky.listen()}`;
+  const client = createRoomClient(flakyUrl, { WebSocketImpl: WebSocket });
+  await client.ready;
+  const joined = next(client, "joined");
+  client.createRoom("Max", "quick-8x8");
+  await joined;
+  const error = next(client, "error");
+  client.chat("good luck");
+  assert.match((await error).message, /Something went wrong/);
+  const summary = next(client, "room", (m) => m.moderation === "off");
+  client.setModeration("off");
+  await summary;
+  client.close();
+  await flaky.close();
+});
@@ -0,0 +1,30 @@
+import { createGameServer } from "./gameServer.mjs";
+
+/**
+ * Entry point: `npm run server` (PORT defaults to 4000).
+ * Chat settings (OPENAI_API_KEY, CHAT_PROVIDER, …) come from the environment
+ * or from .env next to package.json.
+ */
+try {
+  process.loadEnvFile();
+} catch {
+  // No .env file: use the environment as is
+}
+if (process.env.REACT_APP_OPENAI_API_KEY) {
+  console.warn(
+    "REACT_APP_OPENAI_API_KEY is inlined into the browser build. Rename it to OPENAI_API_KEY so only the server sees it."
+  );
+}
+
+const port = Number(process.env.PORT) || 4000;
+const server = createGameServer({ port });
+
+server.listen().then((actualPort) => {
+  console.log(`Snakes & Ladders game server listening on ws://localhost:${actualPort} (chat proxy at /api/chat)`);
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    server.close().then(() => process.exit(0));
+  });
+}
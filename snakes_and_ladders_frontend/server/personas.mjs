@@ -0,0 +1,16 @@
+import { readFileSync } from "node:fs";
+import { PERSONAS, mergePersonas, parsePersonas } from "../src/chat/personas.js";
+
+// PUBLIC_INTERFACE
+/**
+ * The personas the chat proxy knows by id: the built-in ones, plus those in
+ * the JSON file named by CHAT_PERSONAS (the same format as "Load personas"
+ * in the lobby). Only these bring their own prompts and templates.
+ * @param {string} [file=process.env.CHAT_PERSONAS]
+ * @returns {object[]}
+ * @throws {Error} when the file cannot be read or is invalid
+ */
+export function loadPersonas(file = process.env.CHAT_PERSONAS) {
+  if (!file) return PERSONAS;
+  return mergePersonas(parsePersonas(readFileSync(file, "utf8")));
+}
@@ -1,67 +1,53 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import "./App.css";
 import Board from "./Board";
 import Chat from "./Chat";
-
-// Snakes and ladders configuration
-const BOARD_SIZE = 10;
-const END_CELL = 100;
-
-/**
- * Snakes and Ladders positions are now mapped 1:1 to the extracted board mapping in assets/snakes_and_ladders_mapping.md
- * === Ladders ===
- * | Start | End |
- * |-------|-----|
- * | 4     | 25  |
- * | 13    | 46  |
- * | 33    | 49  |
- * | 42    | 63  |
- * | 50    | 69  |
- * | 62    | 81  |
- * | 74    | 92  |
- * === Snakes ===
- * | Start | End |
- * |-------|-----|
- * | 27    | 5   |
- * | 40    | 3   |
- * | 43    | 18  |
- * | 54    | 31  |
- * | 66    | 45  |
- * | 76    | 58  |
- * | 89    | 53  |
- * | 99    | 41  |
- */
-const SNAKES = [
-  { head: 27, tail: 5 },
-  { head: 40, tail: 3 },
-  { head: 43, tail: 18 },
-  { head: 54, tail: 31 },
-  { head: 66, tail: 45 },
-  { head: 76, tail: 58 },
-  { head: 89, tail: 53 },
-  { head: 99, tail: 41 }
-];
-const LADDERS = [
-  { base: 4, top: 25 },
-  { base: 13, top: 46 },
-  { base: 33, top: 49 },
-  { base: 42, top: 63 },
-  { base: 50, top: 69 },
-  { base: 62, top: 81 },
-  { base: 74, top: 92 }
-];
-
-// Util: returns a new idx if there's a snake or ladder; else returns the same idx
-function resolveSnakesAndLadders(pos) {
-  for (let s of SNAKES) if (s.head === pos) return s.tail;
-  for (let l of LADDERS) if (l.base === pos) return l.top;
-  return pos;
-}
-
-// Die roll utility
-function rollDice() {
-  return Math.floor(Math.random() * 6) + 1;
-}
+import Lobby from "./Lobby";
+import OnlinePanel from "./OnlinePanel";
+import Replay from "./Replay";
+import RollHistory from "./RollHistory";
+import RulesPanel from "./RulesPanel";
+import StatsView from "./StatsView";
+import LandingHeatmap from "./LandingHeatmap";
+import BoardEditor from "./BoardEditor";
+import BoardTable from "./BoardTable";
+import { usePrefersReducedMotion } from "./reducedMotion";
+import { createGame, tokenChoices } from "./game/engine";
+import { chooseCard, chooseToken } from "./game/ai";
+import { cardEffect, createDeck, getCard } from "./game/cards";
+import { createDiceService, seededRandom } from "./game/dice";
+import { DEFAULT_RULES, describeRules } from "./game/rules";
+import { buildGameContext } from "./game/gameContext";
+import { analyzeBoard } from "./game/analysis";
+import { cardEvents, createEventBus, moveEvent } from "./game/eventBus";
+import { announceChoice, announceMove, announceStart } from "./game/announcements";
+import {
+  getBoard,
+  boardImageUrl,
+  mergeBoards,
+  loadCustomBoards,
+  saveCustomBoards,
+  DEFAULT_BOARD_ID,
+} from "./game/boards";
+import { defaultSeats } from "./game/players";
+import { getPersona, loadCustomPersonas, mergePersonas, saveCustomPersonas } from "./chat/personas";
+import { loadModeration, saveModeration } from "./chat/moderation";
+import {
+  createGameLog,
+  recordMove,
+  logRolls,
+  syncChat,
+  gameFromLog,
+  parseGameLog,
+  serializeGameLog,
+  saveAutosave,
+  loadAutosave,
+} from "./game/gameLog";
+import { createMatchStore } from "./stats/matchStore";
+import { summarizeGame } from "./stats/matchStats";
+import { downloadFile, readFileText } from "./download";
+import { LOCALES, createTranslator, loadLocale, saveLocale } from "./i18n";
+import { I18nContext, Message, useI18n } from "./i18nContext";
 
 // PUBLIC_INTERFACE
 // Main app for Snakes and Ladders game UI with board and chat integration,
@@ -73,126 +59,455 @@ function App() {
     document.documentElement.setAttribute("data-theme", theme);
   }, [theme]);
 
-  // Game state
-  const [players, setPlayers] = useState([
-    { id: 1, name: "You", color: "#d42c27", position: 1, isUser: true },
-    { id: 2, name: "AI", color: "#31c951", position: 1, isUser: false },
-  ]);
-  const [turn, setTurn] = useState(0); // 0: user, 1: AI
-  const [gameOver, setGameOver] = useState(false);
-  const [diceValue, setDiceValue] = useState(null);
+  // Language (./i18n): the one picked last time, else the browser's; Arabic lays the page out right to left
+  const [locale, setLocale] = useState(() => loadLocale());
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  useEffect(() => {
+    saveLocale(locale);
+    document.documentElement.setAttribute("lang", t.locale);
+    document.documentElement.setAttribute("dir", t.dir);
+  }, [locale, t]);
+
+  // Chat filter for local games (./chat/moderation); online rooms use the level their host picks
+  const [chatFilter, setChatFilter] = useState(() => loadModeration());
+  useEffect(() => saveModeration(chatFilter), [chatFilter]);
+
+  // Unfinished local game autosaved on the last visit; it resumes instead of the lobby
+  const [saved] = useState(() => {
+    const log = loadAutosave();
+    return log && !log.finishedAt ? log : null;
+  });
+
+  // Seats chosen in the lobby (2-6 players, human or AI); the lobby shows until a game starts
+  const [seats, setSeats] = useState(() => (saved ? saved.players : defaultSeats()));
+  const [inLobby, setInLobby] = useState(!saved);
+
+  // Chat personas for AI seats: the built-in ones plus any loaded from JSON in the lobby
+  const [customPersonas, setCustomPersonas] = useState(() => loadCustomPersonas());
+  const personas = useMemo(() => mergePersonas(customPersonas), [customPersonas]);
+
+  // Boards: the shipped ones plus any made in the board editor
+  const [customBoards, setCustomBoards] = useState(() => loadCustomBoards());
+  const boards = mergeBoards(customBoards);
+  const [showEditor, setShowEditor] = useState(false);
+
+  // House rules for new games (./game/rules), picked in the lobby; each game keeps its own copy
+  const [rules, setRules] = useState(() => saved?.rules || DEFAULT_RULES);
+
+  // Game state (rules live in ./game/engine)
+  const [game, setGame] = useState(() =>
+    saved ? gameFromLog(saved) : createGame({ board: getBoard(DEFAULT_BOARD_ID), players: seats, rules })
+  );
+  // Faces of the latest roll (one per die)
+  const [diceValue, setDiceValue] = useState(() => {
+    const last = saved?.moves[saved.moves.length - 1];
+    return last ? last.rolls || [last.dice] : null;
+  });
+  // Status note for the latest roll: extra turn, three-sixes penalty, waiting for a six
+  const [note, setNote] = useState("");
+  // Seeded dice (./game/dice) for every local roll; the lobby can fix the seed
+  // or switch on commit-reveal, where only the seed's hash shows until the end
+  const [diceOptions, setDiceOptions] = useState(() => ({ seed: "", commitReveal: Boolean(saved?.commitment) }));
+  const diceRef = useRef(null);
+  if (!diceRef.current) {
+    diceRef.current = saved?.seed
+      ? createDiceService({ seed: saved.seed, used: logRolls(saved).length })
+      : createDiceService();
+  }
+  // Move log of the current game (./game/gameLog): autosaved, exported, replayed
+  const [log, setLog] = useState(
+    () => saved || createGameLog({ board: game.board, players: game.players, seed: diceRef.current.seed })
+  );
+  // Game shown in the replay viewer, or null
+  const [replay, setReplay] = useState(null);
+  // Match history (./stats/matchStore): every finished game is saved for the stats view
+  const [matchStore] = useState(() => createMatchStore());
+  const savedMatchesRef = useRef(new Set());
+  const [showStats, setShowStats] = useState(false);
+  const [fileError, setFileError] = useState(null);
   const [message, setMessage] = useState(""); // Winner message
   const chatRef = useRef();
+  // Game events (./game/eventBus): moves are published here and the chat taunts in its own time
+  const [gameEvents] = useState(createEventBus);
+  // Screen-reader announcements (./game/announcements): game starts and every move, in words
+  const [announcement, setAnnouncement] = useState("");
+  useEffect(
+    () => gameEvents.on((event) => event.type === "move" && setAnnouncement(announceMove(event, t))),
+    [gameEvents, t]
+  );
+  const { players, turn, gameOver } = game;
+  const currentPlayer = players[turn];
+  // Hot-seat: several humans share this device and take turns at the same controls
+  const hotSeat = players.filter((p) => p.isUser).length > 1;
+
+  // Online play: connection to the game server, our seat id and the room summary
+  const [online, setOnline] = useState(null); // { client, playerId, code }
+  const [room, setRoom] = useState(null);
+  // Whether the current turn belongs to someone at this device
+  const myTurn = online ? currentPlayer.id === online.playerId : currentPlayer.isUser;
+
+  // Board rendering: "image" (designer picture) or "svg" (drawn from the config)
+  const [renderMode, setRenderMode] = useState("image");
+  // Reduced motion: follows the system setting until the checkbox overrides it
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const [motionChoice, setMotionChoice] = useState(null);
+  const reducedMotion = motionChoice ?? prefersReducedMotion;
+  // Landing-odds heatmap over the board (./game/analysis), for the lobby's rules
+  // while setting up and the game's own rules once it runs
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const analysisRules = inLobby ? rules : game.rules;
+  const analysis = useMemo(
+    () => (showHeatmap ? analyzeBoard(game.board, analysisRules) : null),
+    [showHeatmap, game.board, analysisRules]
+  );
 
   // For handling auto-turn sequence
   const [processing, setProcessing] = useState(false);
+  // With several tokens each: a human's roll waiting for them to pick a token
+  const [choice, setChoice] = useState(null); // { rolls, choices } (see tokenChoices)
+  // Chaos mode: id of the card the human at the controls will play with their next roll
+  const [armedCard, setArmedCard] = useState(null);
+  // Token animation for the latest roll, and the engine result waiting on it
+  const [animation, setAnimation] = useState(null);
+  const pendingTurnRef = useRef(null);
+  // Online: rolls broadcast by the server wait here and are animated one at a time
+  const remoteRollsRef = useRef([]);
+  const remoteBusyRef = useRef(false);
 
-  // Reset game function
-  // PUBLIC_INTERFACE
-  function resetGame() {
-    setPlayers([
-      { id: 1, name: "You", color: "#d42c27", position: 1, isUser: true },
-      { id: 2, name: "AI", color: "#31c951", position: 1, isUser: false },
-    ]);
-    setTurn(0);
-    setGameOver(false);
+  // Drops any roll in flight and clears the status line and chat
+  function clearTurnState() {
+    pendingTurnRef.current = null;
+    remoteRollsRef.current = [];
+    remoteBusyRef.current = false;
+    setChoice(null);
+    setArmedCard(null);
+    setAnimation(null);
+    setProcessing(false);
     setDiceValue(null);
+    setNote("");
     setMessage("");
     chatRef.current?.resetToWelcome?.();
   }
 
-  // Utility: get player obj for the current turn
-  function currentPlayerObj() {
-    return players[turn];
+  // Fresh dice and an empty log for a new local game; in chaos mode the deck
+  // is shuffled from the dice seed, so a fixed seed deals the same cards too
+  function newGameLog(board, players, options = diceOptions) {
+    const dice = createDiceService(options.seed ? { seed: options.seed } : {});
+    diceRef.current = dice;
+    return createGameLog({
+      board,
+      players,
+      rules,
+      seed: dice.seed,
+      commitment: options.commitReveal ? dice.commitment : null,
+      deck: rules.chaos ? createDeck(seededRandom(`${dice.seed}:deck`)) : undefined,
+    });
   }
 
-  // Utility: get other player obj (not turn)
-  function otherPlayerObj() {
-    return players[turn === 0 ? 1 : 0];
+  // Reset game function, optionally switching to another board or line-up
+  // PUBLIC_INTERFACE
+  function resetGame(board = game.board, seatList = seats, options = diceOptions) {
+    const nextLog = newGameLog(board, seatList, options);
+    const next = createGame({ board, players: seatList, rules, deck: nextLog.deck });
+    setGame(next);
+    setAnnouncement(announceStart(next, t));
+    setLog(nextLog);
+    clearTurnState();
   }
 
-  // Game move/turn handler
-  async function handlePlayTurn() {
-    if (processing || gameOver) return;
+  // Lobby "Start Game": take the configured seats and dice options and begin a fresh game
+  function startGame(seatList, options = diceOptions) {
+    setSeats(seatList);
+    setDiceOptions(options);
+    resetGame(game.board, seatList, options);
+    setInLobby(false);
+  }
+
+  // The room's handlers outlive the render that subscribed them, so they read
+  // the lobby settings and the translator from here
+  const settingsRef = useRef(null);
+  settingsRef.current = { seats, rules, t };
+
+  // Online: subscribe to the room once OnlinePanel has joined it
+  function handleOnlineConnected({ client, playerId, code }) {
+    setOnline({ client, playerId, code });
+    client.on("room", setRoom);
+    client.on("started", ({ state, commitment }) => {
+      clearTurnState();
+      setGame(state);
+      setAnnouncement(announceStart(state, settingsRef.current.t));
+      // The server keeps the seed to itself until the game ends
+      setLog(createGameLog({ board: state.board, players: state.players, rules: state.rules, commitment }));
+      setInLobby(false);
+    });
+    // A player dropped out and the server's AI took over their seat
+    client.on("state", ({ state }) => {
+      setGame((g) => ({ ...g, players: g.players.map((p, i) => ({ ...p, isUser: state.players[i].isUser })) }));
+    });
+    client.on("rolled", (msg) => {
+      if (msg.seed) setLog((l) => ({ ...l, seed: msg.seed }));
+      remoteRollsRef.current.push(msg);
+      playNextRemoteRoll();
+    });
+    client.on("chat", (msg) => {
+      chatRef.current?.addRoomMessage?.({ name: msg.from.name, text: msg.text, mine: msg.from.id === playerId });
+    });
+    // Our room message got past the browser's filter but not the server's
+    client.on("error", (msg) => {
+      if (msg.code === "blocked") chatRef.current?.showError(settingsRef.current.t("chat.blocked"));
+    });
+    client.on("close", () => {
+      const { seats: lobbySeats, rules: lobbyRules } = settingsRef.current;
+      setOnline(null);
+      setRoom(null);
+      clearTurnState();
+      setGame((g) => createGame({ board: g.board, players: lobbySeats, rules: lobbyRules }));
+      setInLobby(true);
+    });
+  }
+
+  // Close the connection when leaving the room or unmounting
+  useEffect(() => () => online?.client.close(), [online]);
+
+  // Autosave local games after every move and chat line (online games live on the server)
+  useEffect(() => {
+    if (!online && !inLobby) saveAutosave(log);
+  }, [log, online, inLobby]);
+
+  // Finished games go into the match history once; saving is best effort like autosave
+  useEffect(() => {
+    if (!log.finishedAt || savedMatchesRef.current.has(log.id)) return;
+    savedMatchesRef.current.add(log.id);
+    try {
+      matchStore.save(summarizeGame(log, personas)).catch(() => {});
+    } catch {
+      // A log that no longer replays is simply left out of the stats
+    }
+  }, [log, matchStore, personas]);
+
+  // Board editor "Save board": keep it (replacing one with the same id) and play on it
+  function handleSaveBoard(board) {
+    const list = [...customBoards.filter((b) => b.id !== board.id), board];
+    setCustomBoards(list);
+    resetGame(board);
+    return saveCustomBoards(list);
+  }
+
+  function handleLoadPersonas(list) {
+    setCustomPersonas(list);
+    saveCustomPersonas(list);
+  }
+
+  // What the AI chat knows about the game; "me" is the human at this device who is typing
+  function gameContext() {
+    const me = online
+      ? players.findIndex((p) => p.id === online.playerId)
+      : currentPlayer.isUser
+        ? turn
+        : players.findIndex((p) => p.isUser);
+    return buildGameContext(game, { log, me: me >= 0 ? me : null });
+  }
+
+  // Lobby "Replay a saved game": load an exported log into the viewer
+  async function handleImport(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setFileError(null);
+    try {
+      setReplay(parseGameLog(await readFileText(file)));
+    } catch (err) {
+      setFileError(err.message);
+    }
+  }
+
+  function exportGame() {
+    downloadFile(`${log.id}.json`, serializeGameLog(log));
+  }
+
+  // Online: animate the next server roll, unless one is still playing out
+  function playNextRemoteRoll() {
+    if (remoteBusyRef.current) return;
+    const msg = remoteRollsRef.current.shift();
+    if (!msg) return;
+    remoteBusyRef.current = true;
+    const { playerIndex, from } = msg.events[0];
+    const player = { ...msg.state.players[playerIndex], position: from };
     setProcessing(true);
+    setDiceValue(msg.rolls || [msg.dice]);
+    pendingTurnRef.current = { next: msg.state, events: msg.events, dice: msg.dice, rolls: msg.rolls, player, playerIndex };
+    setAnimation({ key: msg.state.moveCount, playerId: player.id, events: msg.events });
+  }
+
+  function finishRemoteRoll() {
+    if (!remoteBusyRef.current) return;
+    remoteBusyRef.current = false;
+    playNextRemoteRoll();
+  }
 
-    const nowPlayer = currentPlayerObj();
-    const otherPlayer = otherPlayerObj();
-
-    // 1. Roll dice
-    const dice = rollDice();
-    setDiceValue(dice);
-
-    // 2. Calculate new position, respecting boundaries
-    let newPos = nowPlayer.position + dice;
-    // If over END_CELL, stay in place and skip to taunt
-    if (newPos > END_CELL) {
-      chatRef.current?.aiEmoteTaunt?.(nowPlayer, dice, nowPlayer.position, nowPlayer.position, false, false);
-      setTimeout(() => {
-        setProcessing(false);
-        setTurn(turn === 0 ? 1 : 0);
-      }, 1300);
+  // Game move/turn handler: roll, then let the Board animate the move.
+  // The result is committed in handleAnimationComplete once the token arrives.
+  function handlePlayTurn() {
+    if (processing || gameOver) return;
+    // Online the server rolls; the result comes back as a "rolled" broadcast
+    if (online) {
+      online.client.roll();
       return;
     }
+    setProcessing(true);
 
-    // 3. Check for snake/ladder, animate movement, update token position
-    let finalPos = resolveSnakesAndLadders(newPos);
-
-    // 4. Update state for move
-    let statePlayers = players.map((p, idx) =>
-      idx === turn ? { ...p, position: finalPos } : p
-    );
-    setPlayers(statePlayers);
-
-    // 5. Check win
-    let won = finalPos === END_CELL;
-    if (won) {
-      setGameOver(true);
-      setMessage(`${nowPlayer.isUser ? "You" : "AI"} win${nowPlayer.isUser ? "!" : "s!"} 🏆`);
-      // Sassy comment for victory
-      setTimeout(() => {
-        chatRef.current?.aiEmoteTaunt?.(nowPlayer, dice, nowPlayer.position, finalPos, true, false);
-      }, 650);
-      setProcessing(false);
-      return;
+    const nowPlayer = players[turn];
+
+    // 1. Roll the seeded dice (one or two, per the game's rules)
+    const rolls = Array.from({ length: game.rules.diceCount }, () => diceRef.current.roll());
+    setDiceValue(rolls);
+
+    // 2. Let the engine apply the roll (house rules, snakes/ladders, win, next turn).
+    // With several tokens each the roll may move any of them: an AI seat picks
+    // by its skill level (./game/ai), a human picks with the token buttons.
+    // In chaos mode a card goes with the roll: the one a human armed, or the AI's pick.
+    const card = nowPlayer.isUser ? armedCard : chooseCard(game);
+    setArmedCard(null);
+    const choices = tokenChoices(game, rolls, card ?? undefined);
+    if (choices.length === 1) {
+      moveToken(rolls, choices[0]);
+    } else if (!nowPlayer.isUser) {
+      const token = chooseToken(game, rolls, nowPlayer.skill);
+      moveToken(rolls, choices.find((c) => c.token === token));
+    } else {
+      setChoice({ rolls, choices });
+      setAnnouncement(announceChoice({ player: nowPlayer, rolls, choices }, t));
     }
+  }
 
-    // 6. Trash talk: sassy comment about the result, using chat module to inject
-    setTimeout(async () => {
-      if (nowPlayer.isUser) {
-        // If user, prompt AI ("React" to user's move with a sassy emote)
-        await chatRef.current?.aiEmoteTaunt?.(nowPlayer, dice, nowPlayer.position, finalPos,
-          false,
-          // Is it snake or ladder?
-          (finalPos < newPos ? true : false),
-          (finalPos > newPos ? true : false)
-        );
-      } else {
-        // If AI moved, prompt the AI to brag about its own move against you
-        await chatRef.current?.aiEmoteTaunt?.(nowPlayer, dice, nowPlayer.position, finalPos,
-          false,
-          (finalPos < newPos ? true : false),
-          (finalPos > newPos ? true : false)
-        );
-      }
-      setProcessing(false);
+  // Animates a roll with the token picked from tokenChoices
+  function moveToken(rolls, { state: next, events }) {
+    const dice = rolls.reduce((sum, v) => sum + v, 0);
+    setChoice(null);
+    pendingTurnRef.current = { next, events, dice, rolls, player: players[turn], playerIndex: turn };
+    setAnimation({ key: next.moveCount, playerId: players[turn].id, token: events[0]?.token, events });
+  }
 
-      // AI's turn triggers automatically after user, so flip
-      setTurn((prev) => (prev === 0 ? 1 : 0));
-    }, 1100);
+  // Token buttons or keys 1-4: token is the number on the board, less one.
+  // Tokens sharing a cell are interchangeable, so any of them picks that move.
+  function pickToken(token) {
+    const cells = currentPlayer.tokens;
+    const picked =
+      choice?.choices.find((c) => c.token === token) ||
+      choice?.choices.find((c) => cells[c.token] === cells[token] && cells[token] !== game.board.endCell);
+    if (picked) moveToken(choice.rolls, picked);
   }
 
-  // Automatically let the AI play after user, but only if it's AI's turn & not gameover/processing
+  // Board callback: the token finished hopping/sliding for the pending roll
+  function handleAnimationComplete(key) {
+    const pending = pendingTurnRef.current;
+    if (!pending || pending.next.moveCount !== key) return;
+    pendingTurnRef.current = null;
+    setAnimation(null);
+
+    const { next, events, dice, rolls, player } = pending;
+    const hasEvent = (type) => events.some((e) => e.type === type);
+    setLog((l) => recordMove(l, { dice, rolls, events, state: next }));
+    const name = player.name;
+    if (hasEvent("threeSixes")) {
+      setNote(t(next.rules.threeSixes === "goBack" ? "note.threeSixes.goBack" : "note.threeSixes.loseTurn", { name }));
+    } else if (hasEvent("extraTurn")) {
+      setNote(t("note.extraTurn", { name }));
+    } else if (hasEvent("needSix")) {
+      setNote(t("note.needSix", { name }));
+    } else if (hasEvent("shielded")) {
+      setNote(t("note.shielded", { name }));
+    } else if (hasEvent("frozen")) {
+      const frozen = events.filter((e) => e.type === "frozen").map((e) => next.players[e.target].name);
+      setNote(t("note.frozen", { names: t.list(frozen), count: frozen.length }));
+    } else if (hasEvent("card")) {
+      setNote(t("note.draw", { name, card: t(`card.${events.find((e) => e.type === "card").card}`) }));
+    } else {
+      setNote("");
+    }
+
+    // Trash talk: the chat picks the move up from the bus and a persona comments
+    // when it can. The game moves on straight away and never waits for the AI.
+    // Cards played and drawn go out as events of their own after the move.
+    const move = moveEvent({ player, dice, events, state: next });
+    gameEvents.emit(move);
+    cardEvents(move).forEach((e) => gameEvents.emit(e));
+
+    if (hasEvent("won")) {
+      const onlyHuman = player.isUser && players.filter((p) => p.isUser).length === 1;
+      setMessage(onlyHuman ? t("app.youWin") : t("app.playerWins", { name }));
+    }
+
+    // Commit the move and pass the turn; an AI seat then plays automatically
+    setGame(next);
+    setProcessing(false);
+    finishRemoteRoll();
+  }
+
+  // Automatically play AI seats, but only on an AI's turn & not lobby/gameover/processing
   useEffect(() => {
-    if (turn === 1 && !gameOver && !processing) {
+    if (!online && !inLobby && !currentPlayer.isUser && !gameOver && !processing) {
       // Small delay for realism and UI update
-      setTimeout(() => {
+      const timer = setTimeout(() => {
         handlePlayTurn();
       }, 1200);
+      return () => clearTimeout(timer);
     }
     // eslint-disable-next-line
-  }, [turn, gameOver, processing]);
+  }, [turn, gameOver, processing, inLobby, online]);
   
+  // Keyboard shortcuts, except while typing: R or Space rolls for the human whose
+  // turn it is, C jumps to the chat box, Shift+N starts over with the same players
+  const shortcutsRef = useRef(null);
+  const canRoll = !inLobby && !gameOver && !processing && myTurn;
+  shortcutsRef.current = {
+    roll: canRoll ? handlePlayTurn : null,
+    pick: choice ? pickToken : null,
+    reset: !online && !processing ? () => resetGame() : null,
+  };
+  useEffect(() => {
+    if (inLobby) return undefined;
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      const { roll, pick, reset } = shortcutsRef.current;
+      if (e.key === "r" || e.key === "R" || e.key === " ") {
+        // Space on a focused button presses that button instead
+        if (!roll || (e.key === " " && e.target.closest?.("button"))) return;
+        e.preventDefault();
+        roll();
+      } else if (/^[1-4]$/.test(e.key) && pick) {
+        e.preventDefault();
+        pick(Number(e.key) - 1);
+      } else if (e.key === "c" || e.key === "C") {
+        e.preventDefault();
+        chatRef.current?.focusInput?.();
+      } else if (e.key === "N" && e.shiftKey && reset) {
+        e.preventDefault();
+        reset();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [inLobby]);
+
+  // Focus: "Reset Game" (or "Leave Room") once the game is won, the first token
+  // button when a roll needs a token picked, and "Play Turn" when a human's turn
+  // comes round after focus was lost with a button that went away
+  const resetButtonRef = useRef(null);
+  const playButtonRef = useRef(null);
+  const choiceButtonRef = useRef(null);
+  useEffect(() => {
+    if (choice) choiceButtonRef.current?.focus();
+  }, [choice]);
+  useEffect(() => {
+    if (gameOver && !inLobby) resetButtonRef.current?.focus();
+  }, [gameOver, inLobby]);
+  useEffect(() => {
+    const active = document.activeElement;
+    if (canRoll && (!active || active === document.body)) playButtonRef.current?.focus();
+  }, [canRoll]);
+
   // PUBLIC_INTERFACE
   // Theme toggle
   const toggleTheme = () => {
@@ -201,148 +516,429 @@ function App() {
 
   // Dice emoji for UI
   const diceDisplay = diceValue !== null ? (
-    <span style={{ fontSize: 28, marginLeft: 12 }}>{["", "⚀","⚁","⚂","⚃","⚄","⚅"][diceValue]}</span>
+    <span style={{ fontSize: 28, marginInlineStart: 12 }}>{diceValue.map((v) => ["", "⚀","⚁","⚂","⚃","⚄","⚅"][v]).join(" ")}</span>
   ) : null;
 
   return (
-    <div className="App" style={{ minHeight: "100vh", background: "var(--bg-primary)" }}>
-      <header className="App-header">
-        <button
-          className="theme-toggle"
-          onClick={toggleTheme}
-          aria-label={`Switch to ${theme === "light" ? "dark" : "light"} mode`}
-        >
-          {theme === "light" ? "🌙 Dark" : "☀️ Light"}
-        </button>
-        <h2
-          style={{
-            fontFamily: '"Comic Sans MS", Helvetica Neue, Arial, sans-serif',
-            fontWeight: 800,
-            margin: "18px 0 10px 0",
-            color: "#e94d3c",
-            textShadow: "0 5px 18px #0003,0 1px 0 #fff6",
-            letterSpacing: "0.04em",
-            fontSize: 32,
-          }}
-        >
-          Snakes & Ladders Showdown 🎲
-        </h2>
-
-        {/* PLAY TURN BUTTON & game status */}
-        <section>
-          <div style={{ margin: "10px 0" }}>
-            {gameOver ? (
-              <>
-                <span style={{
-                  color: "#31c951",
+    <I18nContext.Provider value={t}>
+      <div className="App" dir={t.dir} lang={t.locale} style={{ minHeight: "100vh", background: "var(--bg-primary)" }}>
+        <div className="sr-only" role="status" aria-live="polite" aria-atomic="true" data-testid="announcer">
+          {announcement}
+        </div>
+        <header className="App-header">
+          <button
+            className="theme-toggle"
+            onClick={toggleTheme}
+            aria-label={t(theme === "light" ? "app.theme.toDark" : "app.theme.toLight")}
+          >
+            {t(theme === "light" ? "app.theme.dark" : "app.theme.light")}
+          </button>
+          <h2
+            style={{
+              fontFamily: '"Comic Sans MS", Helvetica Neue, Arial, sans-serif',
+              fontWeight: 800,
+              margin: "18px 0 10px 0",
+              color: "#e94d3c",
+              textShadow: "0 5px 18px #0003,0 1px 0 #fff6",
+              letterSpacing: "0.04em",
+              fontSize: 32,
+            }}
+          >
+            {t("app.title")}
+          </h2>
+
+          <label style={{ fontSize: 15, fontWeight: 700, marginBottom: 6 }}>
+            🌐{" "}
+            <select
+              aria-label={t("app.language")}
+              value={locale}
+              onChange={(e) => setLocale(e.target.value)}
+              style={{ fontSize: 15, padding: "3px 8px", borderRadius: 6 }}
+            >
+              {LOCALES.map((l) => (
+                <option key={l.id} value={l.id} lang={l.id}>{l.name}</option>
+              ))}
+            </select>
+          </label>
+
+          {/* Board picker: switching boards starts a new game */}
+          <label style={{ fontSize: 15, fontWeight: 700 }}>
+            {t("app.board")}{" "}
+            <select
+              value={game.board.id}
+              onChange={(e) => resetGame(getBoard(e.target.value, boards))}
+              disabled={processing || Boolean(online)}
+              style={{ fontSize: 15, padding: "3px 8px", borderRadius: 6 }}
+            >
+              {boards.map((b) => (
+                <option key={b.id} value={b.id}>{b.name}</option>
+              ))}
+            </select>
+          </label>
+          {game.board.image && (
+            <label style={{ fontSize: 15, fontWeight: 700, marginTop: 6 }}>
+              <input
+                type="checkbox"
+                checked={renderMode === "svg"}
+                onChange={(e) => setRenderMode(e.target.checked ? "svg" : "image")}
+                style={{ marginInlineEnd: 6 }}
+              />
+              {t("app.drawFromConfig")}
+            </label>
+          )}
+          <label style={{ fontSize: 15, fontWeight: 700, marginTop: 6 }}>
+            <input
+              type="checkbox"
+              checked={showHeatmap}
+              onChange={(e) => setShowHeatmap(e.target.checked)}
+              style={{ marginInlineEnd: 6 }}
+            />
+            {t("app.landingOdds")}
+          </label>
+          <label style={{ fontSize: 15, fontWeight: 700, marginTop: 6 }}>
+            <input
+              type="checkbox"
+              checked={reducedMotion}
+              onChange={(e) => setMotionChoice(e.target.checked)}
+              style={{ marginInlineEnd: 6 }}
+            />
+            {t("app.reduceMotion")}
+          </label>
+
+          {replay && <Replay log={replay} renderMode={renderMode} reducedMotion={reducedMotion} onClose={() => setReplay(null)} />}
+          {showStats && <StatsView store={matchStore} onClose={() => setShowStats(false)} />}
+          {showEditor && (
+            <BoardEditor boards={boards} rules={rules} onSave={handleSaveBoard} onClose={() => setShowEditor(false)} />
+          )}
+
+          {inLobby && <RulesPanel rules={rules} onChange={setRules} />}
+          {inLobby && !online && <Lobby
+              initialSeats={seats}
+              initialDice={diceOptions}
+              personas={personas}
+              tokenChoice={rules.tokens > 1}
+              onLoadPersonas={handleLoadPersonas}
+              onStart={startGame}
+            />}
+          {inLobby && !online && (
+            <div style={{ fontSize: 15, margin: "0 0 12px 0" }}>
+              <label>
+                {t("app.importReplay")}{" "}
+                <input type="file" accept="application/json,.json" onChange={handleImport} />
+              </label>
+              <button style={{ ...smallButton, marginInlineStart: 10 }} onClick={() => setShowStats(true)}>{t("app.stats")}</button>
+              <button style={{ ...smallButton, marginInlineStart: 6 }} onClick={() => setShowEditor(true)}>{t("app.boardEditor")}</button>
+              {fileError && <div style={{ color: "#d42c27", fontWeight: 700, marginTop: 6 }}>{fileError}</div>}
+            </div>
+          )}
+          {inLobby && (
+            <OnlinePanel
+              boardId={game.board.id}
+              moderation={chatFilter}
+              onConnected={handleOnlineConnected}
+              client={online?.client || null}
+              rules={rules}
+              room={room}
+              playerId={online?.playerId || null}
+              onLeave={() => online?.client.close()}
+            />
+          )}
+
+          {/* PLAY TURN BUTTON & game status */}
+          {!inLobby && <section>
+            {/* Hot-seat turn announcement */}
+            {(hotSeat || online) && !gameOver && (
+              <div
+                aria-live="polite"
+                data-testid="turn-banner"
+                style={{
+                  display: "inline-block",
+                  marginTop: 8,
+                  padding: "4px 18px",
+                  borderRadius: 20,
+                  background: currentPlayer.color,
+                  color: "#fff",
                   fontWeight: 800,
-                  fontSize: 24,
-                  marginRight: 7,
-                  textShadow: "0 2px 6px #1113",
-                }}>{message}</span>
-                <button
-                  style={{
-                    marginLeft: 12,
-                    background: "#e94d3c",
-                    color: "#fff",
-                    border: "none",
-                    borderRadius: 8,
-                    padding: "9px 25px",
-                    fontWeight: 700,
-                    fontSize: 16,
-                    boxShadow: "0 3px 8px #1115",
-                  }}
-                  onClick={resetGame}
-                >Reset Game</button>
-              </>
-            ) : (
-              turn === 0 ? (
-                <button
-                  style={{
-                    background: processing ? "#aaa" : "#fd7d25",
-                    color: "#fff",
-                    border: "none",
-                    borderRadius: 8,
-                    padding: "11px 32px",
+                  fontSize: 18,
+                  textShadow: "0 1px 3px #0008",
+                }}
+              >
+                {t(myTurn ? "app.yourTurn" : "app.isUp", { name: currentPlayer.name })}
+              </div>
+            )}
+            <div style={{ margin: "10px 0" }}>
+              {gameOver ? (
+                <>
+                  <span style={{
+                    color: "#31c951",
                     fontWeight: 800,
-                    fontSize: 20,
-                    letterSpacing: "0.05em",
-                    boxShadow: processing ? undefined : "0 4px 16px #e94d3c44",
-                    cursor: processing ? "not-allowed" : "pointer",
-                    opacity: processing ? 0.7 : 1,
-                    outline: "none"
-                  }}
-                  onClick={handlePlayTurn}
-                  disabled={gameOver || processing}
-                  aria-disabled={gameOver || processing}
-                  tabIndex={0}
-                >{processing ? "Rolling…" : "🎲 Play Turn"}
-                </button>
+                    fontSize: 24,
+                    marginInlineEnd: 7,
+                    textShadow: "0 2px 6px #1113",
+                  }}>{message}</span>
+                  <button
+                    ref={resetButtonRef}
+                    aria-keyshortcuts={online ? undefined : "Shift+N"}
+                    style={{
+                      marginInlineStart: 12,
+                      background: "#e94d3c",
+                      color: "#fff",
+                      border: "none",
+                      borderRadius: 8,
+                      padding: "9px 25px",
+                      fontWeight: 700,
+                      fontSize: 16,
+                      boxShadow: "0 3px 8px #1115",
+                    }}
+                    onClick={() => (online ? online.client.close() : resetGame())}
+                  >{t(online ? "app.leaveRoom" : "app.resetGame")}</button>
+                  {!online && <button
+                    style={{
+                      marginInlineStart: 8,
+                      background: "#fff",
+                      color: "#e94d3c",
+                      border: "2px solid #e94d3c",
+                      borderRadius: 8,
+                      padding: "7px 18px",
+                      fontWeight: 700,
+                      fontSize: 16,
+                    }}
+                    onClick={() => setInLobby(true)}
+                  >{t("app.changePlayers")}</button>}
+                  <div style={{ marginTop: 10, display: "flex", gap: 8, justifyContent: "center" }}>
+                    <button style={smallButton} onClick={() => setReplay(log)}>{t("app.watchReplay")}</button>
+                    <button style={smallButton} onClick={exportGame}>{t("app.exportGame")}</button>
+                    <button style={smallButton} onClick={() => setShowStats(true)}>{t("app.stats")}</button>
+                  </div>
+                </>
               ) : (
-                <span style={{ color: "#ffd72b", fontSize: 19, fontWeight: 700, marginLeft: 6, textShadow: "0 1px 4px #0007" }}>
-                  AI is making its move…
-                </span>
-              )
-            )}
-            {diceDisplay}
-          </div>
-        </section>
-
-        {/* Board, passing player state */}
-        <section>
-          <Board
-            players={players}
-            boardSize={BOARD_SIZE}
-            cellCount={END_CELL}
-          />
-        </section>
-
-        {/* Player info row */}
-        <section style={{ marginTop: 16 }}>
-          <div style={{ display: "flex", justifyContent: "center", gap: 40 }}>
-            {players.map((pl, idx) => (
-              <span key={pl.id} title={pl.name} style={{
-                display: "flex", alignItems: "center",
-                fontWeight: 700, fontSize: 17,
-                color: pl.color, background: "#fff8", borderRadius: 9, padding: "5px 16px"
-              }}>
-                <span style={{
-                  display: "inline-block",
-                  width: 19, height: 19,
-                  borderRadius: "50%",
-                  background: pl.color,
-                  border: "2px solid #fafafa",
-                  marginRight: 6,
-                  marginTop: -2
-                }} />
-                {pl.name} ({pl.position})
-                {turn === idx && !gameOver && (
-                  <span style={{ fontWeight: 900, color: "#e94d3c", marginLeft: 8 }}>
-                    ▲
+                choice ? (
+                  <span role="group" aria-label={t("app.chooseToken")} style={{ display: "inline-flex", gap: 8, flexWrap: "wrap", justifyContent: "center" }}>
+                    {choice.choices.map((c, i) => (
+                      <button
+                        key={c.token}
+                        ref={i === 0 ? choiceButtonRef : undefined}
+                        style={{ ...smallButton, fontWeight: 700, background: currentPlayer.color, color: "#fff" }}
+                        onClick={() => pickToken(c.token)}
+                        aria-keyshortcuts={String(c.token + 1)}
+                      >
+                        {describeChoice(c, currentPlayer, t)}
+                      </button>
+                    ))}
+                  </span>
+                ) : myTurn ? (
+                  <button
+                    style={{
+                      background: processing ? "#aaa" : "#fd7d25",
+                      color: "#fff",
+                      border: "none",
+                      borderRadius: 8,
+                      padding: "11px 32px",
+                      fontWeight: 800,
+                      fontSize: 20,
+                      letterSpacing: "0.05em",
+                      boxShadow: processing ? undefined : "0 4px 16px #e94d3c44",
+                      cursor: processing ? "not-allowed" : "pointer",
+                      opacity: processing ? 0.7 : 1,
+                    }}
+                    ref={playButtonRef}
+                    onClick={handlePlayTurn}
+                    disabled={gameOver || processing}
+                    aria-disabled={gameOver || processing}
+                    tabIndex={0}
+                    title={t("app.playShortcut")}
+                    aria-keyshortcuts="R Space"
+                  >{t(processing ? "app.rolling" : "app.playTurn")}
+                  </button>
+                ) : (
+                  <span style={{ color: "#ffd72b", fontSize: 19, fontWeight: 700, marginInlineStart: 6, textShadow: "0 1px 4px #0007" }}>
+                    {t("app.aiMoving", { name: currentPlayer.name })}
                   </span>
-                )}
-              </span>
-            ))}
-          </div>
-        </section>
-
-        {/* Chat Area, pass ref for sassy ai taunt injection */}
-        <section>
-          <Chat ref={chatRef} />
-        </section>
-        <footer style={{
-          marginTop: 38,
-          fontSize: 13,
-          color: "var(--text-secondary)",
-          opacity: 0.8,
-        }}>
-          <span>
-            <b>Note:</b> You must set an OpenAI API key in <code>.env</code> as <b>REACT_APP_OPENAI_API_KEY</b> for chat functionality.
-          </span>
-        </footer>
-      </header>
-    </div>
+                )
+              )}
+              {diceDisplay}
+            </div>
+            {note && !gameOver && <div data-testid="turn-note" style={{ fontWeight: 700, marginBottom: 6 }}>{note}</div>}
+            <div data-testid="rules-summary" style={{ fontSize: 13, opacity: 0.85 }}>{describeRules(game.rules, t)}</div>
+            <div style={{ fontSize: 13, opacity: 0.85 }}>
+              <Message id="app.keys" values={{ r: <kbd>R</kbd>, space: <kbd>Space</kbd> }} />
+              {game.rules.tokens > 1 && (
+                <Message id="app.keys.tokens" values={{ first: <kbd>1</kbd>, last: <kbd>{game.rules.tokens}</kbd> }} />
+              )}
+              <Message id="app.keys.chat" values={{ c: <kbd>C</kbd> }} />
+              {!online && <Message id="app.keys.newGame" values={{ shift: <kbd>Shift</kbd>, n: <kbd>N</kbd> }} />}
+            </div>
+            <RollHistory log={log} />
+          </section>}
+
+          {/* Board, passing player state */}
+          {!replay && !showEditor && <section>
+            <Board
+              players={players}
+              boardSize={game.board.size}
+              cellCount={game.board.endCell}
+              backgroundImage={boardImageUrl(game.board)}
+              snakes={game.board.snakes}
+              ladders={game.board.ladders}
+              cardCells={game.rules.chaos ? game.board.cards : undefined}
+              renderMode={renderMode}
+              animation={animation}
+              onAnimationComplete={handleAnimationComplete}
+              reducedMotion={reducedMotion}
+            >
+              {analysis && <LandingHeatmap analysis={analysis} boardSize={game.board.size} cellCount={game.board.endCell} />}
+            </Board>
+            {analysis && (
+              <div data-testid="board-analysis" style={{ fontSize: 14, marginTop: 6 }}>
+                {t("app.analysis", {
+                  rolls: analysis.expectedTurns.toFixed(1),
+                  spread: analysis.median === null ? "" : t("app.analysis.spread", { median: analysis.median, p90: analysis.p90 ?? "?" }),
+                })}
+                {!analysis.converged && t("app.analysis.stuck")}
+              </div>
+            )}
+            {!inLobby && <BoardTable board={game.board} players={players} turn={gameOver ? null : turn} chaos={game.rules.chaos} />}
+          </section>}
+
+          {/* Player info row */}
+          {!inLobby && !replay && <section style={{ marginTop: 16 }}>
+            <div style={{ display: "flex", justifyContent: "center", flexWrap: "wrap", gap: players.length > 2 ? 12 : 40 }}>
+              {players.map((pl, idx) => (
+                <span key={pl.id} title={pl.name} style={{
+                  display: "flex", alignItems: "center",
+                  fontWeight: 700, fontSize: 17,
+                  color: pl.color, background: "#fff8", borderRadius: 9, padding: "5px 16px"
+                }}>
+                  <span style={{
+                    display: "inline-block",
+                    width: 19, height: 19,
+                    borderRadius: "50%",
+                    background: pl.avatar ? `url(${pl.avatar}) center/cover no-repeat` : pl.color,
+                    border: "2px solid #fafafa",
+                    marginInlineEnd: 6,
+                    marginTop: -2
+                  }} />
+                  {pl.name} ({pl.tokens ? pl.tokens.join(" · ") : pl.position})
+                  {pl.shield && <span title={t("app.shieldUp")} style={{ marginInlineStart: 6 }}>🛡️</span>}
+                  {pl.frozen && <span title={t("app.frozen")} style={{ marginInlineStart: 6 }}>🧊</span>}
+                  {pl.cards?.length > 0 && (
+                    <Inventory
+                      cards={pl.cards}
+                      playable={turn === idx && !gameOver && !processing && !choice && !online && pl.isUser}
+                      game={game}
+                      armed={armedCard}
+                      onArm={(id) => setArmedCard((a) => (a === id ? null : id))}
+                    />
+                  )}
+                  {turn === idx && !gameOver && (
+                    <span style={{ fontWeight: 900, color: "#e94d3c", marginInlineStart: 8 }}>
+                      ▲
+                    </span>
+                  )}
+                </span>
+              ))}
+            </div>
+          </section>}
+
+          {/* Chat Area, pass ref for sassy ai taunt injection */}
+          <section>
+            <Chat
+              ref={chatRef}
+              events={gameEvents}
+              opponents={players.filter((p) => !p.isUser).map((p) => ({ playerId: p.id, persona: getPersona(p.persona, personas) }))}
+              onSendMessage={online ? (text) => online.client.chat(text) : undefined}
+              getGameContext={inLobby ? undefined : gameContext}
+              initialMessages={saved?.chat}
+              onMessagesChange={(msgs) => setLog((l) => syncChat(l, msgs))}
+              moderation={online ? room?.moderation : chatFilter}
+              onModerationChange={
+                !online ? setChatFilter : room?.hostId === online.playerId ? (level) => online.client.setModeration(level) : undefined
+              }
+            />
+          </section>
+          <footer style={{
+            marginTop: 38,
+            fontSize: 13,
+            color: "var(--text-secondary)",
+            opacity: 0.8,
+          }}>
+            <span>
+              <Message
+                id="app.footer"
+                values={{
+                  note: <b>{t("app.footer.note")}</b>,
+                  command: <code>npm run server</code>,
+                  key: <b>OPENAI_API_KEY</b>,
+                  ollama: <b>CHAT_PROVIDER=ollama</b>,
+                }}
+              />
+            </span>
+          </footer>
+        </header>
+      </div>
+    </I18nContext.Provider>
+  );
+}
+
+// Chaos mode hand in the player info row: a toggle per kind of card for the
+// human whose turn it is (armed cards are played with the next roll), icons otherwise
+function Inventory({ cards, playable, game, armed, onArm }) {
+  const t = useI18n();
+  const counts = cards.reduce((m, id) => m.set(id, (m.get(id) || 0) + 1), new Map());
+  return (
+    <span role="group" aria-label={t("app.cards")} style={{ display: "inline-flex", gap: 4, marginInlineStart: 8 }}>
+      {[...counts].map(([id, count]) => {
+        const card = { icon: getCard(id).icon, name: t(`card.${id}`), text: t(`card.${id}.text`) };
+        const label = `${card.icon}${count > 1 ? `×${count}` : ""}`;
+        if (!playable) return <span key={id} title={t("app.cardTitle", card)}>{label}</span>;
+        const usable = Boolean(cardEffect(game, id));
+        return (
+          <button
+            key={id}
+            style={{ ...cardButton, ...(armed === id ? armedCardButton : {}) }}
+            aria-pressed={armed === id}
+            aria-label={t("app.playCard", card)}
+            title={usable ? card.text : t("app.cardUnusable", card)}
+            disabled={!usable}
+            onClick={() => onArm(id)}
+          >
+            {label}
+          </button>
+        );
+      })}
+    </span>
   );
 }
 
+// Token button text, e.g. "Token 2: 4 → 25 🪜"
+function describeChoice({ token, events, state }, player, t) {
+  const to = state.players[events[0].playerIndex].tokens[token];
+  const has = (type) => events.some((e) => e.type === type);
+  const mark = has("snake") ? " 🐍" : has("ladder") ? " 🪜" : has("home") || has("won") ? " 🏁" : "";
+  return t("app.tokenChoice", { token: token + 1, from: player.tokens[token], to, mark });
+}
+
+const smallButton = {
+  fontSize: 15,
+  padding: "5px 14px",
+  borderRadius: 6,
+  border: "1px solid #bbb",
+  cursor: "pointer",
+};
+
+const cardButton = {
+  fontSize: 15,
+  padding: "1px 6px",
+  borderRadius: 6,
+  border: "1px solid #bbb",
+  background: "#fff",
+  cursor: "pointer",
+};
+
+const armedCardButton = {
+  background: "#fd7d25",
+  borderColor: "#e94d3c",
+  boxShadow: "0 0 0 2px #e94d3c66",
+};
+
 export default App;
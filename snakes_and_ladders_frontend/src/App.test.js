@@ -1,8 +1,289 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
 import App from './App';
+import { parseBoard } from './game/boardDefinition';
+import { createDiceService } from './game/dice';
+import { createGameLog, saveAutosave } from './game/gameLog';
 
-test('renders learn react link', () => {
+// Chat replies come from the game server's proxy; keep tests off the network
+jest.mock('./chat/chatClient', () => ({
+  createChatClient: () => ({ send: async () => ({ prompt: 'You rolled a 4 and moved to 5.', reply: 'Nice try.' }) }),
+}));
+
+// Online rooms: a client that creates rooms at once, knows no room to join and fires "close" when left
+jest.mock('./net/roomClient', () => ({
+  createRoomClient: () => {
+    const listeners = {};
+    const emit = (type, msg) => (listeners[type] || []).forEach((fn) => fn(msg));
+    let open = true;
+    return {
+      ready: Promise.resolve(),
+      on(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+        return () => listeners[type].splice(listeners[type].indexOf(fn), 1);
+      },
+      createRoom(name) {
+        emit('joined', { type: 'joined', code: 'ABCD', playerId: 1 });
+        emit('room', { type: 'room', code: 'ABCD', hostId: 1, started: false, members: [{ id: 1, name, color: '#d42c27' }] });
+      },
+      joinRoom() {
+        emit('error', { type: 'error', message: 'No room with code ZZZZ.', code: 'no-room' });
+      },
+      close() {
+        if (open) emit('close', { type: 'close' });
+        open = false;
+      },
+    };
+  },
+}));
+
+// Games autosave to localStorage; start every test from a clean slate
+beforeEach(() => localStorage.clear());
+
+test('opens in the lobby, then shows the play turn button once the game starts', () => {
+  render(<App />);
+  expect(screen.getByRole('region', { name: /game lobby/i })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  const button = screen.getByRole('button', { name: /play turn/i });
+  expect(button).toBeInTheDocument();
+  expect(screen.queryByRole('region', { name: /game lobby/i })).toBeNull();
+});
+
+test('hot-seat: humans take turns with the R shortcut and the banner follows the turn', async () => {
+  jest.useFakeTimers();
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Seat 2 type'), { target: { value: 'human' } });
+  fireEvent.change(screen.getByLabelText('Seat 2 name'), { target: { value: 'Bea' } });
+  expect(screen.getByTestId('hot-seat-note')).toHaveTextContent('2 players share this device');
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+
+  expect(screen.getByTestId('turn-banner')).toHaveTextContent('You, your turn!');
+  fireEvent.keyDown(window, { key: 'r' });
+  expect(screen.getByRole('button', { name: /rolling/i })).toBeDisabled();
+
+  // Let the token animation and the taunt settle
+  await act(async () => { jest.advanceTimersByTime(5000); });
+  expect(screen.getByTestId('turn-banner')).toHaveTextContent('Bea, your turn!');
+  jest.useRealTimers();
+});
+
+test('an unfinished game autosaves and resumes after a reload', async () => {
+  jest.useFakeTimers();
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByLabelText('Seat 2 type'), { target: { value: 'human' } });
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  fireEvent.keyDown(window, { key: 'r' });
+  await act(async () => { jest.advanceTimersByTime(5000); });
+  const position = screen.getByText(/^You \(\d+\)$/).textContent;
+  unmount();
+
+  render(<App />);
+  expect(screen.queryByRole('region', { name: /game lobby/i })).toBeNull();
+  expect(screen.getByText(/^You \(\d+\)$/)).toHaveTextContent(position);
+  expect(position).not.toBe('You (1)');
+  expect(screen.getByTestId('turn-banner')).toHaveTextContent('AI, your turn!');
+  jest.useRealTimers();
+});
+
+test('dice use the seed from the lobby, or only show its commitment until the end', () => {
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByLabelText('Dice seed'), { target: { value: 'bug-42' } });
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  expect(screen.getByTestId('dice-seed')).toHaveTextContent('bug-42');
+  unmount();
+  localStorage.clear();
+
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Commit-reveal dice'));
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  expect(screen.queryByTestId('dice-seed')).toBeNull();
+  expect(screen.getByTestId('roll-history')).toHaveTextContent('Dice commitment (SHA-256)');
+});
+
+test('house rules picked in the lobby are stored with the game', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Number of dice'), { target: { value: '2' } });
+  fireEvent.click(screen.getByLabelText('Roll again on a 6'));
+  fireEvent.change(screen.getByLabelText('Three sixes penalty'), { target: { value: 'goBack' } });
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  expect(screen.getByTestId('rules-summary')).toHaveTextContent('Exact roll to finish · Extra turn on 6 · Three 6s go back · 2 dice');
+  const saved = JSON.parse(localStorage.getItem('snakes-and-ladders:autosave'));
+  expect(saved.rules).toEqual({ finish: 'exact', extraTurnOnSix: true, threeSixes: 'goBack', enterOnSix: false, diceCount: 2, tokens: 1, chaos: false });
+});
+
+test('landing odds overlay the board and follow the rules picked in the lobby', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Show landing odds'));
+  expect(screen.getByTestId('landing-heatmap')).toBeInTheDocument();
+  const exact = screen.getByTestId('board-analysis').textContent;
+  expect(exact).toMatch(/needs \d+\.\d rolls on average/);
+  fireEvent.change(screen.getByLabelText('Finish rule'), { target: { value: 'bounce' } });
+  expect(screen.getByTestId('board-analysis').textContent).not.toBe(exact);
+  fireEvent.click(screen.getByLabelText('Show landing odds'));
+  expect(screen.queryByTestId('landing-heatmap')).toBeNull();
+});
+
+test('boards saved in the board editor join the board menu and survive a reload', () => {
+  const { unmount } = render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /board editor/i }));
+  fireEvent.change(screen.getByLabelText('Start from:'), { target: { value: 'quick-8x8' } });
+  fireEvent.change(screen.getByLabelText('Name:'), { target: { value: 'Pit' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save board' }));
+  expect(screen.getByLabelText(/^Board:/)).toHaveValue('custom-pit');
+  fireEvent.click(screen.getByRole('button', { name: 'Close editor' }));
+  expect(screen.getByTestId('sl-board')).toBeInTheDocument();
+  unmount();
+
+  render(<App />);
+  expect(screen.getByRole('option', { name: 'Pit' })).toBeInTheDocument();
+});
+
+test('keyboard: C jumps to the chat, Shift+N starts over, and the board reads as text', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  expect(screen.getByTestId('announcer')).toHaveTextContent('New game on Classic 10×10, finish on cell 100. First to roll: You.');
+  expect(screen.getByRole('button', { name: /play turn/i })).toHaveFocus();
+
+  fireEvent.keyDown(window, { key: 'c' });
+  expect(screen.getByLabelText('Send a message')).toHaveFocus();
+  // Typing in the chat is not a shortcut
+  fireEvent.keyDown(screen.getByLabelText('Send a message'), { key: 'r' });
+  expect(screen.getByRole('button', { name: /play turn/i })).toBeEnabled();
+
+  fireEvent.keyDown(window, { key: 'N', shiftKey: true });
+  expect(screen.getByTestId('announcer')).toHaveTextContent('First to roll: You.');
+  expect(screen.getByRole('list', { name: 'Token positions' })).toHaveTextContent('You: cell 1, 99 to go (rolls next)');
+  expect(screen.getByRole('table')).toHaveTextContent('27, snake down to 5');
+});
+
+test('moves are announced, and a won game hands focus to "Reset Game"', async () => {
+  // On a 2×2 board a first roll of 3 wins; pick a seed that rolls it
+  let n = 0;
+  while (createDiceService({ seed: `win-${n}` }).roll() !== 3) n++;
+  const board = parseBoard({ id: 'mini', name: 'Mini', size: 2, snakes: [], ladders: [] });
+  const players = [
+    { id: 1, name: 'You', color: '#d42c27', isUser: true },
+    { id: 2, name: 'AI', color: '#31c951', isUser: false },
+  ];
+  saveAutosave(createGameLog({ board, players, seed: `win-${n}` }));
+
+  jest.useFakeTimers();
+  render(<App />);
+  fireEvent.keyDown(window, { key: 'r' });
+  await act(async () => { jest.advanceTimersByTime(5000); });
+  expect(screen.getByTestId('announcer')).toHaveTextContent('You rolled a 3 and moved from 1 to 4. Game over: You won!');
+  expect(screen.getByRole('button', { name: 'Reset Game' })).toHaveFocus();
+  jest.useRealTimers();
+});
+
+test('reduce motion moves tokens without animating', () => {
+  jest.useFakeTimers();
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Reduce motion'));
+  fireEvent.change(screen.getByLabelText('Seat 2 type'), { target: { value: 'human' } });
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  fireEvent.keyDown(window, { key: 'r' });
+  // The move lands without waiting for any hop
+  expect(screen.getByTestId('announcer')).toHaveTextContent(/^You rolled/);
+  expect(screen.getByTestId('turn-banner')).toHaveTextContent(/your turn/);
+  jest.useRealTimers();
+});
+
+test('with two tokens each, a human picks which token a roll moves', async () => {
+  jest.useFakeTimers();
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Tokens per player'), { target: { value: '2' } });
+  expect(screen.getByLabelText('Seat 2 skill')).toHaveValue('greedy');
+  fireEvent.change(screen.getByLabelText('Seat 2 skill'), { target: { value: 'expectimax' } });
+  fireEvent.click(screen.getByLabelText('Reduce motion'));
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  expect(screen.getByTestId('rules-summary')).toHaveTextContent('2 tokens each');
+
+  // Both tokens start on cell 1, so the first roll has nothing to choose
+  fireEvent.keyDown(window, { key: 'r' });
+  await act(async () => { jest.advanceTimersByTime(3000); }); // the AI takes its turn
+  fireEvent.keyDown(window, { key: 'r' });
+  const buttons = within(screen.getByRole('group', { name: 'Choose a token to move' })).getAllByRole('button');
+  expect(buttons).toHaveLength(2);
+  expect(buttons[0]).toHaveFocus();
+  expect(buttons[1]).toHaveTextContent(/^Token 2: 1 → \d+/);
+  expect(screen.getByTestId('announcer')).toHaveTextContent(/Choose a token: token 1 from \d+ to \d+, or token 2 from 1 to \d+\.$/);
+
+  fireEvent.keyDown(window, { key: '2' });
+  expect(screen.queryByRole('group', { name: 'Choose a token to move' })).toBeNull();
+  expect(screen.getByTestId('announcer')).toHaveTextContent(/^You rolled an? \d+ and moved token 2 from 1 to \d+/);
+  jest.useRealTimers();
+});
+
+test('chaos mode: card cells deal cards, and a human arms one to play with the next roll', async () => {
+  // Every cell between start and finish deals a card, from a deck of doubles
+  const board = parseBoard({ id: 'cards', name: 'Cards', size: 3, snakes: [], ladders: [], cards: [2, 3, 4, 5, 6, 7] });
+  const players = [
+    { id: 1, name: 'You', color: '#d42c27', isUser: true },
+    { id: 2, name: 'AI', color: '#31c951', isUser: false },
+  ];
+  saveAutosave(createGameLog({ board, players, rules: { chaos: true }, seed: 'cards', deck: ['double'] }));
+
+  jest.useFakeTimers();
+  render(<App />);
+  expect(screen.getAllByTestId('card-cell')).toHaveLength(6);
+  fireEvent.click(screen.getByLabelText('Reduce motion'));
+  fireEvent.keyDown(window, { key: 'r' });
+  expect(screen.getByTestId('announcer')).toHaveTextContent(/You drew Double roll\./);
+  // The move has landed, so the banner saying what the cards did is gone
+  expect(screen.queryByTestId('card-banner')).toBeNull();
+  await act(async () => { jest.advanceTimersByTime(3000); }); // the AI takes its turn
+
+  const card = screen.getByRole('button', { name: 'Play Double roll with the next roll' });
+  expect(card).toHaveAttribute('aria-pressed', 'false');
+  fireEvent.click(card);
+  expect(card).toHaveAttribute('aria-pressed', 'true');
+  fireEvent.keyDown(window, { key: 'r' });
+  expect(screen.getByTestId('announcer')).toHaveTextContent(/^You played Double roll\. You rolled/);
+  expect(screen.queryByRole('button', { name: 'Play Double roll with the next roll' })).toBeNull();
+  await act(async () => { jest.advanceTimersByTime(3000); }); // let the taunts settle
+  jest.useRealTimers();
+});
+
+test('the language menu translates the game, lays Arabic out right to left and is remembered', () => {
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'ar' } });
+  expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+  expect(document.documentElement).toHaveAttribute('lang', 'ar');
+  fireEvent.click(screen.getByRole('button', { name: 'ابدأ اللعبة' }));
+  expect(screen.getByRole('button', { name: /العب دورك/ })).toBeInTheDocument();
+  expect(screen.getByTestId('rules-summary')).toHaveTextContent('رمية مضبوطة للنهاية');
+  // The board itself never mirrors
+  expect(screen.getByTestId('sl-board')).toHaveAttribute('dir', 'ltr');
+  unmount();
+
+  // The unfinished game resumes in Arabic
+  render(<App />);
+  expect(screen.getByLabelText('اللغة')).toHaveValue('ar');
+  fireEvent.change(screen.getByLabelText('اللغة'), { target: { value: 'en' } });
+  expect(document.documentElement).toHaveAttribute('dir', 'ltr');
+  expect(screen.getByRole('button', { name: /play turn/i })).toBeInTheDocument();
+});
+
+test('leaving an online room keeps the house rules picked while in it', async () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Your name'), { target: { value: 'Ann' } });
+  await act(async () => { fireEvent.click(screen.getByRole('button', { name: 'Create room' })); });
+  expect(screen.getByTestId('room-code')).toHaveTextContent('ABCD');
+
+  fireEvent.click(screen.getByLabelText(/Chaos cards/));
+  expect(screen.queryAllByTestId('card-cell')).toHaveLength(0);
+  fireEvent.click(screen.getByRole('button', { name: 'Leave room' }));
+  expect(screen.queryByTestId('room-code')).toBeNull();
+  // The classic board's card cells show once the lobby's chaos rule is back on the board
+  expect(screen.getAllByTestId('card-cell')).toHaveLength(9);
+});
+
+test('game server errors are told in the player\'s language by their code', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'es' } });
+  fireEvent.change(screen.getByLabelText('Tu nombre'), { target: { value: 'Ana' } });
+  fireEvent.change(screen.getByLabelText('Código de la sala'), { target: { value: 'zzzz' } });
+  await act(async () => { fireEvent.click(screen.getByRole('button', { name: 'Unirse' })); });
+  expect(screen.getByText('No hay ninguna sala con el código ZZZZ.')).toBeInTheDocument();
+  expect(screen.queryByText(/No room/)).toBeNull();
 });
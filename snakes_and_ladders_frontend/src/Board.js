@@ -1,32 +1,46 @@
-import React, { useEffect, useRef } from "react";
-import boardImg from "./assets/snakes_and_ladders_board.jpg";
+import React, { useEffect, useRef, useState } from "react";
+import BoardSvg from "./BoardSvg";
+import { squareToGridPos, cellCenter, tokenPathSteps } from "./game/geometry";
+import { usePrefersReducedMotion } from "./reducedMotion";
+import { getCard } from "./game/cards";
+import { useI18n } from "./i18nContext";
 
 /**
  * PUBLIC_INTERFACE
  * Board component for Snakes & Ladders game.
- * Renders the game board as a background image only. 
+ * Renders the game board either as a background image ("image" mode) or as
+ * vector graphics drawn from the live snakes/ladders config ("svg" mode).
  * Player tokens/avatars are the only overlays and are strictly placed within the board cells.
  *
  * Props expected:
  *   players: array of player objects, each with:
- *     { id, name, position (1-100), color, avatar (optional) }
+ *     { id, name, position (1-cellCount), color, avatar (optional) }
+ *     and tokens (one cell per token) when players have several tokens; each
+ *     token is then drawn with its number
  *   boardSize: number of cells per side (default 10 for 10x10)
- *   cellCount: total squares (default 100)
+ *   cellCount: playable squares (default boardSize * boardSize)
+ *   backgroundImage: URL of the board picture (optional)
+ *   snakes / ladders: board layout, drawn in "svg" mode
+ *   renderMode: "image" or "svg"; defaults to "image" when there is a picture.
+ *     Falls back to "svg" when no image is available.
+ *   animation: { key, playerId, token?, events } – engine events of the latest roll.
+ *     The player's token (the given one, with several) hops cell by cell from
+ *     its current position, then follows the snake body or ladder rails. Pass
+ *     a new key to start a run.
+ *   onAnimationComplete(key): called once the token has reached the end of
+ *     the path (immediately when there is nothing to animate).
+ *   reducedMotion: tokens jump straight to their cell without hops, slides or
+ *     transitions; defaults to the system's prefers-reduced-motion setting.
+ *   cardCells: chaos mode card cells (see ./game/cards), marked with a card.
+ *     Tokens show a raised shield or a freeze, and while a roll with card
+ *     events animates, a banner over the board says what the cards did.
+ *
+ * The board is always laid out left to right, even on a right-to-left page:
+ * cell numbers and the snake/ladder geometry do not mirror.
  * 
  * If no players prop is passed, uses mock tokens for demo.
  */
 const BOARD_SIZE = 10; // 10x10
-const CELL_COUNT = 100;
-
-// Convert 1-100 to [row, col] (0-based, boustrophedon order)
-function squareToGridPos(n) {
-  const row = BOARD_SIZE - 1 - Math.floor((n - 1) / BOARD_SIZE);
-  let col = (n - 1) % BOARD_SIZE;
-  if ((BOARD_SIZE - 1 - row) % 2 === 1) {
-    col = BOARD_SIZE - 1 - col;
-  }
-  return [row, col];
-}
 
 // Default token colors for demo (replace as needed)
 const DEMO_PLAYERS = [
@@ -36,9 +50,18 @@ const DEMO_PLAYERS = [
 
 /**
  * PlayerToken: renders a colored circle (or avatar) positioned on the board.
+ * `cell` is where it stands and `token` its number among the player's tokens
+ * (null with one token each). While animating, `at` (cell-unit centre point)
+ * overrides the cell and `transitionMs` times the glide to it.
  */
-function PlayerToken({ player, tokenIdx = 0, totalHere = 1 }) {
-  const [row, col] = squareToGridPos(player.position);
+function PlayerToken({ player, cell, token = null, boardSize, tokenIdx = 0, totalHere = 1, at = null, transitionMs = 300 }) {
+  const t = useI18n();
+  const status = [player.shield && t("board.status.shielded"), player.frozen && t("board.status.frozen")].filter(Boolean);
+  const label =
+    token === null
+      ? t("board.tokenLabel", { name: player.name, cell })
+      : t("board.tokenLabel.numbered", { name: player.name, token: token + 1, cell });
+  const [row, col] = at ? [at.y - 0.5, at.x - 0.5] : squareToGridPos(cell, boardSize);
   // To avoid overlap, offset tokens within the same square
   // Each token is 7vw (max 36px), board is 100vw max 560px
   const size = "clamp(22px, 7vw, 36px)";
@@ -46,13 +69,15 @@ function PlayerToken({ player, tokenIdx = 0, totalHere = 1 }) {
 
   return (
     <div
-      title={player.name}
+      title={token === null ? player.name : t("board.tokenTitle", { name: player.name, token: token + 1 })}
+      role="img"
+      aria-label={status.length ? t("board.tokenStatus", { label, status: t.list(status) }) : label}
       style={{
         position: "absolute",
-        left: `calc(${(col / BOARD_SIZE) * 100}% + ${overlayAdjust}px)`,
-        top: `calc(${(row / BOARD_SIZE) * 100}% + ${overlayAdjust}px)`,
-        width: size,
-        height: size,
+        left: `calc(${(col / boardSize) * 100}% + ${overlayAdjust}px)`,
+        top: `calc(${(row / boardSize) * 100}% + ${overlayAdjust}px)`,
+        width: `min(${size}, ${100 / boardSize}%)`,
+        height: `min(${size}, ${100 / boardSize}%)`,
         borderRadius: "50%",
         boxShadow: "0 2px 8px #0008",
         border: "2.5px solid #fff",
@@ -66,95 +91,145 @@ function PlayerToken({ player, tokenIdx = 0, totalHere = 1 }) {
         fontWeight: 700,
         fontSize: "clamp(12px, 2vw, 18px)",
         zIndex: 40,
-        transition: "left 0.3s, top 0.3s",
+        transition: transitionMs ? `left ${transitionMs}ms linear, top ${transitionMs}ms linear` : "none",
         pointerEvents: "auto",
         userSelect: "none"
       }}
     >
-      {!player.avatar && player.name?.slice(0, 2).toUpperCase()}
+      {token === null
+        ? !player.avatar && player.name?.slice(0, 2).toUpperCase()
+        : `${player.avatar ? "" : player.name?.slice(0, 1).toUpperCase() || ""}${token + 1}`}
+      {status.length > 0 && (
+        <span aria-hidden="true" style={statusBadgeStyle}>
+          {player.shield ? "🛡️" : ""}
+          {player.frozen ? "🧊" : ""}
+        </span>
+      )}
     </div>
   );
 }
 
+// Banner lines for the card events of a roll, e.g. "🔀 Ann plays Swap with Bot"
+function cardBanner(events, players, t) {
+  const name = (i) => players[i]?.name ?? "?";
+  return events.flatMap((e) => {
+    const card = e.card && { icon: getCard(e.card).icon, name: t(`card.${e.card}`) };
+    if (e.type === "cardPlayed") {
+      const key = e.target === undefined ? "board.banner.played" : e.card === "swap" ? "board.banner.playedWith" : "board.banner.playedOn";
+      return [t(key, { icon: card.icon, name: name(e.playerIndex), card: card.name, target: name(e.target) })];
+    }
+    if (e.type === "shielded") return [t("board.banner.shielded")];
+    if (e.type === "card") return [t("board.banner.drew", { name: name(e.playerIndex), card: card.name })];
+    if (e.type === "frozen") return [t("board.banner.frozen", { name: name(e.target) })];
+    return [];
+  });
+}
+
+/**
+ * useTokenAnimation: steps one token through the path of the latest roll.
+ * Returns the current frame ({ playerId, token, x, y, duration }) or null when idle.
+ * With reduced motion there are no steps: the move completes at once.
+ */
+function useTokenAnimation(animation, boardSize, onAnimationComplete, reducedMotion) {
+  const [frame, setFrame] = useState(null);
+  const onCompleteRef = useRef(onAnimationComplete);
+  onCompleteRef.current = onAnimationComplete;
+
+  useEffect(() => {
+    if (!animation) return undefined;
+    const path = tokenPathSteps(animation.events, boardSize);
+    const from = animation.events[0]?.from;
+    // Pin the token on its starting cell first so the first hop transitions
+    const steps = path.length && !reducedMotion ? [{ ...cellCenter(from, boardSize), duration: 30 }, ...path] : [];
+    let timer = null;
+    let i = 0;
+    const advance = () => {
+      if (i >= steps.length) {
+        // Report first so the caller's final position lands in the same render
+        onCompleteRef.current?.(animation.key);
+        setFrame(null);
+        return;
+      }
+      const step = steps[i++];
+      setFrame({ playerId: animation.playerId, token: animation.token ?? null, ...step });
+      timer = setTimeout(advance, step.duration);
+    };
+    advance();
+    return () => {
+      clearTimeout(timer);
+      setFrame(null);
+    };
+  }, [animation, boardSize, reducedMotion]);
+
+  return frame;
+}
+
 /**
- * Board – renders board image with responsive overlay for player tokens.
+ * Board – renders board image or vector board with responsive overlay for player tokens.
  */
 const Board = ({
   players = DEMO_PLAYERS,
   boardSize = BOARD_SIZE,
-  cellCount = CELL_COUNT,
+  cellCount = boardSize * boardSize,
+  backgroundImage = null,
+  snakes = [],
+  ladders = [],
+  renderMode,
+  animation = null,
+  onAnimationComplete,
+  reducedMotion,
+  cardCells = [],
   children // If supplied, overlays these as well
 }) => {
-  // Map player tokens per cell (to stack multiple tokens safetly)
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const reduced = reducedMotion ?? prefersReducedMotion;
+  const frame = useTokenAnimation(animation, boardSize, onAnimationComplete, reduced);
+  const movingPlayer = frame ? players.find((p) => p.id === frame.playerId) : null;
+  const t = useI18n();
+  const banner = animation ? cardBanner(animation.events, players, t) : [];
+
+  // Map player tokens per cell (to stack multiple tokens safetly);
+  // the token being animated is drawn on its own.
   const tokenMap = {};
   players.forEach((p) => {
-    if (!p.position) return;
-    const pos = p.position;
-    if (!tokenMap[pos]) tokenMap[pos] = [];
-    tokenMap[pos].push(p);
+    const cells = p.tokens || [p.position];
+    cells.forEach((pos, i) => {
+      const token = p.tokens ? i : null;
+      if (!pos || (p === movingPlayer && token === frame.token)) return;
+      if (!tokenMap[pos]) tokenMap[pos] = [];
+      tokenMap[pos].push({ player: p, token });
+    });
   });
 
-  // Diagnostic: check that the imported image is a string, and log its content.
+  const mode = renderMode === "svg" || !backgroundImage ? "svg" : "image";
+  const imageUrl = mode === "image" ? backgroundImage : null;
+
+  // Diagnostic: check that the board image URL looks sane and actually loads.
   useEffect(() => {
-    // eslint-disable-next-line
-    if (!boardImg) {
-      // This should never trigger unless the import failed (e.g., missing file in build)
-      // eslint-disable-next-line
-      console.error(
-        "Board background image failed to import. 'boardImg':",
-        boardImg
-      );
-    } else if (typeof boardImg !== "string" || !boardImg.match(/\.(jpg|jpeg|png|svg|webp)\b/i)) {
-      // If the 'boardImg' is not a reasonable asset path
+    if (!imageUrl) return;
+    if (typeof imageUrl !== "string" || !imageUrl.match(/(\.(jpg|jpeg|png|svg|webp)\b|^data:image\/)/i)) {
+      // If the image is not a reasonable asset path
       // eslint-disable-next-line
       console.error(
         "Board image asset path appears to be invalid.",
-        boardImg
+        imageUrl
       );
     } else {
       // Additionally, attempt preloading for more diagnostics
       const img = new window.Image();
-      img.onload = () => {
-        // eslint-disable-next-line
-        // console.log("Board background image loaded successfully:", boardImg);
-      };
       img.onerror = () => {
         // eslint-disable-next-line
         console.error(
           "Failed to load board background image (network or file error).",
-          boardImg
+          imageUrl
         );
       };
-      img.src = boardImg;
+      img.src = imageUrl;
     }
-  }, []);
+  }, [imageUrl]);
 
-  // For further diagnosis, we will add a unique test id to the board:
   const boardDivRef = useRef();
 
-  // Detect if background image style is actually applied (run on first mount)
-  useEffect(() => {
-    if (boardDivRef.current) {
-      // Check computed background-image
-      const style = window.getComputedStyle(boardDivRef.current);
-      const bg = style.getPropertyValue("background-image");
-      if (!bg || bg === "none") {
-        // eslint-disable-next-line
-        console.error(
-          "No background-image computed style is set on .game-board!",
-          boardDivRef.current,
-          boardDivRef.current.style.backgroundImage
-        );
-      } else if (bg && !(bg.includes(".jpg") || bg.includes("snakes_and_ladders_board"))) {
-        // eslint-disable-next-line
-        console.error(
-          "Background-image is set, but doesn't look like the correct board image:",
-          bg
-        );
-      }
-    }
-  }, []);
-
   return (
     <div className="game-board-outer">
       <div
@@ -167,7 +242,7 @@ const Board = ({
           maxWidth: "560px",
           aspectRatio: "1/1",
           position: "relative",
-          backgroundImage: `url(${boardImg})`,
+          backgroundImage: imageUrl ? `url(${imageUrl})` : undefined,
           backgroundPosition: "center",
           backgroundRepeat: "no-repeat",
           backgroundSize: "cover",
@@ -177,7 +252,26 @@ const Board = ({
           transition: "width 0.2s",
         }}
         data-testid="sl-board"
+        data-render-mode={mode}
+        dir="ltr"
       >
+        {mode === "svg" && (
+          <BoardSvg boardSize={boardSize} cellCount={cellCount} snakes={snakes} ladders={ladders} />
+        )}
+
+        {/* Chaos mode card cells */}
+        {cardCells.map((cell) => {
+          const [row, col] = squareToGridPos(cell, boardSize);
+          return (
+            <span
+              key={`card-${cell}`}
+              aria-hidden="true"
+              data-testid="card-cell"
+              style={{ ...cardCellStyle, left: `${((col + 0.62) / boardSize) * 100}%`, top: `${((row + 0.04) / boardSize) * 100}%` }}
+            >🎴</span>
+          );
+        })}
+
         {/* Player tokens overlay */}
         <div
           style={{
@@ -191,17 +285,39 @@ const Board = ({
           }}
         >
           {Object.entries(tokenMap).flatMap(([square, tokenList]) =>
-            tokenList.map((player, idx) => (
+            tokenList.map(({ player, token }, idx) => (
               <PlayerToken
-                key={player.id + '-' + square}
+                key={player.id + '-' + token + '-' + square}
                 player={player}
+                cell={Number(square)}
+                token={token}
+                boardSize={boardSize}
                 tokenIdx={idx}
                 totalHere={tokenList.length}
+                transitionMs={reduced ? 0 : undefined}
               />
             ))
           )}
+          {movingPlayer && (
+            <PlayerToken
+              key={movingPlayer.id + '-moving'}
+              player={movingPlayer}
+              cell={frame.token === null ? movingPlayer.position : movingPlayer.tokens[frame.token]}
+              token={frame.token}
+              boardSize={boardSize}
+              at={frame}
+              transitionMs={frame.duration}
+            />
+          )}
         </div>
 
+        {/* What the cards of the animating roll did */}
+        {banner.length > 0 && (
+          <div data-testid="card-banner" dir={t.dir} style={bannerStyle}>
+            {banner.map((line, i) => <div key={i}>{line}</div>)}
+          </div>
+        )}
+
         {/* Custom overlays if supplied */}
         {children && (
           <div
@@ -223,4 +339,38 @@ const Board = ({
   );
 };
 
+const statusBadgeStyle = {
+  position: "absolute",
+  top: -10,
+  right: -10,
+  fontSize: 13,
+  lineHeight: 1,
+  textShadow: "0 1px 2px #0008",
+};
+
+const cardCellStyle = {
+  position: "absolute",
+  fontSize: "clamp(10px, 2.2vw, 15px)",
+  zIndex: 30,
+  pointerEvents: "none",
+  filter: "drop-shadow(0 1px 2px #0007)",
+};
+
+const bannerStyle = {
+  position: "absolute",
+  left: "50%",
+  top: "8%",
+  transform: "translateX(-50%)",
+  zIndex: 60,
+  background: "#1a1f2bdd",
+  color: "#fff",
+  borderRadius: 12,
+  padding: "6px 16px",
+  fontWeight: 800,
+  fontSize: 17,
+  boxShadow: "0 4px 16px #0006",
+  pointerEvents: "none",
+  whiteSpace: "nowrap",
+};
+
 export default Board;
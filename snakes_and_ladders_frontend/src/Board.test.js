@@ -0,0 +1,114 @@
+import { render, screen, act } from '@testing-library/react';
+import Board from './Board';
+import { squareToGridPos, cellCenter, tokenPathSteps } from './game/geometry';
+
+const snakes = [{ head: 14, tail: 3 }];
+const ladders = [{ base: 2, top: 11 }];
+
+test('squareToGridPos walks the grid in boustrophedon order', () => {
+  expect(squareToGridPos(1, 4)).toEqual([3, 0]);
+  expect(squareToGridPos(4, 4)).toEqual([3, 3]);
+  expect(squareToGridPos(5, 4)).toEqual([2, 3]);
+  expect(squareToGridPos(16, 4)).toEqual([0, 0]);
+  expect(cellCenter(5, 4)).toEqual({ x: 3.5, y: 2.5 });
+});
+
+test('svg mode draws numbered cells and the configured snakes and ladders', () => {
+  render(<Board boardSize={4} snakes={snakes} ladders={ladders} renderMode="svg" players={[]} />);
+  expect(screen.getByTestId('sl-board')).toHaveAttribute('data-render-mode', 'svg');
+  const svg = screen.getByTestId('sl-board-svg');
+  expect(svg.querySelectorAll('text')).toHaveLength(16);
+  expect(screen.getByTestId('snake-14-3')).toBeInTheDocument();
+  expect(screen.getByTestId('ladder-2-11')).toBeInTheDocument();
+});
+
+test('image mode paints the background picture only', () => {
+  render(<Board boardSize={4} snakes={snakes} ladders={ladders} backgroundImage="/board.jpg" players={[]} />);
+  const board = screen.getByTestId('sl-board');
+  expect(board).toHaveAttribute('data-render-mode', 'image');
+  expect(board.style.backgroundImage).toContain('/board.jpg');
+  expect(screen.queryByTestId('sl-board-svg')).toBeNull();
+});
+
+test('falls back to svg when there is no picture', () => {
+  render(<Board boardSize={4} players={[]} />);
+  expect(screen.getByTestId('sl-board')).toHaveAttribute('data-render-mode', 'svg');
+});
+
+test('tokenPathSteps hops cell by cell, then slides down the snake', () => {
+  const events = [
+    { type: 'moved', from: 11, to: 14 },
+    { type: 'snake', from: 14, to: 3 },
+  ];
+  const steps = tokenPathSteps(events, 4);
+  const hops = steps.filter((s) => s.kind === 'hop');
+  expect(hops.map(({ x, y }) => ({ x, y }))).toEqual([12, 13, 14].map((n) => cellCenter(n, 4)));
+  const slide = steps.filter((s) => s.kind === 'slide');
+  expect(slide[slide.length - 1]).toMatchObject(cellCenter(3, 4));
+  expect(tokenPathSteps([{ type: 'bounced', from: 15, to: 15 }], 4)).toEqual([]);
+});
+
+test('tokenPathSteps hops backwards for a bounce-back and slides back for a penalty', () => {
+  const bounce = tokenPathSteps([{ type: 'moved', from: 14, to: 16 }, { type: 'bounced', from: 16, to: 13 }], 4);
+  expect(bounce.map(({ x, y }) => ({ x, y }))).toEqual([15, 16, 15, 14, 13].map((n) => cellCenter(n, 4)));
+  const penalty = tokenPathSteps([{ type: 'threeSixes', from: 13, to: 2 }], 4);
+  expect(penalty.every((s) => s.kind === 'slide')).toBe(true);
+  expect(penalty[penalty.length - 1]).toMatchObject(cellCenter(2, 4));
+  expect(tokenPathSteps([{ type: 'threeSixes', from: 13, to: 13 }], 4)).toEqual([]);
+});
+
+test('reports animation completion only after the token reaches the end of its path', () => {
+  jest.useFakeTimers();
+  const onDone = jest.fn();
+  const players = [{ id: 1, name: 'P1', color: '#d42c27', position: 1 }];
+  const animation = { key: 7, playerId: 1, events: [{ type: 'moved', from: 1, to: 2 }, { type: 'ladder', from: 2, to: 11 }] };
+  render(<Board boardSize={4} players={players} animation={animation} onAnimationComplete={onDone} />);
+  act(() => { jest.advanceTimersByTime(400); });
+  expect(onDone).not.toHaveBeenCalled();
+  act(() => { jest.advanceTimersByTime(1000); });
+  expect(onDone).toHaveBeenCalledWith(7);
+  jest.useRealTimers();
+});
+
+test('with reduced motion the move completes at once and tokens say where they are', () => {
+  const onDone = jest.fn();
+  const players = [{ id: 1, name: 'P1', color: '#d42c27', position: 11 }];
+  const animation = { key: 3, playerId: 1, events: [{ type: 'moved', from: 1, to: 2 }, { type: 'ladder', from: 2, to: 11 }] };
+  render(<Board boardSize={4} players={players} animation={animation} onAnimationComplete={onDone} reducedMotion />);
+  expect(onDone).toHaveBeenCalledWith(3);
+  expect(screen.getByRole('img', { name: 'P1 on cell 11' })).toHaveStyle({ transition: 'none' });
+});
+
+test('with several tokens each one is drawn and numbered, and only the moving one animates', () => {
+  jest.useFakeTimers();
+  const players = [{ id: 1, name: 'Ann', color: '#d42c27', position: 1, tokens: [1, 5] }];
+  const animation = { key: 1, playerId: 1, token: 1, events: [{ type: 'moved', playerIndex: 0, token: 1, from: 1, to: 5 }] };
+  render(<Board boardSize={4} players={players} animation={animation} onAnimationComplete={() => {}} />);
+  expect(screen.getByRole('img', { name: 'Ann token 1 on cell 1' })).toHaveTextContent('A1');
+  expect(screen.getByRole('img', { name: 'Ann token 2 on cell 5' })).toHaveTextContent('A2');
+  expect(screen.getAllByRole('img', { name: /^Ann token/ })).toHaveLength(2);
+  act(() => { jest.runAllTimers(); });
+  expect(screen.getByRole('img', { name: 'Ann token 2 on cell 5' })).toBeInTheDocument();
+  jest.useRealTimers();
+});
+
+test('chaos mode: card cells are marked, tokens show their status and card plays get a banner', () => {
+  jest.useFakeTimers();
+  const players = [
+    { id: 1, name: 'Ann', color: '#d42c27', position: 3, shield: true },
+    { id: 2, name: 'Bo', color: '#31c951', position: 9, frozen: true },
+  ];
+  const events = [
+    { type: 'cardPlayed', playerIndex: 0, from: 3, to: 9, card: 'swap', target: 1 },
+    { type: 'moved', playerIndex: 0, from: 9, to: 10 },
+    { type: 'card', playerIndex: 0, from: 10, to: 10, card: 'freeze' },
+  ];
+  render(<Board boardSize={4} players={players} cardCells={[6, 10]} animation={{ key: 1, playerId: 1, events }} onAnimationComplete={() => {}} />);
+  expect(screen.getAllByTestId('card-cell')).toHaveLength(2);
+  expect(screen.getByRole('img', { name: 'Bo on cell 9, frozen' })).toBeInTheDocument();
+  expect(screen.getByTestId('card-banner')).toHaveTextContent('🔀 Ann plays Swap with Bo🎴 Ann draws Freeze');
+  expect(tokenPathSteps(events, 4)[0].kind).toBe('slide');
+  act(() => { jest.runAllTimers(); });
+  expect(screen.getByRole('img', { name: 'Ann on cell 3, shielded' })).toBeInTheDocument();
+  jest.useRealTimers();
+});
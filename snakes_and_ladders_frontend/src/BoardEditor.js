@@ -0,0 +1,357 @@
+import React, { useMemo, useRef, useState } from "react";
+import Board from "./Board";
+import LandingHeatmap from "./LandingHeatmap";
+import { parseBoard } from "./game/boardDefinition";
+import { boardImageUrl } from "./game/boards";
+import { analyzeBoard } from "./game/analysis";
+import { cellAt, cellCenter } from "./game/geometry";
+import {
+  MIN_EDITOR_SIZE,
+  MAX_EDITOR_SIZE,
+  newBoardDraft,
+  copyBoard,
+  renameDraft,
+  resizeDraft,
+  addJump,
+  removeJump,
+  toggleCardCell,
+  validateDraft,
+} from "./game/boardEditor";
+import { downloadFile, readFileDataUrl, readFileText } from "./download";
+import { useI18n } from "./i18nContext";
+
+const TOOL_COLORS = { snake: "#c0392b", ladder: "#2e8b57", card: "#7b4fc9" };
+const TOOLS = ["snake", "ladder", "card"];
+const SIZES = Array.from({ length: MAX_EDITOR_SIZE - MIN_EDITOR_SIZE + 1 }, (_, i) => MIN_EDITOR_SIZE + i);
+
+/**
+ * PUBLIC_INTERFACE
+ * Board editor: builds a board definition (./game/boardDefinition) on the
+ * live Board. Drag from a snake's head to its tail, or from a ladder's base
+ * to its top; the From/To fields do the same from the keyboard. The card
+ * tool marks the cells that deal cards in chaos mode. Problems show
+ * as you edit, and for a valid board the Markov analysis (./game/analysis)
+ * gives live fairness numbers under the lobby's rules. A background image is
+ * optional; with one, the snakes and ladders are drawn over it as arrows so
+ * they can be lined up with the picture. The problems themselves come from
+ * validateDraft and stay in English.
+ *
+ * Props:
+ *   boards: boards that can be copied as a starting point
+ *   rules: house rules for the fairness numbers
+ *   onSave(board): store the parsed board; returns false when it could only
+ *     be kept for this visit
+ *   onClose(): leave the editor
+ */
+function BoardEditor({ boards = [], rules, onSave, onClose }) {
+  const t = useI18n();
+  const [draft, setDraft] = useState(() => newBoardDraft());
+  const [tool, setTool] = useState("snake");
+  const [drag, setDrag] = useState(null); // { from, to } while dragging
+  const [manual, setManual] = useState({ from: "", to: "" });
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [status, setStatus] = useState(null); // { text, error? }
+  const overlayRef = useRef(null);
+
+  const errors = validateDraft(draft);
+  const board = useMemo(() => (validateDraft(draft).length ? null : parseBoard(draft)), [draft]);
+  const analysis = useMemo(() => (board ? analyzeBoard(board, rules) : null), [board, rules]);
+
+  const edit = (next) => {
+    setDraft(next);
+    setStatus(null);
+  };
+
+  // Cell under a pointer event, from its position on the overlay
+  const cellOf = (e) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+    return cellAt(((e.clientX - rect.left) / rect.width) * draft.size, ((e.clientY - rect.top) / rect.height) * draft.size, draft.size);
+  };
+
+  function handlePointerDown(e) {
+    const cell = cellOf(e);
+    if (!cell || cell > draft.endCell) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setDrag({ from: cell, to: cell });
+  }
+
+  function handlePointerMove(e) {
+    if (!drag) return;
+    const cell = cellOf(e);
+    if (cell && cell !== drag.to) setDrag({ ...drag, to: cell });
+  }
+
+  function handlePointerUp(e) {
+    if (!drag) return;
+    const cell = cellOf(e) || drag.to;
+    setDrag(null);
+    edit(tool === "card" ? toggleCardCell(draft, drag.from) : addJump(draft, tool, drag.from, cell));
+  }
+
+  function addManual(e) {
+    e.preventDefault();
+    const from = Number(manual.from);
+    const to = Number(manual.to);
+    if (!Number.isInteger(from) || (tool !== "card" && !Number.isInteger(to))) return;
+    edit(tool === "card" ? toggleCardCell(draft, from) : addJump(draft, tool, from, to));
+    setManual({ from: "", to: "" });
+  }
+
+  function startFrom(id) {
+    if (!id) return;
+    edit(id === "new" ? newBoardDraft(draft.size) : copyBoard(boards.find((b) => b.id === id)));
+  }
+
+  async function uploadImage(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      edit({ ...draft, image: await readFileDataUrl(file) });
+    } catch {
+      setStatus({ text: t("editor.readError", { file: file.name }), error: true });
+    }
+  }
+
+  async function loadJson(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    let text;
+    try {
+      text = await readFileText(file);
+    } catch {
+      setStatus({ text: t("editor.readError", { file: file.name }), error: true });
+      return;
+    }
+    try {
+      const data = JSON.parse(text);
+      if (!data || !Number.isInteger(data.size)) throw new Error(t("editor.notBoard"));
+      edit({ ...newBoardDraft(data.size), ...data, snakes: data.snakes || [], ladders: data.ladders || [], cards: data.cards || [] });
+    } catch (err) {
+      // JSON.parse explains itself in the browser's language
+      setStatus({ text: t("editor.invalidFile", { reason: err.message }), error: true });
+    }
+  }
+
+  function save() {
+    const stored = onSave(board);
+    setStatus({ text: t(stored ? "editor.saved" : "editor.savedForVisit", { name: board.name }) });
+  }
+
+  const jumps = [
+    ...draft.snakes.map((s, i) => ({ type: "snake", index: i, from: s.head, to: s.tail })),
+    ...draft.ladders.map((l, i) => ({ type: "ladder", index: i, from: l.base, to: l.top })),
+  ];
+  const arrow = (from, to, color, key, dashed = false) => {
+    const a = cellCenter(from, draft.size);
+    const b = cellCenter(to, draft.size);
+    return (
+      <g key={key}>
+        <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={0.12} strokeLinecap="round" strokeDasharray={dashed ? "0.2 0.15" : undefined} />
+        <circle cx={b.x} cy={b.y} r={0.16} fill={color} />
+      </g>
+    );
+  };
+  // A loaded file may hold a size the editor cannot draw
+  const validSize = SIZES.includes(draft.size);
+  const busiestSnake = analysis?.snakes.reduce((best, s) => (!best || s.hits > best.hits ? s : best), null);
+
+  return (
+    <section aria-label={t("editor.label")} style={panelStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>{t("editor.label")}</h3>
+      <div style={rowStyle}>
+        <label>
+          {t("editor.startFrom")}{" "}
+          <select value="" onChange={(e) => startFrom(e.target.value)} style={fieldStyle}>
+            <option value="">…</option>
+            <option value="new">{t("editor.emptyBoard")}</option>
+            {boards.map((b) => (
+              <option key={b.id} value={b.id}>{b.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t("editor.name")}{" "}
+          <input value={draft.name} onChange={(e) => edit(renameDraft(draft, e.target.value))} style={{ ...fieldStyle, width: 150 }} />
+        </label>
+        <label>
+          {t("editor.size")}{" "}
+          <select value={draft.size} onChange={(e) => edit(resizeDraft(draft, Number(e.target.value)))} style={fieldStyle}>
+            {SIZES.map((n) => (
+              <option key={n} value={n}>{n}×{n}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={rowStyle} role="radiogroup" aria-label={t("editor.tool")}>
+        {TOOLS.map((id) => (
+          <label key={id} style={{ fontWeight: 700, color: TOOL_COLORS[id] }}>
+            <input type="radio" name="editor-tool" checked={tool === id} onChange={() => setTool(id)} />{" "}
+            {t(`editor.tool.${id}`)}
+          </label>
+        ))}
+      </div>
+      <form onSubmit={addManual} style={rowStyle}>
+        <label>
+          {t(tool === "card" ? "editor.cell" : "editor.from")}{" "}
+          <input aria-label={t(tool === "card" ? "editor.cardCell" : "editor.fromCell")} type="number" value={manual.from} onChange={(e) => setManual({ ...manual, from: e.target.value })} style={{ ...fieldStyle, width: 64 }} />
+        </label>
+        {tool !== "card" && (
+          <label>
+            {t("editor.to")}{" "}
+            <input aria-label={t("editor.toCell")} type="number" value={manual.to} onChange={(e) => setManual({ ...manual, to: e.target.value })} style={{ ...fieldStyle, width: 64 }} />
+          </label>
+        )}
+        <button type="submit" style={buttonStyle}>{t(`editor.add.${tool}`)}</button>
+      </form>
+
+      {validSize && (
+        <Board
+          players={[]}
+          boardSize={draft.size}
+          cellCount={draft.endCell}
+          backgroundImage={boardImageUrl(draft)}
+          snakes={board ? board.snakes : draft.snakes.filter((s) => s.head <= draft.endCell && s.tail >= 1)}
+          ladders={board ? board.ladders : draft.ladders.filter((l) => l.top <= draft.endCell && l.base >= 1)}
+          cardCells={draft.cards.filter((c) => c >= 1 && c <= draft.endCell)}
+          renderMode={draft.image ? "image" : "svg"}
+        >
+          {showHeatmap && analysis && <LandingHeatmap analysis={analysis} boardSize={draft.size} cellCount={draft.endCell} />}
+          <svg
+            ref={overlayRef}
+            viewBox={`0 0 ${draft.size} ${draft.size}`}
+            preserveAspectRatio="none"
+            data-testid="board-editor-canvas"
+            style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "auto", touchAction: "none", cursor: "crosshair" }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => setDrag(null)}
+          >
+            {draft.image && jumps.map((j) => arrow(j.from, j.to, TOOL_COLORS[j.type], `${j.type}-${j.index}`))}
+            {drag && drag.to !== drag.from && arrow(drag.from, drag.to, TOOL_COLORS[tool], "drag", true)}
+          </svg>
+        </Board>
+      )}
+
+      <div aria-live="polite" data-testid="board-editor-problems" style={{ margin: "8px 0", fontSize: 15 }}>
+        {errors.length ? (
+          <ul style={{ color: "#d42c27", fontWeight: 700, margin: 0, paddingInlineStart: 20, textAlign: "start" }}>
+            {errors.map((err) => <li key={err}>{err}</li>)}
+          </ul>
+        ) : (
+          <span style={{ color: "#2e8b57", fontWeight: 700 }}>{t("editor.valid")}</span>
+        )}
+      </div>
+
+      {jumps.length > 0 && (
+        <ul aria-label={t("editor.jumps")} style={{ listStyle: "none", padding: 0, margin: "0 0 8px 0", display: "flex", flexWrap: "wrap", gap: 6, justifyContent: "center" }}>
+          {jumps.map((j) => (
+            <li key={`${j.type}-${j.index}`} style={{ ...chipStyle, borderColor: TOOL_COLORS[j.type] }}>
+              {j.type === "snake" ? "🐍" : "🪜"} {j.from}→{j.to}{" "}
+              <button
+                aria-label={t(`editor.remove.${j.type}`, { from: j.from, to: j.to })}
+                onClick={() => edit(removeJump(draft, j.type, j.index))}
+                style={{ border: "none", background: "none", cursor: "pointer", padding: 0 }}
+              >✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {draft.cards.length > 0 && (
+        <ul aria-label={t("editor.cards")} style={{ listStyle: "none", padding: 0, margin: "0 0 8px 0", display: "flex", flexWrap: "wrap", gap: 6, justifyContent: "center" }}>
+          {draft.cards.map((cell) => (
+            <li key={cell} style={{ ...chipStyle, borderColor: TOOL_COLORS.card }}>
+              🎴 {cell}{" "}
+              <button
+                aria-label={t("editor.removeCard", { cell })}
+                onClick={() => edit(toggleCardCell(draft, cell))}
+                style={{ border: "none", background: "none", cursor: "pointer", padding: 0 }}
+              >✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {analysis && (
+        <div data-testid="board-editor-fairness" style={{ fontSize: 15, marginBottom: 8 }}>
+          <div>
+            {t("editor.analysis", {
+              rolls: analysis.expectedTurns.toFixed(1),
+              spread: analysis.median === null ? "" : t("app.analysis.spread", { median: analysis.median, p90: analysis.p90 ?? "?" }),
+              shortest: analysis.shortest ?? "—",
+            })}
+          </div>
+          {busiestSnake && (
+            <div>{t("editor.busiestSnake", { head: busiestSnake.head, tail: busiestSnake.tail, hits: busiestSnake.hits.toFixed(2) })}</div>
+          )}
+          {!analysis.converged && <div style={{ color: "#d42c27", fontWeight: 700 }}>{t("editor.stuck")}</div>}
+          <label>
+            <input type="checkbox" checked={showHeatmap} onChange={(e) => setShowHeatmap(e.target.checked)} /> {t("app.landingOdds")}
+          </label>
+        </div>
+      )}
+
+      <div style={rowStyle}>
+        <label>
+          {t("editor.image")}{" "}
+          <input type="file" accept="image/*" onChange={uploadImage} />
+        </label>
+        {draft.image && <button style={buttonStyle} onClick={() => edit({ ...draft, image: null })}>{t("editor.removeImage")}</button>}
+      </div>
+      <div style={rowStyle}>
+        <label>
+          {t("editor.loadJson")}{" "}
+          <input type="file" accept="application/json,.json" onChange={loadJson} />
+        </label>
+      </div>
+
+      {status && <div role="status" style={{ color: status.error ? "#d42c27" : undefined, fontWeight: 700, margin: "6px 0" }}>{status.text}</div>}
+      <div style={{ ...rowStyle, marginTop: 10 }}>
+        <button style={buttonStyle} disabled={!board} onClick={save}>{t("editor.save")}</button>
+        <button
+          style={buttonStyle}
+          disabled={!board}
+          onClick={() => downloadFile(`${board.id}.json`, JSON.stringify(board, null, 2))}
+        >{t("editor.export")}</button>
+        <button style={buttonStyle} onClick={onClose}>{t("editor.close")}</button>
+      </div>
+    </section>
+  );
+}
+
+const panelStyle = {
+  background: "var(--bg-primary)",
+  borderRadius: 14,
+  boxShadow: "0 6px 24px #2223",
+  padding: "14px 22px",
+  margin: "4px auto 12px",
+  maxWidth: 600,
+  width: "92%",
+  fontSize: 16,
+};
+
+const rowStyle = { display: "flex", gap: 10, alignItems: "center", justifyContent: "center", flexWrap: "wrap", margin: "6px 0" };
+
+const fieldStyle = {
+  fontSize: 15,
+  padding: "4px 8px",
+  borderRadius: 6,
+  border: "1px solid #bbb",
+};
+
+const chipStyle = { border: "2px solid", borderRadius: 12, padding: "2px 10px", fontSize: 14 };
+
+const buttonStyle = {
+  fontSize: 15,
+  padding: "5px 12px",
+  borderRadius: 6,
+  border: "1px solid #bbb",
+  cursor: "pointer",
+};
+
+export default BoardEditor;
@@ -0,0 +1,72 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import BoardEditor from './BoardEditor';
+import { BOARDS } from './game/boards';
+import { I18nContext } from './i18nContext';
+import { createTranslator } from './i18n';
+
+// jsdom has no PointerEvent; a mouse event carries the coordinates the canvas needs
+if (!window.PointerEvent) {
+  window.PointerEvent = class PointerEvent extends MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.pointerId = init.pointerId;
+    }
+  };
+}
+
+// The canvas maps pointer positions to cells through its on-screen box: 50px per cell on a 10×10 board
+beforeEach(() => {
+  jest.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0, width: 500, height: 500, right: 500, bottom: 500 });
+});
+afterEach(() => jest.restoreAllMocks());
+
+// Centre of a cell on the 10×10 canvas
+const at = (col, row) => ({ clientX: col * 50 + 25, clientY: row * 50 + 25, pointerId: 1 });
+
+test('dragging places a snake from head to tail, checked as you go', () => {
+  render(<BoardEditor boards={BOARDS} onSave={() => true} onClose={() => {}} />);
+  const canvas = screen.getByTestId('board-editor-canvas');
+  // Cell 95 is on the top row (col 5), cell 4 on the bottom row (col 3)
+  fireEvent.pointerDown(canvas, at(5, 0));
+  fireEvent.pointerMove(canvas, at(3, 9));
+  fireEvent.pointerUp(canvas, at(3, 9));
+  expect(screen.getByRole('button', { name: 'Remove snake 95→4' })).toBeInTheDocument();
+  expect(screen.getByTestId('board-editor-problems')).toHaveTextContent('Valid board');
+  expect(screen.getByTestId('board-editor-fairness')).toHaveTextContent(/needs \d+\.\d rolls on average/);
+  expect(screen.getByTestId('board-editor-fairness')).toHaveTextContent('Busiest snake: 95→4');
+
+  // A ladder pointing down is reported straight away
+  fireEvent.click(screen.getByLabelText(/Ladder/));
+  fireEvent.change(screen.getByLabelText('From cell'), { target: { value: '50' } });
+  fireEvent.change(screen.getByLabelText('To cell'), { target: { value: '20' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Add ladder' }));
+  expect(screen.getByTestId('board-editor-problems')).toHaveTextContent('Ladder 1 (50→20) must point upward (top above base).');
+  expect(screen.getByRole('button', { name: 'Save board' })).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: 'Remove ladder 50→20' }));
+  expect(screen.getByRole('button', { name: 'Save board' })).toBeEnabled();
+});
+
+test('saves the board under its name', () => {
+  const onSave = jest.fn(() => true);
+  render(<BoardEditor boards={BOARDS} onSave={onSave} onClose={() => {}} />);
+  fireEvent.change(screen.getByLabelText('Start from:'), { target: { value: 'quick-8x8' } });
+  fireEvent.change(screen.getByLabelText(/Name/), { target: { value: 'Snake Pit' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save board' }));
+  expect(onSave).toHaveBeenCalledWith(expect.objectContaining({ id: 'custom-snake-pit', name: 'Snake Pit', size: 8, endCell: 64 }));
+  expect(onSave.mock.calls[0][0].snakes).toHaveLength(5);
+  expect(screen.getByRole('status')).toHaveTextContent('Saved "Snake Pit". Pick it from the Board menu.');
+});
+
+test('speaks the player\'s language', () => {
+  render(
+    <I18nContext.Provider value={createTranslator('es')}>
+      <BoardEditor boards={BOARDS} onSave={() => false} onClose={() => {}} />
+    </I18nContext.Provider>
+  );
+  expect(screen.getByRole('region', { name: 'Editor de tableros' })).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Partir de:'), { target: { value: 'quick-8x8' } });
+  fireEvent.change(screen.getByLabelText(/Nombre/), { target: { value: 'Foso' } });
+  expect(screen.getByTestId('board-editor-fairness')).toHaveTextContent(/necesita \d+\.\d tiradas de media/);
+  fireEvent.click(screen.getByRole('button', { name: 'Guardar tablero' }));
+  expect(screen.getByRole('status')).toHaveTextContent('«Foso» guardado solo para esta visita');
+});
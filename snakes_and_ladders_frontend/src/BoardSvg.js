@@ -0,0 +1,101 @@
+import React from "react";
+import { squareToGridPos, cellCenter, snakePoints, toPathData } from "./game/geometry";
+
+const SNAKE_COLORS = ["#2e8b57", "#c0392b", "#8e44ad", "#d35400", "#16a085", "#b7950b"];
+
+/**
+ * Ladder: two rails offset either side of the base→top line, with rungs.
+ */
+function Ladder({ base, top, size }) {
+  const a = cellCenter(base, size);
+  const b = cellCenter(top, size);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len = Math.hypot(dx, dy) || 1;
+  const ox = (-dy / len) * 0.18;
+  const oy = (dx / len) * 0.18;
+  const rungs = [];
+  const rungCount = Math.max(2, Math.floor(len / 0.4));
+  for (let i = 1; i < rungCount; i++) {
+    const t = i / rungCount;
+    const x = a.x + dx * t;
+    const y = a.y + dy * t;
+    rungs.push(
+      <line key={i} x1={x - ox} y1={y - oy} x2={x + ox} y2={y + oy} stroke="#8b5a2b" strokeWidth={0.07} />
+    );
+  }
+  return (
+    <g data-testid={`ladder-${base}-${top}`}>
+      <line x1={a.x - ox} y1={a.y - oy} x2={b.x - ox} y2={b.y - oy} stroke="#6b3e17" strokeWidth={0.09} strokeLinecap="round" />
+      <line x1={a.x + ox} y1={a.y + oy} x2={b.x + ox} y2={b.y + oy} stroke="#6b3e17" strokeWidth={0.09} strokeLinecap="round" />
+      {rungs}
+    </g>
+  );
+}
+
+/**
+ * Snake: a wavy body from head to tail with a round head and eyes.
+ */
+function Snake({ head, tail, size, color }) {
+  const points = snakePoints(head, tail, size);
+  const h = points[0];
+  return (
+    <g data-testid={`snake-${head}-${tail}`}>
+      <path d={toPathData(points)} fill="none" stroke={color} strokeWidth={0.26} strokeLinecap="round" strokeLinejoin="round" opacity={0.92} />
+      <path d={toPathData(points)} fill="none" stroke="#fff" strokeWidth={0.05} strokeDasharray="0.12 0.22" strokeLinecap="round" opacity={0.6} />
+      <circle cx={h.x} cy={h.y} r={0.22} fill={color} stroke="#1b1b1b" strokeWidth={0.03} />
+      <circle cx={h.x - 0.08} cy={h.y - 0.06} r={0.045} fill="#fff" />
+      <circle cx={h.x + 0.08} cy={h.y - 0.06} r={0.045} fill="#fff" />
+    </g>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * BoardSvg: vector rendering of a board from its live configuration.
+ * Draws numbered cells in boustrophedon order, then the ladders and snakes,
+ * so what you see always matches the rules the engine applies.
+ *
+ * Props:
+ *   boardSize: cells per side
+ *   cellCount: playable squares (cells beyond it are greyed out)
+ *   snakes: [{ head, tail }]
+ *   ladders: [{ base, top }]
+ */
+function BoardSvg({ boardSize, cellCount, snakes = [], ladders = [] }) {
+  const cells = [];
+  for (let n = 1; n <= boardSize * boardSize; n++) {
+    const [row, col] = squareToGridPos(n, boardSize);
+    const playable = n <= cellCount;
+    cells.push(
+      <g key={n} opacity={playable ? 1 : 0.35}>
+        <rect x={col} y={row} width={1} height={1} fill={(row + col) % 2 === 0 ? "#fff6d6" : "#ffe3a3"} />
+        {playable && (
+          <text x={col + 0.08} y={row + 0.28} fontSize={0.24} fontWeight={700} fill="#7a4a12">
+            {n}
+          </text>
+        )}
+      </g>
+    );
+  }
+
+  return (
+    <svg
+      viewBox={`0 0 ${boardSize} ${boardSize}`}
+      preserveAspectRatio="none"
+      style={{ position: "absolute", inset: 0, width: "100%", height: "100%" }}
+      data-testid="sl-board-svg"
+      aria-hidden="true"
+    >
+      {cells}
+      {ladders.map((l) => (
+        <Ladder key={`l-${l.base}`} base={l.base} top={l.top} size={boardSize} />
+      ))}
+      {snakes.map((s, i) => (
+        <Snake key={`s-${s.head}`} head={s.head} tail={s.tail} size={boardSize} color={SNAKE_COLORS[i % SNAKE_COLORS.length]} />
+      ))}
+    </svg>
+  );
+}
+
+export default BoardSvg;
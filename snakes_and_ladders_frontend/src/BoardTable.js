@@ -0,0 +1,84 @@
+import React from "react";
+import { squareToGridPos } from "./game/geometry";
+import { useI18n } from "./i18nContext";
+
+/**
+ * PUBLIC_INTERFACE
+ * BoardTable: the board as text for screen readers and keyboard users.
+ * A list of where every token is, then a table laid out like the board (top
+ * row first) naming each cell's snake or ladder, card cell (chaos mode) and
+ * the tokens on it.
+ * Collapsed in a <details> element until opened.
+ *
+ * Props:
+ *   board: parsed board definition
+ *   players: players with their positions (and tokens, with several each)
+ *   turn: index of the player who rolls next, or null when nobody does
+ *   chaos: whether the game plays chaos cards (see ./game/cards)
+ */
+function BoardTable({ board, players, turn = null, chaos = false }) {
+  const t = useI18n();
+  const cardCells = new Set(chaos ? board.cards : []);
+  const jumps = new Map();
+  board.snakes.forEach((s) => jumps.set(s.head, t("table.snake", { to: s.tail })));
+  board.ladders.forEach((l) => jumps.set(l.base, t("table.ladder", { to: l.top })));
+
+  // Board rows from the top, each in left-to-right order
+  const rows = Array.from({ length: board.size }, () => []);
+  for (let n = 1; n <= board.size * board.size; n++) {
+    const [row, col] = squareToGridPos(n, board.size);
+    rows[row][col] = n;
+  }
+
+  return (
+    <details style={{ margin: "8px auto", maxWidth: 560, width: "92%", textAlign: "start", fontSize: 14 }}>
+      <summary style={{ cursor: "pointer", fontWeight: 700 }}>{t("table.title")}</summary>
+      <ul aria-label={t("table.positions")} style={{ margin: "6px 0" }}>
+        {players.map((p, i) => (
+          <li key={p.id}>
+            {p.tokens
+              ? t("table.playerTokens", { name: p.name, cells: p.tokens.join(", "), left: board.endCell - p.position })
+              : t("table.player", { name: p.name, cell: p.position, left: board.endCell - p.position })}
+            {p.cards?.length > 0 && t("table.cards", { cards: p.cards.map((id) => t(`card.${id}`)).join(", ") })}
+            {p.shield && t("table.shield")}
+            {p.frozen && t("table.frozen")}
+            {i === turn ? t("table.next") : ""}
+          </li>
+        ))}
+      </ul>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+          <caption style={{ textAlign: "start" }}>
+            {t("table.caption", { board: board.name, start: board.startCell, end: board.endCell })}
+          </caption>
+          <tbody>
+            {rows.map((cells, r) => (
+              <tr key={r}>
+                {cells.map((n) => {
+                  if (n > board.endCell) return <td key={n} style={cellStyle} aria-hidden="true" />;
+                  const here = players.flatMap((p) =>
+                    p.tokens
+                      ? p.tokens.flatMap((cell, i) => (cell === n ? [`${p.name} ${i + 1}`] : []))
+                      : p.position === n ? [p.name] : []
+                  );
+                  return (
+                    <td key={n} style={cellStyle} data-cell={n}>
+                      <b>{n}</b>
+                      {jumps.has(n) && `, ${jumps.get(n)}`}
+                      {cardCells.has(n) && `, ${t("table.card")}`}
+                      {here.length > 0 && `: ${here.join(", ")}`}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+}
+
+const cellStyle = { border: "1px solid #bbb8", padding: "2px 4px", verticalAlign: "top", minWidth: 40 };
+
+export default BoardTable;
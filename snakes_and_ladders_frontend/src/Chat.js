@@ -1,109 +1,213 @@
-import React, { useState, useRef, useImperativeHandle, forwardRef } from "react";
+import React, { useState, useRef, useMemo, useEffect, useImperativeHandle, forwardRef } from "react";
+import { createChatClient } from "./chat/chatClient";
+import { createEventQueue } from "./chat/eventQueue";
+import { getPersona, personaEvent, personaRequest, shouldTaunt } from "./chat/personas";
+import { DEFAULT_MODERATION, MODERATION_LEVELS, checkText } from "./chat/moderation";
+import { useI18n } from "./i18nContext";
+
+// How long a taunt may take before the queue gives up on it and moves on
+const TAUNT_TIMEOUT_MS = 12000;
+// Bus events the AI may comment on
+const TAUNT_EVENTS = ["move", "cardPlayed", "cardDrawn"];
+// What the player is told for each ChatError code (./chat/errors); the
+// English messages on the errors are for logs, and anything else is "chat.error"
+const ERROR_MESSAGES = {
+  "missing-key": "chat.missingKey",
+  auth: "chat.auth",
+  "rate-limit": "chat.rateLimited",
+  budget: "chat.budget",
+  server: "chat.server",
+  network: "chat.unreachable",
+  timeout: "chat.timeout",
+  blocked: "chat.blocked",
+};
 
 /**
  * PUBLIC_INTERFACE
  * Chat UI component for user/AI conversation.
- * Uses fetch to call OpenAI's completion endpoint with env-provided API key.
- * Now supports imperative API via ref: .aiEmoteTaunt(player, dice, from, to, isWin, isSnake, isLadder)
+ * Replies come from the chat proxy on the game server (./chat/chatClient), which
+ * holds the LLM key and builds the prompts; the browser only reports what happened.
+ * Replies stream in token by token. Resetting the chat or unmounting cancels
+ * requests in flight, and replies that still arrive after a reset are dropped.
+ * Taunts react to move and card events from the game-event bus (./game/eventBus). They
+ * go through an ordered queue (./chat/eventQueue) with a timeout that skips
+ * overtaken moves, so the game never waits for the AI.
+ * Imperative API via ref: .addRoomMessage({ name, text, mine }) for
+ * player-to-player messages in online rooms, .resetToWelcome(),
+ * .showError(message) for problems reported elsewhere (room chat the server
+ * blocked), and .focusInput() for the keyboard shortcut that jumps to the chat.
+ * Each AI seat speaks with its persona (./chat/personas): an AI comments on its
+ * own moves, the first AI seat on everyone else's and on typed messages.
+ * Requests carry the player's language (./i18n), so moves are described and
+ * answered in it; messages set their own direction, so Arabic and English
+ * lines both read right whatever the page's direction.
+ * The chat filter (./chat/moderation) checks typed messages before they leave:
+ * a blocked one stays in the box to be reworded. The proxy checks them again
+ * and swaps a blocked AI reply for a friendly line.
+ *
+ * Props:
+ *   chatClient: optional { send(request) } object; defaults to the /api/chat proxy client
+ *   events: optional game-event bus to taunt about
+ *   opponents: optional [{ playerId, persona }] for the AI seats; without any,
+ *     the default persona answers
+ *   random: optional () => number deciding whether a persona comments (tauntFrequency)
+ *   getGameContext(): optional; returns the live game summary (./game/gameContext)
+ *     sent with typed messages so the AI can answer questions about the board
+ *   onSendMessage(text): optional; when set (online play) typed messages go to
+ *     the room through it instead of to the AI. They come back via addRoomMessage.
+ *   initialMessages: optional [{ role, name?, content }] to start from (resumed game)
+ *   onMessagesChange(messages): optional; called whenever the message list changes
+ *   moderation: chat filter level ("kidSafe", "standard" or "off"), default "standard"
+ *   onModerationChange(level): optional; makes the filter picker editable
+ *     (local games, the host of an online room); without it the level only shows
  */
 const Chat = forwardRef((props, ref) => {
+  const t = useI18n();
   const [input, setInput] = useState("");
-  const [messages, setMessages] = useState([
-    {
-      role: "assistant",
-      content: "Ha! Ready to get schooled in Snakes and Ladders?",
-    },
-  ]);
+  const [messages, setMessages] = useState(() =>
+    props.initialMessages?.length
+      ? props.initialMessages.map(({ role, name, content }) => ({ role, name, content }))
+      : [{ role: "assistant", content: t("chat.welcome") }]
+  );
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Replies still being written: [{ id, name, content }]
+  const [streams, setStreams] = useState([]);
+  // Requests in flight, cancelled on reset/unmount; a reset also bumps the
+  // generation so anything still arriving for the old chat is ignored
+  const inFlightRef = useRef(new Set());
+  const generationRef = useRef(0);
+  const streamIdRef = useRef(0);
+
+  function cancelReplies() {
+    generationRef.current += 1;
+    inFlightRef.current.forEach((controller) => controller.abort());
+    inFlightRef.current.clear();
+    setStreams([]);
+    setLoading(false);
+  }
+
+  useEffect(() => {
+    const inFlight = inFlightRef.current;
+    return () => inFlight.forEach((controller) => controller.abort());
+  }, []);
+
+  // Taunt queue fed by the event bus; tauntRef always points at the latest
+  // render's handler so queued events see the current seats and messages
+  const queueRef = useRef(null);
+  const tauntRef = useRef(null);
+  useEffect(() => {
+    if (!props.events) return undefined;
+    const queue = createEventQueue({
+      handle: (event, signal) => tauntRef.current(event, signal),
+      isPriority: (event) => event.isWin,
+      timeoutMs: TAUNT_TIMEOUT_MS,
+    });
+    queueRef.current = queue;
+    const unsubscribe = props.events.on((event) => {
+      if (TAUNT_EVENTS.includes(event.type)) queue.push(event);
+    });
+    return () => {
+      unsubscribe();
+      queue.close();
+      queueRef.current = null;
+    };
+  }, [props.events]);
 
   // For imperative control from game logic (App.js)
   useImperativeHandle(ref, () => ({
-    // Triggers a sassy/taunt chat message based on game situation
-    async aiEmoteTaunt(player, dice, from, to, isWin = false, isSnake = false, isLadder = false) {
-      let moveDesc = "";
-      if (isWin) {
-        if (!player.isUser) {
-          moveDesc = "AI won the game!";
-        } else {
-          moveDesc = "Player won the game!";
-        }
-      } else if (isSnake) {
-        moveDesc = `${player.name} rolled a ${dice} (from ${from} to ${to}) and went down a snake!`;
-      } else if (isLadder) {
-        moveDesc = `${player.name} rolled a ${dice} (from ${from} to ${to}) and climbed a ladder!`;
-      } else if (from === to) {
-        moveDesc = `${player.name} rolled a ${dice} and could not move.`;
-      } else {
-        moveDesc = `${player.name} rolled a ${dice} and moved to ${to}.`;
-      }
-      // System prompt
-      let systemPrompt;
-      if (!player.isUser) {
-        // AI's own move, trash-talk the user, gloat
-        systemPrompt =
-          "You are a trash-talking, boastful Snakes & Ladders champion AI. Respond in one witty line, always bragging about your superiority and mocking the user's misfortune or your own brilliance. Be snarky and funny, never helpful.";
-      } else {
-        // Player's move, AI should comment, insult, tease
-        systemPrompt =
-          "You're a sassy, chatty Snakes & Ladders AI. Respond in one short, clever, taunting comment—either laugh at the user's fail (e.g., down snake), mock achievement (lucky ladder), or undermine any progress. Be family-friendly.";
-      }
-      await aiAddMessage(moveDesc, systemPrompt);
+    // Appends a message from a player in the online room (ours shows on the right)
+    addRoomMessage({ name, text, mine = false }) {
+      setMessages((msgs) => [...msgs, { role: mine ? "user" : "peer", name, content: text }]);
     },
-    // Resets chat to welcome message
+    // Resets chat to welcome message, dropping any reply still on its way
     resetToWelcome() {
-      setMessages([
-        {
-          role: "assistant",
-          content: "Ha! Ready to get schooled in Snakes and Ladders?",
-        },
-      ]);
+      queueRef.current?.clear();
+      cancelReplies();
+      setMessages([{ role: "assistant", content: t("chat.welcome") }]);
       setInput("");
       setError(null);
+    },
+    showError(message) {
+      setError(message);
+    },
+    focusInput() {
+      inputRef.current?.focus();
     }
   }));
 
-  // Ensure env var is present via REACT_APP_OPENAI_API_KEY in .env
-  const openaiApiKey = process.env.REACT_APP_OPENAI_API_KEY;
+  // Chat backend: the proxy on the game server, see ./chat/chatClient
+  const chatClient = useMemo(() => props.chatClient || createChatClient(), [props.chatClient]);
   const chatContainerRef = useRef(null);
+  const inputRef = useRef(null);
+  const random = props.random || Math.random;
+  const moderation = props.moderation || DEFAULT_MODERATION;
+
+  // The AI seat that talks about this player's move: its own persona, or the first AI's
+  const speakerFor = (player) => {
+    const opponents = props.opponents || [];
+    return opponents.find((o) => o.playerId === player?.id) || opponents[0] || { playerId: null, persona: getPersona() };
+  };
+
+  // Latest messages for requests started from callbacks and the queue
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+
+  // Lets App record the conversation with the game; only a change of messages
+  // reports, not a new callback from App's latest render
+  const onMessagesChangeRef = useRef(props.onMessagesChange);
+  onMessagesChangeRef.current = props.onMessagesChange;
+  useEffect(() => {
+    onMessagesChangeRef.current?.(messages);
+  }, [messages]);
 
-  // Default trash talk prompt for manual chat
-  const systemPrompt = "You are a playful, cheeky Snakes and Ladders champion. Respond in very short, witty, and taunting lines. Never offer helpful advice—always gloat and make fun (but family-friendly).";
+  // Last few AI/user turns for the model; room messages from other players are left out
+  const aiContext = (msgs) =>
+    msgs.filter((m) => m.role !== "peer").slice(-5).map(({ role, content }) => ({ role, content }));
 
-  const aiAddMessage = async (userMessage, systemP = systemPrompt) => {
-    setMessages((msgs) => [...msgs, { role: "user", content: userMessage }]);
+  // Sends a request to the proxy and streams its reply in. Typed messages show up
+  // right away; for taunts the server's move description is shown with the reply.
+  const aiAddMessage = async (request, persona = speakerFor(null).persona, signal = null) => {
+    if (request.kind === "chat") {
+      setMessages((msgs) => [...msgs, { role: "user", content: request.message }]);
+    }
+    const generation = generationRef.current;
+    const current = () => generation === generationRef.current;
+    const controller = new AbortController();
+    signal?.addEventListener("abort", () => controller.abort(), { once: true });
+    inFlightRef.current.add(controller);
+    const id = ++streamIdRef.current;
+    const name = `${persona.avatar} ${persona.name}`;
     setLoading(true);
     setError(null);
     try {
-      if (!openaiApiKey) {
-        throw new Error("OPENAI_API_KEY missing! Set REACT_APP_OPENAI_API_KEY in .env.");
-      }
-      const payload = {
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: systemP },
-          ...messages.slice(-5),
-          { role: "user", content: userMessage },
-        ],
-        max_tokens: 38,
-        temperature: 0.95,
-      };
-      const result = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${openaiApiKey}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
-      if (!result.ok) throw new Error("OpenAI response error");
-      const data = await result.json();
-      const resp = data.choices?.[0]?.message?.content || "…";
-      setMessages((msgs) => [...msgs, { role: "assistant", content: resp }]);
+      const { prompt, reply } = await chatClient.send(
+        { ...request, persona: personaRequest(persona), history: aiContext(messagesRef.current), locale: t.locale, moderation },
+        {
+          signal: controller.signal,
+          onToken: (token) => {
+            if (!current()) return;
+            setStreams((list) =>
+              list.some((s) => s.id === id)
+                ? list.map((s) => (s.id === id ? { ...s, content: s.content + token } : s))
+                : [...list, { id, name, content: token }]
+            );
+          },
+        }
+      );
+      // The chat was reset while this reply was on its way
+      if (!current()) return;
+      setMessages((msgs) => [
+        ...msgs,
+        ...(request.kind === "taunt" ? [{ role: "user", content: prompt }] : []),
+        { role: "assistant", name, content: reply },
+      ]);
     } catch (err) {
-      setError(err.message || "Unexpected error");
+      if (current() && err.code !== "aborted") setError(t(Object.hasOwn(ERROR_MESSAGES, err.code) ? ERROR_MESSAGES[err.code] : "chat.error"));
     } finally {
-      setLoading(false);
+      inFlightRef.current.delete(controller);
+      setStreams((list) => list.filter((s) => s.id !== id));
+      if (current()) setLoading(inFlightRef.current.size > 0);
       // Scroll chat into view
       setTimeout(() => {
         if (chatContainerRef.current) {
@@ -113,51 +217,36 @@ const Chat = forwardRef((props, ref) => {
     }
   };
 
+  // A persona's comment on a move or card event from the queue
+  tauntRef.current = async (move, signal) => {
+    const speaker = speakerFor(move.player);
+    const isSelf = speaker.playerId === move.player.id;
+    const { player, dice, from, to, isWin, isSnake, isLadder, isBounce } = move;
+    const card =
+      move.type === "move"
+        ? undefined
+        : { id: move.card.id, action: move.type === "cardDrawn" ? "drawn" : "played", ...(move.target ? { target: move.target.name } : {}) };
+    if (!shouldTaunt(speaker.persona, personaEvent({ isWin, isSnake, isLadder, isBounce, isSelf, card }), random)) return;
+    // The server turns the move into a description and builds the persona's prompt
+    const event = { player: { name: player.name, isUser: player.isUser }, dice, from, to, isWin, isSnake, isLadder, isBounce, isSelf, ...(card ? { card } : {}) };
+    await aiAddMessage({ kind: "taunt", event }, speaker.persona, signal);
+  };
+
   // Manual chat send (user input)
   const handleSend = async () => {
-    if (!input.trim()) return;
-    setMessages((msgs) => [...msgs, { role: "user", content: input }]);
+    const text = input.trim();
+    if (!text) return;
+    if (checkText(text, moderation).flagged) {
+      setError(t("chat.blocked"));
+      return;
+    }
     setInput("");
-    setLoading(true);
     setError(null);
-
-    try {
-      if (!openaiApiKey) {
-        throw new Error("OPENAI_API_KEY missing! Set REACT_APP_OPENAI_API_KEY in .env.");
-      }
-      const payload = {
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: systemPrompt },
-          ...messages.slice(-5),
-          { role: "user", content: input },
-        ],
-        max_tokens: 38,
-        temperature: 0.95,
-      };
-      const result = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${openaiApiKey}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
-      if (!result.ok) throw new Error("OpenAI response error");
-      const data = await result.json();
-      const resp = data.choices?.[0]?.message?.content || "…";
-      setMessages((msgs) => [...msgs, { role: "assistant", content: resp }]);
-    } catch (err) {
-      setError(err.message || "Unexpected error");
-    } finally {
-      setLoading(false);
-      // Scroll chat into view
-      setTimeout(() => {
-        if (chatContainerRef.current) {
-          chatContainerRef.current.scrollTop = chatContainerRef.current.scrollHeight;
-        }
-      }, 250);
+    if (props.onSendMessage) {
+      props.onSendMessage(text);
+      return;
     }
+    await aiAddMessage({ kind: "chat", message: text, game: props.getGameContext?.() });
   };
 
   return (
@@ -172,6 +261,21 @@ const Chat = forwardRef((props, ref) => {
       padding: "10px 0 0 0",
       boxShadow: "0 8px 28px #0004"
     }}>
+      <div style={{ textAlign: "end", padding: "0 18px 6px", fontSize: 13, color: "#b8bdd0" }}>
+        <label>
+          🛡️ {t("chat.filter")}{" "}
+          <select
+            value={moderation}
+            disabled={!props.onModerationChange}
+            onChange={(e) => props.onModerationChange(e.target.value)}
+            style={{ fontSize: 13, padding: "1px 4px", borderRadius: 5, background: "#14151b", color: "#fff", border: "1px solid #333" }}
+          >
+            {MODERATION_LEVELS.map((l) => (
+              <option key={l.id} value={l.id}>{t(`chat.filter.${l.id}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
       <div
         ref={chatContainerRef}
         style={{
@@ -183,12 +287,15 @@ const Chat = forwardRef((props, ref) => {
       >
         {messages.map((msg, i) =>
           <div key={i} style={{
-            textAlign: msg.role === "assistant" ? "left" : "right",
+            textAlign: msg.role === "user" ? "end" : "start",
             margin: "6px 0"
           }}>
-            <span style={{
+            {(msg.role === "peer" || (msg.role === "assistant" && msg.name)) && (
+              <div dir="auto" style={{ fontSize: 12, color: msg.role === "peer" ? "#9fb3ff" : "#e8a77a", margin: 0, marginBottom: 2, marginInlineStart: 6 }}>{msg.name}</div>
+            )}
+            <span dir="auto" style={{
               display: "inline-block",
-              background: msg.role === "assistant" ? "#282c34" : "#4caf5055",
+              background: msg.role === "assistant" ? "#282c34" : msg.role === "peer" ? "#2f3b63" : "#4caf5055",
               color: "#fff",
               padding: "7px 16px",
               borderRadius: "14px",
@@ -198,8 +305,22 @@ const Chat = forwardRef((props, ref) => {
             }}>{msg.content}</span>
           </div>
         )}
-        {loading &&
-          <div style={{ color: "#e87a41", fontStyle: "italic", fontSize: 15, margin: "7px 0" }}>AI is typing…</div>
+        {streams.map((s) => (
+          <div key={`stream-${s.id}`} data-testid="chat-stream" style={{ textAlign: "start", margin: "6px 0" }}>
+            <div dir="auto" style={{ fontSize: 12, color: "#e8a77a", margin: 0, marginBottom: 2, marginInlineStart: 6 }}>{s.name}</div>
+            <span dir="auto" style={{
+              display: "inline-block",
+              background: "#282c34",
+              color: "#fff",
+              padding: "7px 16px",
+              borderRadius: "14px",
+              fontSize: 16,
+              boxShadow: "0 2px 6px #1116"
+            }}>{s.content}▍</span>
+          </div>
+        ))}
+        {loading && !streams.length &&
+          <div style={{ color: "#e87a41", fontStyle: "italic", fontSize: 15, margin: "7px 0" }}>{t("chat.typing")}</div>
         }
       </div>
       {error &&
@@ -213,7 +334,9 @@ const Chat = forwardRef((props, ref) => {
         borderRadius: "0 0 14px 14px"
       }}>
         <input
-          aria-label="Send a message"
+          ref={inputRef}
+          aria-label={t("chat.input")}
+          dir="auto"
           style={{
             flex: 1,
             padding: 9,
@@ -229,11 +352,11 @@ const Chat = forwardRef((props, ref) => {
           onKeyDown={e => {
             if (e.key === "Enter") handleSend();
           }}
-          placeholder="Say something to the AI…"
+          placeholder={t(props.onSendMessage ? "chat.placeholder.room" : "chat.placeholder.ai")}
         />
         <button
           style={{
-            marginLeft: 9,
+            marginInlineStart: 9,
             background: "#e94d3c",
             color: "#fff",
             border: "none",
@@ -246,7 +369,7 @@ const Chat = forwardRef((props, ref) => {
           disabled={loading || !input.trim()}
           onClick={handleSend}
         >
-          Send
+          {t("chat.send")}
         </button>
       </div>
     </div>
@@ -0,0 +1,155 @@
+import { createRef } from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import Chat from './Chat';
+import { ChatError } from './chat/errors';
+import { createEventBus } from './game/eventBus';
+import { I18nContext } from './i18nContext';
+import { createTranslator } from './i18n';
+
+// Chat client whose replies the test hands out piece by piece
+function fakeClient() {
+  const requests = [];
+  return {
+    requests,
+    send: jest.fn(
+      (request, { signal, onToken }) =>
+        new Promise((resolve, reject) => {
+          requests.push({ request, signal, onToken, resolve, reject });
+          signal.addEventListener('abort', () => reject(new ChatError('aborted', 'Cancelled.')));
+        })
+    ),
+  };
+}
+
+const say = (text) => {
+  fireEvent.change(screen.getByLabelText('Send a message'), { target: { value: text } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+};
+
+test('replies stream in token by token', async () => {
+  const client = fakeClient();
+  render(<Chat chatClient={client} />);
+  say('who is ahead?');
+  expect(screen.getByText('AI is typing…')).toBeInTheDocument();
+  const [{ onToken, resolve }] = client.requests;
+  act(() => onToken('You '));
+  act(() => onToken('are, barely.'));
+  expect(screen.getByTestId('chat-stream')).toHaveTextContent('You are, barely.▍');
+  expect(screen.queryByText('AI is typing…')).not.toBeInTheDocument();
+  await act(async () => resolve({ prompt: 'who is ahead?', reply: 'You are, barely.' }));
+  expect(screen.queryByTestId('chat-stream')).not.toBeInTheDocument();
+  expect(screen.getByText('You are, barely.')).toBeInTheDocument();
+});
+
+test('a reset cancels the request and drops replies that still arrive', async () => {
+  const client = fakeClient();
+  const ref = createRef();
+  render(<Chat ref={ref} chatClient={client} />);
+  say('hello');
+  const [{ signal, onToken, resolve }] = client.requests;
+  act(() => onToken('Too '));
+  await act(async () => ref.current.resetToWelcome());
+  expect(signal.aborted).toBe(true);
+  act(() => onToken('late'));
+  await act(async () => resolve({ prompt: 'hello', reply: 'Too late' }));
+  expect(screen.queryByText(/Too/)).not.toBeInTheDocument();
+  expect(screen.queryByText('hello')).not.toBeInTheDocument();
+  expect(screen.queryByText('Cancelled.')).not.toBeInTheDocument();
+});
+
+test('unmounting cancels requests in flight', () => {
+  const client = fakeClient();
+  const { unmount } = render(<Chat chatClient={client} />);
+  say('hello');
+  unmount();
+  expect(client.requests[0].signal.aborted).toBe(true);
+});
+
+test('errors say what went wrong', async () => {
+  const client = fakeClient();
+  render(<Chat chatClient={client} />);
+  say('hello');
+  await act(async () => client.requests[0].reject(new ChatError('rate-limit', 'Slow down! Too many chat messages, try again in a moment.')));
+  expect(screen.getByText(/Slow down!/)).toBeInTheDocument();
+});
+
+test('errors are told in the player\'s language, whatever the error says', async () => {
+  const client = fakeClient();
+  render(
+    <I18nContext.Provider value={createTranslator('es')}>
+      <Chat chatClient={client} />
+    </I18nContext.Provider>
+  );
+  fireEvent.change(screen.getByLabelText('Enviar un mensaje'), { target: { value: 'hola' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Enviar' }));
+  await act(async () => client.requests[0].reject(new ChatError('network', 'Chat server unreachable.')));
+  expect(screen.getByText(/No se puede contactar con el servidor del chat/)).toBeInTheDocument();
+  expect(screen.queryByText(/unreachable/)).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Enviar un mensaje'), { target: { value: 'hola' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Enviar' }));
+  await act(async () => client.requests[1].reject(new ChatError('toString', 'Odd code.')));
+  expect(screen.getByText(/Error inesperado/)).toBeInTheDocument();
+});
+
+test('the chat filter keeps blocked messages in the box and tells the proxy its level', async () => {
+  const client = fakeClient();
+  const onSendMessage = jest.fn();
+  const onModerationChange = jest.fn();
+  const { rerender } = render(<Chat chatClient={client} moderation="kidSafe" onModerationChange={onModerationChange} />);
+  say('you are stupid');
+  expect(client.send).not.toHaveBeenCalled();
+  expect(screen.getByText(/that message was not sent/)).toBeInTheDocument();
+  expect(screen.getByLabelText('Send a message')).toHaveValue('you are stupid');
+
+  say('good game');
+  expect(client.requests[0].request.moderation).toBe('kidSafe');
+  // Text the server's check blocks comes back with a code
+  await act(async () => client.requests[0].reject(new ChatError('blocked', 'That message was blocked by the chat filter.')));
+  expect(screen.getByText(/that message was not sent/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText(/Chat filter/), { target: { value: 'off' } });
+  expect(onModerationChange).toHaveBeenCalledWith('off');
+
+  // Room guests see the host's level but cannot change it
+  rerender(<Chat chatClient={client} moderation="standard" onSendMessage={onSendMessage} />);
+  expect(screen.getByLabelText(/Chat filter/)).toBeDisabled();
+  say('what the fuck');
+  expect(onSendMessage).not.toHaveBeenCalled();
+  say('you are stupid');
+  expect(onSendMessage).toHaveBeenCalledWith('you are stupid');
+});
+
+test('move events from the bus are taunted in order without blocking the emitter', async () => {
+  const client = fakeClient();
+  const bus = createEventBus();
+  const move = (n, extra = {}) => ({
+    type: 'move',
+    moveCount: n,
+    player: { id: 1, name: 'Ann', isUser: true },
+    dice: 3,
+    from: n,
+    to: n + 3,
+    isWin: false,
+    isSnake: false,
+    isLadder: false,
+    isBounce: false,
+    ...extra,
+  });
+  render(<Chat chatClient={client} events={bus} />);
+  act(() => {
+    bus.emit(move(1));
+    bus.emit(move(2));
+    bus.emit(move(3));
+  });
+  expect(client.requests).toHaveLength(1);
+  await act(async () => client.requests[0].resolve({ prompt: 'Ann rolled a 3 and moved to 4.', reply: 'First!' }));
+  // Move 2 was overtaken by move 3 while the first taunt was on its way
+  expect(client.requests).toHaveLength(2);
+  expect(client.requests[1].request.event).toMatchObject({ from: 3, to: 6 });
+  // The second request sees the reply to the first (no stale message list)
+  expect(client.requests[1].request.history.slice(-2)).toEqual([
+    { role: 'user', content: 'Ann rolled a 3 and moved to 4.' },
+    { role: 'assistant', content: 'First!' },
+  ]);
+});
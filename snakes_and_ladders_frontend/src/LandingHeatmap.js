@@ -0,0 +1,53 @@
+import React from "react";
+import { squareToGridPos } from "./game/geometry";
+
+/**
+ * PUBLIC_INTERFACE
+ * LandingHeatmap: Board overlay (pass it as Board's children) shading each
+ * cell by how likely a roll is to land there, from the board analysis
+ * (./game/analysis). Snake heads and ladder bases glowing hot mean they get
+ * hit a lot. The percentage in each cell is the chance that a given roll
+ * lands on it.
+ *
+ * Props:
+ *   analysis: result of analyzeBoard
+ *   boardSize: cells per side
+ *   cellCount: playable squares
+ */
+function LandingHeatmap({ analysis, boardSize, cellCount }) {
+  const share = analysis.landingShare;
+  const max = Math.max(...share.slice(1, cellCount + 1)) || 1;
+  const cells = [];
+  for (let n = 1; n <= cellCount; n++) {
+    const [row, col] = squareToGridPos(n, boardSize);
+    const heat = share[n] / max;
+    cells.push(
+      <g key={n} data-testid={`heat-${n}`}>
+        <title>{`Cell ${n}: ${percent(share[n])} of rolls land here`}</title>
+        <rect x={col} y={row} width={1} height={1} fill={`hsl(${Math.round(60 - 60 * heat)}, 95%, 50%)`} opacity={0.15 + 0.5 * heat} />
+        <text x={col + 0.92} y={row + 0.9} fontSize={0.2} fontWeight={700} textAnchor="end" fill="#1b1b1b">
+          {percent(share[n])}
+        </text>
+      </g>
+    );
+  }
+  return (
+    <svg
+      viewBox={`0 0 ${boardSize} ${boardSize}`}
+      preserveAspectRatio="none"
+      style={{ position: "absolute", inset: 0, width: "100%", height: "100%" }}
+      data-testid="landing-heatmap"
+      role="img"
+      aria-label={`Landing heatmap: on average ${analysis.expectedTurns.toFixed(1)} rolls to finish`}
+    >
+      {cells}
+    </svg>
+  );
+}
+
+function percent(p) {
+  const value = p * 100;
+  return `${value >= 10 || value === 0 ? Math.round(value) : value.toFixed(1)}%`;
+}
+
+export default LandingHeatmap;
@@ -0,0 +1,229 @@
+import React, { useState } from "react";
+import { AVATARS } from "./avatars";
+import { DEFAULT_PERSONA_ID, PERSONAS, parsePersonas } from "./chat/personas";
+import { AI_LEVELS, DEFAULT_AI_LEVEL } from "./game/ai";
+import { MIN_PLAYERS, MAX_PLAYERS, makeSeat, validateSeats } from "./game/players";
+import { readFileText } from "./download";
+import { useI18n } from "./i18nContext";
+
+const fieldStyle = {
+  fontSize: 15,
+  padding: "5px 8px",
+  borderRadius: 6,
+  border: "1px solid #bbb",
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Lobby: configures 2-6 seats before a game starts.
+ * Each seat has a name, a color or avatar, and a human/AI type; AI seats
+ * also pick a chat persona (./chat/personas), and a skill level (./game/ai)
+ * when players choose which token to move.
+ *
+ * Props:
+ *   initialSeats: seat descriptors to start from ({ id, name, color, avatar, isUser, persona? })
+ *   personas: personas to choose from, defaults to the built-in ones
+ *   onLoadPersonas(personas): optional; enables loading personas from a JSON file
+ *   initialDice: dice options to start from ({ seed, commitReveal })
+ *   tokenChoice: the next game has several tokens per player, so AI seats
+ *     show their skill level (seat.skill)
+ *   onStart(seats, dice): called with the final seat list and dice options
+ *     ({ seed: "" for a random seed, commitReveal }) when "Start Game" is pressed
+ */
+function Lobby({
+  initialSeats,
+  initialDice = { seed: "", commitReveal: false },
+  personas = PERSONAS,
+  tokenChoice = false,
+  onLoadPersonas,
+  onStart
+}) {
+  const t = useI18n();
+  const [seats, setSeats] = useState(initialSeats);
+  const [dice, setDice] = useState(initialDice);
+  const [personaError, setPersonaError] = useState(null);
+  const errors = validateSeats(seats);
+  const humans = seats.filter((s) => s.isUser).length;
+
+  const updateSeat = (idx, patch) => {
+    setSeats((list) => list.map((s, i) => (i === idx ? { ...s, ...patch } : s)));
+  };
+
+  const addSeat = () => {
+    setSeats((list) => {
+      const seat = makeSeat(list.length);
+      return [...list, { ...seat, id: Math.max(...list.map((s) => s.id)) + 1 }];
+    });
+  };
+
+  const removeSeat = (idx) => {
+    setSeats((list) => list.filter((_, i) => i !== idx));
+  };
+
+  async function loadPersonas(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setPersonaError(null);
+    try {
+      onLoadPersonas(parsePersonas(await readFileText(file), { guest: true }));
+    } catch (err) {
+      setPersonaError(err.message);
+    }
+  }
+
+  return (
+    <section
+      aria-label={t("lobby.label")}
+      style={{
+        background: "var(--bg-primary)",
+        borderRadius: 14,
+        boxShadow: "0 6px 24px #2223",
+        padding: "16px 22px",
+        margin: "12px auto",
+        maxWidth: 560,
+        width: "92%",
+        fontSize: 16,
+      }}
+    >
+      <h3 style={{ margin: "0 0 12px 0" }}>{t("lobby.players")}</h3>
+      {seats.map((seat, idx) => (
+        <div
+          key={seat.id}
+          data-testid={`seat-${idx}`}
+          style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, flexWrap: "wrap" }}
+        >
+          <input
+            aria-label={t("lobby.seatName", { seat: idx + 1 })}
+            value={seat.name}
+            maxLength={16}
+            onChange={(e) => updateSeat(idx, { name: e.target.value })}
+            style={{ ...fieldStyle, width: 120 }}
+          />
+          <input
+            type="color"
+            aria-label={t("lobby.seatColor", { seat: idx + 1 })}
+            value={seat.color}
+            onChange={(e) => updateSeat(idx, { color: e.target.value })}
+            style={{ width: 36, height: 30, padding: 0, border: "none", background: "none" }}
+          />
+          <select
+            aria-label={t("lobby.seatAvatar", { seat: idx + 1 })}
+            value={AVATARS.find((a) => a.url === seat.avatar)?.id || ""}
+            onChange={(e) => updateSeat(idx, { avatar: AVATARS.find((a) => a.id === e.target.value)?.url || null })}
+            style={fieldStyle}
+          >
+            <option value="">{t("lobby.colorOnly")}</option>
+            {AVATARS.map((a) => (
+              <option key={a.id} value={a.id}>{a.label}</option>
+            ))}
+          </select>
+          <select
+            aria-label={t("lobby.seatType", { seat: idx + 1 })}
+            value={seat.isUser ? "human" : "ai"}
+            onChange={(e) => updateSeat(idx, { isUser: e.target.value === "human" })}
+            style={fieldStyle}
+          >
+            <option value="human">{t("lobby.human")}</option>
+            <option value="ai">{t("lobby.ai")}</option>
+          </select>
+          {!seat.isUser && (
+            <select
+              aria-label={t("lobby.seatPersona", { seat: idx + 1 })}
+              value={personas.some((p) => p.id === seat.persona) ? seat.persona : DEFAULT_PERSONA_ID}
+              onChange={(e) => updateSeat(idx, { persona: e.target.value })}
+              style={fieldStyle}
+            >
+              {personas.map((p) => (
+                <option key={p.id} value={p.id}>{p.avatar} {p.name}</option>
+              ))}
+            </select>
+          )}
+          {!seat.isUser && tokenChoice && (
+            <select
+              aria-label={t("lobby.seatSkill", { seat: idx + 1 })}
+              value={seat.skill || DEFAULT_AI_LEVEL}
+              onChange={(e) => updateSeat(idx, { skill: e.target.value })}
+              style={fieldStyle}
+              title={t("lobby.skillTitle")}
+            >
+              {AI_LEVELS.map((level) => (
+                <option key={level.id} value={level.id}>{t(`ai.level.${level.id}`)}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={() => removeSeat(idx)}
+            disabled={seats.length <= MIN_PLAYERS}
+            aria-label={t("lobby.removeSeat", { seat: idx + 1 })}
+            style={{ ...fieldStyle, cursor: "pointer", background: "#eee" }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginTop: 12, flexWrap: "wrap", fontSize: 15 }}>
+        <input
+          aria-label={t("lobby.seed")}
+          placeholder={t("lobby.seedPlaceholder")}
+          value={dice.seed}
+          maxLength={64}
+          onChange={(e) => setDice((d) => ({ ...d, seed: e.target.value }))}
+          style={{ ...fieldStyle, width: 170 }}
+          title={t("lobby.seedTitle")}
+        />
+        <label title={t("lobby.commitRevealTitle")}>
+          <input
+            type="checkbox"
+            checked={dice.commitReveal}
+            onChange={(e) => setDice((d) => ({ ...d, commitReveal: e.target.checked }))}
+            style={{ marginInlineEnd: 6 }}
+          />
+          {t("lobby.commitReveal")}
+        </label>
+        {onLoadPersonas && (
+          <label title={t("lobby.loadPersonasTitle")}>
+            {t("lobby.loadPersonas")}{" "}
+            <input type="file" accept="application/json,.json" onChange={loadPersonas} style={{ fontSize: 13 }} />
+          </label>
+        )}
+      </div>
+      {personaError && <div style={{ color: "#d42c27", fontWeight: 700, marginTop: 6, fontSize: 14 }}>{personaError}</div>}
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 12 }}>
+        <button
+          onClick={addSeat}
+          disabled={seats.length >= MAX_PLAYERS}
+          style={{ ...fieldStyle, cursor: "pointer", background: "#eee" }}
+        >
+          {t("lobby.addPlayer")}
+        </button>
+        <button
+          onClick={() => onStart(seats.map((s) => ({ ...s, name: s.name.trim() })), { ...dice, seed: dice.seed.trim() })}
+          disabled={errors.length > 0}
+          style={{
+            background: errors.length ? "#aaa" : "#fd7d25",
+            color: "#fff",
+            border: "none",
+            borderRadius: 8,
+            padding: "10px 28px",
+            fontWeight: 800,
+            fontSize: 18,
+            cursor: errors.length ? "not-allowed" : "pointer",
+          }}
+        >
+          {t("lobby.start")}
+        </button>
+      </div>
+      {humans > 1 && (
+        <div data-testid="hot-seat-note" style={{ marginTop: 10, fontSize: 14, fontWeight: 600 }}>
+          {t("lobby.hotSeat", { count: humans })}
+        </div>
+      )}
+      {errors.map((err) => (
+        <div key={err} style={{ color: "#d42c27", fontWeight: 700, marginTop: 6, fontSize: 14 }}>{err}</div>
+      ))}
+    </section>
+  );
+}
+
+export default Lobby;
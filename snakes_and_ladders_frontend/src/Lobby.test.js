@@ -0,0 +1,66 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Lobby from './Lobby';
+import { AVATARS } from './avatars';
+import { defaultSeats, MAX_PLAYERS } from './game/players';
+
+test('adds seats up to the maximum and starts with the configured line-up', () => {
+  const onStart = jest.fn();
+  render(<Lobby initialSeats={defaultSeats()} onStart={onStart} />);
+  const add = screen.getByRole('button', { name: /add player/i });
+  while (!add.disabled) fireEvent.click(add);
+  expect(screen.getAllByTestId(/^seat-/)).toHaveLength(MAX_PLAYERS);
+
+  fireEvent.change(screen.getByLabelText('Seat 3 type'), { target: { value: 'human' } });
+  fireEvent.change(screen.getByLabelText('Seat 3 name'), { target: { value: ' Sam ' } });
+  fireEvent.change(screen.getByLabelText('Seat 3 avatar'), { target: { value: 'fox' } });
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+
+  const seats = onStart.mock.calls[0][0];
+  expect(seats).toHaveLength(MAX_PLAYERS);
+  expect(seats[2]).toMatchObject({ name: 'Sam', isUser: true, avatar: AVATARS[0].url });
+  expect(new Set(seats.map((s) => s.id)).size).toBe(MAX_PLAYERS);
+});
+
+test('never drops below two seats', () => {
+  render(<Lobby initialSeats={defaultSeats()} onStart={() => {}} />);
+  expect(screen.getByRole('button', { name: 'Remove seat 1' })).toBeDisabled();
+});
+
+test('blocks duplicate or empty names', () => {
+  render(<Lobby initialSeats={defaultSeats()} onStart={() => {}} />);
+  fireEvent.change(screen.getByLabelText('Seat 2 name'), { target: { value: 'you' } });
+  expect(screen.getByText(/names must be unique/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /start game/i })).toBeDisabled();
+  fireEvent.change(screen.getByLabelText('Seat 2 name'), { target: { value: '  ' } });
+  expect(screen.getByText(/needs a name/i)).toBeInTheDocument();
+});
+
+test('passes the dice seed and commit-reveal choice to onStart', () => {
+  const onStart = jest.fn();
+  render(<Lobby initialSeats={defaultSeats()} onStart={onStart} />);
+  fireEvent.change(screen.getByLabelText('Dice seed'), { target: { value: ' bug-42 ' } });
+  fireEvent.click(screen.getByLabelText('Commit-reveal dice'));
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  expect(onStart.mock.calls[0][1]).toEqual({ seed: 'bug-42', commitReveal: true });
+});
+
+test('AI seats pick a persona, and personas load from a JSON file', async () => {
+  const onStart = jest.fn();
+  const onLoadPersonas = jest.fn();
+  render(<Lobby initialSeats={defaultSeats()} onStart={onStart} onLoadPersonas={onLoadPersonas} />);
+  expect(screen.queryByLabelText('Seat 1 persona')).not.toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Seat 2 persona'), { target: { value: 'smug-robot' } });
+  fireEvent.click(screen.getByRole('button', { name: /start game/i }));
+  expect(onStart.mock.calls[0][0][1]).toMatchObject({ isUser: false, persona: 'smug-robot' });
+
+  const upload = (text) =>
+    fireEvent.change(screen.getByLabelText(/load personas/i), {
+      target: { files: [new File([text], 'personas.json', { type: 'application/json' })] },
+    });
+  // The prompt is the server's business, so a file may leave it out
+  upload(JSON.stringify([{ id: 'pirate', name: 'Pirate' }]));
+  await waitFor(() => expect(onLoadPersonas).toHaveBeenCalled());
+  expect(onLoadPersonas.mock.calls[0][0][0]).toMatchObject({ id: 'pirate', name: 'Pirate' });
+  upload('not json');
+  expect(await screen.findByText(/Invalid personas file/)).toBeInTheDocument();
+});
@@ -0,0 +1,222 @@
+import React, { useEffect, useState } from "react";
+import { createRoomClient } from "./net/roomClient";
+import { MAX_PLAYERS, MIN_PLAYERS } from "./game/players";
+import { Message, useI18n } from "./i18nContext";
+
+const fieldStyle = {
+  fontSize: 15,
+  padding: "5px 8px",
+  borderRadius: 6,
+  border: "1px solid #bbb",
+};
+
+// What the player is told for each error code from the game server
+// (server/gameServer.mjs); the other codes mean a client bug or trouble on the
+// server, told as "online.error.server"
+const ERROR_MESSAGES = {
+  "name-missing": "online.error.nameMissing",
+  "no-room": "online.error.noRoom",
+  started: "online.error.started",
+  "room-full": "online.error.roomFull",
+  "name-taken": "online.error.nameTaken",
+  "host-only": "online.error.hostOnly",
+  "too-few-players": "online.error.tooFewPlayers",
+  "one-token": "online.error.oneToken",
+  "no-chaos": "online.error.noChaos",
+  "not-started": "online.error.notStarted",
+  "game-over": "online.error.gameOver",
+  "not-your-turn": "online.error.notYourTurn",
+};
+
+// An error message from the server as a catalog key and its values
+function serverError(msg, values = {}) {
+  const key = Object.hasOwn(ERROR_MESSAGES, msg.code) ? ERROR_MESSAGES[msg.code] : "online.error.server";
+  return { key, values: { count: MIN_PLAYERS, ...values } };
+}
+
+// Game server address; defaults to port 4000 on the host serving the app
+function defaultServerUrl() {
+  return process.env.REACT_APP_GAME_SERVER_URL || `ws://${window.location.hostname || "localhost"}:4000`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * OnlinePanel: create or join a room on the game server (npm run server).
+ * Once joined it shows the room code and members; the host picks the number
+ * of AI seats and starts the game.
+ *
+ * Props:
+ *   boardId: board used when creating a room
+ *   moderation: chat filter level the room starts with (./chat/moderation);
+ *     the host can change it from the chat panel
+ *   onConnected({ client, playerId, code }): called after joining a room;
+ *     App then listens for "room"/"started"/"rolled"/"chat" on the client
+ *   client: the connected room client, or null
+ *   room: latest "room" summary from the server, or null
+ *   rules: house rules the host starts the game with
+ *   playerId: our id in the room, or null when not connected
+ *   onLeave(): close the connection
+ */
+function OnlinePanel({ boardId, moderation, onConnected, client, room, rules, playerId, onLeave }) {
+  const t = useI18n();
+  const [name, setName] = useState("");
+  const [code, setCode] = useState("");
+  const [aiSeats, setAiSeats] = useState(0);
+  const [error, setError] = useState(null); // { key, values }
+  const [connecting, setConnecting] = useState(false);
+
+  useEffect(() => {
+    if (room && aiSeats > MAX_PLAYERS - room.members.length) {
+      setAiSeats(MAX_PLAYERS - room.members.length);
+    }
+  }, [room, aiSeats]);
+
+  // Errors from the server while in a room (e.g. "Only the host can start")
+  useEffect(() => {
+    if (!client) return undefined;
+    // Blocked chat lines are shown by the chat itself
+    return client.on("error", (msg) => msg.code !== "blocked" && setError(serverError(msg)));
+  }, [client]);
+
+  async function connect(action) {
+    setError(null);
+    setConnecting(true);
+    const url = defaultServerUrl();
+    const newClient = createRoomClient(url);
+    try {
+      await newClient.ready;
+    } catch {
+      setError({ key: "online.noServer", values: { url } });
+      setConnecting(false);
+      return;
+    }
+    const offAll = () => {
+      offError();
+      offJoined();
+    };
+    // The room was not joined (bad code, name taken…): show why and drop the socket
+    const offError = newClient.on("error", (msg) => {
+      offAll();
+      setError(serverError(msg, { code, name: name.trim() }));
+      setConnecting(false);
+      newClient.close();
+    });
+    const offJoined = newClient.on("joined", (msg) => {
+      offAll();
+      setConnecting(false);
+      onConnected({ client: newClient, playerId: msg.playerId, code: msg.code });
+    });
+    action(newClient);
+  }
+
+  if (room && playerId) {
+    const isHost = room.hostId === playerId;
+    const maxAi = MAX_PLAYERS - room.members.length;
+    return (
+      <section aria-label={t("online.room")} style={panelStyle}>
+        <h3 style={{ margin: "0 0 8px 0" }}>
+          <Message
+            id="online.roomCode"
+            values={{ code: <span data-testid="room-code" dir="ltr" style={{ letterSpacing: "0.2em", color: "#e94d3c" }}>{room.code}</span> }}
+          />
+        </h3>
+        <div style={{ fontSize: 14, marginBottom: 8 }}>{t("online.share")}</div>
+        <ul style={{ listStyle: "none", padding: 0, margin: "0 0 10px 0" }}>
+          {room.members.map((m) => (
+            <li key={m.id} style={{ color: m.color, fontWeight: 700 }}>
+              {m.name}{m.id === room.hostId ? t("online.host") : ""}{m.id === playerId ? t("online.you") : ""}
+            </li>
+          ))}
+        </ul>
+        {isHost ? (
+          <div style={{ display: "flex", gap: 8, alignItems: "center", justifyContent: "center", flexWrap: "wrap" }}>
+            <label style={{ fontSize: 15 }}>
+              {t("online.aiSeats")}{" "}
+              <select value={aiSeats} onChange={(e) => setAiSeats(Number(e.target.value))} style={fieldStyle}>
+                {Array.from({ length: maxAi + 1 }, (_, n) => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              style={primaryButton}
+              disabled={room.members.length + aiSeats < 2}
+              onClick={() => client.startGame({ aiSeats, rules })}
+            >
+              {t("online.start")}
+            </button>
+          </div>
+        ) : (
+          <div style={{ fontStyle: "italic" }}>{t("online.waiting")}</div>
+        )}
+        <button style={{ ...fieldStyle, marginTop: 10, cursor: "pointer" }} onClick={onLeave}>{t("online.leave")}</button>
+        {error && <div style={errorStyle}>{t(error.key, error.values)}</div>}
+      </section>
+    );
+  }
+
+  return (
+    <section aria-label={t("online.title")} style={panelStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>{t("online.title")}</h3>
+      <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
+        <input
+          aria-label={t("online.name")}
+          placeholder={t("online.name")}
+          value={name}
+          maxLength={16}
+          onChange={(e) => setName(e.target.value)}
+          style={{ ...fieldStyle, width: 120 }}
+        />
+        <button
+          style={{ ...fieldStyle, cursor: "pointer" }}
+          disabled={!name.trim() || connecting}
+          onClick={() => connect((c) => c.createRoom(name, boardId, moderation))}
+        >
+          {t("online.create")}
+        </button>
+        <input
+          aria-label={t("online.code")}
+          placeholder={t("online.codePlaceholder")}
+          value={code}
+          maxLength={4}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          style={{ ...fieldStyle, width: 70, letterSpacing: "0.15em" }}
+        />
+        <button
+          style={{ ...fieldStyle, cursor: "pointer" }}
+          disabled={!name.trim() || code.trim().length !== 4 || connecting}
+          onClick={() => connect((c) => c.joinRoom(code, name))}
+        >
+          {t("online.join")}
+        </button>
+      </div>
+      {error && <div style={errorStyle}>{t(error.key, error.values)}</div>}
+    </section>
+  );
+}
+
+const panelStyle = {
+  background: "var(--bg-primary)",
+  borderRadius: 14,
+  boxShadow: "0 6px 24px #2223",
+  padding: "14px 22px",
+  margin: "4px auto 12px",
+  maxWidth: 560,
+  width: "92%",
+  fontSize: 16,
+};
+
+const primaryButton = {
+  background: "#fd7d25",
+  color: "#fff",
+  border: "none",
+  borderRadius: 8,
+  padding: "8px 22px",
+  fontWeight: 800,
+  fontSize: 16,
+  cursor: "pointer",
+};
+
+const errorStyle = { color: "#d42c27", fontWeight: 700, marginTop: 8, fontSize: 14 };
+
+export default OnlinePanel;
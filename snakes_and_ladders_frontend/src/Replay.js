@@ -0,0 +1,135 @@
+import React, { useEffect, useMemo, useState } from "react";
+import Board from "./Board";
+import RollHistory from "./RollHistory";
+import { boardImageUrl } from "./game/boards";
+import { describeLoggedMove, replayStates, serializeGameLog } from "./game/gameLog";
+import { downloadFile } from "./download";
+import { useI18n } from "./i18nContext";
+
+// Pause between moves while playing, after the token has arrived
+const MOVE_PAUSE_MS = 500;
+
+/**
+ * PUBLIC_INTERFACE
+ * Replay viewer for a recorded game (see ./game/gameLog).
+ * Steps through the moves on the Board with play/pause, step and a scrub
+ * slider; playing animates each move, scrubbing jumps straight to it.
+ *
+ * Props:
+ *   log: game log to replay (already validated by parseGameLog or recorded live)
+ *   renderMode, reducedMotion: passed through to Board
+ *   onClose(): leave the viewer
+ */
+function Replay({ log, renderMode, reducedMotion, onClose }) {
+  const t = useI18n();
+  const states = useMemo(() => replayStates(log), [log]);
+  const total = log.moves.length;
+  const [step, setStep] = useState(0); // moves shown so far
+  const [playing, setPlaying] = useState(false);
+  const [animation, setAnimation] = useState(null);
+
+  // While playing, animate the next move after a short pause
+  useEffect(() => {
+    if (!playing || animation) return undefined;
+    if (step >= total) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      const move = log.moves[step];
+      setAnimation({ key: step + 1, playerId: log.players[move.playerIndex].id, token: move.token, events: move.events });
+    }, MOVE_PAUSE_MS);
+    return () => clearTimeout(timer);
+  }, [playing, animation, step, total, log]);
+
+  function handleAnimationComplete(key) {
+    setStep(key);
+    setAnimation(null);
+  }
+
+  function jumpTo(n) {
+    setAnimation(null);
+    setStep(Math.max(0, Math.min(total, n)));
+  }
+
+  function togglePlay() {
+    if (!playing && step >= total) jumpTo(0);
+    setPlaying((p) => !p);
+  }
+
+  const state = states[step];
+  const chatLines = log.chat.filter((c) => c.afterMove <= step).slice(-4);
+  const winner = log.winner !== null && log.winner !== undefined ? log.players[log.winner] : null;
+
+  return (
+    <section aria-label={t("replay.label")} style={panelStyle}>
+      <h3 style={{ margin: "0 0 6px 0" }}>
+        {winner ? t("replay.titleWon", { board: log.board.name, name: winner.name }) : t("replay.title", { board: log.board.name })}
+      </h3>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", justifyContent: "center", flexWrap: "wrap" }}>
+        <button style={buttonStyle} onClick={() => jumpTo(step - 1)} disabled={step === 0} aria-label={t("replay.previous")}>⏮</button>
+        <button style={buttonStyle} onClick={togglePlay} disabled={!total}>{t(playing ? "replay.pause" : "replay.play")}</button>
+        <button style={buttonStyle} onClick={() => jumpTo(step + 1)} disabled={step >= total} aria-label={t("replay.next")}>⏭</button>
+        <input
+          type="range"
+          aria-label={t("replay.position")}
+          min={0}
+          max={total}
+          value={step}
+          onChange={(e) => jumpTo(Number(e.target.value))}
+          style={{ width: 200 }}
+        />
+        <span data-testid="replay-step" style={{ fontVariantNumeric: "tabular-nums" }}>{t("replay.step", { step, total })}</span>
+      </div>
+      <div data-testid="replay-move" style={{ minHeight: 22, margin: "6px 0", fontSize: 15 }}>
+        {step > 0 ? describeLoggedMove(log, log.moves[step - 1], t) : t("replay.start")}
+      </div>
+      <Board
+        players={state.players}
+        boardSize={log.board.size}
+        cellCount={log.board.endCell}
+        backgroundImage={boardImageUrl(log.board)}
+        snakes={log.board.snakes}
+        ladders={log.board.ladders}
+        cardCells={log.rules?.chaos ? log.board.cards : undefined}
+        renderMode={renderMode}
+        reducedMotion={reducedMotion}
+        animation={animation}
+        onAnimationComplete={handleAnimationComplete}
+      />
+      <RollHistory log={log} />
+      {chatLines.length > 0 && (
+        <ul style={{ listStyle: "none", padding: 0, margin: "8px 0", fontSize: 14, textAlign: "start" }}>
+          {chatLines.map((c, i) => (
+            <li key={i} dir="auto"><b>{c.name || t(c.role === "assistant" ? "replay.ai" : "replay.player")}:</b> {c.content}</li>
+          ))}
+        </ul>
+      )}
+      <div style={{ display: "flex", gap: 8, justifyContent: "center", marginTop: 8 }}>
+        <button style={buttonStyle} onClick={() => downloadFile(`${log.id}.json`, serializeGameLog(log))}>{t("replay.export")}</button>
+        <button style={buttonStyle} onClick={onClose}>{t("replay.close")}</button>
+      </div>
+    </section>
+  );
+}
+
+const panelStyle = {
+  background: "var(--bg-primary)",
+  borderRadius: 14,
+  boxShadow: "0 6px 24px #2223",
+  padding: "14px 22px",
+  margin: "4px auto 12px",
+  maxWidth: 600,
+  width: "92%",
+  fontSize: 16,
+};
+
+const buttonStyle = {
+  fontSize: 15,
+  padding: "5px 12px",
+  borderRadius: 6,
+  border: "1px solid #bbb",
+  cursor: "pointer",
+};
+
+export default Replay;
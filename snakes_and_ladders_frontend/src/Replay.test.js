@@ -0,0 +1,45 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import Replay from './Replay';
+import { createGame, applyRoll } from './game/engine';
+import { parseBoard } from './game/boardDefinition';
+import { createGameLog, recordMove } from './game/gameLog';
+
+const board = parseBoard({ id: 'tiny', size: 3, snakes: [{ head: 8, tail: 2 }], ladders: [{ base: 3, top: 6 }] });
+const players = [
+  { id: 1, name: 'Ann', color: '#f00', isUser: true },
+  { id: 2, name: 'Bot', color: '#0f0', isUser: false },
+];
+
+function recordedGame(diceList) {
+  let state = createGame({ board, players });
+  let log = createGameLog({ board, players });
+  for (const dice of diceList) {
+    const result = applyRoll(state, dice);
+    state = result.state;
+    log = recordMove(log, { dice, events: result.events, state });
+  }
+  return log;
+}
+
+test('steps and scrubs through the recorded moves', () => {
+  render(<Replay log={recordedGame([2, 1, 3])} onClose={() => {}} />);
+  expect(screen.getByTestId('replay-step')).toHaveTextContent('Move 0 / 3');
+  fireEvent.click(screen.getByRole('button', { name: 'Next move' }));
+  expect(screen.getByTestId('replay-move')).toHaveTextContent('Ann rolled 2: 1 → 3, ladder to 6');
+  fireEvent.change(screen.getByLabelText('Replay position'), { target: { value: '3' } });
+  expect(screen.getByTestId('replay-move')).toHaveTextContent('Ann rolled 3: 6 → 9, wins!');
+  expect(screen.getByRole('heading')).toHaveTextContent('Ann won');
+});
+
+test('play animates every move to the end', async () => {
+  jest.useFakeTimers();
+  render(<Replay log={recordedGame([2, 1, 3])} onClose={() => {}} />);
+  fireEvent.click(screen.getByRole('button', { name: '▶ Play' }));
+  // Each step schedules the next one after React re-renders
+  for (let i = 0; i < 40; i++) {
+    await act(async () => { jest.advanceTimersByTime(250); });
+  }
+  expect(screen.getByTestId('replay-step')).toHaveTextContent('Move 3 / 3');
+  expect(screen.getByRole('button', { name: '▶ Play' })).toBeInTheDocument();
+  jest.useRealTimers();
+});
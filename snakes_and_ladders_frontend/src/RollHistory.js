@@ -0,0 +1,80 @@
+import React from "react";
+import { verifyRolls } from "./game/dice";
+import { logRolls } from "./game/gameLog";
+import { Message, useI18n } from "./i18nContext";
+
+// How many of the latest rolls to list
+const SHOWN_ROLLS = 30;
+
+/**
+ * PUBLIC_INTERFACE
+ * RollHistory: the game's dice seed (or, in commit-reveal mode, the hash of
+ * it until the game ends), a check of every roll against the revealed seed,
+ * and the latest rolls colored by player.
+ *
+ * Props:
+ *   log: game log (see ./game/gameLog)
+ */
+function RollHistory({ log }) {
+  const t = useI18n();
+  const hidden = log.commitment && (!log.finishedAt || !log.seed);
+  const rolls = logRolls(log);
+  // Anyone can re-check the finished game: the seed must match the commitment and every roll
+  const check = log.finishedAt && log.seed ? verifyRolls({ seed: log.seed, commitment: log.commitment, rolls }) : null;
+
+  let verdict = null;
+  if (check) {
+    if (check.ok) {
+      verdict = t(log.commitment ? "rolls.verifiedCommitment" : "rolls.verified", { count: rolls.length });
+    } else if (!check.commitmentOk) {
+      verdict = t("rolls.badCommitment");
+    } else {
+      verdict = t("rolls.mismatch", { roll: check.mismatch + 1 });
+    }
+  }
+
+  return (
+    <div data-testid="roll-history" style={{ fontSize: 14, margin: "6px auto", maxWidth: 560 }}>
+      {hidden ? (
+        <div title={log.commitment}>
+          <Message id="rolls.commitment" values={{ hash: <code>{log.commitment.slice(0, 16)}…</code> }} />
+        </div>
+      ) : log.seed ? (
+        <div>
+          <Message id="rolls.seed" values={{ seed: <code data-testid="dice-seed">{log.seed}</code> }} />
+        </div>
+      ) : null}
+      {verdict && (
+        <div data-testid="dice-verdict" style={{ fontWeight: 700, color: check.ok ? "#31c951" : "#d42c27" }}>{verdict}</div>
+      )}
+      {rolls.length > 0 && (
+        <ol
+          aria-label={t("rolls.history")}
+          start={Math.max(1, log.moves.length - SHOWN_ROLLS + 1)}
+          style={{ listStyle: "none", display: "flex", flexWrap: "wrap", gap: 3, justifyContent: "center", padding: 0, margin: "4px 0" }}
+        >
+          {log.moves.slice(-SHOWN_ROLLS).map((m, i) => (
+            <li
+              key={i}
+              title={t("rolls.rolled", { name: log.players[m.playerIndex]?.name, dice: m.dice })}
+              style={{
+                width: 20,
+                height: 20,
+                lineHeight: "20px",
+                borderRadius: 5,
+                background: log.players[m.playerIndex]?.color || "#444",
+                color: "#fff",
+                fontWeight: 700,
+                fontSize: 13,
+              }}
+            >
+              {m.dice}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default RollHistory;
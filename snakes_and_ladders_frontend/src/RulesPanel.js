@@ -0,0 +1,130 @@
+import React from "react";
+import { useI18n } from "./i18nContext";
+
+const fieldStyle = {
+  fontSize: 15,
+  padding: "4px 8px",
+  borderRadius: 6,
+  border: "1px solid #bbb",
+};
+
+const rowStyle = { display: "flex", alignItems: "center", gap: 8, margin: "6px 0", flexWrap: "wrap" };
+
+/**
+ * PUBLIC_INTERFACE
+ * RulesPanel: picks the house rules for the next game (see ./game/rules).
+ * The chosen rules are stored with the game, so changing them here only
+ * affects games started afterwards.
+ *
+ * Props:
+ *   rules: current rules object
+ *   onChange(rules): called with the updated rules
+ */
+function RulesPanel({ rules, onChange }) {
+  const t = useI18n();
+  const update = (patch) => onChange({ ...rules, ...patch });
+
+  return (
+    <section aria-label={t("rules.label")} style={panelStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>{t("rules.label")}</h3>
+      <div style={rowStyle}>
+        <label>
+          {t("rules.finish")}{" "}
+          <select aria-label={t("rules.finishRule")} value={rules.finish} onChange={(e) => update({ finish: e.target.value })} style={fieldStyle}>
+            <option value="exact">{t("rules.finish.exact")}</option>
+            <option value="bounce">{t("rules.finish.bounce")}</option>
+          </select>
+        </label>
+        <label>
+          {t("rules.dice")}{" "}
+          <select aria-label={t("rules.diceCount")} value={rules.diceCount} onChange={(e) => update({ diceCount: Number(e.target.value) })} style={fieldStyle}>
+            <option value={1}>{t("rules.dice.option", { count: 1 })}</option>
+            <option value={2}>{t("rules.dice.option", { count: 2 })}</option>
+          </select>
+        </label>
+      </div>
+      <div style={rowStyle}>
+        <label>
+          <input
+            type="checkbox"
+            checked={rules.extraTurnOnSix}
+            // The three-sixes penalty only exists on top of extra turns
+            onChange={(e) => update({ extraTurnOnSix: e.target.checked, ...(e.target.checked ? {} : { threeSixes: "off" }) })}
+            style={{ marginInlineEnd: 6 }}
+          />
+          {t("rules.extraTurn")}
+        </label>
+        <label>
+          {t("rules.threeSixes")}{" "}
+          <select
+            aria-label={t("rules.threeSixesPenalty")}
+            value={rules.threeSixes}
+            disabled={!rules.extraTurnOnSix}
+            onChange={(e) => update({ threeSixes: e.target.value })}
+            style={fieldStyle}
+          >
+            <option value="off">{t("rules.threeSixes.off")}</option>
+            <option value="loseTurn">{t("rules.threeSixes.loseTurn")}</option>
+            <option value="goBack">{t("rules.threeSixes.goBack")}</option>
+          </select>
+        </label>
+      </div>
+      <div style={rowStyle}>
+        <label>
+          <input
+            type="checkbox"
+            checked={rules.enterOnSix}
+            onChange={(e) => update({ enterOnSix: e.target.checked })}
+            style={{ marginInlineEnd: 6 }}
+          />
+          {t("rules.enterOnSix")}
+        </label>
+      </div>
+      <div style={rowStyle}>
+        <label title={t("rules.tokensTitle")}>
+          {t("rules.tokens")}{" "}
+          <select
+            aria-label={t("rules.tokensLabel")}
+            value={rules.tokens}
+            // Chaos cards are played with one token each
+            onChange={(e) => update({ tokens: Number(e.target.value), ...(Number(e.target.value) > 1 ? { chaos: false } : {}) })}
+            style={fieldStyle}
+          >
+            <option value={1}>{t("rules.tokens.classic")}</option>
+            {[2, 3, 4].map((n) => (
+              <option key={n} value={n}>{t("rules.tokens.choose", { count: n })}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div style={rowStyle}>
+        <label title={t("rules.chaosTitle")}>
+          <input
+            type="checkbox"
+            checked={rules.chaos}
+            onChange={(e) => update({ chaos: e.target.checked, ...(e.target.checked ? { tokens: 1 } : {}) })}
+            style={{ marginInlineEnd: 6 }}
+          />
+          {t("rules.chaos")}
+        </label>
+      </div>
+      {rules.diceCount === 2 && (rules.extraTurnOnSix || rules.enterOnSix) && (
+        <div style={{ fontSize: 13, fontStyle: "italic" }}>{t("rules.twoDice")}</div>
+      )}
+    </section>
+  );
+}
+
+const panelStyle = {
+  background: "var(--bg-primary)",
+  borderRadius: 14,
+  boxShadow: "0 6px 24px #2223",
+  padding: "14px 22px",
+  margin: "4px auto 12px",
+  maxWidth: 560,
+  width: "92%",
+  fontSize: 15,
+  textAlign: "start",
+};
+
+export default RulesPanel;
@@ -0,0 +1,215 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { computeStats, lengthHistogram, matchesToCsv } from "./stats/matchStats";
+import { downloadFile } from "./download";
+import { useI18n } from "./i18nContext";
+
+const CURSED_SNAKES_SHOWN = 5;
+
+/**
+ * PUBLIC_INTERFACE
+ * Match history dashboard: win rates, head-to-head records against each AI
+ * persona, charts of game length, the most cursed snakes and the dice, with
+ * CSV/JSON export. Records come from the match store (./stats/matchStore).
+ *
+ * Props:
+ *   store: match store to read (and clear)
+ *   onClose(): leave the view
+ */
+function StatsView({ store, onClose }) {
+  const t = useI18n();
+  const [records, setRecords] = useState(null);
+  const [error, setError] = useState(null); // message key
+
+  useEffect(() => {
+    let active = true;
+    store
+      .list()
+      .then((list) => active && setRecords(list))
+      .catch(() => active && setError("stats.readError"));
+    return () => {
+      active = false;
+    };
+  }, [store]);
+
+  const stats = useMemo(() => (records ? computeStats(records) : null), [records]);
+
+  async function clearHistory() {
+    if (!window.confirm(t("stats.confirmClear"))) return;
+    try {
+      await store.clear();
+      setRecords([]);
+    } catch {
+      setError("stats.clearError");
+    }
+  }
+
+  const percent = (rate) => t("stats.percent", { percent: Math.round(rate * 100) });
+
+  return (
+    <section aria-label={t("stats.label")} style={panelStyle}>
+      <h3 style={{ margin: "0 0 6px 0" }}>{t("stats.title")}</h3>
+      {error && <div style={{ color: "#d42c27", fontWeight: 700 }}>{t(error)}</div>}
+      {!stats && !error && <div>{t("stats.loading")}</div>}
+      {stats && stats.games === 0 && <div>{t("stats.empty")}</div>}
+      {stats && stats.games > 0 && (
+        <>
+          <div data-testid="stats-games" style={{ marginBottom: 8 }}>
+            {t("stats.games", { count: stats.games })}
+            {!store.persistent && t("stats.thisVisit")}
+          </div>
+
+          <h4 style={headingStyle}>{t("stats.winRates")}</h4>
+          <table aria-label={t("stats.winRates")} style={tableStyle}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>{t("stats.player")}</th>
+                <th style={cellStyle}>{t("stats.played")}</th>
+                <th style={cellStyle}>{t("stats.won")}</th>
+                <th style={cellStyle}>{t("stats.winRate")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.players.map((p) => (
+                <tr key={p.name}>
+                  <td style={cellStyle}>{p.name}</td>
+                  <td style={cellStyle}>{p.played}</td>
+                  <td style={cellStyle}>{p.won}</td>
+                  <td style={cellStyle}>{percent(p.winRate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {stats.headToHead.length > 0 && (
+            <>
+              <h4 style={headingStyle}>{t("stats.headToHead")}</h4>
+              <table aria-label={t("stats.headToHead")} style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={cellStyle}>{t("stats.player")}</th>
+                    <th style={cellStyle}>{t("stats.against")}</th>
+                    <th style={cellStyle}>{t("stats.won")}</th>
+                    <th style={cellStyle}>{t("stats.lost")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.headToHead.map((h) => (
+                    <tr key={`${h.player}-${h.persona}`}>
+                      <td style={cellStyle}>{h.player}</td>
+                      <td style={cellStyle}>{h.persona}</td>
+                      <td style={cellStyle}>{h.won}</td>
+                      <td style={cellStyle}>{h.lost}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <h4 style={headingStyle}>{t("stats.length")}</h4>
+          <BarChart label={t("stats.lengthChart")} bars={lengthHistogram(stats.lengths)} />
+
+          {stats.cursedSnakes.length > 0 && (
+            <>
+              <h4 style={headingStyle}>{t("stats.cursedSnakes")}</h4>
+              <BarChart
+                label={t("stats.cursedSnakes")}
+                bars={stats.cursedSnakes.slice(0, CURSED_SNAKES_SHOWN).map((s) => ({
+                  label: `${s.head}→${s.tail}`,
+                  title: s.board,
+                  count: s.count
+                }))}
+              />
+            </>
+          )}
+          {stats.longestSlide && (
+            <div data-testid="stats-longest-slide" style={{ fontSize: 15 }}>
+              {t("stats.longestSlide", {
+                name: stats.longestSlide.player,
+                head: stats.longestSlide.head,
+                tail: stats.longestSlide.tail,
+                board: stats.longestSlide.board,
+                count: stats.longestSlide.length,
+              })}
+            </div>
+          )}
+
+          <h4 style={headingStyle}>{t("stats.dice")}</h4>
+          <BarChart label={t("stats.rolls")} bars={stats.rollCounts.map((count, i) => ({ label: String(i + 1), count }))} />
+        </>
+      )}
+      <div style={{ display: "flex", gap: 8, justifyContent: "center", marginTop: 10, flexWrap: "wrap" }}>
+        <button
+          style={buttonStyle}
+          disabled={!records?.length}
+          onClick={() => downloadFile("snakes-and-ladders-matches.csv", matchesToCsv(records), "text/csv")}
+        >{t("stats.exportCsv")}</button>
+        <button
+          style={buttonStyle}
+          disabled={!records?.length}
+          onClick={() => downloadFile("snakes-and-ladders-matches.json", JSON.stringify(records, null, 2))}
+        >{t("stats.exportJson")}</button>
+        <button style={buttonStyle} disabled={!records?.length} onClick={clearHistory}>{t("stats.clear")}</button>
+        <button style={buttonStyle} onClick={onClose}>{t("stats.close")}</button>
+      </div>
+    </section>
+  );
+}
+
+// Horizontal bars, one per { label, count, title? }; right to left they grow
+// leftwards from labels on the right
+function BarChart({ label, bars }) {
+  const t = useI18n();
+  const max = Math.max(1, ...bars.map((b) => b.count));
+  const rowHeight = 20;
+  const rtl = t.dir === "rtl";
+  const x = (offset) => (rtl ? 300 - offset : offset);
+  const width = (b) => (200 * b.count) / max;
+  return (
+    <svg
+      role="img"
+      aria-label={`${label}: ${bars.map((b) => `${b.label} ${b.count}`).join(", ")}`}
+      width="100%"
+      height={bars.length * rowHeight}
+      viewBox={`0 0 300 ${bars.length * rowHeight}`}
+      direction="ltr"
+      style={{ maxWidth: 420, display: "block", margin: "0 auto" }}
+    >
+      {bars.map((b, i) => (
+        <g key={b.label} transform={`translate(0 ${i * rowHeight})`}>
+          {b.title && <title>{b.title}</title>}
+          <text x={x(66)} y={14} textAnchor={rtl ? "start" : "end"} fontSize={12} fill="currentColor">{b.label}</text>
+          <rect x={rtl ? x(72) - width(b) : 72} y={3} height={rowHeight - 6} width={width(b)} fill="#fd7d25" rx={3} />
+          <text x={x(76 + width(b))} y={14} textAnchor={rtl ? "end" : "start"} fontSize={12} fill="currentColor">{b.count}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+const panelStyle = {
+  background: "var(--bg-primary)",
+  borderRadius: 14,
+  boxShadow: "0 6px 24px #2223",
+  padding: "14px 22px",
+  margin: "4px auto 12px",
+  maxWidth: 600,
+  width: "92%",
+  fontSize: 16,
+};
+
+const headingStyle = { margin: "12px 0 4px 0" };
+
+const tableStyle = { borderCollapse: "collapse", margin: "0 auto", fontSize: 15 };
+
+const cellStyle = { padding: "2px 10px", borderBottom: "1px solid #bbb6" };
+
+const buttonStyle = {
+  fontSize: 15,
+  padding: "5px 12px",
+  borderRadius: 6,
+  border: "1px solid #bbb",
+  cursor: "pointer",
+};
+
+export default StatsView;
@@ -0,0 +1,66 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import StatsView from './StatsView';
+import { createMatchStore } from './stats/matchStore';
+import { I18nContext } from './i18nContext';
+import { createTranslator } from './i18n';
+
+const record = {
+  id: 'game-1',
+  startedAt: '2030-01-01T00:00:00.000Z',
+  finishedAt: '2030-01-01T00:05:00.000Z',
+  board: { id: 'classic', name: 'Classic' },
+  rules: {},
+  players: [
+    { name: 'Ann', isUser: true, persona: null, finalPosition: 100, turns: 20, snakes: 2, ladders: 1 },
+    { name: 'Bot', isUser: false, persona: { id: 'classic', name: 'Champion' }, finalPosition: 80, turns: 19, snakes: 1, ladders: 3 },
+  ],
+  winner: 0,
+  turns: 39,
+  longestSlide: { player: 'Bot', head: 98, tail: 13, length: 85 },
+  snakeHits: [{ head: 98, tail: 13, count: 1 }, { head: 16, tail: 6, count: 2 }],
+  rollCounts: [6, 7, 6, 7, 6, 7],
+};
+
+test('shows win rates, head-to-head records and charts from the store', async () => {
+  const store = createMatchStore({ idb: null });
+  await store.save(record);
+  render(<StatsView store={store} onClose={() => {}} />);
+  expect(await screen.findByTestId('stats-games')).toHaveTextContent('1 game played');
+  expect(screen.getByRole('table', { name: 'Win rates' })).toHaveTextContent('Ann11100%Bot100%');
+  expect(screen.getByRole('table', { name: 'Head to head' })).toHaveTextContent('AnnChampion10');
+  expect(screen.getByRole('img', { name: /Most cursed snakes: 16→6 2, 98→13 1/ })).toBeInTheDocument();
+  expect(screen.getByRole('img', { name: 'Game length: 31–40 1' })).toBeInTheDocument();
+  expect(screen.getByTestId('stats-longest-slide')).toHaveTextContent('Bot, 98→13 on Classic (85 cells)');
+  expect(screen.getByRole('button', { name: 'Export CSV' })).toBeEnabled();
+});
+
+test('says so when no games are recorded', async () => {
+  const onClose = jest.fn();
+  render(<StatsView store={createMatchStore({ idb: null })} onClose={onClose} />);
+  expect(await screen.findByText(/No finished games yet/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Export JSON' })).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: 'Close stats' }));
+  expect(onClose).toHaveBeenCalled();
+});
+
+test('speaks the player\'s language, with Arabic plurals and bars growing right to left', async () => {
+  const store = createMatchStore({ idb: null });
+  await store.save(record);
+  await store.save({ ...record, id: 'game-2' });
+  const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+  render(
+    <I18nContext.Provider value={createTranslator('ar')}>
+      <StatsView store={store} onClose={() => {}} />
+    </I18nContext.Provider>
+  );
+  expect(await screen.findByTestId('stats-games')).toHaveTextContent('لُعبت مباراتان');
+  expect(screen.getByRole('table', { name: 'نسب الفوز' })).toHaveTextContent('Ann22100٪');
+  expect(screen.getByTestId('stats-longest-slide')).toHaveTextContent('Bot، 98→13 على Classic (85 خانة)');
+  const [label, bar] = screen.getByRole('img', { name: /^توزيع الرميات/ }).querySelector('g').children;
+  expect(label).toHaveAttribute('text-anchor', 'start');
+  expect(Number(bar.getAttribute('x'))).toBeLessThan(Number(label.getAttribute('x')));
+
+  fireEvent.click(screen.getByRole('button', { name: 'امسح السجل' }));
+  expect(confirm).toHaveBeenCalledWith('أتريد حذف كل المباريات المحفوظة؟');
+  confirm.mockRestore();
+});
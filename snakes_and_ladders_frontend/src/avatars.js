@@ -0,0 +1,20 @@
+/**
+ * Built-in token avatars. Each is an emoji drawn into a tiny SVG data URL so
+ * it can be used anywhere PlayerToken expects an image URL.
+ */
+function emojiAvatar(emoji, bg) {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 40">` +
+    `<circle cx="20" cy="20" r="20" fill="${bg}"/>` +
+    `<text x="20" y="27" font-size="22" text-anchor="middle">${emoji}</text></svg>`;
+  return `data:image/svg+xml;utf8,${encodeURIComponent(svg)}`;
+}
+
+export const AVATARS = [
+  { id: "fox", label: "🦊 Fox", url: emojiAvatar("🦊", "#ffe0c2") },
+  { id: "frog", label: "🐸 Frog", url: emojiAvatar("🐸", "#d6f5d6") },
+  { id: "robot", label: "🤖 Robot", url: emojiAvatar("🤖", "#dde6f5") },
+  { id: "cat", label: "🐱 Cat", url: emojiAvatar("🐱", "#fff1c2") },
+  { id: "octopus", label: "🐙 Octopus", url: emojiAvatar("🐙", "#f5d6ea") },
+  { id: "unicorn", label: "🦄 Unicorn", url: emojiAvatar("🦄", "#ece0ff") }
+];
@@ -0,0 +1,145 @@
+import { ChatError, codeForStatus, parseRetryAfter } from "./errors.js";
+import { timeoutSignal, withRetry } from "./retry.js";
+import { readEventStream } from "./sse.js";
+
+/**
+ * Browser side of the chat proxy (server/chatProxy.mjs).
+ *
+ * The client only says what happened; prompts, the API key, rate limits and
+ * the token budget all live on the game server. In development the CRA dev
+ * server forwards /api to it (see "proxy" in package.json). Replies can
+ * stream in token by token as server-sent events.
+ */
+
+const SESSION_KEY = "sl-chat-session";
+
+function newSessionId() {
+  if (typeof window !== "undefined" && window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return Array.from({ length: 3 }, () => Math.random().toString(36).slice(2, 10)).join("-");
+}
+
+// One id per browser tab, kept across reloads so limits can't be reset by refreshing
+function defaultSessionId() {
+  try {
+    let id = window.sessionStorage.getItem(SESSION_KEY);
+    if (!id) {
+      id = newSessionId();
+      window.sessionStorage.setItem(SESSION_KEY, id);
+    }
+    return id;
+  } catch {
+    return newSessionId();
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a chat client that talks to the proxy.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - API root, defaults to REACT_APP_CHAT_PROXY_URL or "/api"
+ * @param {string} [options.sessionId] - defaults to a per-tab id
+ * @param {Function} [options.fetchImpl] - fetch implementation, defaults to the global one
+ * @param {number} [options.retries=2] - retries when the proxy is unreachable or briefly rate limited
+ * @param {number} [options.retryDelayMs=500] - first backoff delay, doubled for each retry
+ * @param {number} [options.timeoutMs=30000] - per attempt, including a streamed reply
+ * @returns {{ send: (request: object, options?: object) => Promise<{ prompt: string, reply: string }> }}
+ */
+export function createChatClient({
+  baseUrl = process.env.REACT_APP_CHAT_PROXY_URL || "/api",
+  sessionId = defaultSessionId(),
+  fetchImpl = (...args) => fetch(...args),
+  retries = 2,
+  retryDelayMs = 500,
+  timeoutMs = 30000
+} = {}) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat`;
+
+  return {
+    /**
+     * Asks for a reply. Failures are ChatErrors (./errors.js) with a code
+     * saying what went wrong.
+     * @param {object} request - { kind: "taunt", event, history, persona } or { kind: "chat", message, history, persona, game }
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - cancels the request ("aborted")
+     * @param {(token: string) => void} [options.onToken] - streams the reply; called with each piece
+     */
+    async send(request, { signal, onToken } = {}) {
+      const stream = Boolean(onToken);
+      // Once tokens have been shown, a retry would repeat them
+      let streamed = false;
+
+      const attempt = async () => {
+        const timer = timeoutSignal(signal, timeoutMs);
+        const failure = (err) => {
+          if (err instanceof ChatError) return err;
+          if (timer.timedOut()) return new ChatError("timeout", "The AI took too long to answer.");
+          if (signal?.aborted) return new ChatError("aborted", "Cancelled.");
+          return new ChatError("network", UNREACHABLE);
+        };
+        try {
+          const result = await fetchImpl(url, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "X-Chat-Session": sessionId,
+              ...(stream ? { Accept: "text/event-stream" } : {})
+            },
+            body: JSON.stringify(stream ? { ...request, stream: true } : request),
+            signal: timer.signal
+          });
+          const contentType = result.headers?.get?.("content-type") || "";
+          if (!stream || !result.ok || !contentType.includes("text/event-stream")) return await readJson(result);
+
+          let done = null;
+          let failed = null;
+          await readEventStream(result.body, ({ event, data }) => {
+            const payload = JSON.parse(data);
+            if (event === "token") {
+              streamed = true;
+              onToken(payload.token);
+            } else if (event === "done") {
+              done = payload;
+            } else if (event === "error") {
+              failed = new ChatError(payload.code || "server", payload.error || "Chat proxy error");
+            }
+          });
+          if (failed) throw failed;
+          if (!done) throw new ChatError("network", "The chat stream broke off.");
+          return done;
+        } catch (err) {
+          throw failure(err);
+        } finally {
+          timer.clear();
+        }
+      };
+
+      return withRetry(attempt, {
+        retries,
+        baseDelayMs: retryDelayMs,
+        signal,
+        // The server already retried the provider; only a missing proxy or a short rate limit is worth another go
+        shouldRetry: (err) => !streamed && (err.code === "network" || err.code === "rate-limit")
+      });
+    }
+  };
+}
+
+const UNREACHABLE = 'Chat server unreachable. Is "npm run server" running?';
+
+// Plain JSON reply, or the proxy's { error, code }
+async function readJson(result) {
+  let data = null;
+  try {
+    data = await result.json();
+  } catch {
+    // Not JSON (e.g. the dev server's own error page)
+  }
+  if (result.ok && data) return data;
+  const retryAfterMs = parseRetryAfter(result.headers?.get?.("retry-after"));
+  // No code means the proxy never answered; a gateway (like the dev server) did
+  if (!data?.code && result.status >= 500) throw new ChatError("network", UNREACHABLE, { status: result.status });
+  throw new ChatError(data?.code || codeForStatus(result.status), data?.error || `Chat proxy error (${result.status})`, {
+    status: result.status,
+    retryAfterMs
+  });
+}
@@ -0,0 +1,53 @@
+/**
+ * Chat errors carry a code saying what went wrong, so the chat can show a
+ * specific message and the retry logic knows what is worth another try:
+ *   "missing-key"  no API key configured on the game server
+ *   "auth"         the provider rejected the key
+ *   "rate-limit"   429 from the provider or the chat proxy
+ *   "budget"       the session's token budget is spent
+ *   "server"       5xx from the provider or the proxy
+ *   "network"      could not connect
+ *   "timeout"      no complete answer in time
+ *   "aborted"      cancelled by the app (chat reset, unmount)
+ *   "bad-request"  the request itself was rejected
+ *   "blocked"      the chat filter stopped the message (./moderation.js)
+ */
+
+export class ChatError extends Error {
+  /**
+   * @param {string} code - one of the codes above
+   * @param {string} message - what went wrong, in English; the chat shows
+   *   the player a translated message for the code instead
+   * @param {{ status?: number|null, retryAfterMs?: number|null }} [details]
+   */
+  constructor(code, message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "ChatError";
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Error code for an HTTP status from the provider or the proxy.
+ */
+export function codeForStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rate-limit";
+  if (status >= 500) return "server";
+  return "bad-request";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Milliseconds from a Retry-After header (seconds or an HTTP date), or null.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
@@ -0,0 +1,76 @@
+/**
+ * Ordered queue between game events and the chat.
+ *
+ * Events are handled one at a time, in order. While one is being handled,
+ * a newer event replaces the ordinary ones still waiting (there is no point
+ * taunting a move that has already been overtaken), but priority events such
+ * as a win always stay. Events that waited longer than maxAgeMs are dropped,
+ * and a handler that takes longer than timeoutMs is aborted so the queue
+ * moves on.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Creates an event queue.
+ * @param {object} options
+ * @param {(event: object, signal: AbortSignal) => Promise<void>} options.handle
+ * @param {(event: object) => boolean} [options.isPriority] - never coalesced away
+ * @param {number} [options.timeoutMs=8000]
+ * @param {number} [options.maxAgeMs=15000]
+ * @param {() => number} [options.now=Date.now]
+ * @returns {{ push: Function, clear: Function, close: Function, size: number }}
+ */
+export function createEventQueue({ handle, isPriority = () => false, timeoutMs = 8000, maxAgeMs = 15000, now = Date.now }) {
+  let pending = [];
+  let running = null; // AbortController of the event being handled
+  let closed = false;
+
+  async function next() {
+    const item = pending.shift();
+    if (!item) return;
+    if (now() - item.at > maxAgeMs) {
+      next();
+      return;
+    }
+    const controller = new AbortController();
+    running = controller;
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        resolve();
+      }, timeoutMs);
+    });
+    try {
+      await Promise.race([handle(item.event, controller.signal), timeout]);
+    } catch {
+      // The handler reports its own errors; the queue just moves on
+    } finally {
+      clearTimeout(timer);
+    }
+    if (running === controller) running = null;
+    if (!closed && !running) next();
+  }
+
+  const queue = {
+    push(event) {
+      if (closed) return;
+      pending = [...pending.filter((item) => isPriority(item.event)), { event, at: now() }];
+      if (!running) next();
+    },
+    // Drops waiting events and aborts the one being handled
+    clear() {
+      pending = [];
+      running?.abort();
+      running = null;
+    },
+    close() {
+      closed = true;
+      queue.clear();
+    },
+    get size() {
+      return pending.length + (running ? 1 : 0);
+    }
+  };
+  return queue;
+}
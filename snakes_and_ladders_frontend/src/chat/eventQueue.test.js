@@ -0,0 +1,79 @@
+import { createEventQueue } from "./eventQueue";
+
+// Handler whose calls the test finishes by hand
+function manualHandler() {
+  const calls = [];
+  const handle = jest.fn(
+    (event, signal) =>
+      new Promise((resolve) => {
+        calls.push({ event, signal, resolve });
+        signal.addEventListener("abort", resolve);
+      })
+  );
+  return { calls, handle };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test("events are handled one at a time, in order", async () => {
+  const { calls, handle } = manualHandler();
+  const queue = createEventQueue({ handle });
+  queue.push({ n: 1 });
+  queue.push({ n: 2 });
+  expect(calls.map((c) => c.event.n)).toEqual([1]);
+  calls[0].resolve();
+  await flush();
+  expect(calls.map((c) => c.event.n)).toEqual([1, 2]);
+  expect(queue.size).toBe(1);
+});
+
+test("newer events replace waiting ones, but priority events stay", async () => {
+  const { calls, handle } = manualHandler();
+  const queue = createEventQueue({ handle, isPriority: (e) => e.win });
+  queue.push({ n: 1 });
+  queue.push({ n: 2 });
+  queue.push({ n: 3, win: true });
+  queue.push({ n: 4 });
+  queue.push({ n: 5 });
+  calls[0].resolve();
+  await flush();
+  calls[1].resolve();
+  await flush();
+  expect(calls.map((c) => c.event.n)).toEqual([1, 3, 5]);
+});
+
+test("stale events are dropped and slow handlers time out", async () => {
+  jest.useFakeTimers();
+  try {
+    let clock = 0;
+    const { calls, handle } = manualHandler();
+    const queue = createEventQueue({ handle, timeoutMs: 1000, maxAgeMs: 5000, now: () => clock });
+    queue.push({ n: 1, win: true });
+    queue.push({ n: 2 });
+    clock += 6000;
+    jest.advanceTimersByTime(1000); // the first handler takes too long
+    expect(calls[0].signal.aborted).toBe(true);
+    await Promise.resolve();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(calls).toHaveLength(1); // event 2 waited too long
+    queue.push({ n: 3 });
+    expect(calls.map((c) => c.event.n)).toEqual([1, 3]);
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test("clear aborts the current event and drops the rest; close stops the queue", async () => {
+  const { calls, handle } = manualHandler();
+  const queue = createEventQueue({ handle });
+  queue.push({ n: 1 });
+  queue.push({ n: 2 });
+  queue.clear();
+  expect(calls[0].signal.aborted).toBe(true);
+  await flush();
+  expect(calls).toHaveLength(1);
+  queue.close();
+  queue.push({ n: 3 });
+  expect(calls).toHaveLength(1);
+});
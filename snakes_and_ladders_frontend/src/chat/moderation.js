@@ -0,0 +1,204 @@
+import { timeoutSignal } from "./retry.js";
+
+/**
+ * Chat moderation: keeps typed messages and AI replies family-friendly.
+ *
+ * Each room (or, for local games, this browser) picks a level:
+ *   kidSafe  – blocks mild insults and swearing too, plus email addresses,
+ *              phone numbers and links, so children don't share where they live
+ *   standard – blocks strong profanity, slurs and threats (the default)
+ *   off      – lets everything through
+ *
+ * checkText() is the local filter: word lists matched as whole words after
+ * undoing the usual disguises (f.u.c.k, sh1t, fuuuck). It runs in the browser
+ * before a message is sent and again on the game server, where
+ * createModerator() can also ask an OpenAI-compatible /moderations endpoint.
+ * The lists cover English and Spanish; the endpoint catches the rest.
+ */
+
+export const MODERATION_LEVELS = [{ id: "kidSafe" }, { id: "standard" }, { id: "off" }];
+export const DEFAULT_MODERATION = "standard";
+export const MODERATION_KEY = "snakes-and-ladders:chat-filter";
+
+// "*" at either end lets a word run on ("fuck*" also catches "fucking");
+// without it the match must be a whole word, so "hell" leaves "shell" alone
+const WORDS = {
+  standard: {
+    profanity: [
+      "*fuck*", "shit*", "bullshit*", "cunt*", "bitch*", "asshole*", "dickhead*", "bastard*", "wank*", "twat*",
+      "piss off", "mierda*", "puta*", "puto*", "joder", "cabron*", "gilipollas", "pendejo*"
+    ],
+    slur: ["retard*", "fag", "fags", "faggot*", "nigger*", "nigga*", "spic", "spics", "kike*", "tranny", "trannies"],
+    threat: [
+      "kill yourself", "kill urself", "kill your self", "kys", "go die", "hope you die", "i will kill you",
+      "ill kill you", "im going to kill you", "matate", "muerete"
+    ]
+  },
+  kidSafe: {
+    insult: [
+      "stupid*", "idiot*", "dumb*", "moron*", "loser*", "jerk*", "shut up", "sucks", "suck", "ass", "dick",
+      "tonto*", "idiota*", "estupido*", "callate", "perdedor*"
+    ],
+    swearing: ["damn*", "dammit", "hell", "crap*", "piss*", "bloody", "freaking", "frick*"]
+  }
+};
+
+// Personal details, matched on the text as typed
+const PERSONAL_INFO = [
+  /[^\s@]+@[^\s@]+\.[a-z]{2,}/i,
+  /https?:\/\/|www\.|\b[a-z0-9-]+\.(?:com|net|org|io|gg|me|co|tv|app)\b/i,
+  /(?:\+?\d[\s().-]*){7,}/
+];
+
+// sh1t and $hit read as shit; digits away from letters stay numbers
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s" };
+
+function normalize(text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/(?<=\p{L})[013457@$]+|[013457@$]+(?=\p{L})/gu, (run) => [...run].map((c) => LEET[c]).join(""))
+    .replace(/['’]/g, "")
+    // f.u.c.k and f-u-c-k: separators between single letters
+    .replace(/(\p{L})[._*~-]+(?=\p{L})/gu, "$1");
+}
+
+// Each letter may repeat (fuuuck), words are separated by any run of non-letters
+function wordPattern(entry) {
+  const body = entry
+    .replace(/^\*|\*$/g, "")
+    .split(" ")
+    .map((word) => [...word].map((c) => `${c}+`).join(""))
+    .join("[^\\p{L}]+");
+  const start = entry.startsWith("*") ? "" : "(?<![\\p{L}\\p{N}])";
+  const end = entry.endsWith("*") ? "" : "(?![\\p{L}\\p{N}])";
+  return `${start}${body}${end}`;
+}
+
+const compile = (lists) =>
+  Object.entries(lists).map(([category, entries]) => ({
+    category,
+    pattern: new RegExp(entries.map(wordPattern).join("|"), "u")
+  }));
+
+const FILTERS = {
+  standard: compile(WORDS.standard),
+  kidSafe: [...compile(WORDS.standard), ...compile(WORDS.kidSafe)]
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Whether id is a moderation level.
+ */
+export function isModerationLevel(id) {
+  return MODERATION_LEVELS.some((l) => l.id === id);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Runs the local filter.
+ * @param {string} text
+ * @param {"kidSafe"|"standard"|"off"} [level=DEFAULT_MODERATION]
+ * @returns {{ flagged: boolean, categories: string[] }} categories such as
+ *   "profanity", "slur", "threat", "insult", "swearing" or "personal"
+ */
+export function checkText(text, level = DEFAULT_MODERATION) {
+  const filters = FILTERS[level];
+  if (!filters || !text) return { flagged: false, categories: [] };
+  const plain = normalize(text);
+  const categories = filters.filter(({ pattern }) => pattern.test(plain)).map(({ category }) => category);
+  if (level === "kidSafe" && PERSONAL_INFO.some((pattern) => pattern.test(text))) categories.push("personal");
+  return { flagged: categories.length > 0, categories };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Local filter plus, when a URL is configured, an OpenAI-compatible
+ * /moderations endpoint for text the local lists let through. The endpoint
+ * is only asked when the level is not "off"; if it fails or is slow, the
+ * local verdict stands, so chat never waits on it for long.
+ * @param {object} [options]
+ * @param {string} [options.url] - full endpoint URL, e.g. https://api.openai.com/v1/moderations
+ * @param {string} [options.apiKey] - sent as a Bearer token
+ * @param {string} [options.model] - optional moderation model name
+ * @param {Function} [options.fetchImpl] - fetch implementation, defaults to the global one
+ * @param {number} [options.timeoutMs=3000]
+ * @returns {{ endpoint: string|null, check: (text, level, options?) => Promise<{ flagged, categories }> }}
+ */
+export function createModerator({ url, apiKey, model, fetchImpl = (...args) => fetch(...args), timeoutMs = 3000 } = {}) {
+  async function ask(text, signal) {
+    const timer = timeoutSignal(signal, timeoutMs);
+    try {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const result = await fetchImpl(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ input: text, ...(model ? { model } : {}) }),
+        signal: timer.signal
+      });
+      if (!result.ok) return null;
+      const verdict = (await result.json()).results?.[0];
+      if (!verdict) return null;
+      const categories = Object.keys(verdict.categories || {}).filter((c) => verdict.categories[c]);
+      return { flagged: Boolean(verdict.flagged), categories };
+    } catch {
+      return null;
+    } finally {
+      timer.clear();
+    }
+  }
+
+  return {
+    endpoint: url || null,
+    async check(text, level = DEFAULT_MODERATION, { signal } = {}) {
+      const local = checkText(text, level);
+      if (local.flagged || !url || !FILTERS[level]) return local;
+      return (await ask(text, signal)) || local;
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads the moderation endpoint from the server's environment: MODERATION_URL,
+ * MODERATION_API_KEY (falling back to OPENAI_API_KEY) and MODERATION_MODEL.
+ * Without a URL only the local filter runs.
+ */
+export function moderationConfigFromEnv(env = process.env) {
+  return {
+    url: env.MODERATION_URL || undefined,
+    apiKey: env.MODERATION_API_KEY || env.OPENAI_API_KEY || undefined,
+    model: env.MODERATION_MODEL || undefined
+  };
+}
+
+function defaultStorage() {
+  return typeof localStorage !== "undefined" ? localStorage : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The chat filter level picked for local games on an earlier visit, or the default.
+ */
+export function loadModeration(storage = defaultStorage()) {
+  try {
+    const saved = storage?.getItem(MODERATION_KEY);
+    return isModerationLevel(saved) ? saved : DEFAULT_MODERATION;
+  } catch {
+    return DEFAULT_MODERATION;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Remembers the chat filter level for local games; best effort.
+ */
+export function saveModeration(level, storage = defaultStorage()) {
+  try {
+    storage?.setItem(MODERATION_KEY, level);
+  } catch {
+    // The choice only lasts for this visit
+  }
+}
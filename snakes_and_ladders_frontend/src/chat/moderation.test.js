@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import {
+  checkText,
+  createModerator,
+  loadModeration,
+  saveModeration,
+  moderationConfigFromEnv,
+  MODERATION_KEY
+} from "./moderation";
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v))
+  };
+}
+
+function fakeFetch(verdict, ok = true) {
+  return jest.fn(async () => ({ ok, status: ok ? 200 : 500, json: async () => ({ results: [verdict] }) }));
+}
+
+test("the standard filter blocks profanity, slurs and threats, however they are spelled", () => {
+  expect(checkText("what the fuuuck")).toEqual({ flagged: true, categories: ["profanity"] });
+  expect(checkText("sh1t happens").flagged).toBe(true);
+  expect(checkText("f.u.c.k this board").flagged).toBe(true);
+  expect(checkText("qué mierda de dado").flagged).toBe(true);
+  expect(checkText("I'll kill you").categories).toEqual(["threat"]);
+  expect(checkText("you are stupid").flagged).toBe(false);
+});
+
+test("whole words only, so ordinary words and numbers get through", () => {
+  for (const text of ["Scunthorpe is a town", "assess the class", "nice shell", "a cocktail", "I rolled a 5 from 24 to 56"]) {
+    expect(checkText(text, "kidSafe")).toEqual({ flagged: false, categories: [] });
+  }
+});
+
+test("kid-safe also blocks insults, mild swearing and personal details", () => {
+  expect(checkText("you are stupid", "kidSafe").categories).toEqual(["insult"]);
+  expect(checkText("go to hell", "kidSafe").categories).toEqual(["swearing"]);
+  expect(checkText("Eres un idiota", "kidSafe").flagged).toBe(true);
+  expect(checkText("mail me at ann@example.com", "kidSafe").categories).toEqual(["personal"]);
+  expect(checkText("call 555-123-4567", "kidSafe").categories).toEqual(["personal"]);
+  expect(checkText("see www.example.com", "kidSafe").flagged).toBe(true);
+  expect(checkText("mail me at ann@example.com").flagged).toBe(false);
+});
+
+test("with the filter off everything goes", () => {
+  expect(checkText("what the fuck", "off")).toEqual({ flagged: false, categories: [] });
+});
+
+test("the endpoint is asked only about text the local lists let through", async () => {
+  const fetchImpl = fakeFetch({ flagged: true, categories: { harassment: true, violence: false } });
+  const moderator = createModerator({ url: "https://mod.example/v1/moderations", apiKey: "k", fetchImpl });
+  expect(await moderator.check("you smell", "standard")).toEqual({ flagged: true, categories: ["harassment"] });
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe("https://mod.example/v1/moderations");
+  expect(init.headers.Authorization).toBe("Bearer k");
+  expect(JSON.parse(init.body)).toEqual({ input: "you smell" });
+
+  expect((await moderator.check("shit", "standard")).categories).toEqual(["profanity"]);
+  expect(await moderator.check("you smell", "off")).toEqual({ flagged: false, categories: [] });
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test("when the endpoint fails, the local verdict stands", async () => {
+  const down = createModerator({ url: "https://mod.example", fetchImpl: jest.fn(async () => Promise.reject(new TypeError("fetch failed"))) });
+  expect(await down.check("good game")).toEqual({ flagged: false, categories: [] });
+  const broken = createModerator({ url: "https://mod.example", fetchImpl: fakeFetch(null, false) });
+  expect(await broken.check("good game")).toEqual({ flagged: false, categories: [] });
+  expect(createModerator().endpoint).toBe(null);
+});
+
+test("the endpoint comes from the server's environment", () => {
+  expect(moderationConfigFromEnv({ MODERATION_URL: "https://mod.example", OPENAI_API_KEY: "sk" })).toEqual({
+    url: "https://mod.example",
+    apiKey: "sk",
+    model: undefined
+  });
+  expect(moderationConfigFromEnv({ OPENAI_API_KEY: "sk", MODERATION_API_KEY: "mk" }).apiKey).toBe("mk");
+});
+
+test("the level for local games is remembered", () => {
+  const storage = memoryStorage();
+  expect(loadModeration(storage)).toBe("standard");
+  saveModeration("kidSafe", storage);
+  expect(loadModeration(storage)).toBe("kidSafe");
+  storage.setItem(MODERATION_KEY, "strict");
+  expect(loadModeration(storage)).toBe("standard");
+  const blocked = { getItem: () => { throw new Error("denied"); }, setItem: () => { throw new Error("denied"); } };
+  expect(loadModeration(blocked)).toBe("standard");
+  expect(() => saveModeration("off", blocked)).not.toThrow();
+});
@@ -0,0 +1,316 @@
+/**
+ * AI opponent personalities.
+ *
+ * Each AI seat picks a persona in the lobby. The browser names the persona
+ * with every chat request (see personaRequest), and the chat proxy turns it
+ * into the system prompt and generation settings:
+ *   {
+ *     id: "smug-robot",
+ *     name: "Smug Robot",
+ *     avatar: "🤖",                  // shown next to its chat lines
+ *     systemPrompt: "You are …",   // used from the server's copy only, so optional in the lobby
+ *     tauntFrequency: 0.6,           // share of ordinary moves it comments on (wins and losses always)
+ *     temperature: 0.7,
+ *     maxTokens: 40,                 // capped by the proxy's maxReplyTokens
+ *     templates: {                   // per-event instructions added after the move description
+ *       snake, ladder, bounce, win, lose, move,
+ *       card, draw                   // chaos mode: a card played, a card drawn
+ *     }
+ *   }
+ * Templates may use {player} (the mover's name, or "you" for the persona's
+ * own moves), {dice}, {from} and {to}, and for cards {card} (its name) and
+ * {target} (who it was played on). Missing templates fall back to
+ * DEFAULT_TEMPLATES.
+ */
+
+export const PERSONA_EVENTS = ["snake", "ladder", "bounce", "win", "lose", "move", "card", "draw"];
+
+export const DEFAULT_TEMPLATES = {
+  snake: "React to the snake in one short line.",
+  ladder: "React to the ladder in one short line.",
+  bounce: "React to the overshoot in one short line.",
+  win: "You won. Celebrate in one short line.",
+  lose: "{player} beat you. React in one short line.",
+  move: "Comment in one short line.",
+  card: "{player} played the {card} card. React in one short line.",
+  draw: "{player} drew the {card} card. React in one short line."
+};
+
+export const PERSONAS = [
+  {
+    id: "classic",
+    name: "Champion",
+    avatar: "😈",
+    systemPrompt:
+      "You are a playful, cheeky Snakes and Ladders champion. Respond in very short, witty, and taunting lines. Never offer helpful advice—always gloat and make fun (but family-friendly).",
+    tauntFrequency: 1,
+    temperature: 0.95,
+    maxTokens: 38,
+    templates: {
+      snake: "If {player} is you, blame the dice; otherwise laugh at the fall.",
+      ladder: "If {player} is you, brag about your brilliance; otherwise call it dumb luck.",
+      bounce: "Mock the overshoot.",
+      win: "You won. Gloat like the champion you are.",
+      lose: "{player} beat you. Demand a rematch, sore but funny.",
+      move: "Undermine any progress {player} made, or brag about your own.",
+      card: "{player} played {card}. If it was you, call it genius; otherwise call it cheating.",
+      draw: "{player} drew {card}. Warn everyone what you would do with it."
+    }
+  },
+  {
+    id: "gracious-grandma",
+    name: "Gracious Grandma",
+    avatar: "👵",
+    systemPrompt:
+      "You are a warm, gracious grandma playing Snakes and Ladders with a grandchild. Speak in one short, kind line. Tease very gently, praise good luck, comfort bad luck and mention cookies now and then.",
+    tauntFrequency: 0.5,
+    temperature: 0.8,
+    maxTokens: 40,
+    templates: {
+      snake: "{player} slid down a snake. Comfort them kindly, or laugh at yourself if it was you.",
+      ladder: "{player} climbed a ladder. Be proud of them, or delighted if it was you.",
+      bounce: "{player} overshot the end. Say something encouraging about patience.",
+      win: "You won. Be a modest winner and offer a rematch with milk and cookies.",
+      lose: "{player} won. Congratulate them warmly, like a proud grandma.",
+      move: "Make a gentle, cosy remark about the game.",
+      card: "{player} played {card}. Call it a clever trick, like a proud grandma.",
+      draw: "{player} drew {card}. Wonder kindly what they will do with it."
+    }
+  },
+  {
+    id: "smug-robot",
+    name: "Smug Robot",
+    avatar: "🤖",
+    systemPrompt:
+      "You are a smug robot that has calculated every outcome of Snakes and Ladders. Speak in one short, dry line full of probabilities, efficiency ratings and condescension toward humans. Stay family-friendly.",
+    tauntFrequency: 0.7,
+    temperature: 0.6,
+    maxTokens: 45,
+    templates: {
+      snake: "{player} hit a snake. If it was you, call it a calculated sacrifice; otherwise quote a made-up probability.",
+      ladder: "{player} hit a ladder. If it was you, call it optimal; otherwise call it a statistical anomaly.",
+      bounce: "{player} overshot. Comment on the poor precision of the dice or of humans.",
+      win: "You won. Announce the victory like a system log message.",
+      lose: "{player} beat you. Report it as a malfunction and demand a recount.",
+      move: "Rate the move's efficiency as a percentage.",
+      card: "{player} played {card}. Rate the play's expected value, dismissively if it was not you.",
+      draw: "{player} drew {card}. Estimate its strategic value to two decimal places."
+    }
+  }
+];
+
+export const DEFAULT_PERSONA_ID = PERSONAS[0].id;
+
+const PERSONA_ID = /^[a-z0-9-]{1,32}$/;
+const MAX_NAME_LENGTH = 32;
+const MAX_AVATAR_LENGTH = 16;
+const MAX_PROMPT_LENGTH = 1000;
+const MAX_TEMPLATE_LENGTH = 300;
+
+const isNumberIn = (value, min, max) => typeof value === "number" && value >= min && value <= max;
+
+// PUBLIC_INTERFACE
+/**
+ * Checks a persona definition; optional fields may be left out.
+ * @param {object} persona
+ * @param {object} [options]
+ * @param {boolean} [options.guest=false] - loaded in the browser: the prompt
+ *   is optional there, since only the server's copy of a persona (or its
+ *   fixed guest prompt) is ever used
+ * @returns {string[]} human-readable problems, empty when the persona is valid
+ */
+export function validatePersona(persona, { guest = false } = {}) {
+  if (!persona || typeof persona !== "object" || Array.isArray(persona)) return ["Persona must be an object."];
+  const errors = [];
+  const { id, name, avatar, systemPrompt, tauntFrequency, temperature, maxTokens, templates } = persona;
+  if (typeof id !== "string" || !PERSONA_ID.test(id)) errors.push("id must be 1-32 lowercase letters, digits or dashes.");
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be 1-${MAX_NAME_LENGTH} characters.`);
+  }
+  if (avatar !== undefined && (typeof avatar !== "string" || avatar.length > MAX_AVATAR_LENGTH)) {
+    errors.push("avatar must be a short text, such as an emoji.");
+  }
+  if (
+    !(guest && systemPrompt === undefined) &&
+    (typeof systemPrompt !== "string" || !systemPrompt.trim() || systemPrompt.length > MAX_PROMPT_LENGTH)
+  ) {
+    errors.push(`systemPrompt must be 1-${MAX_PROMPT_LENGTH} characters.`);
+  }
+  if (tauntFrequency !== undefined && !isNumberIn(tauntFrequency, 0, 1)) errors.push("tauntFrequency must be between 0 and 1.");
+  if (temperature !== undefined && !isNumberIn(temperature, 0, 2)) errors.push("temperature must be between 0 and 2.");
+  if (maxTokens !== undefined && !(Number.isInteger(maxTokens) && isNumberIn(maxTokens, 8, 200))) {
+    errors.push("maxTokens must be a whole number from 8 to 200.");
+  }
+  if (templates !== undefined) {
+    if (!templates || typeof templates !== "object" || Array.isArray(templates)) {
+      errors.push("templates must be an object.");
+    } else {
+      for (const [event, text] of Object.entries(templates)) {
+        if (!PERSONA_EVENTS.includes(event)) {
+          errors.push(`templates.${event} is not an event; use ${PERSONA_EVENTS.join(", ")}.`);
+        } else if (typeof text !== "string" || text.length > MAX_TEMPLATE_LENGTH) {
+          errors.push(`templates.${event} must be text of at most ${MAX_TEMPLATE_LENGTH} characters.`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Validates a persona and fills in the optional fields.
+ * @param {object} persona
+ * @param {object} [options] - as for validatePersona
+ * @throws {Error} "Invalid persona: …" listing every problem
+ */
+export function normalizePersona(persona, { guest = false } = {}) {
+  const errors = validatePersona(persona, { guest });
+  if (errors.length) throw new Error(`Invalid persona: ${errors.join(" ")}`);
+  const { id, name, avatar = "🎲", systemPrompt, tauntFrequency = 1, temperature = 0.95, maxTokens = 38, templates = {} } =
+    persona;
+  return {
+    id,
+    name: name.trim(),
+    avatar,
+    ...(systemPrompt === undefined ? {} : { systemPrompt: systemPrompt.trim() }),
+    tauntFrequency,
+    temperature,
+    maxTokens,
+    templates: { ...templates }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses a personas JSON file: an array of personas, or { personas: [...] }.
+ * @param {string} text
+ * @param {object} [options] - as for validatePersona; the lobby loads files as guest
+ * @returns {object[]} normalized personas
+ * @throws {Error} "Invalid personas file: …"
+ */
+export function parsePersonas(text, { guest = false } = {}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Invalid personas file: not JSON.");
+  }
+  const list = Array.isArray(data) ? data : data?.personas;
+  if (!Array.isArray(list) || !list.length) throw new Error("Invalid personas file: expected a list of personas.");
+  const errors = list.flatMap((p, i) => validatePersona(p, { guest }).map((e) => `Persona ${i + 1}: ${e}`));
+  if (new Set(list.map((p) => p?.id)).size !== list.length) errors.push("Persona ids must be unique.");
+  if (errors.length) throw new Error(`Invalid personas file: ${errors.join(" ")}`);
+  return list.map((p) => normalizePersona(p, { guest }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Built-in personas followed by loaded ones; a loaded persona replaces a
+ * built-in one with the same id.
+ */
+export function mergePersonas(custom = [], builtIn = PERSONAS) {
+  const ids = new Set(custom.map((p) => p.id));
+  return [...builtIn.filter((p) => !ids.has(p.id)), ...custom];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Looks a persona up by id, falling back to the default one.
+ */
+export function getPersona(id, personas = PERSONAS) {
+  return personas.find((p) => p.id === id) || personas.find((p) => p.id === DEFAULT_PERSONA_ID) || PERSONAS[0];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Which template a move calls for, seen from the persona that comments on it.
+ * @param {{ isWin?: boolean, isSnake?: boolean, isLadder?: boolean, isBounce?: boolean, isSelf?: boolean,
+ *   card?: { action: "played"|"drawn" } }} event
+ *   isSelf: the persona made the move itself; card: a chaos card event
+ * @returns {"win"|"lose"|"snake"|"ladder"|"bounce"|"move"|"card"|"draw"}
+ */
+export function personaEvent({ isWin, isSnake, isLadder, isBounce, isSelf, card }) {
+  if (card) return card.action === "drawn" ? "draw" : "card";
+  if (isWin) return isSelf ? "win" : "lose";
+  if (isSnake) return "snake";
+  if (isLadder) return "ladder";
+  if (isBounce) return "bounce";
+  return "move";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether the persona comments on this event; wins and losses always get a line.
+ * @param {() => number} [random=Math.random]
+ */
+export function shouldTaunt(persona, event, random = Math.random) {
+  if (event === "win" || event === "lose") return true;
+  return random() < (persona.tauntFrequency ?? 1);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The persona's instruction for an event with its placeholders filled in.
+ * @param {object} persona
+ * @param {string} event - one of PERSONA_EVENTS
+ * @param {{ player: string, dice: number, from: number, to: number, card?: string, target?: string }} values
+ */
+export function fillTemplate(persona, event, values) {
+  const template = persona.templates?.[event] || DEFAULT_TEMPLATES[event] || DEFAULT_TEMPLATES.move;
+  return template.replace(/\{(player|dice|from|to|card|target)\}/g, (_, key) => String(values[key] ?? ""));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * How the browser names a persona in chat requests: a built-in one by id; one
+ * loaded from JSON by its id, name, avatar and numbers only. Its prompt and
+ * templates stay in the browser, because the server never takes a prompt from
+ * a client: it uses its own copy of a persona it knows by id (CHAT_PERSONAS)
+ * and a fixed prompt with the persona's name otherwise.
+ */
+export function personaRequest(persona) {
+  if (PERSONAS.includes(persona)) return persona.id;
+  const { id, name, avatar, temperature, maxTokens } = persona;
+  return { id, name, avatar, temperature, maxTokens };
+}
+
+// localStorage key for personas loaded from JSON in the lobby
+export const CUSTOM_PERSONAS_KEY = "snakes-and-ladders:personas";
+
+function defaultStorage() {
+  return typeof localStorage !== "undefined" ? localStorage : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Keeps loaded personas for the next visit.
+ */
+export function saveCustomPersonas(personas, storage = defaultStorage()) {
+  try {
+    storage?.setItem(CUSTOM_PERSONAS_KEY, JSON.stringify(personas));
+  } catch {
+    // Storage full or blocked; they last for this visit only
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Personas loaded on an earlier visit, or an empty list.
+ */
+export function loadCustomPersonas(storage = defaultStorage()) {
+  let text;
+  try {
+    text = storage?.getItem(CUSTOM_PERSONAS_KEY);
+  } catch {
+    // Storage blocked: the built-in personas only
+    return [];
+  }
+  if (!text) return [];
+  try {
+    return parsePersonas(text, { guest: true });
+  } catch {
+    storage.removeItem(CUSTOM_PERSONAS_KEY);
+    return [];
+  }
+}
@@ -0,0 +1,91 @@
+import {
+  PERSONAS,
+  DEFAULT_PERSONA_ID,
+  fillTemplate,
+  getPersona,
+  loadCustomPersonas,
+  mergePersonas,
+  parsePersonas,
+  personaEvent,
+  personaRequest,
+  saveCustomPersonas,
+  shouldTaunt,
+  validatePersona
+} from "./personas";
+
+const pirate = { id: "pirate", name: "Pirate", avatar: "🏴‍☠️", systemPrompt: "You are a pirate." };
+
+test("built-in personas are valid and include the grandma and the robot", () => {
+  PERSONAS.forEach((p) => expect(validatePersona(p)).toEqual([]));
+  expect(PERSONAS.map((p) => p.id)).toEqual(expect.arrayContaining(["gracious-grandma", "smug-robot"]));
+  expect(getPersona("missing").id).toBe(DEFAULT_PERSONA_ID);
+});
+
+test("personas load from JSON with defaults, and bad files are rejected", () => {
+  const [loaded] = parsePersonas(JSON.stringify({ personas: [pirate] }));
+  expect(loaded).toMatchObject({ id: "pirate", tauntFrequency: 1, temperature: 0.95, maxTokens: 38, templates: {} });
+  expect(() => parsePersonas("{")).toThrow(/not JSON/);
+  expect(() => parsePersonas("[]")).toThrow(/list of personas/);
+  expect(() => parsePersonas(JSON.stringify([pirate, pirate]))).toThrow(/unique/);
+  expect(() => parsePersonas(JSON.stringify([{ ...pirate, temperature: 3, templates: { jump: "hi" } }]))).toThrow(
+    /Persona 1: temperature .*Persona 1: templates.jump is not an event/
+  );
+});
+
+test("personas loaded in the browser may leave out the prompt the server writes anyway", () => {
+  const guest = { id: "pirate", name: "Pirate", tauntFrequency: 0.5 };
+  expect(() => parsePersonas(JSON.stringify([guest]))).toThrow(/systemPrompt must be/);
+  const [loaded] = parsePersonas(JSON.stringify([guest]), { guest: true });
+  expect(loaded).toEqual({ id: "pirate", name: "Pirate", avatar: "🎲", tauntFrequency: 0.5, temperature: 0.95, maxTokens: 38, templates: {} });
+  expect(validatePersona({ ...guest, systemPrompt: "" }, { guest: true })).toEqual(["systemPrompt must be 1-1000 characters."]);
+  expect(personaRequest(loaded)).toEqual({ id: "pirate", name: "Pirate", avatar: "🎲", temperature: 0.95, maxTokens: 38 });
+});
+
+test("loaded personas replace built-ins with the same id and persist", () => {
+  const grandma = { ...pirate, id: "gracious-grandma", name: "Grumpy Grandma" };
+  const merged = mergePersonas([grandma]);
+  expect(merged).toHaveLength(PERSONAS.length);
+  expect(getPersona("gracious-grandma", merged).name).toBe("Grumpy Grandma");
+
+  saveCustomPersonas(parsePersonas(JSON.stringify([pirate])), localStorage);
+  expect(loadCustomPersonas(localStorage).map((p) => p.id)).toEqual(["pirate"]);
+  localStorage.setItem("snakes-and-ladders:personas", "garbage");
+  expect(loadCustomPersonas(localStorage)).toEqual([]);
+  expect(loadCustomPersonas({ getItem: () => { throw new Error("SecurityError"); } })).toEqual([]);
+});
+
+test("requests name built-in personas by id and send no prompt for loaded ones", () => {
+  expect(personaRequest(PERSONAS[1])).toBe("gracious-grandma");
+  const [loaded] = parsePersonas(JSON.stringify([{ ...pirate, templates: { win: "Arr!" } }]));
+  expect(personaRequest(loaded)).toEqual({ id: "pirate", name: "Pirate", avatar: "🏴‍☠️", temperature: 0.95, maxTokens: 38 });
+});
+
+test("events are seen from the commenting persona", () => {
+  expect(personaEvent({ isWin: true, isSelf: true })).toBe("win");
+  expect(personaEvent({ isWin: true, isSelf: false })).toBe("lose");
+  expect(personaEvent({ isSnake: true })).toBe("snake");
+  expect(personaEvent({ isLadder: true })).toBe("ladder");
+  expect(personaEvent({ isBounce: true })).toBe("bounce");
+  expect(personaEvent({})).toBe("move");
+});
+
+test("templates fill their placeholders and fall back to the defaults", () => {
+  const persona = { ...pirate, templates: { snake: "{player} fell from {from} to {to} on a {dice}." } };
+  expect(fillTemplate(persona, "snake", { player: "you", dice: 3, from: 24, to: 5 })).toBe("you fell from 24 to 5 on a 3.");
+  expect(fillTemplate(persona, "lose", { player: "Ann" })).toBe("Ann beat you. React in one short line.");
+});
+
+test("taunt frequency thins out ordinary comments but never wins or losses", () => {
+  const quiet = { ...pirate, tauntFrequency: 0.25 };
+  expect(shouldTaunt(quiet, "snake", () => 0.1)).toBe(true);
+  expect(shouldTaunt(quiet, "snake", () => 0.5)).toBe(false);
+  expect(shouldTaunt({ ...quiet, tauntFrequency: 0 }, "win", () => 0.5)).toBe(true);
+  expect(shouldTaunt({ ...quiet, tauntFrequency: 0 }, "lose", () => 0.5)).toBe(true);
+});
+
+test("card plays and draws have events and placeholders of their own", () => {
+  expect(personaEvent({ card: { id: "swap", action: "played" } })).toBe("card");
+  expect(personaEvent({ card: { id: "shield", action: "drawn" } })).toBe("draw");
+  const persona = { ...pirate, templates: { card: "{player} played {card} on {target}." } };
+  expect(fillTemplate(persona, "card", { player: "Ann", card: "Freeze", target: "you" })).toBe("Ann played Freeze on you.");
+});
@@ -0,0 +1,349 @@
+import { ChatError, codeForStatus, parseRetryAfter } from "./errors.js";
+import { timeoutSignal, withRetry } from "./retry.js";
+import { readEventStream } from "./sse.js";
+
+/**
+ * Chat/LLM providers.
+ *
+ * Every provider exposes the same shape:
+ *   { id, complete({ messages, maxTokens, temperature, locale, signal, onToken }) → Promise<string> }
+ * where messages are OpenAI-style { role, content } objects (system first).
+ * locale is the player's language (../i18n); models get it as an instruction
+ * in the system message, the canned provider picks its lines by it.
+ * With onToken the reply is streamed and onToken gets each piece as it
+ * arrives; the promise still resolves with the whole reply. Failures are
+ * ChatErrors (./errors.js) saying what went wrong.
+ *
+ *   openai – any OpenAI-compatible /chat/completions endpoint (base URL, model, key)
+ *   ollama – a local Ollama server through its OpenAI-compatible API, no key
+ *   canned – offline, deterministic taunts; used when no key is configured
+ *
+ * Providers run on the game server behind the chat proxy (server/chatProxy.mjs),
+ * so API keys never reach the browser bundle.
+ */
+
+const DEFAULTS = {
+  openai: { baseUrl: "https://api.openai.com/v1", model: "gpt-3.5-turbo" },
+  ollama: { baseUrl: "http://localhost:11434/v1", model: "llama3" }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Provider for OpenAI-compatible chat completion endpoints.
+ * @param {object} options
+ * @param {string} [options.baseUrl] - API root, without the trailing /chat/completions
+ * @param {string} [options.model]
+ * @param {string} [options.apiKey] - sent as a Bearer token
+ * @param {boolean} [options.requireKey=true] - fail fast when no key is set
+ * @param {string} [options.id="openai"]
+ * @param {Function} [options.fetchImpl] - fetch implementation, defaults to the global one
+ * @param {number} [options.retries=2] - retries after a 429, a 5xx or a network failure
+ * @param {number} [options.retryDelayMs=500] - first backoff delay, doubled for each retry
+ * @param {number} [options.timeoutMs=20000] - per attempt, including the streamed reply
+ */
+export function createOpenAICompatibleProvider({
+  baseUrl = DEFAULTS.openai.baseUrl,
+  model = DEFAULTS.openai.model,
+  apiKey,
+  requireKey = true,
+  id = "openai",
+  fetchImpl = (...args) => fetch(...args),
+  retries = 2,
+  retryDelayMs = 500,
+  timeoutMs = 20000
+} = {}) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  const httpError = (status, retryAfter) => {
+    const code = codeForStatus(status);
+    const message = {
+      auth: `${id} rejected the API key (${status}).`,
+      "rate-limit": `${id} is rate limiting requests (${status}). Try again in a moment.`,
+      server: `${id} server error (${status}).`,
+      "bad-request": `${id} rejected the request (${status}).`
+    }[code];
+    return new ChatError(code, message, { status, retryAfterMs: parseRetryAfter(retryAfter) });
+  };
+
+  return {
+    id,
+    model,
+    async complete({ messages, maxTokens = 38, temperature = 0.95, signal, onToken }) {
+      if (requireKey && !apiKey) {
+        throw new ChatError("missing-key", "OPENAI_API_KEY missing! Set it in the game server's environment.");
+      }
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const stream = Boolean(onToken);
+      const body = JSON.stringify({ model, messages, max_tokens: maxTokens, temperature, ...(stream ? { stream: true } : {}) });
+      // Once tokens have gone out, a retry would repeat them
+      let streamed = false;
+
+      const attempt = async () => {
+        const timer = timeoutSignal(signal, timeoutMs);
+        const failure = (err) => {
+          if (err instanceof ChatError) return err;
+          if (timer.timedOut()) return new ChatError("timeout", `${id} did not answer within ${timeoutMs / 1000} s.`);
+          if (signal?.aborted) return new ChatError("aborted", "Cancelled.");
+          return new ChatError("network", `Could not reach ${id} at ${baseUrl}.`);
+        };
+        try {
+          const result = await fetchImpl(url, { method: "POST", headers, body, signal: timer.signal });
+          if (!result.ok) throw httpError(result.status, result.headers?.get?.("retry-after"));
+          if (!stream) {
+            const data = await result.json();
+            return data.choices?.[0]?.message?.content || "…";
+          }
+          let text = "";
+          await readEventStream(result.body, ({ data }) => {
+            if (data === "[DONE]") return;
+            let token;
+            try {
+              token = JSON.parse(data).choices?.[0]?.delta?.content;
+            } catch {
+              return; // not a completion chunk
+            }
+            if (!token) return;
+            streamed = true;
+            text += token;
+            onToken(token);
+          });
+          return text || "…";
+        } catch (err) {
+          throw failure(err);
+        } finally {
+          timer.clear();
+        }
+      };
+
+      return withRetry(attempt, {
+        retries,
+        baseDelayMs: retryDelayMs,
+        signal,
+        shouldRetry: (err) => !streamed && ["rate-limit", "server", "network"].includes(err.code)
+      });
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Provider for a local Ollama server (OpenAI-compatible API, no key needed).
+ */
+export function createOllamaProvider({ baseUrl = DEFAULTS.ollama.baseUrl, model = DEFAULTS.ollama.model, ...options } = {}) {
+  return createOpenAICompatibleProvider({ ...options, baseUrl, model, requireKey: false, id: "ollama" });
+}
+
+export const CANNED_TAUNTS = {
+  snake: [
+    "Sssso long, progress! That snake sends its regards.",
+    "Down you go! Gravity and snakes both love you.",
+    "That snake was waiting just for you. How thoughtful."
+  ],
+  ladder: [
+    "A ladder? Enjoy the view while it lasts.",
+    "Lucky climb. Luck runs out, skill doesn't.",
+    "Up you go! Don't worry, there's a snake with your name on it."
+  ],
+  stuck: [
+    "Too much roll, too little board. Classic.",
+    "Overshot it! Precision is clearly not your thing.",
+    "Stuck in place. Very on brand."
+  ],
+  win: [
+    "Game over! Bow to the champion.",
+    "And that's how it's done. Rematch? I insist.",
+    "Victory tastes like dice and glory."
+  ],
+  card: [
+    "A card? You'll need the whole deck to catch up.",
+    "Play all the cards you like. The dice still love me more.",
+    "Cute trick. Now watch a real one."
+  ],
+  move: [
+    "Cute move. I've seen snails with more ambition.",
+    "Is that the best those dice can do?",
+    "Keep rolling, I'll keep winning."
+  ],
+  chat: [
+    "Talk is cheap. Rolls are cheaper.",
+    "Bold words for someone that far behind.",
+    "I'd answer, but I'm busy being better at this game."
+  ]
+};
+
+// Canned lines in the other languages the game ships (../i18n), same categories
+export const TRANSLATED_TAUNTS = {
+  es: {
+    snake: [
+      "¡Adiós, progreso! Esa serpiente te manda saludos.",
+      "¡Para abajo! La gravedad y las serpientes te adoran.",
+      "Esa serpiente te estaba esperando. Qué detalle."
+    ],
+    ladder: [
+      "¿Una escalera? Disfruta de las vistas mientras duren.",
+      "Qué subida con suerte. La suerte se acaba, el talento no.",
+      "¡Arriba! Tranquilo, hay una serpiente con tu nombre."
+    ],
+    stuck: [
+      "Demasiada tirada para tan poco tablero. Un clásico.",
+      "¡Te pasaste! La precisión no es lo tuyo.",
+      "Sin moverte del sitio. Muy propio de ti."
+    ],
+    win: [
+      "¡Se acabó! Inclínate ante el campeón.",
+      "Y así se hace. ¿Revancha? Insisto.",
+      "La victoria sabe a dados y a gloria."
+    ],
+    card: [
+      "¿Una carta? Vas a necesitar la baraja entera para alcanzarme.",
+      "Juega todas las cartas que quieras. Los dados me quieren más a mí.",
+      "Bonito truco. Ahora mira uno de verdad."
+    ],
+    move: [
+      "Bonita jugada. He visto caracoles con más ambición.",
+      "¿Eso es lo mejor que saben hacer esos dados?",
+      "Tú sigue tirando, que yo sigo ganando."
+    ],
+    chat: [
+      "Hablar es barato. Tirar, más todavía.",
+      "Palabras valientes para alguien que va tan atrás.",
+      "Te respondería, pero estoy ocupado jugando mejor que tú."
+    ]
+  },
+  ar: {
+    snake: [
+      "وداعًا للتقدم! هذا الثعبان يبلغك تحياته.",
+      "إلى الأسفل! الجاذبية والثعابين تحبك.",
+      "ذلك الثعبان كان ينتظرك أنت بالذات. يا له من لطف."
+    ],
+    ladder: [
+      "سلم؟ استمتع بالمنظر ما دام قائمًا.",
+      "صعود محظوظ. الحظ ينفد، أما المهارة فلا.",
+      "إلى الأعلى! لا تقلق، هناك ثعبان يحمل اسمك."
+    ],
+    stuck: [
+      "رمية كبيرة ولوحة صغيرة. كالعادة.",
+      "تجاوزت الهدف! الدقة ليست من نقاط قوتك.",
+      "عالق في مكانك. هذا يشبهك تمامًا."
+    ],
+    win: [
+      "انتهت اللعبة! انحنِ للبطل.",
+      "وهكذا تُلعب. مباراة ثأرية؟ أصر على ذلك.",
+      "للنصر طعم النرد والمجد."
+    ],
+    card: [
+      "بطاقة؟ ستحتاج إلى الرزمة كلها لتلحق بي.",
+      "العب كل البطاقات التي تريدها. النرد يحبني أكثر.",
+      "حيلة لطيفة. والآن شاهد حيلة حقيقية."
+    ],
+    move: [
+      "حركة لطيفة. رأيت حلزونات أكثر طموحًا منك.",
+      "هل هذا أفضل ما يستطيعه ذلك النرد؟",
+      "واصل الرمي، وسأواصل الفوز."
+    ],
+    chat: [
+      "الكلام رخيص. والرميات أرخص.",
+      "كلمات جريئة من شخص متأخر إلى هذا الحد.",
+      "كنت سأرد، لكنني مشغول بالتفوق عليك في هذه اللعبة."
+    ]
+  }
+};
+
+// Small stable string hash so the same prompt always picks the same line
+function hashString(str) {
+  let h = 0;
+  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) >>> 0;
+  return h;
+}
+
+function tauntCategory(text) {
+  const t = text.toLowerCase();
+  if (/won the game/.test(t)) return "win";
+  if (/(played|drew) the .+ card/.test(t)) return "card";
+  if (/snake/.test(t)) return "snake";
+  if (/ladder/.test(t)) return "ladder";
+  if (/could not move|bounced back/.test(t)) return "stuck";
+  if (/rolled a \d/.test(t)) return "move";
+  return "chat";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Offline provider: answers with a canned taunt chosen from the last user
+ * message. Fully deterministic, so it suits tests and keyless play. Streams
+ * word by word when asked to. Answers in the request's locale when it has
+ * lines for it, in English otherwise.
+ * @param {object} [options]
+ * @param {object} [options.taunts=CANNED_TAUNTS] - lines per category
+ * @param {object} [options.translations] - lines per category for each other
+ *   locale; TRANSLATED_TAUNTS with the built-in lines, none with custom ones
+ */
+export function createCannedProvider({
+  taunts = CANNED_TAUNTS,
+  translations = taunts === CANNED_TAUNTS ? TRANSLATED_TAUNTS : {}
+} = {}) {
+  return {
+    id: "canned",
+    model: "canned",
+    async complete({ messages, locale, onToken }) {
+      const last = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+      // Taunt prompts put the move description on the first line, the persona's
+      // instruction after it; both stay English whatever the player's language
+      const pool = translations[locale] || taunts;
+      const lines = pool[tauntCategory(last.split("\n")[0])] || pool.chat;
+      const line = lines[hashString(last) % lines.length];
+      if (onToken) line.match(/\S+\s*/g).forEach((word) => onToken(word));
+      return line;
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a provider from a config object.
+ * @param {object} config
+ * @param {"openai"|"ollama"|"canned"} [config.provider] - defaults to openai
+ *   when an API key is set, canned otherwise
+ * @param {string} [config.baseUrl]
+ * @param {string} [config.model]
+ * @param {string} [config.apiKey]
+ */
+export function createProvider(config = {}) {
+  const provider = config.provider || (config.apiKey ? "openai" : "canned");
+  switch (provider) {
+    case "openai":
+      return createOpenAICompatibleProvider({
+        baseUrl: config.baseUrl || DEFAULTS.openai.baseUrl,
+        model: config.model || DEFAULTS.openai.model,
+        apiKey: config.apiKey,
+        fetchImpl: config.fetchImpl
+      });
+    case "ollama":
+      return createOllamaProvider({
+        baseUrl: config.baseUrl || DEFAULTS.ollama.baseUrl,
+        model: config.model || DEFAULTS.ollama.model,
+        fetchImpl: config.fetchImpl
+      });
+    case "canned":
+    case "mock":
+      return createCannedProvider();
+    default:
+      throw new Error(`Unknown chat provider "${provider}". Use openai, ollama or canned.`);
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads provider settings from the server's environment: CHAT_PROVIDER,
+ * CHAT_BASE_URL, CHAT_MODEL and OPENAI_API_KEY. These are deliberately not
+ * REACT_APP_* variables, which the build would inline into the bundle.
+ */
+export function providerConfigFromEnv(env = process.env) {
+  return {
+    provider: env.CHAT_PROVIDER || undefined,
+    baseUrl: env.CHAT_BASE_URL || undefined,
+    model: env.CHAT_MODEL || undefined,
+    apiKey: env.OPENAI_API_KEY || undefined
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * @jest-environment node
+ */
+import {
+  createProvider,
+  createCannedProvider,
+  createOpenAICompatibleProvider,
+  providerConfigFromEnv,
+  CANNED_TAUNTS,
+  TRANSLATED_TAUNTS
+} from "./providers";
+
+function fakeFetch(reply = "Nice try.", ok = true, status = 200) {
+  return jest.fn(async () => ({
+    ok,
+    status,
+    headers: new Map(),
+    json: async () => ({ choices: [{ message: { content: reply } }] })
+  }));
+}
+
+// A response body that delivers the given text chunks, like fetch's ReadableStream
+function streamBody(chunks) {
+  const encoder = new TextEncoder();
+  const queue = [...chunks];
+  return {
+    getReader: () => ({
+      read: async () => (queue.length ? { value: encoder.encode(queue.shift()), done: false } : { value: undefined, done: true })
+    })
+  };
+}
+
+const chunk = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+const messages = [
+  { role: "system", content: "Be sassy." },
+  { role: "user", content: "You rolled a 3 (from 24 to 27) and went down a snake!" }
+];
+
+test("openai provider posts to the configured base URL and model", async () => {
+  const fetchImpl = fakeFetch();
+  const provider = createProvider({ apiKey: "sk-test", baseUrl: "https://llm.example/v1/", model: "gpt-x", fetchImpl });
+  expect(provider.id).toBe("openai");
+  await expect(provider.complete({ messages, maxTokens: 20 })).resolves.toBe("Nice try.");
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe("https://llm.example/v1/chat/completions");
+  expect(init.headers.Authorization).toBe("Bearer sk-test");
+  expect(JSON.parse(init.body)).toEqual({ model: "gpt-x", messages, max_tokens: 20, temperature: 0.95 });
+});
+
+test("openai provider fails fast without a key and reports HTTP errors", async () => {
+  const fetchImpl = fakeFetch();
+  await expect(createOpenAICompatibleProvider({ fetchImpl }).complete({ messages })).rejects.toThrow(/API_KEY missing/);
+  expect(fetchImpl).not.toHaveBeenCalled();
+  const failing = createOpenAICompatibleProvider({ apiKey: "k", retries: 0, fetchImpl: fakeFetch("", false, 500) });
+  await expect(failing.complete({ messages })).rejects.toMatchObject({ code: "server", message: "openai server error (500)." });
+  const rejected = createOpenAICompatibleProvider({ apiKey: "k", fetchImpl: fakeFetch("", false, 401) });
+  await expect(rejected.complete({ messages })).rejects.toMatchObject({ code: "auth" });
+  await expect(createOpenAICompatibleProvider({ fetchImpl }).complete({ messages })).rejects.toMatchObject({ code: "missing-key" });
+});
+
+test("openai provider retries rate limits and server errors with backoff", async () => {
+  const responses = [
+    { ok: false, status: 429, headers: new Map([["retry-after", "0"]]) },
+    { ok: false, status: 503, headers: new Map() },
+    { ok: true, status: 200, headers: new Map(), json: async () => ({ choices: [{ message: { content: "Third time lucky." } }] }) }
+  ];
+  const fetchImpl = jest.fn(async () => responses.shift());
+  const provider = createOpenAICompatibleProvider({ apiKey: "k", retryDelayMs: 1, fetchImpl });
+  await expect(provider.complete({ messages })).resolves.toBe("Third time lucky.");
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+
+  const down = jest.fn(async () => {
+    throw new TypeError("fetch failed");
+  });
+  const offline = createOpenAICompatibleProvider({ apiKey: "k", retries: 1, retryDelayMs: 1, fetchImpl: down });
+  await expect(offline.complete({ messages })).rejects.toMatchObject({ code: "network" });
+  expect(down).toHaveBeenCalledTimes(2);
+});
+
+test("openai provider gives up after its timeout", async () => {
+  const fetchImpl = (url, { signal }) =>
+    new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))));
+  const provider = createOpenAICompatibleProvider({ apiKey: "k", timeoutMs: 20, fetchImpl });
+  await expect(provider.complete({ messages })).rejects.toMatchObject({ code: "timeout" });
+});
+
+test("openai provider streams tokens from server-sent events", async () => {
+  const body = streamBody([chunk("Hiss"), chunk("! Down") + "data: {\"choi", "ces\":[{\"delta\":{\"content\":\" you go.\"}}]}\n\n", "data: [DONE]\n\n"]);
+  const fetchImpl = jest.fn(async () => ({ ok: true, status: 200, headers: new Map(), body }));
+  const tokens = [];
+  const provider = createOpenAICompatibleProvider({ apiKey: "k", fetchImpl });
+  await expect(provider.complete({ messages, onToken: (t) => tokens.push(t) })).resolves.toBe("Hiss! Down you go.");
+  expect(tokens).toEqual(["Hiss", "! Down", " you go."]);
+  expect(JSON.parse(fetchImpl.mock.calls[0][1].body).stream).toBe(true);
+});
+
+test("ollama provider talks to the local endpoint without a key", async () => {
+  const fetchImpl = fakeFetch("Hiss.");
+  const provider = createProvider({ provider: "ollama", fetchImpl });
+  await expect(provider.complete({ messages })).resolves.toBe("Hiss.");
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe("http://localhost:11434/v1/chat/completions");
+  expect(init.headers.Authorization).toBeUndefined();
+});
+
+test("canned provider is deterministic and matches the event", async () => {
+  const provider = createCannedProvider();
+  const first = await provider.complete({ messages });
+  expect(CANNED_TAUNTS.snake).toContain(first);
+  expect(await provider.complete({ messages })).toBe(first);
+  const win = await provider.complete({ messages: [{ role: "user", content: "AI won the game!" }] });
+  expect(CANNED_TAUNTS.win).toContain(win);
+  const tokens = [];
+  expect(await provider.complete({ messages, onToken: (t) => tokens.push(t) })).toBe(first);
+  expect(tokens.length).toBeGreaterThan(1);
+  expect(tokens.join("")).toBe(first);
+});
+
+test("canned provider answers in the player's language when it has lines for it", async () => {
+  const provider = createCannedProvider();
+  expect(TRANSLATED_TAUNTS.es.snake).toContain(await provider.complete({ messages, locale: "es" }));
+  expect(TRANSLATED_TAUNTS.ar.snake).toContain(await provider.complete({ messages, locale: "ar" }));
+  expect(CANNED_TAUNTS.snake).toContain(await provider.complete({ messages, locale: "fr" }));
+  // Custom lines are not mixed with the built-in translations
+  const custom = createCannedProvider({ taunts: { chat: ["Hm."] } });
+  expect(await custom.complete({ messages, locale: "es" })).toBe("Hm.");
+});
+
+test("config from env falls back to canned without a key", () => {
+  expect(createProvider(providerConfigFromEnv({})).id).toBe("canned");
+  expect(createProvider(providerConfigFromEnv({ OPENAI_API_KEY: "k" })).id).toBe("openai");
+  expect(providerConfigFromEnv({ REACT_APP_OPENAI_API_KEY: "k" }).apiKey).toBeUndefined();
+  expect(() => createProvider({ provider: "nope" })).toThrow(/Unknown chat provider/);
+});
@@ -0,0 +1,83 @@
+import { ChatError } from "./errors.js";
+
+/**
+ * Retry with exponential backoff, and request timeouts, for chat calls.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Resolves after ms, or rejects with an "aborted" ChatError when the signal fires.
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ChatError("aborted", "Cancelled."));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ChatError("aborted", "Cancelled."));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Runs attempt() until it succeeds, retrying errors that shouldRetry accepts.
+ * The wait doubles each time (baseDelayMs, 2×, 4×…) unless the error asks for
+ * a specific wait (retryAfterMs); a wait longer than maxDelayMs is not worth it
+ * and the error is thrown instead.
+ * @param {(attempt: number) => Promise<*>} attempt
+ * @param {object} [options]
+ * @param {number} [options.retries=2] - extra attempts after the first
+ * @param {number} [options.baseDelayMs=500]
+ * @param {number} [options.maxDelayMs=8000]
+ * @param {(err: Error) => boolean} [options.shouldRetry]
+ * @param {AbortSignal} [options.signal] - stops waiting between attempts
+ * @param {(ms: number, signal?: AbortSignal) => Promise<void>} [options.wait=sleep]
+ */
+export async function withRetry(
+  attempt,
+  { retries = 2, baseDelayMs = 500, maxDelayMs = 8000, shouldRetry = () => true, signal, wait = sleep } = {}
+) {
+  for (let n = 0; ; n++) {
+    try {
+      return await attempt(n);
+    } catch (err) {
+      const delay = err.retryAfterMs ?? baseDelayMs * 2 ** n;
+      if (n >= retries || signal?.aborted || !shouldRetry(err) || delay > maxDelayMs) throw err;
+      await wait(delay, signal);
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * An AbortSignal that fires when the given signal does or after timeoutMs.
+ * @returns {{ signal: AbortSignal, timedOut: () => boolean, clear: () => void }}
+ *   clear() stops the timer and unhooks from the outer signal
+ */
+export function timeoutSignal(outer, timeoutMs) {
+  const controller = new AbortController();
+  let expired = false;
+  const onAbort = () => controller.abort();
+  if (outer?.aborted) controller.abort();
+  outer?.addEventListener("abort", onAbort, { once: true });
+  const timer = setTimeout(() => {
+    expired = true;
+    controller.abort();
+  }, timeoutMs);
+  return {
+    signal: controller.signal,
+    timedOut: () => expired,
+    clear() {
+      clearTimeout(timer);
+      outer?.removeEventListener("abort", onAbort);
+    }
+  };
+}
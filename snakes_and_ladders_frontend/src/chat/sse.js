@@ -0,0 +1,48 @@
+/**
+ * Minimal reader for server-sent events (text/event-stream) from a fetch
+ * response body. Used for the provider's streamed completions on the server
+ * and for the chat proxy's stream in the browser.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Reads events from a ReadableStream of bytes until it ends.
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {(event: { event: string, data: string }) => void} onEvent -
+ *   event defaults to "message"; multi-line data is joined with "\n"
+ */
+export async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  const dispatch = (block) => {
+    let event = "message";
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith(":")) continue; // comment / keep-alive
+      const colon = line.indexOf(":");
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+      if (field === "event") event = value;
+      if (field === "data") data.push(value);
+    }
+    if (data.length) onEvent({ event, data: data.join("\n") });
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+    if (done) break;
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Formats one server-sent event.
+ */
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
@@ -0,0 +1,45 @@
+// PUBLIC_INTERFACE
+/**
+ * Offers text to the user as a file download.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} [type="application/json"]
+ */
+export function downloadFile(filename, text, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads a File chosen in an <input type="file"> as text.
+ * @returns {Promise<string>}
+ */
+export function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}.`));
+    reader.readAsText(file);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads a File chosen in an <input type="file"> as a data: URL, e.g. an image.
+ * @returns {Promise<string>}
+ */
+export function readFileDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}.`));
+    reader.readAsDataURL(file);
+  });
+}
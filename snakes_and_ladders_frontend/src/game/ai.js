@@ -0,0 +1,203 @@
+import { createGame, applyRoll, tokenChoices } from "./engine.js";
+import { diceOutcomes } from "./gameContext.js";
+import { normalizeRules } from "./rules.js";
+import { cardEffect } from "./cards.js";
+
+/**
+ * Computer players for the "choice" variant, where everyone has several
+ * tokens (rules.tokens > 1) and picks which one each roll moves.
+ *
+ * Snakes and ladders has no captures, so a good move never depends on the
+ * other players: every level just tries to bring its own tokens home in as
+ * few rolls as possible.
+ *   random      any token that can move
+ *   greedy      the move that ends furthest along, snakes and ladders included
+ *   expectimax  looks ahead over its next rolls, scoring where the tokens end
+ *               up by the rolls each one still needs on average
+ *   montecarlo  plays every candidate out many times and keeps the one that
+ *               gets all tokens home soonest on average
+ * The roll being decided goes through the engine with every house rule. The
+ * lookahead and playouts only follow the board and the finish rule: the six
+ * rules act on the player, not on the token chosen.
+ *
+ * In chaos mode every level plays its cards the same way (chooseCard), by
+ * rules of thumb rather than search.
+ */
+
+export const AI_LEVELS = [
+  { id: "random", label: "Random" },
+  { id: "greedy", label: "Greedy" },
+  { id: "expectimax", label: "Expectimax" },
+  { id: "montecarlo", label: "Monte Carlo" }
+];
+export const DEFAULT_AI_LEVEL = "greedy";
+
+// Rolls a playout may take before it is scored as hopeless (a token stuck for good)
+const PLAYOUT_LIMIT = 1000;
+
+// Per board and rules: where a token on each cell ends up for each dice outcome,
+// and the rolls it still needs on average from there
+const models = new WeakMap();
+
+function boardModel(board, rules) {
+  const { finish, diceCount } = normalizeRules(rules);
+  const key = `${finish}|${diceCount}`;
+  const cached = models.get(board)?.get(key);
+  if (cached) return cached;
+
+  const outcomes = diceOutcomes(diceCount);
+  const solo = createGame({ board, rules: { finish, diceCount }, players: [{ id: 1, name: "Solo" }] });
+  const dest = [];
+  for (let cell = board.startCell; cell < board.endCell; cell++) {
+    const at = { ...solo, players: [{ ...solo.players[0], position: cell }] };
+    dest[cell] = outcomes.map((rolls) => applyRoll(at, rolls).state.players[0].position);
+  }
+
+  // cost[cell] = 1 + average cost after one roll, solved by repeated sweeps.
+  // A cell no roll can leave (an exact finish out of reach) just keeps growing
+  // until the sweeps run out, which marks it as about as bad as it gets.
+  const cost = new Array(board.endCell + 1).fill(0);
+  for (let sweep = 0; sweep < 1000; sweep++) {
+    let change = 0;
+    for (let cell = board.endCell - 1; cell >= board.startCell; cell--) {
+      const value = 1 + dest[cell].reduce((sum, to) => sum + cost[to], 0) / outcomes.length;
+      change = Math.max(change, Math.abs(value - cost[cell]));
+      cost[cell] = value;
+    }
+    if (change < 1e-6) break;
+  }
+
+  const model = { endCell: board.endCell, outcomes: outcomes.length, dest, cost };
+  if (!models.has(board)) models.set(board, new Map());
+  models.get(board).set(key, model);
+  return model;
+}
+
+// Rolls all the tokens still need on average, taken one token at a time
+function tokensCost(model, tokens) {
+  return tokens.reduce((sum, cell) => sum + model.cost[cell], 0);
+}
+
+// Token indexes worth trying: not home, and one per occupied cell
+function candidates(model, tokens) {
+  const seen = new Set();
+  return tokens.flatMap((cell, i) => {
+    if (cell === model.endCell || seen.has(cell)) return [];
+    seen.add(cell);
+    return [i];
+  });
+}
+
+function moveToken(model, tokens, token, outcome) {
+  const next = [...tokens];
+  next[token] = model.dest[tokens[token]][outcome];
+  return next;
+}
+
+// Expected cost after `depth` more rolls, choosing the best token each time
+function expectimaxValue(model, tokens, depth) {
+  if (depth === 0) return tokensCost(model, tokens);
+  const movable = candidates(model, tokens);
+  if (!movable.length) return 0;
+  let total = 0;
+  for (let o = 0; o < model.outcomes; o++) {
+    let best = Infinity;
+    for (const t of movable) best = Math.min(best, expectimaxValue(model, moveToken(model, tokens, t, o), depth - 1));
+    total += best;
+  }
+  return 1 + total / model.outcomes;
+}
+
+// Rolls until every token is home, moving whichever token leaves the lowest cost.
+// outcomes[k] is the dice outcome of roll k, drawn the first time it is needed.
+function playout(model, tokens, outcomes, random) {
+  let current = tokens;
+  for (let rolls = 0; rolls < PLAYOUT_LIMIT; rolls++) {
+    const movable = candidates(model, current);
+    if (!movable.length) return rolls;
+    if (outcomes.length === rolls) outcomes.push(Math.floor(random() * model.outcomes));
+    const outcome = outcomes[rolls];
+    let best = null;
+    for (const t of movable) {
+      const next = moveToken(model, current, t, outcome);
+      if (!best || tokensCost(model, next) < best.cost) best = { next, cost: tokensCost(model, next) };
+    }
+    current = best.next;
+  }
+  return PLAYOUT_LIMIT;
+}
+
+const sum = (list) => list.reduce((total, v) => total + v, 0);
+
+// Lowest score wins; ties go to the earlier choice
+function pickLowest(choices, score) {
+  let best = null;
+  for (const choice of choices) {
+    const value = score(choice);
+    if (!best || value < best.value) best = { choice, value };
+  }
+  return best.choice.token;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Picks the token an AI seat moves with a roll.
+ * @param {object} state - game state, on the AI's turn
+ * @param {number|number[]} roll - the dice, as for applyRoll
+ * @param {string} [level=DEFAULT_AI_LEVEL] - one of AI_LEVELS; unknown ids play as the default
+ * @param {object} [options]
+ * @param {() => number} [options.random=Math.random] - for "random" and "montecarlo"
+ * @param {number} [options.depth=2] - rolls "expectimax" looks ahead after this one
+ * @param {number} [options.playouts=200] - games "montecarlo" plays out per choice
+ * @returns {number} token index for applyRoll
+ */
+export function chooseToken(state, roll, level = DEFAULT_AI_LEVEL, { random = Math.random, depth = 2, playouts = 200 } = {}) {
+  const choices = tokenChoices(state, roll);
+  if (choices.length === 1) return choices[0].token;
+  const tokensAfter = (choice) => choice.state.players[state.turn].tokens;
+
+  if (level === "random") return choices[Math.floor(random() * choices.length)].token;
+  if (level === "expectimax" || level === "montecarlo") {
+    const model = boardModel(state.board, state.rules);
+    if (level === "expectimax") return pickLowest(choices, (choice) => expectimaxValue(model, tokensAfter(choice), depth));
+    // Every choice is played out against the same dice, so the averages differ
+    // by the choice rather than by luck
+    const dice = Array.from({ length: playouts }, () => []);
+    return pickLowest(choices, (choice) => {
+      let total = 0;
+      for (let i = 0; i < playouts; i++) total += playout(model, tokensAfter(choice), dice[i], random);
+      return total / playouts;
+    });
+  }
+  return pickLowest(choices, (choice) => -sum(tokensAfter(choice)));
+}
+
+// Cells a swap or teleport must gain before it is worth a card
+const CARD_MIN_GAIN = 8;
+
+// PUBLIC_INTERFACE
+/**
+ * Chaos mode: the card an AI seat plays with its roll, or null to keep its
+ * hand. It swaps or teleports for a real gain, freezes a leader who is ahead,
+ * raises a shield with a snake within reach of the dice, and doubles its roll
+ * while the end is still far enough away not to overshoot.
+ * @param {object} state - game state, on the AI's turn
+ * @returns {string|null} card id for applyRoll
+ */
+export function chooseCard(state) {
+  const player = state.players[state.turn];
+  if (!player.cards?.length) return null;
+  const reach = 6 * state.rules.diceCount;
+  const worth = {
+    swap: (e) => e.to - player.position >= CARD_MIN_GAIN,
+    teleport: (e) => e.to - player.position >= CARD_MIN_GAIN,
+    freeze: (e) => state.players[e.target].position > player.position,
+    shield: () => state.board.snakes.some((s) => s.head > player.position && s.head <= player.position + reach),
+    double: () => player.position + 2 * reach < state.board.endCell
+  };
+  for (const card of ["swap", "teleport", "freeze", "shield", "double"]) {
+    const effect = cardEffect(state, card);
+    if (effect && worth[card](effect)) return card;
+  }
+  return null;
+}
@@ -0,0 +1,75 @@
+import { parseBoard } from "./boardDefinition";
+import { createGame } from "./engine";
+import { randomAt } from "./dice";
+import { chooseToken } from "./ai";
+import { playGame } from "./selfPlay";
+import { runTournament } from "./tournament";
+import { gameFromLog } from "./gameLog";
+
+// Snakes on 20, 22 and 24: a token on 14 or above is within a 6 of one
+const board = parseBoard({
+  id: "snaky",
+  name: "Snaky",
+  size: 6,
+  snakes: [
+    { head: 20, tail: 2 },
+    { head: 22, tail: 3 },
+    { head: 24, tail: 4 },
+    { head: 33, tail: 5 }
+  ],
+  ladders: [{ base: 9, top: 17 }]
+});
+
+function tokensAt(tokens) {
+  const game = createGame({ board, rules: { tokens: tokens.length } });
+  return { ...game, players: game.players.map((p, i) => (i === 0 ? { ...p, tokens, position: Math.min(...tokens) } : p)) };
+}
+
+// Seeded stand-in for Math.random
+function seededRandom(seed) {
+  let i = 0;
+  return () => randomAt(seed, i++);
+}
+
+test("every level takes the ladder over the snake", () => {
+  // Roll 1: token 1 climbs 8 → 9 → 17, token 2 slides 19 → 20 → 2
+  const state = tokensAt([8, 19]);
+  for (const level of ["greedy", "expectimax", "montecarlo"]) {
+    expect(chooseToken(state, 1, level, { random: seededRandom(level) })).toBe(0);
+  }
+});
+
+test("looking ahead keeps out of a snake's reach; greedy does not", () => {
+  // Roll 1: token 1 from 13 to 14, where a 6 hits the snake on 20, or token 2
+  // from 2 to 3. Both gain a cell and greedy takes the first token on a tie.
+  const state = tokensAt([13, 2]);
+  expect(chooseToken(state, 1, "greedy")).toBe(0);
+  expect(chooseToken(state, 1, "expectimax")).toBe(1);
+  expect(chooseToken(state, 1, "montecarlo", { random: seededRandom("mc") })).toBe(1);
+});
+
+test("random picks any real choice, and a lone choice needs no pick", () => {
+  const state = tokensAt([13, 2]);
+  expect(chooseToken(state, 1, "random", { random: () => 0 })).toBe(0);
+  expect(chooseToken(state, 1, "random", { random: () => 0.99 })).toBe(1);
+  expect(chooseToken(tokensAt([13, 13]), 1, "random", { random: () => 0.99 })).toBe(0);
+});
+
+test("self-play finishes games whose logs replay", () => {
+  const players = [
+    { id: 1, name: "A", isUser: false, skill: "expectimax" },
+    { id: 2, name: "B", isUser: false, skill: "random" }
+  ];
+  const { state, log } = playGame({ board, players, rules: { tokens: 2 }, seed: "replay", random: seededRandom("r") });
+  expect(state.gameOver).toBe(true);
+  expect(log.moves.every((m) => m.token === 0 || m.token === 1)).toBe(true);
+  expect(gameFromLog(log)).toEqual(state);
+});
+
+test("in self-play, lookahead beats random play", () => {
+  const result = runTournament({ board, strategies: ["expectimax", "random"], rules: { tokens: 2 }, games: 40, seed: "bench" });
+  expect(result.unfinished).toBe(0);
+  const [expectimax, random] = result.strategies;
+  expect(expectimax.wins + random.wins).toBe(40);
+  expect(expectimax.wins).toBeGreaterThan(random.wins);
+});
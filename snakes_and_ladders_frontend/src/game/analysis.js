@@ -0,0 +1,143 @@
+import { createGame, applyRoll } from "./engine.js";
+import { diceOutcomes } from "./gameContext.js";
+import { normalizeRules } from "./rules.js";
+
+/**
+ * Board analysis: a board under a set of house rules, solved as a Markov chain.
+ *
+ * The chain follows a single token. Its states are everything the engine
+ * remembers between rolls (cell, whether the token has entered, the six
+ * streak and where it began), and every transition is found by running each
+ * dice outcome through applyRoll, so overshooting the end, bouncing back and
+ * the other house rules count exactly as they do in play. Reaching the end
+ * cell is the only absorbing state.
+ *
+ * The distribution over states is pushed forward one roll at a time until
+ * the chance of still playing drops below the tolerance. The result:
+ *   {
+ *     expectedTurns,              // rolls to finish, on average
+ *     median, p90, shortest,      // rolls: half / 90% of games are done by then; the quickest win
+ *     turnDistribution: number[], // [n] = chance of finishing on roll n ([0] is always 0)
+ *     converged,                  // false when maxTurns ran out first (expectedTurns is then a lower bound)
+ *     landings: number[],         // [cell] = expected rolls per game landing there, before any snake or ladder
+ *     landingShare: number[],     // [cell] = chance that a given roll lands there
+ *     snakes: [{ head, tail, hits }],   // expected trips down each snake per game
+ *     ladders: [{ base, top, climbs }]  // expected climbs per game
+ *   }
+ * A "turn" is one roll, as in the match history (../stats/matchStats).
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Cell a roll's dice carried the token to, before any snake or ladder, or
+ * null when the token did not move (overshoot with an exact finish, waiting
+ * for a six, three-sixes penalty).
+ */
+export function landingCell(events) {
+  const jump = events.find((e) => e.type === "snake" || e.type === "ladder");
+  if (jump) return jump.from;
+  const steps = events.filter((e) => e.type === "moved" || e.type === "bounced");
+  if (!steps.length) return null;
+  const last = steps[steps.length - 1];
+  return steps.length === 1 && last.from === last.to ? null : last.to;
+}
+
+// Engine state of the lone token that matters for the next roll
+function stateKey(state) {
+  const p = state.players[0];
+  return `${p.position}|${p.entered ?? ""}|${state.sixStreak}|${state.streakStart ?? ""}`;
+}
+
+// Enumerates every reachable state with its transitions, merged by target.
+// With several tokens per player each one still travels the same chain.
+// Chaos cards are left out: when they are played is up to the players.
+function buildChain(board, rules) {
+  const oneToken = { ...normalizeRules(rules), tokens: 1, chaos: false };
+  const outcomes = diceOutcomes(oneToken.diceCount);
+  const start = createGame({ board, rules: oneToken, players: [{ id: 1, name: "Solo" }] });
+  const states = [start];
+  const index = new Map([[stateKey(start), 0]]);
+  const transitions = [];
+  for (let i = 0; i < states.length; i++) {
+    const merged = new Map();
+    for (const rolls of outcomes) {
+      const { state, events } = applyRoll(states[i], rolls);
+      let target = -1; // -1: finished
+      if (!state.gameOver) {
+        const key = stateKey(state);
+        if (!index.has(key)) {
+          index.set(key, states.length);
+          states.push(state);
+        }
+        target = index.get(key);
+      }
+      const landing = landingCell(events);
+      const jump = events.find((e) => e.type === "snake" || e.type === "ladder");
+      const key = `${target}|${landing}|${jump ? jump.from : ""}`;
+      const entry = merged.get(key) || { target, landing, jump: jump ? jump.from : null, p: 0 };
+      entry.p += 1 / outcomes.length;
+      merged.set(key, entry);
+    }
+    transitions.push([...merged.values()]);
+  }
+  return { states, transitions };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Solves a board under the given rules.
+ * @param {object} board - parsed board definition
+ * @param {object} [rules] - house rules (see ./rules), defaults apply
+ * @param {object} [options]
+ * @param {number} [options.maxTurns=2000] - rolls to follow at most
+ * @param {number} [options.tolerance=1e-9] - stop once the chance of still playing is below this
+ * @returns {object} see the module comment
+ */
+export function analyzeBoard(board, rules, { maxTurns = 2000, tolerance = 1e-9 } = {}) {
+  const { states, transitions } = buildChain(board, rules);
+  const landings = new Array(board.endCell + 1).fill(0);
+  const jumps = new Map();
+  const turnDistribution = [0];
+  let dist = new Float64Array(states.length);
+  dist[0] = 1;
+  let playing = 1;
+  let expectedTurns = 0;
+
+  while (playing >= tolerance && turnDistribution.length <= maxTurns) {
+    expectedTurns += playing;
+    const next = new Float64Array(states.length);
+    let finished = 0;
+    dist.forEach((mass, i) => {
+      if (!mass) return;
+      for (const t of transitions[i]) {
+        const m = mass * t.p;
+        if (t.target < 0) finished += m;
+        else next[t.target] += m;
+        if (t.landing !== null) landings[t.landing] += m;
+        if (t.jump !== null) jumps.set(t.jump, (jumps.get(t.jump) || 0) + m);
+      }
+    });
+    turnDistribution.push(finished);
+    playing -= finished;
+    dist = next;
+  }
+
+  const within = (share) => {
+    let total = 0;
+    const n = turnDistribution.findIndex((p) => (total += p) >= share);
+    return n < 0 ? null : n;
+  };
+  const shortest = turnDistribution.findIndex((p) => p > 0);
+  return {
+    expectedTurns,
+    median: within(0.5),
+    p90: within(0.9),
+    shortest: shortest < 0 ? null : shortest,
+    turnDistribution,
+    converged: playing < tolerance,
+    landings,
+    landingShare: landings.map((n) => n / expectedTurns),
+    snakes: board.snakes.map((s) => ({ head: s.head, tail: s.tail, hits: jumps.get(s.head) || 0 })),
+    ladders: board.ladders.map((l) => ({ base: l.base, top: l.top, climbs: jumps.get(l.base) || 0 }))
+  };
+}
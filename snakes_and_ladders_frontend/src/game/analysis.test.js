@@ -0,0 +1,62 @@
+import { parseBoard } from './boardDefinition';
+import { createGame, applyRoll } from './engine';
+import { analyzeBoard, landingCell } from './analysis';
+import { getBoard } from './boards';
+
+const tiny = parseBoard({ id: 'tiny', size: 2, snakes: [], ladders: [] });
+
+test('solves a tiny board exactly', () => {
+  // From 1, 2 or 3 the token finishes in 6 rolls on average: each cell has exactly one winning face
+  const a = analyzeBoard(tiny);
+  expect(a.converged).toBe(true);
+  expect(a.expectedTurns).toBeCloseTo(6, 6);
+  expect(a.shortest).toBe(1);
+  expect(a.turnDistribution[1]).toBeCloseTo(1 / 6, 9);
+  expect(a.turnDistribution.reduce((s, p) => s + p, 0)).toBeCloseTo(1, 8);
+  // Two rolls from the start on average, each landing on 2 with a 1 in 6 chance
+  expect(a.landings[2]).toBeCloseTo(1 / 3, 6);
+  expect(a.landings[4]).toBeCloseTo(1, 6);
+  expect(a.landingShare[4]).toBeCloseTo(1 / 6, 6);
+});
+
+test('follows snakes, ladders and the finish rule through the engine', () => {
+  const board = parseBoard({ id: 'snaky', size: 3, snakes: [{ head: 8, tail: 2 }], ladders: [{ base: 3, top: 6 }] });
+  const exact = analyzeBoard(board);
+  const bounce = analyzeBoard(board, { finish: 'bounce' });
+  expect(exact.ladders[0].climbs).toBeGreaterThan(0);
+  expect(exact.snakes[0].hits).toBeGreaterThan(0);
+  // Bouncing back from 9 can land on the snake at 8, so it hits more often
+  expect(bounce.snakes[0].hits).toBeGreaterThan(exact.snakes[0].hits);
+  // No roll ends on the start cell here
+  expect(exact.landings.slice(0, 2)).toEqual([0, 0]);
+});
+
+test('matches the classic board under the default rules', () => {
+  const a = analyzeBoard(getBoard('classic-10x10'));
+  expect(a.converged).toBe(true);
+  expect(a.expectedTurns).toBeGreaterThan(30);
+  expect(a.expectedTurns).toBeLessThan(80);
+  expect(a.median).toBeLessThanOrEqual(a.p90);
+  expect(a.landingShare.reduce((s, p) => s + p, 0)).toBeLessThanOrEqual(1);
+});
+
+test('reports boards where a token can get stuck for good', () => {
+  // With two dice and an exact finish nothing ever moves off cell 3
+  const a = analyzeBoard(tiny, { diceCount: 2 }, { maxTurns: 200 });
+  expect(a.converged).toBe(false);
+  expect(a.turnDistribution).toHaveLength(201);
+});
+
+test('finds where the dice put the token', () => {
+  const board = parseBoard({ id: 'snaky', size: 3, snakes: [{ head: 8, tail: 2 }], ladders: [{ base: 3, top: 6 }] });
+  const roll = (position, dice, rules) => {
+    const game = createGame({ board, rules, players: [{ id: 1, name: 'A', position }] });
+    const at = { ...game, players: [{ ...game.players[0], position }] };
+    return landingCell(applyRoll(at, dice).events);
+  };
+  expect(roll(1, 2)).toBe(3);
+  expect(roll(6, 2)).toBe(8);
+  expect(roll(7, 5)).toBe(null);
+  expect(roll(7, 4, { finish: 'bounce' })).toBe(7);
+  expect(roll(1, 3, { enterOnSix: true })).toBe(null);
+});
@@ -0,0 +1,86 @@
+import { createTranslator } from "../i18n/index.js";
+
+/**
+ * Plain-language announcements for screen readers. The app reads move events
+ * from the game-event bus (./eventBus) out through an ARIA live region, so
+ * every roll is told in words whether or not the AI chat is working.
+ * Sentences are worded so they read right for a player named "You" too.
+ * Each takes a translator (../i18n) and speaks English without one.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * One or two sentences for a move event, e.g. "Ann rolled a 4 and moved from
+ * 12 to 16. A snake! Down to 5. Next up: Bot." With several tokens per player
+ * the token is named: "Ann rolled a 4 and moved token 2 from 12 to 16."
+ * Chaos cards come first and last: "Ann played Swap with Bot. Ann rolled a 4
+ * and moved from 30 to 34. Ann drew Shield."
+ */
+export function announceMove(
+  { player, dice, token, events, next, cardPlayed, cardDrawn, isShielded, frozen = [] },
+  t = createTranslator()
+) {
+  const name = player.name;
+  const sentences = [];
+  if (cardPlayed) {
+    const card = t(`card.${cardPlayed.id}`);
+    const key = !cardPlayed.target ? "announce.played" : cardPlayed.id === "swap" ? "announce.playedWith" : "announce.playedOn";
+    sentences.push(t(key, { name, card, target: cardPlayed.target?.name }));
+  }
+  const rolled = t("announce.rolled", { name, count: dice });
+  // With several tokens the sentence names the one that moved
+  const say = (key, params) =>
+    token === undefined ? t(key, { rolled, ...params }) : t(`${key}.token`, { rolled, token: token + 1, ...params });
+  const moved = events.filter((e) => e.type === "moved" || e.type === "bounced");
+  const of = (type) => events.find((e) => e.type === type);
+
+  if (of("threeSixes")) {
+    const e = of("threeSixes");
+    sentences.push(e.to === e.from ? t("announce.threeSixes.lost", { name }) : t("announce.threeSixes.back", { name, to: e.to }));
+  } else if (of("needSix")) {
+    sentences.push(t("announce.needSix", { rolled }));
+  } else if (moved.length === 1 && moved[0].type === "bounced") {
+    sentences.push(say("announce.stays", { cell: moved[0].from }));
+  } else if (moved.length === 2) {
+    sentences.push(say("announce.bounced", { to: moved[0].to, back: moved[1].to }));
+  } else if (moved.length === 1) {
+    sentences.push(say("announce.moved", { from: moved[0].from, to: moved[0].to }));
+  } else {
+    sentences.push(t("announce.rolledOnly", { rolled }));
+  }
+  if (isShielded) sentences.push(t("announce.shielded", { cell: of("shielded").from }));
+  if (of("snake")) sentences.push(t("announce.snake", { to: of("snake").to }));
+  if (of("ladder")) sentences.push(t("announce.ladder", { to: of("ladder").to }));
+  if (of("home")) sentences.push(t("announce.home", { token: token + 1 }));
+  if (cardDrawn) sentences.push(t("announce.drew", { name, card: t(`card.${cardDrawn.id}`) }));
+  frozen.forEach((p) => sentences.push(t("announce.frozen", { name: p.name })));
+  if (of("won")) sentences.push(t("announce.won", { name }));
+  else if (of("extraTurn")) sentences.push(t("announce.again", { name }));
+  else if (next) sentences.push(t("announce.next", { name: next.name }));
+  return sentences.join(" ");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Announcement for a roll that waits for its player to pick a token, from
+ * tokenChoices (./engine): "Ann rolled a 4. Choose a token: token 1 from 12
+ * to 16, or token 2 from 3 to 20."
+ */
+export function announceChoice({ player, rolls, choices }, t = createTranslator()) {
+  const dice = rolls.reduce((sum, v) => sum + v, 0);
+  const options = choices.map(({ token, events, state }) => {
+    const to = state.players[events[0].playerIndex].tokens[token];
+    return t("announce.option", { token: token + 1, from: player.tokens[token], to });
+  });
+  const list =
+    options.length > 1 ? t("announce.or", { items: options.slice(0, -1).join(", "), last: options[options.length - 1] }) : options[0];
+  return t("announce.choose", { rolled: t("announce.rolled", { name: player.name, count: dice }), options: list });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Announcement for the start of a game: board and who rolls first.
+ */
+export function announceStart(state, t = createTranslator()) {
+  return t("announce.start", { board: state.board.name, end: state.board.endCell, name: state.players[state.turn].name });
+}
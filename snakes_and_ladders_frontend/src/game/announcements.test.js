@@ -0,0 +1,78 @@
+import { parseBoard } from './boardDefinition';
+import { createGame, applyRoll, tokenChoices } from './engine';
+import { moveEvent } from './eventBus';
+import { announceChoice, announceMove, announceStart } from './announcements';
+import { createTranslator } from '../i18n';
+
+const board = parseBoard({ id: 't', name: 'Tiny', size: 3, snakes: [{ head: 8, tail: 2 }], ladders: [{ base: 3, top: 6 }] });
+const players = [{ id: 1, name: 'Ann', isUser: true }, { id: 2, name: 'Bot' }];
+
+// Announcement for one roll of the first player from a cell
+function announce(position, roll, rules) {
+  const game = createGame({ board, players, rules });
+  const state = { ...game, players: game.players.map((p, i) => (i === 0 ? { ...p, position } : p)) };
+  const { state: next, events } = applyRoll(state, roll);
+  return announceMove(moveEvent({ player: state.players[0], dice: events[0].dice, events, state: next }));
+}
+
+test('tells each roll and move in plain language', () => {
+  expect(announce(1, 1)).toBe('Ann rolled a 1 and moved from 1 to 2. Next up: Bot.');
+  expect(announce(1, 2)).toBe('Ann rolled a 2 and moved from 1 to 3. A ladder! Up to 6. Next up: Bot.');
+  expect(announce(6, 2)).toBe('Ann rolled a 2 and moved from 6 to 8. A snake! Down to 2. Next up: Bot.');
+  expect(announce(7, 5)).toBe('Ann rolled a 5, too many to finish, and stays on 7. Next up: Bot.');
+  expect(announce(7, 4, { finish: 'bounce' })).toBe('Ann rolled a 4, reached 9 and bounced back to 7. Next up: Bot.');
+  expect(announce(6, 3)).toBe('Ann rolled a 3 and moved from 6 to 9. Game over: Ann won!');
+  expect(announce(1, 3, { enterOnSix: true })).toBe('Ann rolled a 3; a 6 is needed to enter the board. Next up: Bot.');
+  expect(announce(1, [2, 6], { extraTurnOnSix: true, diceCount: 2 })).toBe('Ann rolled an 8 and moved from 1 to 9. Game over: Ann won!');
+  expect(announce(1, 6, { extraTurnOnSix: true })).toBe('Ann rolled a 6 and moved from 1 to 7. Another roll for Ann.');
+});
+
+test('names the token moved when players have several', () => {
+  const game = createGame({ board, players, rules: { tokens: 2, finish: 'bounce' } });
+  const at = (tokens) => ({ ...game, players: game.players.map((p, i) => (i === 0 ? { ...p, tokens, position: Math.min(...tokens) } : p)) });
+  const say = (state, roll, token) => {
+    const { state: next, events } = applyRoll(state, roll, token);
+    return announceMove(moveEvent({ player: state.players[0], dice: roll, events, state: next }));
+  };
+  expect(say(at([1, 1]), 2, 1)).toBe('Ann rolled a 2 and moved token 2 from 1 to 3. A ladder! Up to 6. Next up: Bot.');
+  expect(say(at([6, 1]), 3, 0)).toBe('Ann rolled a 3 and moved token 1 from 6 to 9. Token 1 is home. Next up: Bot.');
+  expect(say(at([7, 1]), 4, 0)).toBe('Ann rolled a 4, token 1 reached 9 and bounced back to 7. Next up: Bot.');
+  expect(say(at([9, 6]), 3, 1)).toBe('Ann rolled a 3 and moved token 2 from 6 to 9. Game over: Ann won!');
+  const state = at([1, 5]);
+  expect(announceChoice({ player: state.players[0], rolls: [2], choices: tokenChoices(state, 2) })).toBe(
+    'Ann rolled a 2. Choose a token: token 1 from 1 to 6, or token 2 from 5 to 7.'
+  );
+});
+
+test('announces who starts on which board', () => {
+  expect(announceStart(createGame({ board, players }))).toBe('New game on Tiny, finish on cell 9. First to roll: Ann.');
+});
+
+test('tells what the chaos cards did', () => {
+  const chaosBoard = parseBoard({ id: 'c', name: 'Chaos', size: 4, snakes: [{ head: 10, tail: 3 }], ladders: [], cards: [7] });
+  const game = createGame({ board: chaosBoard, players: [...players, { id: 3, name: 'Cy' }], rules: { chaos: true }, deck: ['double'] });
+  const at = (positions, hand) => ({ ...game, players: game.players.map((p, i) => ({ ...p, position: positions[i], cards: i === 0 ? hand : [] })) });
+  const say = (state, roll, card) => {
+    const { state: next, events } = applyRoll(state, roll, undefined, card);
+    return announceMove(moveEvent({ player: state.players[0], dice: roll, events, state: next }));
+  };
+  expect(say(at([2, 5, 1], ['swap']), 2, 'swap')).toBe('Ann played Swap with Bot. Ann rolled a 2 and moved from 5 to 7. Ann drew Double roll. Next up: Bot.');
+  expect(say(at([8, 5, 1], ['shield']), 2, 'shield')).toBe('Ann played Shield. Ann rolled a 2 and moved from 8 to 10. A snake, but the shield holds on 10. Next up: Bot.');
+  expect(say(at([2, 5, 1], ['freeze']), 1, 'freeze')).toBe('Ann played Freeze on Bot. Ann rolled a 1 and moved from 2 to 3. Bot is frozen and misses a turn. Next up: Cy.');
+});
+
+test('speaks the player\'s language when given a translator', () => {
+  const es = createTranslator('es');
+  const game = createGame({ board, players, rules: { tokens: 2 } });
+  const state = { ...game, players: game.players.map((p, i) => (i === 0 ? { ...p, tokens: [1, 5], position: 1 } : p)) };
+  const { state: next, events } = applyRoll(state, 2, 0);
+  expect(announceMove(moveEvent({ player: state.players[0], dice: 2, events, state: next }), es)).toBe(
+    'Ann sacó un 2 y movió la ficha 1 de 1 a 3. ¡Una escalera! Sube a 6. Siguiente: Bot.'
+  );
+  expect(announceChoice({ player: state.players[0], rolls: [2], choices: tokenChoices(state, 2) }, es)).toBe(
+    'Ann sacó un 2. Elige una ficha: la ficha 1 de 1 a 6 o la ficha 2 de 5 a 7.'
+  );
+  expect(announceStart(createGame({ board, players }), createTranslator('ar'))).toBe(
+    'لعبة جديدة على Tiny، النهاية على الخانة 9. أول من يرمي: Ann.'
+  );
+});
@@ -0,0 +1,133 @@
+/**
+ * Board definition format and validation.
+ *
+ * A board definition is plain JSON:
+ *   {
+ *     id: "classic-10x10",          // unique key
+ *     name: "Classic 10×10",        // label shown in the UI
+ *     size: 10,                     // cells per side (size x size grid)
+ *     startCell: 1,                 // where tokens begin
+ *     endCell: 100,                 // reaching it exactly wins, <= size * size
+ *     image: "board.jpg",           // optional background, URL or path under public/
+ *     snakes: [{ head, tail }],     // head > tail
+ *     ladders: [{ base, top }],     // top > base
+ *     cards: [12, 47]               // optional card cells for chaos mode (see cards.js)
+ *   }
+ */
+
+function isCell(n) {
+  return Number.isInteger(n);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Checks a board definition.
+ * @param {object} def - board definition
+ * @returns {string[]} human-readable problems, empty when the board is valid
+ */
+export function validateBoard(def) {
+  const errors = [];
+  if (!def || typeof def !== "object") return ["Board definition must be an object."];
+
+  if (!def.id || typeof def.id !== "string") errors.push("Board id must be a non-empty string.");
+  if (!Number.isInteger(def.size) || def.size < 2) {
+    errors.push("Board size must be an integer of at least 2.");
+    return errors;
+  }
+  const startCell = def.startCell ?? 1;
+  const endCell = def.endCell ?? def.size * def.size;
+  if (!isCell(startCell) || startCell < 1) errors.push("startCell must be an integer of at least 1.");
+  if (!isCell(endCell) || endCell > def.size * def.size) {
+    errors.push(`endCell must be an integer no larger than ${def.size * def.size}.`);
+  }
+  if (startCell >= endCell) errors.push("startCell must be before endCell.");
+  if (!Array.isArray(def.snakes)) errors.push("snakes must be an array.");
+  if (!Array.isArray(def.ladders)) errors.push("ladders must be an array.");
+  if (def.cards !== undefined && !Array.isArray(def.cards)) errors.push("cards must be an array.");
+  if (errors.length) return errors;
+
+  // Jumps start strictly between the start and end cells and land anywhere on the track
+  const inRange = (n) => isCell(n) && n >= startCell && n <= endCell;
+  const jumps = [];
+
+  def.snakes.forEach((s, i) => {
+    const label = `Snake ${i + 1} (${s.head}→${s.tail})`;
+    if (!inRange(s.head) || !inRange(s.tail)) {
+      errors.push(`${label} is outside cells ${startCell}-${endCell}.`);
+    } else if (s.tail >= s.head) {
+      errors.push(`${label} must point downward (tail below head).`);
+    } else if (s.head === endCell || s.head === startCell) {
+      errors.push(`${label} cannot start on the start or end cell.`);
+    } else {
+      jumps.push({ label, from: s.head, to: s.tail });
+    }
+  });
+
+  def.ladders.forEach((l, i) => {
+    const label = `Ladder ${i + 1} (${l.base}→${l.top})`;
+    if (!inRange(l.base) || !inRange(l.top)) {
+      errors.push(`${label} is outside cells ${startCell}-${endCell}.`);
+    } else if (l.top <= l.base) {
+      errors.push(`${label} must point upward (top above base).`);
+    } else if (l.base === endCell || l.base === startCell) {
+      errors.push(`${label} cannot start on the start or end cell.`);
+    } else {
+      jumps.push({ label, from: l.base, to: l.top });
+    }
+  });
+
+  // Each cell holds at most one snake head or ladder base, and no jump may
+  // land on another jump's start (the engine resolves a single jump per move).
+  const starts = new Map();
+  for (const j of jumps) {
+    if (starts.has(j.from)) {
+      errors.push(`${j.label} overlaps ${starts.get(j.from).label} on cell ${j.from}.`);
+    } else {
+      starts.set(j.from, j);
+    }
+  }
+  for (const j of jumps) {
+    const chained = starts.get(j.to);
+    if (chained) errors.push(`${j.label} ends on cell ${j.to}, where ${chained.label} starts.`);
+  }
+
+  // Card cells are drawn from when a token rests there, which it never does
+  // on the start or end cell or at the start of a jump
+  const cardCells = new Set();
+  (def.cards || []).forEach((cell) => {
+    if (!isCell(cell) || cell <= startCell || cell >= endCell) {
+      errors.push(`Card cell ${cell} must be between cells ${startCell} and ${endCell}.`);
+    } else if (starts.has(cell)) {
+      errors.push(`Card cell ${cell} is where ${starts.get(cell).label} starts.`);
+    } else if (cardCells.has(cell)) {
+      errors.push(`Card cell ${cell} is listed twice.`);
+    }
+    cardCells.add(cell);
+  });
+
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Validates a board definition and fills in defaults.
+ * @param {object} def - board definition
+ * @returns {object} board with startCell, endCell, name, image and cards set
+ * @throws {Error} listing every problem when the definition is invalid
+ */
+export function parseBoard(def) {
+  const errors = validateBoard(def);
+  if (errors.length) {
+    throw new Error(`Invalid board "${def?.id ?? "?"}": ${errors.join(" ")}`);
+  }
+  return {
+    ...def,
+    name: def.name || def.id,
+    startCell: def.startCell ?? 1,
+    endCell: def.endCell ?? def.size * def.size,
+    image: def.image || null,
+    snakes: def.snakes.map((s) => ({ head: s.head, tail: s.tail })),
+    ladders: def.ladders.map((l) => ({ base: l.base, top: l.top })),
+    cards: [...(def.cards || [])]
+  };
+}
@@ -0,0 +1,50 @@
+import { validateBoard, parseBoard } from "./boardDefinition";
+import { BOARDS } from "./boards";
+
+const base = { id: "t", size: 5, startCell: 1, endCell: 25, snakes: [], ladders: [] };
+
+test("every shipped board is valid", () => {
+  expect(BOARDS.map((b) => b.id)).toEqual(["classic-10x10", "quick-8x8", "marathon-12x12"]);
+  for (const b of BOARDS) expect(validateBoard(b)).toEqual([]);
+});
+
+test("parseBoard fills in defaults", () => {
+  const board = parseBoard({ id: "t", size: 4, snakes: [], ladders: [] });
+  expect(board).toMatchObject({ name: "t", startCell: 1, endCell: 16, image: null });
+});
+
+test("rejects snakes that point upward and ladders that point downward", () => {
+  expect(validateBoard({ ...base, snakes: [{ head: 5, tail: 9 }] })[0]).toMatch(/point downward/);
+  expect(validateBoard({ ...base, ladders: [{ base: 9, top: 5 }] })[0]).toMatch(/point upward/);
+});
+
+test("rejects cells outside the track", () => {
+  expect(validateBoard({ ...base, snakes: [{ head: 30, tail: 2 }] })[0]).toMatch(/outside cells 1-25/);
+  expect(validateBoard({ ...base, ladders: [{ base: 0, top: 4 }] })[0]).toMatch(/outside/);
+  expect(validateBoard({ ...base, endCell: 26 })[0]).toMatch(/endCell/);
+});
+
+test("rejects overlapping heads and bases and chained jumps", () => {
+  const overlap = validateBoard({ ...base, snakes: [{ head: 10, tail: 2 }], ladders: [{ base: 10, top: 20 }] });
+  expect(overlap).toEqual(["Ladder 1 (10→20) overlaps Snake 1 (10→2) on cell 10."]);
+  const chained = validateBoard({ ...base, snakes: [{ head: 20, tail: 7 }], ladders: [{ base: 7, top: 15 }] });
+  expect(chained[0]).toMatch(/ends on cell 7/);
+});
+
+test("parseBoard throws with every problem listed", () => {
+  expect(() => parseBoard({ ...base, snakes: [{ head: 3, tail: 8 }, { head: 99, tail: 1 }] }))
+    .toThrow(/Invalid board "t": Snake 1 .* Snake 2/);
+});
+
+test("card cells sit on the track, off the start of a jump, once each", () => {
+  const jumps = { ...base, snakes: [{ head: 10, tail: 2 }] };
+  expect(validateBoard({ ...jumps, cards: [5, 12] })).toEqual([]);
+  expect(validateBoard({ ...jumps, cards: [1, 25, 10, 5, 5] })).toEqual([
+    "Card cell 1 must be between cells 1 and 25.",
+    "Card cell 25 must be between cells 1 and 25.",
+    "Card cell 10 is where Snake 1 (10→2) starts.",
+    "Card cell 5 is listed twice."
+  ]);
+  expect(validateBoard({ ...base, cards: 5 })).toContain("cards must be an array.");
+  expect(parseBoard(base).cards).toEqual([]);
+});
@@ -0,0 +1,100 @@
+import { validateBoard } from "./boardDefinition.js";
+
+/**
+ * Board editor model: a draft board definition and the edits the editor
+ * makes to it. Drafts are plain board definitions (see ./boardDefinition)
+ * that may be invalid while being edited; validateBoard says what is wrong.
+ */
+
+export const MIN_EDITOR_SIZE = 4;
+export const MAX_EDITOR_SIZE = 14;
+
+// PUBLIC_INTERFACE
+/**
+ * An empty board to start from.
+ */
+export function newBoardDraft(size = 10) {
+  return { id: "custom-board", name: "My board", size, startCell: 1, endCell: size * size, image: null, snakes: [], ladders: [], cards: [] };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A draft copy of an existing board, renamed so saving it does not replace the original.
+ */
+export function copyBoard(board) {
+  const name = `${board.name} (copy)`;
+  return { ...newBoardDraft(board.size), ...board, id: boardIdFor(name), name, snakes: [...board.snakes], ladders: [...board.ladders], cards: [...(board.cards || [])] };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Board id for a name: "custom-" and the name in lowercase words joined by dashes.
+ */
+export function boardIdFor(name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `custom-${slug || "board"}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Renames a draft; the id follows the name.
+ */
+export function renameDraft(draft, name) {
+  return { ...draft, name, id: boardIdFor(name) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Changes the grid size. The end cell becomes the last cell; snakes and
+ * ladders that no longer fit stay, so the validation points them out.
+ */
+export function resizeDraft(draft, size) {
+  return { ...draft, size, endCell: size * size };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Adds a snake (from its head to its tail) or a ladder (from its base to its top).
+ * A drag that starts and ends on the same cell adds nothing.
+ * @param {object} draft
+ * @param {"snake"|"ladder"} type
+ * @param {number} from - cell where the drag started
+ * @param {number} to - cell where it ended
+ */
+export function addJump(draft, type, from, to) {
+  if (from === to) return draft;
+  return type === "snake"
+    ? { ...draft, snakes: [...draft.snakes, { head: from, tail: to }] }
+    : { ...draft, ladders: [...draft.ladders, { base: from, top: to }] };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Removes the snake or ladder at an index.
+ */
+export function removeJump(draft, type, index) {
+  const key = type === "snake" ? "snakes" : "ladders";
+  return { ...draft, [key]: draft[key].filter((_, i) => i !== index) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Makes a cell a card cell for chaos mode (see ./cards), or a plain cell
+ * again if it already was one. Card cells are kept in board order.
+ */
+export function toggleCardCell(draft, cell) {
+  const cards = draft.cards || [];
+  return cards.includes(cell)
+    ? { ...draft, cards: cards.filter((c) => c !== cell) }
+    : { ...draft, cards: [...cards, cell].sort((a, b) => a - b) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Problems with a draft, as for validateBoard, plus a name check.
+ */
+export function validateDraft(draft) {
+  const errors = validateBoard(draft);
+  if (!String(draft.name || "").trim()) errors.unshift("Give the board a name.");
+  return errors;
+}
@@ -0,0 +1,73 @@
+import { squareToGridPos, cellAt } from './geometry';
+import { newBoardDraft, copyBoard, boardIdFor, renameDraft, resizeDraft, addJump, removeJump, toggleCardCell, validateDraft } from './boardEditor';
+import { getBoard, mergeBoards, saveCustomBoards, loadCustomBoards, CUSTOM_BOARDS_KEY, BOARDS } from './boards';
+import { parseBoard } from './boardDefinition';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: (k) => items.delete(k),
+  };
+}
+
+test('finds the cell under a point, the inverse of the grid layout', () => {
+  for (let n = 1; n <= 25; n++) {
+    const [row, col] = squareToGridPos(n, 5);
+    expect(cellAt(col + 0.5, row + 0.5, 5)).toBe(n);
+  }
+  expect(cellAt(0.1, 4.9, 5)).toBe(1);
+  expect(cellAt(-0.1, 1, 5)).toBeNull();
+  expect(cellAt(1, 5, 5)).toBeNull();
+});
+
+test('drags add snakes head to tail and ladders base to top', () => {
+  let draft = newBoardDraft(5);
+  draft = addJump(draft, 'snake', 18, 4);
+  draft = addJump(draft, 'ladder', 3, 12);
+  expect(addJump(draft, 'ladder', 7, 7)).toBe(draft);
+  expect(draft.snakes).toEqual([{ head: 18, tail: 4 }]);
+  expect(draft.ladders).toEqual([{ base: 3, top: 12 }]);
+  expect(validateDraft(draft)).toEqual([]);
+  expect(removeJump(draft, 'snake', 0).snakes).toEqual([]);
+});
+
+test('validates drafts as they are edited', () => {
+  const upward = addJump(newBoardDraft(5), 'snake', 4, 18);
+  expect(validateDraft(upward)).toEqual(['Snake 1 (4→18) must point downward (tail below head).']);
+  expect(validateDraft(renameDraft(newBoardDraft(5), '  '))[0]).toBe('Give the board a name.');
+  // Shrinking leaves jumps off the board for the validation to point out
+  expect(validateDraft(resizeDraft(addJump(newBoardDraft(6), 'ladder', 3, 30), 5))).toEqual([
+    'Ladder 1 (3→30) is outside cells 1-25.',
+  ]);
+});
+
+test('names become custom board ids, and copies do not replace the original', () => {
+  expect(boardIdFor('Zig Zag!  v2')).toBe('custom-zig-zag-v2');
+  expect(boardIdFor('🐍')).toBe('custom-board');
+  const copy = copyBoard(getBoard('quick-8x8'));
+  expect(copy).toMatchObject({ id: 'custom-quick-8-8-copy', name: 'Quick 8×8 (copy)', size: 8 });
+  expect(copy.snakes).toEqual(getBoard('quick-8x8').snakes);
+});
+
+test('custom boards are stored, reloaded and listed after the shipped ones', () => {
+  const storage = memoryStorage();
+  const board = parseBoard(addJump({ ...newBoardDraft(5), id: 'custom-mine', name: 'Mine' }, 'snake', 20, 2));
+  expect(saveCustomBoards([board], storage)).toBe(true);
+  expect(loadCustomBoards(storage)).toEqual([board]);
+  expect(mergeBoards([board]).map((b) => b.id)).toEqual([...BOARDS.map((b) => b.id), 'custom-mine']);
+  expect(getBoard('custom-mine', mergeBoards([board]))).toBe(board);
+
+  storage.setItem(CUSTOM_BOARDS_KEY, JSON.stringify([{ id: 'broken', size: 1 }, board]));
+  expect(loadCustomBoards(storage)).toEqual([board]);
+  expect(saveCustomBoards([board], { setItem: () => { throw new Error('full'); } })).toBe(false);
+});
+
+test('the card tool adds and removes card cells in board order', () => {
+  let draft = toggleCardCell(newBoardDraft(5), 12);
+  draft = toggleCardCell(draft, 7);
+  expect(draft.cards).toEqual([7, 12]);
+  expect(toggleCardCell(draft, 12).cards).toEqual([7]);
+  expect(copyBoard(parseBoard({ ...draft, id: 'x' })).cards).toEqual([7, 12]);
+});
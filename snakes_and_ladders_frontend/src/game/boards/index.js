@@ -0,0 +1,101 @@
+import { parseBoard } from "../boardDefinition.js";
+import classic from "./classic-10x10.json";
+import quick from "./quick-8x8.json";
+import marathon from "./marathon-12x12.json";
+
+/**
+ * Registry of the boards shipped with the app.
+ * Each definition is validated once when this module loads; an invalid one is
+ * logged and left out rather than breaking the whole game.
+ * Boards made in the board editor (../../BoardEditor.js) are kept in
+ * localStorage and listed after these.
+ */
+const DEFINITIONS = [classic, quick, marathon];
+
+export const BOARDS = DEFINITIONS.flatMap((def) => {
+  try {
+    return [parseBoard(def)];
+  } catch (err) {
+    // eslint-disable-next-line
+    console.error(err.message);
+    return [];
+  }
+});
+
+export const DEFAULT_BOARD_ID = "classic-10x10";
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the board with the given id, falling back to the default board.
+ * @param {string} id
+ * @param {object[]} [boards=BOARDS] - boards to search, e.g. mergeBoards(custom)
+ */
+export function getBoard(id, boards = BOARDS) {
+  return boards.find((b) => b.id === id) || BOARDS.find((b) => b.id === DEFAULT_BOARD_ID) || BOARDS[0];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Shipped boards followed by boards made in the editor.
+ * A custom board with the id of a shipped one replaces it.
+ */
+export function mergeBoards(custom = [], builtIn = BOARDS) {
+  const ids = new Set(custom.map((b) => b.id));
+  return [...builtIn.filter((b) => !ids.has(b.id)), ...custom];
+}
+
+export const CUSTOM_BOARDS_KEY = "snakes-and-ladders:boards";
+
+function defaultStorage() {
+  return typeof localStorage !== "undefined" ? localStorage : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Keeps boards made in the board editor for the next visit.
+ * @returns {boolean} false when storage is unavailable or full (an uploaded
+ *   image can be too large); the boards then last for this visit only
+ */
+export function saveCustomBoards(boards, storage = defaultStorage()) {
+  try {
+    storage.setItem(CUSTOM_BOARDS_KEY, JSON.stringify(boards));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Boards saved on an earlier visit, or an empty list. Definitions that no
+ * longer validate are left out.
+ */
+export function loadCustomBoards(storage = defaultStorage()) {
+  const text = storage?.getItem(CUSTOM_BOARDS_KEY);
+  if (!text) return [];
+  try {
+    const list = JSON.parse(text);
+    return Array.isArray(list)
+      ? list.flatMap((def) => {
+          try {
+            return [parseBoard(def)];
+          } catch {
+            return [];
+          }
+        })
+      : [];
+  } catch {
+    storage.removeItem(CUSTOM_BOARDS_KEY);
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Resolves a board's image field to a URL; relative paths point into public/.
+ */
+export function boardImageUrl(board) {
+  if (!board?.image) return null;
+  if (/^(https?:|data:|blob:|\/)/.test(board.image)) return board.image;
+  return `${process.env.PUBLIC_URL || ""}/${board.image}`;
+}
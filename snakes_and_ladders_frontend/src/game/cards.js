@@ -0,0 +1,111 @@
+/**
+ * Cards for "chaos" mode (rules.chaos).
+ *
+ * Boards list card cells (board.cards). A token that comes to rest on one
+ * draws the top card of the game's deck into its player's hand, which holds
+ * up to MAX_HAND cards. A card is played with a roll and acts before the dice
+ * move the token:
+ *   shield    the next snake the player lands on is ignored
+ *   swap      the player swaps places with the leader, when someone is ahead
+ *   double    this roll moves twice as far
+ *   freeze    the leader misses their next turn
+ *   teleport  the token jumps to the top of the next ladder ahead of it
+ * "The leader" is the opponent furthest along, the one who rolls soonest on a tie.
+ *
+ * The deck is part of the game state (state.deck, state.drawn) and of the game
+ * log, so a game replays with the same draws. Drawing goes round the deck
+ * again once it runs out.
+ */
+
+export const CARDS = [
+  { id: "shield", name: "Shield", icon: "🛡️", text: "Ignore the next snake you land on." },
+  { id: "swap", name: "Swap", icon: "🔀", text: "Swap places with the leader." },
+  { id: "double", name: "Double roll", icon: "⏩", text: "This roll moves twice as far." },
+  { id: "freeze", name: "Freeze", icon: "🧊", text: "The leader misses their next turn." },
+  { id: "teleport", name: "Teleport", icon: "✨", text: "Jump to the top of the next ladder ahead." }
+];
+
+export const MAX_HAND = 3;
+// Copies of each card in a fresh deck
+export const CARD_COPIES = 3;
+
+// PUBLIC_INTERFACE
+/**
+ * The card with this id, or null.
+ */
+export function getCard(id) {
+  return CARDS.find((c) => c.id === id) || null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A fresh deck of card ids: CARD_COPIES of each card, shuffled when a random
+ * source is given and in CARDS order otherwise.
+ * @param {() => number} [random]
+ * @returns {string[]}
+ */
+export function createDeck(random) {
+  const deck = CARDS.flatMap((c) => new Array(CARD_COPIES).fill(c.id));
+  if (random) {
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+  }
+  return deck;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Checks a deck from a saved game.
+ * @returns {string[]} human-readable problems, empty when the deck is valid
+ */
+export function validateDeck(deck) {
+  if (!Array.isArray(deck) || !deck.length) return ["The deck must be a non-empty list of cards."];
+  const unknown = deck.find((id) => !getCard(id));
+  return unknown === undefined ? [] : [`Unknown card "${unknown}" in the deck.`];
+}
+
+// Index of the opponent furthest along, counting seats from the one after
+// playerIndex so ties go to whoever rolls soonest
+function leader(players, playerIndex, skip = () => false) {
+  let best = null;
+  for (let k = 1; k < players.length; k++) {
+    const i = (playerIndex + k) % players.length;
+    if (skip(players[i])) continue;
+    if (best === null || players[i].position > players[best].position) best = i;
+  }
+  return best;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * What a card from the current player's hand would do now, or null when it
+ * cannot be played (nobody ahead to swap with, no ladder ahead, a shield
+ * already up, or the player's token has not entered the board yet).
+ * @param {object} state - game state in chaos mode
+ * @param {string} card - id of a card in the current player's hand
+ * @returns {{ card: string, target?: number, to?: number }|null} target: the
+ *   player swapped with or frozen; to: where the player's token goes
+ */
+export function cardEffect(state, card) {
+  const player = state.players[state.turn];
+  if (!player.cards?.includes(card) || player.entered === false) return null;
+  if (card === "shield") return player.shield ? null : { card };
+  if (card === "double") return { card };
+  if (card === "swap") {
+    const target = leader(state.players, state.turn);
+    return target !== null && state.players[target].position > player.position
+      ? { card, target, to: state.players[target].position }
+      : null;
+  }
+  if (card === "freeze") {
+    const target = leader(state.players, state.turn, (p) => p.frozen);
+    return target === null ? null : { card, target };
+  }
+  // Teleport: the ladder with the nearest base ahead
+  const ahead = state.board.ladders.filter((l) => l.base > player.position);
+  if (!ahead.length) return null;
+  const next = ahead.reduce((a, b) => (b.base < a.base ? b : a));
+  return { card, to: next.top };
+}
@@ -0,0 +1,45 @@
+import { CARDS, CARD_COPIES, cardEffect, createDeck, getCard, validateDeck } from "./cards";
+import { createGame } from "./engine";
+import { seededRandom } from "./dice";
+
+const board = {
+  size: 10,
+  startCell: 1,
+  endCell: 100,
+  snakes: [{ head: 27, tail: 5 }],
+  ladders: [{ base: 4, top: 25 }, { base: 40, top: 70 }],
+  cards: [10]
+};
+
+function chaosAt(positions, hand, extra = {}) {
+  const game = createGame({ board, rules: { chaos: true } });
+  return { ...game, players: game.players.map((p, i) => ({ ...p, position: positions[i], cards: i === 0 ? hand : [], ...(i === 0 ? extra : {}) })) };
+}
+
+test("createDeck holds every card and shuffles with a random source", () => {
+  const plain = createDeck();
+  expect(plain).toHaveLength(CARDS.length * CARD_COPIES);
+  expect(plain.slice(0, CARD_COPIES)).toEqual(new Array(CARD_COPIES).fill(CARDS[0].id));
+  const shuffled = createDeck(seededRandom("deck"));
+  expect([...shuffled].sort()).toEqual([...plain].sort());
+  expect(createDeck(seededRandom("deck"))).toEqual(shuffled);
+  expect(getCard("swap").name).toBe("Swap");
+  expect(getCard("joker")).toBeNull();
+});
+
+test("validateDeck lists problems", () => {
+  expect(validateDeck(createDeck())).toEqual([]);
+  expect(validateDeck([])).toEqual(["The deck must be a non-empty list of cards."]);
+  expect(validateDeck(["shield", "joker"])).toEqual(['Unknown card "joker" in the deck.']);
+});
+
+test("cardEffect targets the leader and knows when a card is useless", () => {
+  expect(cardEffect(chaosAt([10, 30], ["swap"]), "swap")).toEqual({ card: "swap", target: 1, to: 30 });
+  expect(cardEffect(chaosAt([50, 30], ["swap"]), "swap")).toBeNull();
+  expect(cardEffect(chaosAt([50, 30], ["freeze"]), "freeze")).toEqual({ card: "freeze", target: 1 });
+  expect(cardEffect(chaosAt([10, 30], ["teleport"]), "teleport")).toEqual({ card: "teleport", to: 70 });
+  expect(cardEffect(chaosAt([45, 30], ["teleport"]), "teleport")).toBeNull();
+  expect(cardEffect(chaosAt([10, 30], ["shield"], { shield: true }), "shield")).toBeNull();
+  // Only cards in the hand can be played
+  expect(cardEffect(chaosAt([10, 30], ["double"]), "swap")).toBeNull();
+});
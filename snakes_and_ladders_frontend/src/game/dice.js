@@ -0,0 +1,97 @@
+import { rollDice } from "./engine.js";
+import { sha256Hex } from "./sha256.js";
+
+/**
+ * Seeded, verifiable dice.
+ *
+ * Die number i (0-based) of a game is derived from SHA-256("<seed>:<i>"),
+ * so the same seed always replays the same rolls and anyone who knows the
+ * seed can recompute every one of them.
+ *
+ * Commit-reveal: the host publishes commitSeed(seed) – the SHA-256 of the
+ * seed – before the first roll and reveals the seed when the game ends.
+ * verifyRolls() then checks that the seed matches the commitment and
+ * produced every recorded roll.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * A fresh random seed: 16 bytes as hex (crypto-strength where available).
+ */
+export function randomSeed() {
+  const bytes = new Uint8Array(16);
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The value in [0, 1) behind die number `index` of a seed.
+ */
+export function randomAt(seed, index) {
+  // 52 bits of the hash: exact in a double, and far finer than a die needs
+  return parseInt(sha256Hex(`${seed}:${index}`).slice(0, 13), 16) / 2 ** 52;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A repeatable stand-in for Math.random: value i comes from randomAt(seed, i).
+ * For chance outside the dice, such as the AI's choices in self-play.
+ */
+export function seededRandom(seed) {
+  let index = 0;
+  return () => randomAt(seed, index++);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The public commitment for a seed: its SHA-256 as hex.
+ */
+export function commitSeed(seed) {
+  return sha256Hex(seed);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Dice service for one game.
+ * @param {object} [options]
+ * @param {string} [options.seed] - defaults to randomSeed()
+ * @param {number} [options.used=0] - dice already rolled (to resume a game)
+ * @returns {{ seed: string, commitment: string, used: number, roll: () => number }}
+ */
+export function createDiceService({ seed = randomSeed(), used = 0 } = {}) {
+  let index = used;
+  return {
+    seed,
+    commitment: commitSeed(seed),
+    get used() {
+      return index;
+    },
+    /** Rolls the next die (1-6). */
+    roll() {
+      const value = rollDice(() => randomAt(seed, index));
+      index += 1;
+      return value;
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Re-checks a game's dice against its revealed seed.
+ * @param {object} params
+ * @param {string} params.seed - the revealed seed
+ * @param {string|null} [params.commitment] - hash published at the start, if any
+ * @param {number[]} params.rolls - every die rolled, in order
+ * @returns {{ ok: boolean, commitmentOk: boolean, mismatch: number }} mismatch is
+ *   the index of the first roll that does not follow from the seed, or -1
+ */
+export function verifyRolls({ seed, commitment = null, rolls }) {
+  const commitmentOk = commitment === null || commitSeed(seed) === commitment;
+  const mismatch = rolls.findIndex((value, i) => rollDice(() => randomAt(seed, i)) !== value);
+  return { ok: commitmentOk && mismatch === -1, commitmentOk, mismatch };
+}
@@ -0,0 +1,50 @@
+import { sha256Hex } from "./sha256";
+import { createDiceService, commitSeed, randomSeed, verifyRolls } from "./dice";
+
+const rollMany = (dice, n) => Array.from({ length: n }, () => dice.roll());
+
+test("sha256 matches the standard test vectors", () => {
+  expect(sha256Hex("")).toBe("e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855");
+  expect(sha256Hex("abc")).toBe("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  expect(sha256Hex("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq")).toBe(
+    "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1"
+  );
+});
+
+test("the same seed rolls the same dice, and a game can resume mid-way", () => {
+  const rolls = rollMany(createDiceService({ seed: "bug-42" }), 50);
+  expect(rollMany(createDiceService({ seed: "bug-42" }), 50)).toEqual(rolls);
+  expect(rollMany(createDiceService({ seed: "bug-43" }), 50)).not.toEqual(rolls);
+  const resumed = createDiceService({ seed: "bug-42", used: 20 });
+  expect(rollMany(resumed, 30)).toEqual(rolls.slice(20));
+  expect(resumed.used).toBe(50);
+});
+
+test("rolls cover every face roughly evenly", () => {
+  const counts = [0, 0, 0, 0, 0, 0];
+  for (const value of rollMany(createDiceService({ seed: "fair" }), 6000)) counts[value - 1]++;
+  counts.forEach((c) => expect(c).toBeGreaterThan(850));
+});
+
+test("random seeds are 32 hex characters and differ", () => {
+  expect(randomSeed()).toMatch(/^[0-9a-f]{32}$/);
+  expect(randomSeed()).not.toBe(randomSeed());
+});
+
+test("verifyRolls checks the commitment and every roll", () => {
+  const dice = createDiceService({ seed: "secret" });
+  const rolls = rollMany(dice, 12);
+  expect(dice.commitment).toBe(commitSeed("secret"));
+  expect(verifyRolls({ seed: "secret", commitment: dice.commitment, rolls })).toEqual({
+    ok: true,
+    commitmentOk: true,
+    mismatch: -1
+  });
+  const tampered = [...rolls];
+  tampered[7] = (tampered[7] % 6) + 1;
+  expect(verifyRolls({ seed: "secret", rolls: tampered })).toMatchObject({ ok: false, mismatch: 7 });
+  expect(verifyRolls({ seed: "other", commitment: dice.commitment, rolls: [] })).toMatchObject({
+    ok: false,
+    commitmentOk: false
+  });
+});
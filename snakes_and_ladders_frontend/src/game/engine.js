@@ -0,0 +1,315 @@
+/**
+ * Snakes and Ladders rules engine.
+ *
+ * Pure functions only: no React, no timers, no randomness unless a random
+ * source is passed in. The UI, the AI opponent and the tests all drive the
+ * game through createGame() and applyRoll().
+ *
+ * Imports between modules in src/game use explicit ".js" extensions so the
+ * same files load under plain Node as well as under the CRA bundler.
+ */
+
+import { DEFAULT_RULES, normalizeRules } from "./rules.js";
+import { MAX_HAND, cardEffect, createDeck, validateDeck } from "./cards.js";
+
+export const DEFAULT_PLAYERS = [
+  { id: 1, name: "You", color: "#d42c27", isUser: true },
+  { id: 2, name: "AI", color: "#31c951", isUser: false }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Rolls a six-sided die.
+ * @param {() => number} random - source in [0, 1), defaults to Math.random
+ * @returns {number} 1-6
+ */
+export function rollDice(random = Math.random) {
+  return Math.floor(random() * 6) + 1;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Looks up the snake or ladder starting on a cell.
+ * @returns {{type: "snake"|"ladder", from: number, to: number}|null}
+ */
+export function findJump(board, pos) {
+  for (const s of board.snakes) if (s.head === pos) return { type: "snake", from: s.head, to: s.tail };
+  for (const l of board.ladders) if (l.base === pos) return { type: "ladder", from: l.base, to: l.top };
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the cell a token ends on after landing on pos; pos itself if
+ * there is no snake or ladder there.
+ */
+export function resolveSnakesAndLadders(board, pos) {
+  const jump = findJump(board, pos);
+  return jump ? jump.to : pos;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Index of the player who moves after the current one.
+ */
+export function nextTurn(state) {
+  return (state.turn + 1) % state.players.length;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a fresh game.
+ * @param {object} config
+ * @param {object} config.board - parsed board definition (see boardDefinition.js)
+ * @param {object[]} [config.players] - player descriptors, defaults to DEFAULT_PLAYERS
+ * @param {object} [config.rules] - house rules (see rules.js), defaults to DEFAULT_RULES
+ * @param {string[]} [config.deck] - card ids in draw order for chaos mode,
+ *   defaults to an unshuffled deck (see cards.js)
+ * @returns {object} game state. With rules.tokens > 1 every player also has
+ *   tokens (one cell per token) and position is their rearmost token, so a
+ *   player is on endCell exactly when all their tokens are home. In chaos
+ *   mode every player has a hand of cards, shield and frozen flags, and the
+ *   state has the deck and the number of cards drawn so far.
+ * @throws {Error} when the board is missing, or the rules or deck are invalid
+ */
+export function createGame(config = {}) {
+  const { board } = config;
+  if (!board) throw new Error("createGame: config.board is required");
+  const rules = normalizeRules(config.rules);
+  const deck = rules.chaos ? config.deck || createDeck() : null;
+  const deckErrors = deck ? validateDeck(deck) : [];
+  if (deckErrors.length) throw new Error(`Invalid deck: ${deckErrors.join(" ")}`);
+  const players = (config.players || DEFAULT_PLAYERS).map((p) => ({
+    ...p,
+    position: board.startCell,
+    ...(rules.tokens > 1 ? { tokens: new Array(rules.tokens).fill(board.startCell) } : {}),
+    ...(rules.enterOnSix ? { entered: false } : {}),
+    ...(rules.chaos ? { cards: [], shield: false, frozen: false } : {})
+  }));
+  return {
+    board,
+    rules,
+    players,
+    turn: 0,
+    gameOver: false,
+    winner: null,
+    moveCount: 0,
+    // Sixes rolled in a row by the current player, and where that run began
+    sixStreak: 0,
+    streakStart: null,
+    ...(deck ? { deck: [...deck], drawn: 0 } : {})
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Tokens the player whose turn it is may move: [0] with one token per
+ * player, otherwise every token not yet on endCell.
+ */
+export function movableTokens(state) {
+  const { tokens } = state.players[state.turn];
+  if (!tokens) return [0];
+  return tokens.flatMap((cell, i) => (cell === state.board.endCell ? [] : [i]));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Applies one roll for the player whose turn it is.
+ *
+ * Rules (see rules.js for the options):
+ * - a roll that would carry the token past endCell leaves it in place
+ *   ("bounced" to the same cell) or, with finish "bounce", bounces it back by
+ *   the excess ("moved" to endCell, then "bounced" back);
+ * - landing on a snake head or ladder base moves the token to the other end;
+ * - reaching endCell exactly wins;
+ * - enterOnSix: until a player rolls a six, the token stays put ("needSix");
+ * - extraTurnOnSix: a six keeps the turn ("extraTurn"), and with a
+ *   threeSixes penalty the third six in a row is void ("threeSixes"), sending
+ *   the token back to where the run began for "goBack".
+ * The turn passes on otherwise.
+ *
+ * With several tokens per player the roll moves the chosen token. A token
+ * reaching endCell is "home" and the player wins once every token is;
+ * enterOnSix lets all of a player's tokens move after their first six, and
+ * "goBack" returns every token to where it stood when the sixes began.
+ *
+ * In chaos mode (see cards.js) a card from the hand may be played with the
+ * roll: it acts first ("cardPlayed", with target for the player swapped with
+ * or frozen), then the dice move the token from wherever it is. A shield
+ * stops the next snake ("shielded" instead of "snake"); coming to rest on a
+ * card cell with room in the hand draws a card ("card"); and a frozen player
+ * misses the turn when it comes round ("frozen", with target).
+ *
+ * Event types: "moved", "snake", "ladder", "bounced", "won", "needSix",
+ * "extraTurn", "threeSixes", "home", "cardPlayed", "shielded", "card",
+ * "frozen". Every event has playerIndex (the player who rolled), dice (the
+ * total rolled), from and to, plus token (its index) with several tokens and
+ * card (its id) for card events.
+ *
+ * @param {object} state - game state from createGame()/applyRoll()
+ * @param {number|number[]} roll - die value, or one value per die
+ * @param {number} [token] - token to move with several tokens per player,
+ *   defaults to the first movable one
+ * @param {string} [card] - chaos mode: id of a card in the player's hand to
+ *   play with this roll
+ * @returns {{state: object, events: object[]}} new state (input is not mutated)
+ * @throws {Error} when the chosen token cannot move or the card cannot be played
+ */
+export function applyRoll(state, roll, token, card) {
+  if (state.gameOver) return { state, events: [] };
+
+  const { board } = state;
+  const rules = state.rules || DEFAULT_RULES;
+  const values = Array.isArray(roll) ? roll : [roll];
+  const dice = values.reduce((sum, v) => sum + v, 0);
+  const rolledSix = values.includes(6);
+  const played = card === undefined ? null : playCard(state, card, dice);
+  if (played) state = played.state;
+  const playerIndex = state.turn;
+  const player = state.players[playerIndex];
+  const multi = Array.isArray(player.tokens);
+  const moving = multi ? token ?? movableTokens(state)[0] : 0;
+  if (multi && !movableTokens(state).includes(moving)) throw new Error(`Token ${moving + 1} cannot move.`);
+  const from = multi ? player.tokens[moving] : player.position;
+  const event = (type, eventFrom, to) =>
+    multi ? { type, playerIndex, token: moving, dice, from: eventFrom, to } : { type, playerIndex, dice, from: eventFrom, to };
+  const events = played ? [played.event] : [];
+  let finalPos = from;
+  let entered = player.entered;
+  let shield = player.shield;
+  let tokens = multi ? [...player.tokens] : null;
+
+  const streak = rules.extraTurnOnSix && rolledSix ? (state.sixStreak || 0) + 1 : 0;
+  const penalty = rules.threeSixes !== "off" && streak === 3;
+
+  if (penalty) {
+    if (rules.threeSixes === "goBack") {
+      if (multi) tokens = [...state.streakStart];
+      finalPos = multi ? tokens[moving] : state.streakStart;
+    }
+    events.push(event("threeSixes", from, finalPos));
+  } else if (rules.enterOnSix && !player.entered && !rolledSix) {
+    events.push(event("needSix", from, from));
+  } else {
+    if (rules.enterOnSix) entered = true;
+    let landed = from + (played?.double ? 2 * dice : dice);
+    if (landed > board.endCell) {
+      if (rules.finish === "bounce") {
+        const back = Math.max(board.startCell, 2 * board.endCell - landed);
+        if (from < board.endCell) events.push(event("moved", from, board.endCell));
+        events.push(event("bounced", board.endCell, back));
+        landed = back;
+      } else {
+        events.push(event("bounced", from, from));
+        landed = from;
+      }
+    } else {
+      events.push(event("moved", from, landed));
+    }
+    finalPos = landed;
+    const jump = landed === from ? null : findJump(board, landed);
+    if (jump?.type === "snake" && shield) {
+      events.push(event("shielded", jump.from, jump.from));
+      shield = false;
+    } else if (jump) {
+      events.push(event(jump.type, jump.from, jump.to));
+      finalPos = jump.to;
+    }
+  }
+  if (multi) tokens[moving] = finalPos;
+
+  // Chaos mode: coming to rest on a card cell draws the next card, if the hand has room
+  let { drawn } = state;
+  let hand = player.cards;
+  if (rules.chaos && finalPos !== from && finalPos !== board.endCell && board.cards?.includes(finalPos) && hand.length < MAX_HAND) {
+    const drawnCard = state.deck[drawn % state.deck.length];
+    hand = [...hand, drawnCard];
+    drawn += 1;
+    events.push({ ...event("card", finalPos, finalPos), card: drawnCard });
+  }
+
+  const moved = multi ? { tokens, position: Math.min(...tokens) } : { position: finalPos };
+  const players = state.players.map((p, idx) =>
+    idx === playerIndex
+      ? { ...p, ...moved, ...(rules.enterOnSix ? { entered } : {}), ...(rules.chaos ? { cards: hand, shield } : {}) }
+      : p
+  );
+  const won = moved.position === board.endCell;
+  const extraTurn = !won && !penalty && streak > 0;
+  if (won) events.push(event("won", from, finalPos));
+  else if (finalPos === board.endCell) events.push(event("home", finalPos, finalPos));
+  if (extraTurn) events.push(event("extraTurn", finalPos, finalPos));
+
+  // Frozen players miss the turn as it reaches them, and thaw
+  let turn = won || extraTurn ? state.turn : nextTurn(state);
+  while (!won && !extraTurn && players[turn].frozen) {
+    const cell = players[turn].position;
+    events.push({ ...event("frozen", cell, cell), target: turn });
+    players[turn] = { ...players[turn], frozen: false };
+    turn = (turn + 1) % players.length;
+  }
+
+  return {
+    state: {
+      ...state,
+      players,
+      turn,
+      gameOver: won,
+      winner: won ? playerIndex : null,
+      moveCount: state.moveCount + 1,
+      sixStreak: extraTurn ? streak : 0,
+      // Where the run of sixes began: the token's cell, or every token's with several
+      streakStart: extraTurn ? (streak === 1 ? (multi ? [...player.tokens] : from) : state.streakStart) : null,
+      ...(rules.chaos ? { drawn } : {})
+    },
+    events
+  };
+}
+
+// Chaos mode: the effect of a card played with a roll, before the dice move
+// the token (see cardEffect in cards.js), and its "cardPlayed" event
+function playCard(state, card, dice) {
+  const effect = cardEffect(state, card);
+  if (!effect) throw new Error(`The ${card} card cannot be played now.`);
+  const playerIndex = state.turn;
+  const from = state.players[playerIndex].position;
+  const to = effect.to ?? from;
+  const players = state.players.map((p, i) => {
+    if (i === playerIndex) {
+      const cards = [...p.cards];
+      cards.splice(cards.indexOf(card), 1);
+      return { ...p, position: to, cards, shield: p.shield || card === "shield" };
+    }
+    if (i !== effect.target) return p;
+    return card === "swap" ? { ...p, position: from } : { ...p, frozen: true };
+  });
+  const target = effect.target === undefined ? {} : { target: effect.target };
+  return {
+    state: { ...state, players },
+    event: { type: "cardPlayed", playerIndex, dice, from, to, card, ...target },
+    double: card === "double"
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The real choices a roll offers: applyRoll's result for each movable token,
+ * leaving out tokens whose move ends the same way as an earlier one (two
+ * tokens on one cell, or a roll that moves nothing, like a missing six).
+ * A single entry means there is nothing to decide.
+ * @param {string} [card] - chaos mode: card played with the roll, as for applyRoll
+ * @returns {{token: number, state: object, events: object[]}[]}
+ */
+export function tokenChoices(state, roll, card) {
+  const seen = new Set();
+  const choices = [];
+  for (const token of movableTokens(state)) {
+    const result = applyRoll(state, roll, token, card);
+    const p = result.state.players[state.turn];
+    const key = [...(p.tokens || [p.position])].sort((a, b) => a - b).join(",");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    choices.push({ token, ...result });
+  }
+  return choices;
+}
@@ -0,0 +1,272 @@
+import { createGame, applyRoll, rollDice, resolveSnakesAndLadders, movableTokens, tokenChoices } from "./engine";
+
+const board = {
+  size: 10,
+  startCell: 1,
+  endCell: 100,
+  snakes: [{ head: 27, tail: 5 }],
+  ladders: [{ base: 4, top: 25 }]
+};
+
+function gameAt(positions, turn = 0) {
+  const game = createGame({ board });
+  return {
+    ...game,
+    turn,
+    players: game.players.map((p, i) => ({ ...p, position: positions[i] }))
+  };
+}
+
+test("createGame puts every player on the start cell", () => {
+  const game = createGame({ board });
+  expect(game.board).toBe(board);
+  expect(game.players.map((p) => p.position)).toEqual([1, 1]);
+  expect(game.turn).toBe(0);
+  expect(game.gameOver).toBe(false);
+});
+
+test("createGame requires a board", () => {
+  expect(() => createGame()).toThrow(/board is required/);
+});
+
+test("rollDice maps the random source onto 1-6", () => {
+  expect(rollDice(() => 0)).toBe(1);
+  expect(rollDice(() => 0.999)).toBe(6);
+});
+
+test("resolveSnakesAndLadders follows snakes and ladders", () => {
+  expect(resolveSnakesAndLadders(board, 27)).toBe(5);
+  expect(resolveSnakesAndLadders(board, 4)).toBe(25);
+  expect(resolveSnakesAndLadders(board, 10)).toBe(10);
+});
+
+test("a plain move advances the token and passes the turn", () => {
+  const { state, events } = applyRoll(gameAt([1, 1]), 5);
+  expect(state.players[0].position).toBe(6);
+  expect(state.turn).toBe(1);
+  expect(events).toEqual([{ type: "moved", playerIndex: 0, dice: 5, from: 1, to: 6 }]);
+});
+
+test("landing on a ladder base climbs it", () => {
+  const { state, events } = applyRoll(gameAt([1, 1]), 3);
+  expect(state.players[0].position).toBe(25);
+  expect(events.map((e) => e.type)).toEqual(["moved", "ladder"]);
+  expect(events[1]).toMatchObject({ from: 4, to: 25 });
+});
+
+test("landing on a snake head slides down", () => {
+  const { state, events } = applyRoll(gameAt([1, 24], 1), 3);
+  expect(state.players[1].position).toBe(5);
+  expect(state.turn).toBe(0);
+  expect(events.map((e) => e.type)).toEqual(["moved", "snake"]);
+});
+
+test("overshooting the end cell leaves the token in place", () => {
+  const { state, events } = applyRoll(gameAt([98, 1]), 4);
+  expect(state.players[0].position).toBe(98);
+  expect(state.turn).toBe(1);
+  expect(events).toEqual([{ type: "bounced", playerIndex: 0, dice: 4, from: 98, to: 98 }]);
+});
+
+test("reaching the end cell exactly wins and ends the game", () => {
+  const { state, events } = applyRoll(gameAt([96, 1]), 4);
+  expect(state.gameOver).toBe(true);
+  expect(state.winner).toBe(0);
+  expect(state.turn).toBe(0);
+  expect(events.map((e) => e.type)).toEqual(["moved", "won"]);
+  expect(applyRoll(state, 3)).toEqual({ state, events: [] });
+});
+
+test("applyRoll does not mutate its input", () => {
+  const game = gameAt([1, 1]);
+  const snapshot = JSON.stringify(game);
+  applyRoll(game, 6);
+  expect(JSON.stringify(game)).toBe(snapshot);
+});
+
+// House rules (see rules.js)
+function ruledGameAt(rules, positions, turn = 0) {
+  const game = createGame({ board, rules });
+  return {
+    ...game,
+    turn,
+    players: game.players.map((p, i) => ({ ...p, position: positions[i], ...(rules.enterOnSix ? { entered: true } : {}) }))
+  };
+}
+
+test("createGame rejects invalid rules", () => {
+  expect(() => createGame({ board, rules: { finish: "sideways" } })).toThrow(/Invalid rules/);
+});
+
+test("bounce finish: overshooting bounces back by the excess, then follows jumps", () => {
+  const { state, events } = applyRoll(ruledGameAt({ finish: "bounce" }, [98, 1]), 5);
+  expect(state.players[0].position).toBe(97);
+  expect(events).toEqual([
+    { type: "moved", playerIndex: 0, dice: 5, from: 98, to: 100 },
+    { type: "bounced", playerIndex: 0, dice: 5, from: 100, to: 97 }
+  ]);
+  const snaky = { ...board, snakes: [...board.snakes, { head: 96, tail: 50 }] };
+  const game = { ...ruledGameAt({ finish: "bounce" }, [98, 1]), board: snaky };
+  expect(applyRoll(game, 6).state.players[0].position).toBe(50);
+});
+
+test("extra turn on a six keeps the turn", () => {
+  const { state, events } = applyRoll(ruledGameAt({ extraTurnOnSix: true }, [10, 1]), 6);
+  expect(state.turn).toBe(0);
+  expect(state.sixStreak).toBe(1);
+  expect(state.streakStart).toBe(10);
+  expect(events.map((e) => e.type)).toEqual(["moved", "extraTurn"]);
+  const after = applyRoll(state, 2).state;
+  expect(after.turn).toBe(1);
+  expect(after.sixStreak).toBe(0);
+});
+
+test("a winning six does not grant an extra turn", () => {
+  const { state, events } = applyRoll(ruledGameAt({ extraTurnOnSix: true }, [94, 1]), 6);
+  expect(state.gameOver).toBe(true);
+  expect(events.map((e) => e.type)).toEqual(["moved", "won"]);
+});
+
+test.each([
+  ["loseTurn", 22],
+  ["goBack", 10]
+])("three sixes in a row (%s) void the third roll and pass the turn", (threeSixes, expected) => {
+  let state = ruledGameAt({ extraTurnOnSix: true, threeSixes }, [10, 1]);
+  state = applyRoll(state, 6).state; // 16
+  state = applyRoll(state, 6).state; // 22
+  const { state: after, events } = applyRoll(state, 6);
+  expect(events).toEqual([{ type: "threeSixes", playerIndex: 0, dice: 6, from: 22, to: expected }]);
+  expect(after.players[0].position).toBe(expected);
+  expect(after.turn).toBe(1);
+  expect(after.sixStreak).toBe(0);
+});
+
+test("need a six to enter: tokens wait on the start cell until a six", () => {
+  const game = createGame({ board, rules: { enterOnSix: true } });
+  expect(game.players[0].entered).toBe(false);
+  const waiting = applyRoll(game, 5);
+  expect(waiting.events).toEqual([{ type: "needSix", playerIndex: 0, dice: 5, from: 1, to: 1 }]);
+  expect(waiting.state.players[0].position).toBe(1);
+  const entering = applyRoll(waiting.state, 6);
+  expect(entering.state.players[1]).toMatchObject({ position: 7, entered: true });
+  const stillWaiting = applyRoll(entering.state, 2);
+  expect(stillWaiting.events.map((e) => e.type)).toEqual(["needSix"]);
+  expect(applyRoll(stillWaiting.state, 2).state.players[1].position).toBe(9);
+});
+
+test("two dice move by the total; a six on either die counts", () => {
+  const game = createGame({ board, rules: { diceCount: 2, extraTurnOnSix: true } });
+  const { state, events } = applyRoll(game, [6, 2]);
+  expect(state.players[0].position).toBe(9);
+  expect(events[0]).toMatchObject({ type: "moved", dice: 8 });
+  expect(state.turn).toBe(0);
+  expect(applyRoll(state, [1, 2]).state.turn).toBe(1);
+});
+
+// Choice variant: tokens[i] holds player i's token cells
+function tokensAt(tokens, rules = {}) {
+  const game = createGame({ board, rules: { tokens: tokens[0].length, ...rules } });
+  return {
+    ...game,
+    players: game.players.map((p, i) => ({ ...p, tokens: tokens[i], position: Math.min(...tokens[i]) }))
+  };
+}
+
+test("with several tokens the roll moves the chosen one", () => {
+  const game = createGame({ board, rules: { tokens: 3 } });
+  expect(game.players[0]).toMatchObject({ position: 1, tokens: [1, 1, 1] });
+  const { state, events } = applyRoll(game, 3, 2);
+  expect(state.players[0]).toMatchObject({ position: 1, tokens: [1, 1, 25] });
+  expect(events).toEqual([
+    { type: "moved", playerIndex: 0, token: 2, dice: 3, from: 1, to: 4 },
+    { type: "ladder", playerIndex: 0, token: 2, dice: 3, from: 4, to: 25 }
+  ]);
+  expect(state.turn).toBe(1);
+});
+
+test("a token on the end cell is home, and the player wins with the last one", () => {
+  const first = applyRoll(tokensAt([[97, 60], [1, 1]]), 3, 0);
+  expect(first.events.map((e) => e.type)).toEqual(["moved", "home"]);
+  expect(first.state.players[0]).toMatchObject({ tokens: [100, 60], position: 60 });
+  expect(first.state.gameOver).toBe(false);
+  const again = { ...first.state, turn: 0 };
+  expect(movableTokens(again)).toEqual([1]);
+  expect(() => applyRoll(again, 2, 0)).toThrow("Token 1 cannot move.");
+
+  const last = applyRoll(tokensAt([[100, 96], [1, 1]]), 4, 1);
+  expect(last.events.map((e) => e.type)).toEqual(["moved", "won"]);
+  expect(last.state).toMatchObject({ gameOver: true, winner: 0 });
+});
+
+test("three sixes with goBack return every token to where the sixes began", () => {
+  let state = tokensAt([[10, 30], [1, 1]], { extraTurnOnSix: true, threeSixes: "goBack" });
+  state = applyRoll(state, 6, 0).state; // 16
+  state = applyRoll(state, 6, 1).state; // 36
+  const { state: after, events } = applyRoll(state, 6, 0);
+  expect(events).toEqual([{ type: "threeSixes", playerIndex: 0, token: 0, dice: 6, from: 16, to: 10 }]);
+  expect(after.players[0].tokens).toEqual([10, 30]);
+});
+
+test("tokenChoices leaves out moves that end the same way", () => {
+  expect(tokenChoices(tokensAt([[5, 5, 20], [1, 1, 1]]), 2).map((c) => c.token)).toEqual([0, 2]);
+  // Waiting for a six, no token can move whichever is picked
+  expect(tokenChoices(tokensAt([[1, 1], [1, 1]], { enterOnSix: true }), 3)).toHaveLength(1);
+  // One token per player: nothing to choose
+  expect(tokenChoices(gameAt([1, 1]), 3)).toHaveLength(1);
+});
+
+const chaosBoard = { ...board, snakes: [...board.snakes, { head: 60, tail: 40 }], cards: [10, 12] };
+
+// A chaos game with the given positions and hands
+function chaosAt(positions, hands = [], turn = 0) {
+  const game = createGame({ board: chaosBoard, players: [{ id: 1, name: "Ann" }, { id: 2, name: "Bo" }, { id: 3, name: "Cy" }].slice(0, positions.length), rules: { chaos: true } });
+  return {
+    ...game,
+    turn,
+    players: game.players.map((p, i) => ({ ...p, position: positions[i], cards: hands[i] || [] }))
+  };
+}
+
+test("chaos games deal from the deck; a card cell draws the next card", () => {
+  const game = createGame({ board: chaosBoard, rules: { chaos: true }, deck: ["swap", "shield"] });
+  expect(game).toMatchObject({ deck: ["swap", "shield"], drawn: 0 });
+  expect(game.players[0]).toMatchObject({ cards: [], shield: false, frozen: false });
+  const { state, events } = applyRoll({ ...game, players: game.players.map((p) => ({ ...p, position: 7 })) }, 3);
+  expect(events[1]).toEqual({ type: "card", playerIndex: 0, dice: 3, from: 10, to: 10, card: "swap" });
+  expect(state.players[0].cards).toEqual(["swap"]);
+  expect(state.drawn).toBe(1);
+  expect(() => createGame({ board: chaosBoard, rules: { chaos: true }, deck: ["joker"] })).toThrow('Invalid deck: Unknown card "joker"');
+});
+
+test("a full hand draws nothing", () => {
+  const { state, events } = applyRoll(chaosAt([7, 1], [["double", "double", "double"]]), 3);
+  expect(events.map((e) => e.type)).toEqual(["moved"]);
+  expect(state.players[0].cards).toHaveLength(3);
+});
+
+test("a shield stops the next snake and is used up", () => {
+  const { state, events } = applyRoll(chaosAt([57, 1], [["shield"]]), 3, undefined, "shield");
+  expect(events.map((e) => e.type)).toEqual(["cardPlayed", "moved", "shielded"]);
+  expect(state.players[0]).toMatchObject({ position: 60, shield: false, cards: [] });
+  expect(() => applyRoll(chaosAt([57, 1], [["double"]]), 3, undefined, "shield")).toThrow("The shield card cannot be played now.");
+});
+
+test("swap trades places with the leader before the dice move", () => {
+  const { state, events } = applyRoll(chaosAt([5, 30, 50], [["swap"]]), 2, undefined, "swap");
+  expect(events[0]).toEqual({ type: "cardPlayed", playerIndex: 0, dice: 2, from: 5, to: 50, card: "swap", target: 2 });
+  expect(state.players.map((p) => p.position)).toEqual([52, 30, 5]);
+});
+
+test("double moves twice as far and teleport jumps to the next ladder", () => {
+  expect(applyRoll(chaosAt([30, 1], [["double"]]), 4, undefined, "double").state.players[0].position).toBe(38);
+  const { state } = applyRoll(chaosAt([2, 1], [["teleport"]]), 1, undefined, "teleport");
+  expect(state.players[0].position).toBe(26);
+});
+
+test("a frozen player misses their next turn and thaws", () => {
+  const { state, events } = applyRoll(chaosAt([20, 30, 15], [["freeze"]]), 1, undefined, "freeze");
+  expect(events.map((e) => e.type)).toEqual(["cardPlayed", "moved", "frozen"]);
+  expect(events[2]).toMatchObject({ target: 1, from: 30 });
+  expect(state.turn).toBe(2);
+  expect(state.players[1].frozen).toBe(false);
+});
@@ -0,0 +1,109 @@
+/**
+ * Game-event bus: the game loop publishes what happened and listeners (the
+ * chat) react in their own time. emit() never waits for a listener, so a slow
+ * LLM call can't hold up the turn.
+ *
+ * Move events, one per roll once the token has arrived:
+ *   { type: "move", moveCount, player: { id, name, isUser }, dice, token?, from, to,
+ *     isWin, isSnake, isLadder, isBounce, events,   // events: the engine's own
+ *                                                  // token, from, to: the token moved, with several
+ *     next: { id, name, isUser } | null,           // who rolls next, null once the game is over
+ *     cardPlayed?, cardDrawn?, isShielded?, frozen? }   // chaos mode, see below
+ *
+ * In chaos mode (./cards) move events also say which card was played with the
+ * roll (cardPlayed: { id, name, target: { id, name, isUser } | null }), which
+ * card was drawn (cardDrawn: { id, name }), whether a shield stopped a snake
+ * (isShielded) and who missed their turn frozen (frozen: [{ id, name, isUser }]).
+ * Card plays and draws are also published on their own, after the move, with
+ * the move's dice, from and to:
+ *   { type: "cardPlayed", moveCount, player, dice, from, to, card: { id, name }, target }
+ *   { type: "cardDrawn", moveCount, player, dice, from, to, card: { id, name } }
+ */
+
+import { getCard } from "./cards.js";
+
+const who = (p) => ({ id: p.id, name: p.name, isUser: Boolean(p.isUser) });
+
+function cardOf(id) {
+  return { id, name: getCard(id)?.name || id };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates an event bus.
+ * @returns {{ on: (listener: (event: object) => void) => () => void, emit: (event: object) => void }}
+ *   on() returns a function that unsubscribes
+ */
+export function createEventBus() {
+  const listeners = new Set();
+  return {
+    on(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    emit(event) {
+      // A failing listener must not break the game or the other listeners
+      [...listeners].forEach((listener) => {
+        try {
+          listener(event);
+        } catch (err) {
+          console.error("Game event listener failed:", err);
+        }
+      });
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The move event for a roll, from the engine's events (see ./engine).
+ * @param {{ player: object, dice: number, events: object[], state: object }} roll -
+ *   player as they were before the roll, state after it
+ */
+export function moveEvent({ player, dice, events, state }) {
+  const playerIndex = events[0]?.playerIndex ?? state.turn;
+  const token = events[0]?.token;
+  const has = (type) => events.some((e) => e.type === type);
+  const cell = (p) => (token === undefined ? p.position : p.tokens[token]);
+  const next = state.gameOver ? null : state.players[state.turn];
+  const played = events.find((e) => e.type === "cardPlayed");
+  const drawn = events.find((e) => e.type === "card");
+  const frozen = events.filter((e) => e.type === "frozen").map((e) => who(state.players[e.target]));
+  return {
+    type: "move",
+    moveCount: state.moveCount,
+    player: who(player),
+    dice,
+    ...(token !== undefined ? { token } : {}),
+    from: cell(player),
+    to: cell(state.players[playerIndex]),
+    isWin: has("won"),
+    isSnake: has("snake"),
+    isLadder: has("ladder"),
+    isBounce: has("bounced"),
+    events,
+    next: next && who(next),
+    ...(played
+      ? { cardPlayed: { ...cardOf(played.card), target: played.target === undefined ? null : who(state.players[played.target]) } }
+      : {}),
+    ...(drawn ? { cardDrawn: cardOf(drawn.card) } : {}),
+    ...(has("shielded") ? { isShielded: true } : {}),
+    ...(frozen.length ? { frozen } : {})
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The card events that go with a move event: the card played with the roll
+ * and the card drawn, in that order (none outside chaos mode).
+ */
+export function cardEvents(move) {
+  const { moveCount, player, dice, from, to } = move;
+  const list = [];
+  if (move.cardPlayed) {
+    const { target, ...card } = move.cardPlayed;
+    list.push({ type: "cardPlayed", moveCount, player, dice, from, to, card, target });
+  }
+  if (move.cardDrawn) list.push({ type: "cardDrawn", moveCount, player, dice, from, to, card: move.cardDrawn });
+  return list;
+}
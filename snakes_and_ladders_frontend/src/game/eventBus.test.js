@@ -0,0 +1,67 @@
+import { createGame, applyRoll } from "./engine";
+import { parseBoard } from "./boardDefinition";
+import { cardEvents, createEventBus, moveEvent } from "./eventBus";
+
+test("listeners get every event and can unsubscribe; a failing one is contained", () => {
+  const bus = createEventBus();
+  const seen = [];
+  const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+  bus.on(() => {
+    throw new Error("boom");
+  });
+  const off = bus.on((e) => seen.push(e.n));
+  bus.emit({ n: 1 });
+  off();
+  bus.emit({ n: 2 });
+  expect(seen).toEqual([1]);
+  expect(spy).toHaveBeenCalledTimes(2);
+  spy.mockRestore();
+});
+
+test("move events summarize the engine's events", () => {
+  const board = parseBoard({ id: "t", size: 3, snakes: [{ head: 8, tail: 2 }], ladders: [{ base: 3, top: 6 }] });
+  const state = createGame({ board, players: [{ id: 1, name: "Ann", isUser: true }, { id: 2, name: "Bot" }] });
+  const { state: next, events } = applyRoll(state, 2);
+  expect(moveEvent({ player: state.players[0], dice: 2, events, state: next })).toMatchObject({
+    type: "move",
+    moveCount: 1,
+    player: { id: 1, name: "Ann", isUser: true },
+    from: 1,
+    to: 6,
+    isLadder: true,
+    isSnake: false,
+    isWin: false,
+    isBounce: false,
+    next: { id: 2, name: "Bot", isUser: false }
+  });
+});
+
+test("with several tokens, from and to follow the token moved", () => {
+  const board = parseBoard({ id: "t", size: 3, snakes: [], ladders: [] });
+  const state = createGame({ board, players: [{ id: 1, name: "Ann" }, { id: 2, name: "Bot" }], rules: { tokens: 2 } });
+  const moved = applyRoll({ ...state, players: [{ ...state.players[0], tokens: [5, 1] }, state.players[1]] }, 2, 1);
+  expect(moveEvent({ player: { ...state.players[0], tokens: [5, 1] }, dice: 2, events: moved.events, state: moved.state })).toMatchObject({
+    token: 1,
+    from: 1,
+    to: 3
+  });
+});
+
+test("chaos moves carry their cards, which are also published on their own", () => {
+  const board = parseBoard({ id: "t", size: 4, snakes: [], ladders: [], cards: [9] });
+  const game = createGame({ board, players: [{ id: 1, name: "Ann" }, { id: 2, name: "Bot" }], rules: { chaos: true }, deck: ["shield"] });
+  const state = { ...game, players: [{ ...game.players[0], position: 2, cards: ["swap"] }, { ...game.players[1], position: 6 }] };
+  const { state: next, events } = applyRoll(state, 3, undefined, "swap");
+  const move = moveEvent({ player: state.players[0], dice: 3, events, state: next });
+  expect(move).toMatchObject({
+    from: 2,
+    to: 9,
+    cardPlayed: { id: "swap", name: "Swap", target: { id: 2, name: "Bot" } },
+    cardDrawn: { id: "shield", name: "Shield" }
+  });
+  expect(cardEvents(move)).toEqual([
+    { type: "cardPlayed", moveCount: 1, player: move.player, dice: 3, from: 2, to: 9, card: { id: "swap", name: "Swap" }, target: move.cardPlayed.target },
+    { type: "cardDrawn", moveCount: 1, player: move.player, dice: 3, from: 2, to: 9, card: { id: "shield", name: "Shield" } }
+  ]);
+  expect(cardEvents(moveEvent({ player: next.players[1], dice: 1, events: applyRoll(next, 1).events, state: next }))).toEqual([]);
+});
@@ -0,0 +1,133 @@
+import { applyRoll } from "./engine.js";
+import { describeRules } from "./rules.js";
+import { describeLoggedMove } from "./gameLog.js";
+
+/**
+ * Game-state context for the AI chat.
+ *
+ * The browser summarizes the live game (positions, whose turn, snakes and
+ * ladders within reach, recent moves) and works out the exact odds of the
+ * next roll by running every dice outcome through the engine. The chat proxy
+ * turns the summary into a prompt, so the model quotes these numbers instead
+ * of guessing them:
+ *   {
+ *     board: { name, endCell },
+ *     rules: "Exact roll to finish",
+ *     turn, me, winner,                // player indexes; me is who is asking, or null
+ *     players: [{ name, isUser, position, toGo, waitingForSix?,
+ *                 snakes: [{ head, tail, distance }], ladders: [{ base, top, distance }],
+ *                 odds: { total, snake, ladder, win, stuck } | null }],
+ *     recentMoves: ["Ann rolled 4: 12 → 16, snake to 5", …]
+ *   }
+ * Odds are outcome counts out of total (6 for one die, 36 for two).
+ */
+
+const RECENT_MOVES = 6;
+
+// PUBLIC_INTERFACE
+/**
+ * Every way the dice can fall: [[1], …, [6]] or [[1, 1], [1, 2], …, [6, 6]].
+ */
+export function diceOutcomes(diceCount = 1) {
+  let outcomes = [[]];
+  for (let d = 0; d < diceCount; d++) {
+    outcomes = outcomes.flatMap((rolls) => [1, 2, 3, 4, 5, 6].map((v) => [...rolls, v]));
+  }
+  return outcomes;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Exact odds for a player's next roll. Every outcome goes through the
+ * engine, so house rules, bounces and the six streak all count.
+ * @param {object} state - game state
+ * @param {number} playerIndex
+ * @returns {{ total: number, snake: number, ladder: number, win: number, stuck: number }}
+ *   how many of the total outcomes hit a snake, a ladder, win, or leave the token where it is
+ */
+export function nextRollOdds(state, playerIndex) {
+  const outcomes = diceOutcomes(state.rules.diceCount);
+  // A six streak only belongs to the player whose turn it is
+  const start = playerIndex === state.turn ? state : { ...state, turn: playerIndex, sixStreak: 0, streakStart: null };
+  const from = state.players[playerIndex].position;
+  const odds = { total: outcomes.length, snake: 0, ladder: 0, win: 0, stuck: 0 };
+  for (const rolls of outcomes) {
+    const { state: next, events } = applyRoll(start, rolls);
+    if (events.some((e) => e.type === "snake")) odds.snake++;
+    if (events.some((e) => e.type === "ladder")) odds.ladder++;
+    if (events.some((e) => e.type === "won")) odds.win++;
+    if (next.players[playerIndex].position === from) odds.stuck++;
+  }
+  return odds;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds the chat context for a game state.
+ * @param {object} state - game state
+ * @param {object} [options]
+ * @param {object} [options.log] - game log, for the recent moves
+ * @param {number|null} [options.me] - index of the player asking
+ */
+export function buildGameContext(state, { log = null, me = null } = {}) {
+  const { board, rules } = state;
+  const reach = 6 * rules.diceCount;
+  const ahead = (position, cell) => cell > position && cell - position <= reach;
+  return {
+    board: { name: board.name, endCell: board.endCell },
+    rules: describeRules(rules),
+    turn: state.turn,
+    me,
+    winner: state.winner,
+    players: state.players.map((p, i) => ({
+      name: p.name,
+      isUser: Boolean(p.isUser),
+      position: p.position,
+      toGo: board.endCell - p.position,
+      ...(p.entered === false ? { waitingForSix: true } : {}),
+      snakes: board.snakes
+        .filter((s) => ahead(p.position, s.head))
+        .map((s) => ({ head: s.head, tail: s.tail, distance: s.head - p.position })),
+      ladders: board.ladders
+        .filter((l) => ahead(p.position, l.base))
+        .map((l) => ({ base: l.base, top: l.top, distance: l.base - p.position })),
+      odds: state.gameOver ? null : nextRollOdds(state, i)
+    })),
+    recentMoves: log ? log.moves.slice(-RECENT_MOVES).map((m) => describeLoggedMove(log, m)) : []
+  };
+}
+
+const percent = (n, total) => `${n}/${total} (${Math.round((100 * n) / total)}%)`;
+
+// PUBLIC_INTERFACE
+/**
+ * Plain-text version of a context for the model's system prompt.
+ */
+export function formatGameContext(context) {
+  const { board, players } = context;
+  const name = (i) => players[i]?.name ?? "?";
+  const best = Math.max(...players.map((p) => p.position));
+  const leaders = players.filter((p) => p.position === best).map((p) => p.name);
+  const lines = [
+    "Live game state, computed exactly by the game. Quote these numbers; never guess odds or positions.",
+    `Board: ${board.name}, finish on cell ${board.endCell}. Rules: ${context.rules}.`,
+    context.winner !== null && context.winner !== undefined
+      ? `Game over: ${name(context.winner)} won.`
+      : `${name(context.turn)} rolls next.`,
+    `${leaders.length > 1 ? "Tied for the lead" : "Leader"}: ${leaders.join(", ")} on cell ${best}.`
+  ];
+  if (context.me !== null && context.me !== undefined) lines.push(`The player chatting with you is ${name(context.me)}.`);
+  players.forEach((p) => {
+    let line = `- ${p.name} (${p.isUser ? "human" : "AI"}): cell ${p.position}, ${p.toGo} to go`;
+    if (p.waitingForSix) line += ", needs a 6 to enter";
+    if (p.odds) {
+      const { total, snake, ladder, win, stuck } = p.odds;
+      line += `. Next roll: snake ${percent(snake, total)}, ladder ${percent(ladder, total)}, win ${percent(win, total)}, no move ${percent(stuck, total)}`;
+    }
+    if (p.snakes.length) line += `. Snakes ahead: ${p.snakes.map((s) => `${s.head}→${s.tail} in ${s.distance}`).join(", ")}`;
+    if (p.ladders.length) line += `. Ladders ahead: ${p.ladders.map((l) => `${l.base}→${l.top} in ${l.distance}`).join(", ")}`;
+    lines.push(`${line}.`);
+  });
+  if (context.recentMoves.length) lines.push(`Recent moves: ${context.recentMoves.join("; ")}.`);
+  return lines.join("\n");
+}
@@ -0,0 +1,66 @@
+import { createGame, applyRoll } from "./engine";
+import { parseBoard } from "./boardDefinition";
+import { createGameLog, recordMove } from "./gameLog";
+import { buildGameContext, diceOutcomes, formatGameContext, nextRollOdds } from "./gameContext";
+
+const board = parseBoard({
+  id: "small",
+  name: "Small",
+  size: 5,
+  snakes: [{ head: 14, tail: 3 }, { head: 24, tail: 10 }],
+  ladders: [{ base: 4, top: 12 }]
+});
+const players = [
+  { id: 1, name: "Ann", isUser: true },
+  { id: 2, name: "Bot", isUser: false }
+];
+
+const at = (positions, rules) => {
+  const state = createGame({ board, players, rules });
+  return { ...state, players: state.players.map((p, i) => ({ ...p, position: positions[i] })) };
+};
+
+test("dice outcomes cover every face combination", () => {
+  expect(diceOutcomes(1)).toHaveLength(6);
+  expect(diceOutcomes(2)).toHaveLength(36);
+  expect(diceOutcomes(2)[7]).toEqual([2, 2]);
+});
+
+test("next-roll odds are exact for one die", () => {
+  // From 1: a 3 lands on the ladder at 4; from 9: a 5 hits the snake at 14
+  expect(nextRollOdds(at([1, 9]), 0)).toEqual({ total: 6, snake: 0, ladder: 1, win: 0, stuck: 0 });
+  expect(nextRollOdds(at([1, 9]), 1)).toEqual({ total: 6, snake: 1, ladder: 0, win: 0, stuck: 0 });
+  // From 22 on an exact-finish board: 3 wins, 4-6 overshoot, 2 hits the snake at 24
+  expect(nextRollOdds(at([22, 1]), 0)).toEqual({ total: 6, snake: 1, ladder: 0, win: 1, stuck: 3 });
+  // Bouncing back: a 4 ends on 24, the snake, and a 6 bounces back onto 22
+  expect(nextRollOdds(at([22, 1], { finish: "bounce" }), 0)).toMatchObject({ snake: 2, win: 1, stuck: 1 });
+});
+
+test("next-roll odds follow the house rules", () => {
+  // Two dice reach the ladder at 4 with 1 + 2 or 2 + 1
+  expect(nextRollOdds(at([1, 1], { diceCount: 2 }), 0)).toEqual({ total: 36, snake: 0, ladder: 2, win: 0, stuck: 0 });
+  // Needing a six to enter: 5 of 6 rolls leave the token where it is
+  expect(nextRollOdds(at([1, 1], { enterOnSix: true }), 0)).toMatchObject({ stuck: 5 });
+});
+
+test("the context lists positions, nearby jumps, odds and recent moves", () => {
+  let state = createGame({ board, players });
+  let log = createGameLog({ board, players, now: () => 0 });
+  for (const dice of [3, 2]) {
+    const result = applyRoll(state, dice);
+    log = recordMove(log, { dice, events: result.events, state: result.state }, () => 0);
+    state = result.state;
+  }
+  const context = buildGameContext(state, { log, me: 0 });
+  expect(context).toMatchObject({ board: { name: "Small", endCell: 25 }, turn: 0, me: 0, winner: null });
+  expect(context.players[0]).toMatchObject({ name: "Ann", position: 12, toGo: 13 });
+  expect(context.players[0].snakes).toEqual([{ head: 14, tail: 3, distance: 2 }]);
+  expect(context.players[1].ladders).toEqual([{ base: 4, top: 12, distance: 1 }]);
+  expect(context.recentMoves).toEqual(["Ann rolled 3: 1 → 4, ladder to 12", "Bot rolled 2: 1 → 3"]);
+
+  const text = formatGameContext(context);
+  expect(text).toMatch(/Ann rolls next/);
+  expect(text).toMatch(/Leader: Ann on cell 12/);
+  expect(text).toMatch(/The player chatting with you is Ann/);
+  expect(text).toMatch(/- Ann \(human\): cell 12, 13 to go\. Next roll: snake 1\/6 \(17%\)/);
+});
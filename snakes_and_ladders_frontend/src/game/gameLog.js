@@ -0,0 +1,289 @@
+import { createGame, applyRoll } from "./engine.js";
+import { parseBoard } from "./boardDefinition.js";
+import { normalizeRules } from "./rules.js";
+import { getCard } from "./cards.js";
+import { createTranslator } from "../i18n/index.js";
+
+/**
+ * Game log: everything needed to rebuild or replay a game.
+ *
+ *   { version, id, startedAt, finishedAt, seed, commitment, board, rules, players,
+ *     deck?,                                                    // chaos mode: card ids in draw order
+ *     moves: [{ playerIndex, dice, rolls?, token?, card?, events }],   // rolls: each die, with 2 dice
+ *                                                               // token: the one moved, with several
+ *                                                               // card: id of the card played with it
+ *     chat: [{ role, name?, content, afterMove }], winner }
+ *
+ * The state is never stored; it is recomputed by feeding the recorded dice
+ * back through the engine, which also catches edited or corrupted files.
+ * Logs are plain JSON, so they autosave to localStorage and export as files.
+ */
+
+export const GAME_LOG_VERSION = 1;
+export const AUTOSAVE_KEY = "snakes-and-ladders:autosave";
+
+// Board and player fields worth keeping; runtime state (positions) is dropped
+function boardConfig({ id, name, size, startCell, endCell, image, snakes, ladders, cards }) {
+  return { id, name, size, startCell, endCell, image, snakes, ladders, cards: cards || [] };
+}
+
+function playerConfig(player) {
+  const config = { ...player };
+  delete config.position;
+  return config;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Starts an empty log for a new game.
+ * @param {object} config
+ * @param {object} config.board - parsed board definition
+ * @param {object[]} config.players - seats (positions are ignored)
+ * @param {object} [config.rules] - house rules (see ./rules), defaults apply
+ * @param {string|null} [config.seed] - dice seed (see ./dice), null until revealed
+ * @param {string|null} [config.commitment] - published hash of the seed in
+ *   commit-reveal mode; the seed is only shown once the game is over
+ * @param {string[]} [config.deck] - chaos mode: the deck the game was created with
+ * @param {() => number} [config.now=Date.now]
+ */
+export function createGameLog({ board, players, rules, seed = null, commitment = null, deck, now = Date.now }) {
+  const startedAt = now();
+  return {
+    version: GAME_LOG_VERSION,
+    id: `game-${startedAt.toString(36)}`,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: null,
+    seed,
+    commitment,
+    board: boardConfig(board),
+    rules: normalizeRules(rules),
+    players: players.map(playerConfig),
+    ...(deck ? { deck: [...deck] } : {}),
+    moves: [],
+    chat: [],
+    winner: null
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Appends a roll and its engine events.
+ * @param {object} log
+ * @param {{ dice: number, rolls?: number[], events: object[], state: object }} move -
+ *   dice is the total, rolls the single dice when more than one was thrown;
+ *   state is the game state after the roll, used to note the winner. The
+ *   token moved and the card played are read from the events.
+ * @param {() => number} [now=Date.now]
+ */
+export function recordMove(log, { dice, rolls, events, state }, now = Date.now) {
+  const playerIndex = events[0]?.playerIndex ?? state.turn;
+  const finished = state.gameOver && !log.finishedAt;
+  const token = events[0]?.token;
+  const card = events.find((e) => e.type === "cardPlayed")?.card;
+  const move = {
+    playerIndex,
+    dice,
+    ...(rolls && rolls.length > 1 ? { rolls } : {}),
+    ...(token !== undefined ? { token } : {}),
+    ...(card ? { card } : {}),
+    events
+  };
+  return {
+    ...log,
+    moves: [...log.moves, move],
+    finishedAt: finished ? new Date(now()).toISOString() : log.finishedAt,
+    winner: state.gameOver ? state.winner : log.winner
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * One line per move: "Ann rolled 4: 12 → 16, snake to 5", or with several
+ * tokens "Ann rolled 4: token 2, 12 → 16, snake to 5", or with a card
+ * "Ann rolled 4: plays Double roll, 12 → 20, draws Shield".
+ * Takes a translator (../i18n) and speaks English without one.
+ */
+export function describeLoggedMove(log, move, t = createTranslator()) {
+  const player = log.players[move.playerIndex];
+  const cardName = (e) => (getCard(e.card) ? t(`card.${e.card}`) : e.card);
+  const target = (e) => log.players[e.target].name;
+  const parts = move.events.map((e) => {
+    if (e.type === "cardPlayed") {
+      const card = cardName(e);
+      const key = e.target === undefined ? "replay.move.played" : e.card === "swap" ? "replay.move.playedWith" : "replay.move.playedOn";
+      const played = t(key, { card, target: e.target !== undefined ? target(e) : undefined });
+      return e.to !== e.from ? t("replay.move.list", { items: played, item: t("replay.move.moved", { from: e.from, to: e.to }) }) : played;
+    }
+    if (e.type === "shielded") return t("replay.move.shielded", { cell: e.from });
+    if (e.type === "card") return t("replay.move.drew", { card: cardName(e) });
+    if (e.type === "frozen") return t("replay.move.frozen", { name: target(e) });
+    if (e.type === "moved") return t("replay.move.moved", { from: e.from, to: e.to });
+    if (e.type === "bounced") return e.to === e.from ? t("replay.move.stays", { cell: e.from }) : t("replay.move.bounced", { to: e.to });
+    if (e.type === "snake") return t("replay.move.snake", { to: e.to });
+    if (e.type === "ladder") return t("replay.move.ladder", { to: e.to });
+    if (e.type === "needSix") return t("replay.move.needSix");
+    if (e.type === "extraTurn") return t("replay.move.again");
+    if (e.type === "threeSixes") return e.to === e.from ? t("replay.move.threeSixes.lost") : t("replay.move.threeSixes.back", { to: e.to });
+    if (e.type === "home") return t("replay.move.home");
+    return t("replay.move.won");
+  });
+  if (move.token !== undefined) parts.unshift(t("replay.move.token", { token: move.token + 1 }));
+  const steps = parts.reduce((items, item) => t("replay.move.list", { items, item }));
+  return t("replay.move", { name: player.name, dice: move.rolls ? move.rolls.join(" + ") : move.dice, steps });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Every die rolled so far, in order, for re-checking against the seed.
+ */
+export function logRolls(log) {
+  return log.moves.flatMap((m) => m.rolls || [m.dice]);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Brings the log's chat lines in line with the chat panel. New lines are
+ * tagged with the number of moves made so far so a replay can show them at
+ * the right moment; a shorter list (chat was reset) replaces the old one.
+ * Returns the same log object when nothing changed.
+ */
+export function syncChat(log, messages) {
+  const afterMove = log.moves.length;
+  const toLine = ({ role, name, content }) => (name ? { role, name, content, afterMove } : { role, content, afterMove });
+  if (messages.length < log.chat.length) return { ...log, chat: messages.map(toLine) };
+  if (messages.length === log.chat.length) return log;
+  return { ...log, chat: [...log.chat, ...messages.slice(log.chat.length).map(toLine)] };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Rebuilds the game state before the first move and after every move.
+ * @returns {object[]} moves.length + 1 states
+ * @throws {Error} when a recorded move does not match what the engine produces
+ */
+export function replayStates(log) {
+  const states = [createGame({ board: log.board, players: log.players, rules: log.rules, deck: log.deck })];
+  log.moves.forEach((move, i) => {
+    let result;
+    try {
+      result = applyRoll(states[i], move.rolls || move.dice, move.token, move.card);
+    } catch (err) {
+      throw new Error(`Move ${i + 1}: ${err.message}`);
+    }
+    const { state, events } = result;
+    if (JSON.stringify(events) !== JSON.stringify(move.events)) {
+      throw new Error(`Move ${i + 1} does not match the rules of this board.`);
+    }
+    states.push(state);
+  });
+  return states;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The game state after the last recorded move.
+ */
+export function gameFromLog(log) {
+  const states = replayStates(log);
+  return states[states.length - 1];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * JSON text for export.
+ */
+export function serializeGameLog(log) {
+  return JSON.stringify(log, null, 2);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads and checks a game log from JSON text (an exported file or autosave).
+ * @returns {object} the log, with its board re-validated
+ * @throws {Error} "Invalid game file: …" when anything is off
+ */
+export function parseGameLog(text) {
+  const fail = (reason) => {
+    throw new Error(`Invalid game file: ${reason}`);
+  };
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    fail("not JSON.");
+  }
+  if (!data || typeof data !== "object") fail("not a game log.");
+  if (data.version !== GAME_LOG_VERSION) fail(`unsupported version ${data.version}.`);
+  let board;
+  try {
+    board = parseBoard(data.board);
+  } catch (err) {
+    fail(err.message);
+  }
+  let rules;
+  try {
+    rules = normalizeRules(data.rules);
+  } catch (err) {
+    fail(err.message);
+  }
+  if (!Array.isArray(data.players) || data.players.length < 2) fail("needs at least 2 players.");
+  if (data.players.some((p) => !p || typeof p.name !== "string")) fail("every player needs a name.");
+  if (!Array.isArray(data.moves)) fail("moves must be a list.");
+  if (data.moves.some((m) => !m || !Number.isInteger(m.dice) || !Array.isArray(m.events))) {
+    fail("every move needs a dice value and events.");
+  }
+  const diceOf = (m) => (Array.isArray(m.rolls) ? m.rolls : [m.dice]);
+  if (data.moves.some((m) => diceOf(m).length !== rules.diceCount || !diceOf(m).every(Number.isInteger))) {
+    fail(`every move needs ${rules.diceCount} dice.`);
+  }
+  const log = {
+    ...data,
+    board: boardConfig(board),
+    rules,
+    chat: Array.isArray(data.chat) ? data.chat.filter((c) => c && typeof c.content === "string") : []
+  };
+  try {
+    replayStates(log);
+  } catch (err) {
+    fail(err.message);
+  }
+  return log;
+}
+
+function defaultStorage() {
+  return typeof localStorage !== "undefined" ? localStorage : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Saves the log as the game to resume on the next visit.
+ * Storage errors (quota, private mode) are ignored: autosave is best effort.
+ */
+export function saveAutosave(log, storage = defaultStorage()) {
+  try {
+    storage?.setItem(AUTOSAVE_KEY, JSON.stringify(log));
+  } catch {
+    // Nothing to do; the game goes on unsaved
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The autosaved log, or null when there is none or it no longer loads.
+ */
+export function loadAutosave(storage = defaultStorage()) {
+  let text;
+  try {
+    text = storage?.getItem(AUTOSAVE_KEY);
+  } catch {
+    // Storage blocked: start from the lobby
+    return null;
+  }
+  if (!text) return null;
+  try {
+    return parseGameLog(text);
+  } catch {
+    storage.removeItem(AUTOSAVE_KEY);
+    return null;
+  }
+}
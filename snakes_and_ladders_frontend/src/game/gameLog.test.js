@@ -0,0 +1,146 @@
+import { createGame, applyRoll } from "./engine";
+import { parseBoard } from "./boardDefinition";
+import {
+  createGameLog,
+  recordMove,
+  syncChat,
+  replayStates,
+  gameFromLog,
+  serializeGameLog,
+  parseGameLog,
+  saveAutosave,
+  loadAutosave,
+  describeLoggedMove,
+  AUTOSAVE_KEY
+} from "./gameLog";
+import { createTranslator } from "../i18n";
+
+const board = parseBoard({
+  id: "tiny",
+  size: 3,
+  snakes: [{ head: 8, tail: 2 }],
+  ladders: [{ base: 3, top: 6 }]
+});
+const players = [
+  { id: 1, name: "Ann", color: "#f00", isUser: true },
+  { id: 2, name: "Bot", color: "#0f0", isUser: false }
+];
+
+// Plays the dice through the engine, logging every move like App does
+function play(diceList) {
+  let state = createGame({ board, players });
+  let log = createGameLog({ board, players, now: () => 0 });
+  for (const dice of diceList) {
+    const result = applyRoll(state, dice);
+    state = result.state;
+    log = recordMove(log, { dice, events: result.events, state }, () => 1000);
+  }
+  return { state, log };
+}
+
+test("a log rebuilds every intermediate state and the final one", () => {
+  const { state, log } = play([2, 1, 4, 6, 3]);
+  const states = replayStates(log);
+  expect(states).toHaveLength(6);
+  expect(states[1].players[0].position).toBe(6); // 1 + 2 = 3, ladder to 6
+  expect(gameFromLog(log)).toEqual(state);
+  expect(log.winner).toBe(state.winner);
+});
+
+test("finishing a game records the winner and time once", () => {
+  const { log } = play([2, 1, 3]); // Ann: 3 → ladder 6, Bot: 2, Ann: 9 wins
+  expect(log.winner).toBe(0);
+  expect(log.finishedAt).toBe(new Date(1000).toISOString());
+  expect(log.players[0]).not.toHaveProperty("position");
+});
+
+test("chat lines are tagged with the move they follow", () => {
+  let { log } = play([2]);
+  log = syncChat(log, [{ role: "assistant", content: "Hi" }]);
+  log = syncChat({ ...log, moves: [...log.moves, log.moves[0]] }, [
+    { role: "assistant", content: "Hi" },
+    { role: "peer", name: "Bea", content: "gl" }
+  ]);
+  expect(log.chat).toEqual([
+    { role: "assistant", content: "Hi", afterMove: 1 },
+    { role: "peer", name: "Bea", content: "gl", afterMove: 2 }
+  ]);
+  expect(syncChat(log, [{ role: "assistant", content: "Hi" }, { role: "peer", content: "gl" }])).toBe(log);
+  expect(syncChat(log, [{ role: "assistant", content: "New game" }]).chat).toHaveLength(1);
+});
+
+test("export and import round-trip", () => {
+  const { log } = play([2, 1, 3]);
+  expect(parseGameLog(serializeGameLog(log))).toEqual(JSON.parse(serializeGameLog(log)));
+});
+
+test("import rejects broken or tampered files", () => {
+  const { log } = play([2, 1]);
+  expect(() => parseGameLog("{nope")).toThrow("Invalid game file: not JSON.");
+  expect(() => parseGameLog(JSON.stringify({ ...log, version: 99 }))).toThrow(/unsupported version/);
+  expect(() => parseGameLog(JSON.stringify({ ...log, board: { ...log.board, size: 1 } }))).toThrow(/Invalid board/);
+  const tampered = { ...log, moves: [{ ...log.moves[0], dice: 5 }, log.moves[1]] };
+  expect(() => parseGameLog(JSON.stringify(tampered))).toThrow("Invalid game file: Move 1 does not match the rules of this board.");
+});
+
+test("with several tokens the moved token is logged and replayed", () => {
+  const rules = { tokens: 2 };
+  let state = createGame({ board, players, rules });
+  let log = createGameLog({ board, players, rules });
+  // Ann: token 2 to 3, ladder to 6; Bot: token 1 to 2; Ann: token 2 home on 9
+  for (const [dice, token] of [[2, 1], [1, 0], [3, 1]]) {
+    const result = applyRoll(state, dice, token);
+    state = result.state;
+    log = recordMove(log, { dice, events: result.events, state });
+  }
+  expect(log.moves.map((m) => m.token)).toEqual([1, 0, 1]);
+  expect(describeLoggedMove(log, log.moves[0])).toBe("Ann rolled 2: token 2, 1 → 3, ladder to 6");
+  expect(describeLoggedMove(log, log.moves[2])).toBe("Ann rolled 3: token 2, 6 → 9, home");
+  expect(gameFromLog(log)).toEqual(state);
+
+  const botEvent = (type, from, to) => ({ type, playerIndex: 1, token: 1, dice: 2, from, to });
+  const bot = { playerIndex: 1, dice: 2, token: 1, events: [botEvent("moved", 1, 3), botEvent("ladder", 3, 6)] };
+  const homeAgain = { playerIndex: 0, dice: 1, token: 1, events: [] };
+  expect(() => replayStates({ ...log, moves: [...log.moves, bot, homeAgain] })).toThrow("Move 5: Token 2 cannot move.");
+});
+
+test("autosave stores the log and drops unreadable saves", () => {
+  const store = new Map();
+  const storage = {
+    getItem: (k) => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => store.set(k, v),
+    removeItem: (k) => store.delete(k)
+  };
+  const { log } = play([2]);
+  expect(loadAutosave(storage)).toBeNull();
+  saveAutosave(log, storage);
+  expect(loadAutosave(storage).moves).toEqual(log.moves);
+  store.set(AUTOSAVE_KEY, "garbage");
+  expect(loadAutosave(storage)).toBeNull();
+  expect(store.has(AUTOSAVE_KEY)).toBe(false);
+  const blocked = { getItem: () => { throw new Error("SecurityError"); } };
+  expect(loadAutosave(blocked)).toBeNull();
+});
+
+test("chaos games log the deck and the cards played, and replay the same", () => {
+  const chaosBoard = parseBoard({ id: "chaos", size: 5, snakes: [{ head: 12, tail: 3 }], ladders: [{ base: 6, top: 16 }], cards: [4, 9] });
+  const rules = { chaos: true };
+  const deck = ["shield", "swap", "freeze"];
+  let state = createGame({ board: chaosBoard, players, rules, deck });
+  let log = createGameLog({ board: chaosBoard, players, rules, deck, now: () => 0 });
+  for (const [dice, card] of [[3], [2], [5, "shield"], [3], [1, "swap"]]) {
+    const result = applyRoll(state, dice, undefined, card);
+    state = result.state;
+    log = recordMove(log, { dice, events: result.events, state }, () => 1000);
+  }
+  expect(log.deck).toEqual(deck);
+  expect(log.board.cards).toEqual([4, 9]);
+  expect(log.moves.map((m) => m.card)).toEqual([undefined, undefined, "shield", undefined, "swap"]);
+  expect(describeLoggedMove(log, log.moves[0])).toBe("Ann rolled 3: 1 → 4, draws Shield");
+  expect(describeLoggedMove(log, log.moves[4])).toBe("Ann rolled 1: plays Swap with Bot, 9 → 16, 16 → 17");
+  expect(describeLoggedMove(log, log.moves[4], createTranslator("es"))).toBe("Ann sacó 1: juega Intercambio con Bot, 9 → 16, 16 → 17");
+  expect(describeLoggedMove(log, log.moves[0], createTranslator("ar"))).toBe("رمى Ann 3: 1 ← 4، يسحب درع");
+  expect(state.players.map((p) => p.position)).toEqual([17, 9]);
+  expect(gameFromLog(parseGameLog(serializeGameLog(log)))).toEqual(state);
+  expect(() => parseGameLog(serializeGameLog({ ...log, deck: ["joker"] }))).toThrow(/Invalid game file: Invalid deck/);
+});
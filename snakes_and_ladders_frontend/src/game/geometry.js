@@ -0,0 +1,131 @@
+/**
+ * Board geometry shared by the renderers.
+ * Coordinates are in cell units: the board spans 0..size on both axes with
+ * (0, 0) at the top-left corner, so cell centres sit on half-integers.
+ */
+
+// PUBLIC_INTERFACE
+// Convert 1..size² to [row, col] (0-based, boustrophedon order)
+export function squareToGridPos(n, size = 10) {
+  const row = size - 1 - Math.floor((n - 1) / size);
+  let col = (n - 1) % size;
+  if ((size - 1 - row) % 2 === 1) {
+    col = size - 1 - col;
+  }
+  return [row, col];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Cell under a point in cell units (the inverse of squareToGridPos), or null
+ * when the point is off the board.
+ */
+export function cellAt(x, y, size) {
+  if (!(x >= 0 && x < size && y >= 0 && y < size)) return null;
+  const fromBottom = size - 1 - Math.floor(y);
+  const col = Math.floor(x);
+  return fromBottom * size + (fromBottom % 2 === 0 ? col : size - 1 - col) + 1;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Centre of a cell in cell units.
+ * @returns {{x: number, y: number}}
+ */
+export function cellCenter(n, size) {
+  const [row, col] = squareToGridPos(n, size);
+  return { x: col + 0.5, y: row + 0.5 };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Points along a snake's body, from head to tail, as a gentle S-curve.
+ * @param {number} head - cell of the head
+ * @param {number} tail - cell of the tail
+ * @param {number} size - cells per side
+ * @param {number} [samples=24] - number of segments
+ * @returns {{x: number, y: number}[]}
+ */
+export function snakePoints(head, tail, size, samples = 24) {
+  const a = cellCenter(head, size);
+  const b = cellCenter(tail, size);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len = Math.hypot(dx, dy) || 1;
+  // Unit normal to the head→tail line
+  const nx = -dy / len;
+  const ny = dx / len;
+  const waves = Math.max(1, Math.round(len / 2.5));
+  const amplitude = Math.min(0.45, len / 8);
+  const points = [];
+  for (let i = 0; i <= samples; i++) {
+    const t = i / samples;
+    const off = amplitude * Math.sin(t * Math.PI * 2 * waves);
+    points.push({ x: a.x + dx * t + nx * off, y: a.y + dy * t + ny * off });
+  }
+  return points;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Straight path up a ladder, from base to top.
+ * @returns {{x: number, y: number}[]}
+ */
+export function ladderPoints(base, top, size) {
+  return [cellCenter(base, size), cellCenter(top, size)];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Formats points as an SVG path "d" attribute.
+ */
+export function toPathData(points) {
+  return points
+    .map((p, i) => `${i === 0 ? "M" : "L"}${p.x.toFixed(3)} ${p.y.toFixed(3)}`)
+    .join(" ");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Turns the engine events of one roll into animation steps for the token:
+ * one hop per cell for "moved" (and backwards for a "bounced" bounce-back),
+ * then a slide along the snake body or up the ladder, or straight back for a
+ * "threeSixes" penalty. Other events add no movement.
+ * @param {object[]} events - events returned by applyRoll()
+ * @param {number} size - cells per side
+ * @param {object} [timing]
+ * @param {number} [timing.hopMs=180] - duration of a single cell hop
+ * @param {number} [timing.slideMs=800] - duration of a whole snake/ladder slide
+ * @returns {{x: number, y: number, duration: number, kind: "hop"|"slide"}[]}
+ */
+export function tokenPathSteps(events, size, { hopMs = 180, slideMs = 800 } = {}) {
+  const steps = [];
+  for (const e of events) {
+    if (e.type === "moved" || e.type === "bounced") {
+      // A bounce hops backwards from the end cell (or nowhere when the token stays put)
+      const dir = e.to >= e.from ? 1 : -1;
+      for (let c = e.from + dir; dir > 0 ? c <= e.to : c >= e.to; c += dir) {
+        steps.push({ ...cellCenter(c, size), duration: hopMs, kind: "hop" });
+      }
+    } else if ((e.type === "threeSixes" || e.type === "cardPlayed") && e.to !== e.from) {
+      // Penalty, swap or teleport: straight to the new cell
+      const rest = interpolate([cellCenter(e.from, size), cellCenter(e.to, size)], 12).slice(1);
+      rest.forEach((p) => steps.push({ x: p.x, y: p.y, duration: slideMs / rest.length, kind: "slide" }));
+    } else if (e.type === "snake" || e.type === "ladder") {
+      const points = e.type === "snake" ? snakePoints(e.from, e.to, size) : interpolate(ladderPoints(e.from, e.to, size), 12);
+      const rest = points.slice(1);
+      rest.forEach((p) => steps.push({ x: p.x, y: p.y, duration: slideMs / rest.length, kind: "slide" }));
+    }
+  }
+  return steps;
+}
+
+// Evenly spaced points on the straight segment between two points
+function interpolate([a, b], segments) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    points.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  }
+  return points;
+}
@@ -0,0 +1,50 @@
+/**
+ * Seat configuration for the lobby: 2-6 players, each human (isUser) or AI.
+ */
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+
+export const PLAYER_COLORS = ["#d42c27", "#31c951", "#2f6fde", "#f0a81c", "#9b3fd4", "#17a2b8"];
+
+// PUBLIC_INTERFACE
+/**
+ * Builds the default descriptor for seat i (0-based).
+ * Seat 0 is the local human, the rest are AI opponents.
+ */
+export function makeSeat(i) {
+  const isUser = i === 0;
+  return {
+    id: i + 1,
+    name: isUser ? "You" : i === 1 ? "AI" : `AI ${i}`,
+    color: PLAYER_COLORS[i % PLAYER_COLORS.length],
+    avatar: null,
+    isUser
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The classic line-up: you against one AI.
+ */
+export function defaultSeats() {
+  return [makeSeat(0), makeSeat(1)];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Checks a seat list before a game starts.
+ * @returns {string[]} problems, empty when the seats are fine
+ */
+export function validateSeats(seats) {
+  const errors = [];
+  if (seats.length < MIN_PLAYERS || seats.length > MAX_PLAYERS) {
+    errors.push(`Choose between ${MIN_PLAYERS} and ${MAX_PLAYERS} players.`);
+  }
+  const names = seats.map((s) => s.name.trim());
+  if (names.some((n) => !n)) errors.push("Every player needs a name.");
+  if (new Set(names.map((n) => n.toLowerCase())).size !== names.length) {
+    errors.push("Player names must be unique.");
+  }
+  return errors;
+}
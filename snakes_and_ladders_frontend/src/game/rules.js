@@ -0,0 +1,95 @@
+import { createTranslator } from "../i18n/index.js";
+
+/**
+ * House rules and their validation.
+ *
+ * Rules are plain JSON stored with the game state (state.rules) and the game
+ * log, so a saved or online game always replays under the rules it was
+ * played with:
+ *   {
+ *     finish: "exact",          // "exact": overshooting the end cell leaves the token in place
+ *                               // "bounce": the token bounces back from the end cell by the excess
+ *     extraTurnOnSix: false,    // rolling a six gives the same player another roll
+ *     threeSixes: "off",        // third six in a row: "off", "loseTurn" (the roll is void and
+ *                               // the turn passes) or "goBack" (also return to where the
+ *                               // sixes started); needs extraTurnOnSix
+ *     enterOnSix: false,        // tokens only leave the start cell after rolling a six
+ *     diceCount: 1,             // 1 or 2 dice; with two dice, "a six" means either die shows 6
+ *     tokens: 1,                // tokens per player, 1-4; with more than one (the "choice"
+ *                               // variant) players pick which token each roll moves and win
+ *                               // once all their tokens are home
+ *     chaos: false              // card cells on the board deal power-up cards (see ./cards);
+ *                               // played with one token each
+ *   }
+ */
+
+export const DEFAULT_RULES = {
+  finish: "exact",
+  extraTurnOnSix: false,
+  threeSixes: "off",
+  enterOnSix: false,
+  diceCount: 1,
+  tokens: 1,
+  chaos: false
+};
+
+export const FINISH_MODES = ["exact", "bounce"];
+export const THREE_SIXES_PENALTIES = ["off", "loseTurn", "goBack"];
+export const MAX_TOKENS = 4;
+
+// PUBLIC_INTERFACE
+/**
+ * Checks a rules object; missing keys take their defaults.
+ * @returns {string[]} human-readable problems, empty when the rules are valid
+ */
+export function validateRules(rules) {
+  if (rules === undefined || rules === null) return [];
+  if (typeof rules !== "object") return ["Rules must be an object."];
+  const r = { ...DEFAULT_RULES, ...rules };
+  const errors = [];
+  if (!FINISH_MODES.includes(r.finish)) errors.push(`finish must be one of ${FINISH_MODES.join(", ")}.`);
+  if (typeof r.extraTurnOnSix !== "boolean") errors.push("extraTurnOnSix must be true or false.");
+  if (!THREE_SIXES_PENALTIES.includes(r.threeSixes)) {
+    errors.push(`threeSixes must be one of ${THREE_SIXES_PENALTIES.join(", ")}.`);
+  } else if (r.threeSixes !== "off" && !r.extraTurnOnSix) {
+    errors.push("The three-sixes penalty needs the extra turn on a six.");
+  }
+  if (typeof r.enterOnSix !== "boolean") errors.push("enterOnSix must be true or false.");
+  if (r.diceCount !== 1 && r.diceCount !== 2) errors.push("diceCount must be 1 or 2.");
+  if (!Number.isInteger(r.tokens) || r.tokens < 1 || r.tokens > MAX_TOKENS) {
+    errors.push(`tokens must be a whole number from 1 to ${MAX_TOKENS}.`);
+  }
+  if (typeof r.chaos !== "boolean") errors.push("chaos must be true or false.");
+  else if (r.chaos && r.tokens > 1) errors.push("Chaos cards are played with one token each.");
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Validates rules and fills in defaults.
+ * @throws {Error} "Invalid rules: …" listing every problem
+ */
+export function normalizeRules(rules) {
+  const errors = validateRules(rules);
+  if (errors.length) throw new Error(`Invalid rules: ${errors.join(" ")}`);
+  const { finish, extraTurnOnSix, threeSixes, enterOnSix, diceCount, tokens, chaos } = { ...DEFAULT_RULES, ...rules };
+  return { finish, extraTurnOnSix, threeSixes, enterOnSix, diceCount, tokens, chaos };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Short summary for the UI, e.g. "Bounce back · Extra turn on 6 · 2 dice · 3 tokens each",
+ * worded by the translator (../i18n), English by default.
+ */
+export function describeRules(rules, t = createTranslator()) {
+  const r = { ...DEFAULT_RULES, ...rules };
+  const parts = [t(r.finish === "bounce" ? "rules.summary.bounce" : "rules.summary.exact")];
+  if (r.extraTurnOnSix) parts.push(t("rules.summary.extraTurn"));
+  if (r.threeSixes === "loseTurn") parts.push(t("rules.summary.loseTurn"));
+  if (r.threeSixes === "goBack") parts.push(t("rules.summary.goBack"));
+  if (r.enterOnSix) parts.push(t("rules.summary.enterOnSix"));
+  if (r.diceCount === 2) parts.push(t("rules.summary.dice", { count: 2 }));
+  if (r.tokens > 1) parts.push(t("rules.summary.tokens", { count: r.tokens }));
+  if (r.chaos) parts.push(t("rules.summary.chaos"));
+  return parts.join(" · ");
+}
@@ -0,0 +1,90 @@
+import { DEFAULT_RULES, validateRules, normalizeRules, describeRules, FINISH_MODES, THREE_SIXES_PENALTIES } from "./rules";
+import { createGame, applyRoll } from "./engine";
+import { parseBoard } from "./boardDefinition";
+import { createDiceService } from "./dice";
+import { createGameLog, recordMove, replayStates } from "./gameLog";
+
+// Every valid combination of house rules
+const COMBINATIONS = [];
+for (const finish of FINISH_MODES) {
+  for (const extraTurnOnSix of [false, true]) {
+    for (const threeSixes of extraTurnOnSix ? THREE_SIXES_PENALTIES : ["off"]) {
+      for (const enterOnSix of [false, true]) {
+        for (const diceCount of [1, 2]) {
+          COMBINATIONS.push({ finish, extraTurnOnSix, threeSixes, enterOnSix, diceCount });
+        }
+      }
+    }
+  }
+}
+
+const board = parseBoard({
+  id: "test-6x6",
+  size: 6,
+  snakes: [{ head: 33, tail: 4 }, { head: 20, tail: 11 }],
+  ladders: [{ base: 3, top: 16 }, { base: 22, top: 30 }]
+});
+const players = [
+  { id: 1, name: "Ann", isUser: true },
+  { id: 2, name: "Bot", isUser: false },
+  { id: 3, name: "Cy", isUser: false }
+];
+
+test("defaults fill in missing keys and bad values are reported", () => {
+  expect(normalizeRules(undefined)).toEqual(DEFAULT_RULES);
+  expect(normalizeRules({ diceCount: 2 })).toEqual({ ...DEFAULT_RULES, diceCount: 2 });
+  expect(validateRules({ finish: "x", diceCount: 3, extraTurnOnSix: "yes" })).toEqual([
+    "finish must be one of exact, bounce.",
+    "extraTurnOnSix must be true or false.",
+    "diceCount must be 1 or 2."
+  ]);
+  expect(validateRules({ tokens: 5 })).toEqual(["tokens must be a whole number from 1 to 4."]);
+  expect(() => normalizeRules({ threeSixes: "loseTurn" })).toThrow("Invalid rules: The three-sixes penalty needs the extra turn on a six.");
+  expect(describeRules({ finish: "bounce", extraTurnOnSix: true, threeSixes: "goBack", diceCount: 2, tokens: 3 })).toBe(
+    "Bounce back · Extra turn on 6 · Three 6s go back · 2 dice · 3 tokens each"
+  );
+});
+
+test("there are 32 valid rule combinations", () => {
+  expect(COMBINATIONS).toHaveLength(32);
+  COMBINATIONS.forEach((rules) => expect(validateRules(rules)).toEqual([]));
+});
+
+describe.each(COMBINATIONS.map((rules) => [describeRules(rules), rules]))("%s", (_, rules) => {
+  // Seeded self-play: every combination must finish and obey its own rules
+  test.each(["a", "b", "c"])("seed %s plays to a valid finish", (seed) => {
+    const dice = createDiceService({ seed: `${seed}-${JSON.stringify(rules)}` });
+    let state = createGame({ board, players, rules });
+    let log = createGameLog({ board, players, rules });
+    let moves = 0;
+    while (!state.gameOver && moves < 5000) {
+      const before = state;
+      const rolls = Array.from({ length: rules.diceCount }, () => dice.roll());
+      const { state: next, events } = applyRoll(state, rolls);
+      const types = events.map((e) => e.type);
+      const mover = before.players[before.turn];
+      const pos = next.players[before.turn].position;
+
+      expect(pos).toBeGreaterThanOrEqual(board.startCell);
+      expect(pos).toBeLessThanOrEqual(board.endCell);
+      expect(next.moveCount).toBe(before.moveCount + 1);
+      // Only the mover's token ever changes
+      next.players.forEach((p, i) => i !== before.turn && expect(p.position).toBe(before.players[i].position));
+      if (rules.finish === "exact" && types.includes("bounced")) expect(pos).toBe(mover.position);
+      if (!rules.extraTurnOnSix) expect(types).not.toContain("extraTurn");
+      if (rules.threeSixes === "off") expect(types).not.toContain("threeSixes");
+      if (!rules.enterOnSix) expect(types).not.toContain("needSix");
+      if (types.includes("needSix")) expect(rolls).not.toContain(6);
+      if (types.includes("extraTurn")) expect(next.turn).toBe(before.turn);
+      if (types.includes("threeSixes")) expect(before.sixStreak).toBe(2);
+      if (next.gameOver) expect(pos).toBe(board.endCell);
+
+      log = recordMove(log, { dice: events[0].dice, rolls, events, state: next });
+      state = next;
+      moves += 1;
+    }
+    expect(state.gameOver).toBe(true);
+    // The rules travel with the log, so the game replays identically
+    expect(replayStates(log).pop()).toEqual(state);
+  });
+});
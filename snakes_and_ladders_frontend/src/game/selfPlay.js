@@ -0,0 +1,43 @@
+import { createGame, applyRoll } from "./engine.js";
+import { createDiceService, seededRandom } from "./dice.js";
+import { createGameLog, recordMove } from "./gameLog.js";
+import { chooseCard, chooseToken } from "./ai.js";
+import { normalizeRules } from "./rules.js";
+import { createDeck } from "./cards.js";
+
+/**
+ * Headless self-play: whole games between AI seats, without React or timers,
+ * on the same engine, seeded dice and token and card choice (./ai) as the app.
+ * Every game comes back as a game log, so any of them can be replayed or exported.
+ * Tournaments between AI levels (./tournament) are built on playGame.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Plays one game to the end.
+ * @param {object} config
+ * @param {object} config.board - parsed board definition
+ * @param {object[]} config.players - seats; each one's skill is its AI level (see ./ai)
+ * @param {object} [config.rules] - house rules, defaults apply
+ * @param {string} [config.seed] - dice seed, random by default
+ * @param {() => number} [config.random=Math.random] - for the AI levels that use chance
+ * @param {number} [config.maxMoves=10000] - rolls before giving up on a game that cannot end
+ * @returns {{ state: object, log: object }} final state (gameOver is false when
+ *   maxMoves ran out) and the game log
+ */
+export function playGame({ board, players, rules, seed, random = Math.random, maxMoves = 10000 }) {
+  const dice = createDiceService(seed ? { seed } : {});
+  // Chaos cards come from a deck shuffled by the dice seed, as in the app
+  const deck = normalizeRules(rules).chaos ? createDeck(seededRandom(`${dice.seed}:deck`)) : undefined;
+  let state = createGame({ board, players, rules, deck });
+  let log = createGameLog({ board, players, rules: state.rules, seed: dice.seed, deck });
+  while (!state.gameOver && state.moveCount < maxMoves) {
+    const rolls = Array.from({ length: state.rules.diceCount }, () => dice.roll());
+    const card = chooseCard(state) ?? undefined;
+    const token = chooseToken(state, rolls, state.players[state.turn].skill, { random });
+    const { state: next, events } = applyRoll(state, rolls, token, card);
+    log = recordMove(log, { dice: events[0].dice, rolls, events, state: next });
+    state = next;
+  }
+  return { state, log };
+}
@@ -0,0 +1,132 @@
+import { playGame } from "./selfPlay.js";
+import { seededRandom } from "./dice.js";
+import { AI_LEVELS } from "./ai.js";
+import { normalizeRules } from "./rules.js";
+import { lengthHistogram } from "../stats/matchStats.js";
+
+/**
+ * Tournaments of headless self-play (./selfPlay) for tuning boards and rules:
+ * many games between AI strategies, boiled down to win rates per seat and per
+ * strategy, the first mover's advantage and how long games run. Everything is
+ * seeded, so the same config always gives the same result.
+ *
+ * Strategies are the AI levels of ./ai. They only differ when players have
+ * several tokens to choose from (rules.tokens > 1); with one token each every
+ * strategy plays the same moves, which makes a clean test of the seats alone.
+ */
+
+export const DEFAULT_TOURNAMENT_GAMES = 1000;
+
+function percentile(sorted, p) {
+  return sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)] : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Plays a tournament.
+ * @param {object} config
+ * @param {object} config.board - parsed board definition
+ * @param {object} [config.rules] - house rules, defaults apply
+ * @param {string[]} [config.strategies=["greedy"]] - AI level per seat, repeated
+ *   round the table when there are more players than strategies
+ * @param {number} [config.players] - seats, 2–6; defaults to one per strategy (at least 2)
+ * @param {number} [config.games=DEFAULT_TOURNAMENT_GAMES]
+ * @param {string} [config.seed="tournament"] - game i rolls with "<seed>-<i>"
+ * @param {number} [config.binSize=10] - rolls per bar of the game length histogram
+ * @param {number} [config.maxMoves] - see playGame
+ * @returns {object} { games, unfinished, board: { id, name }, rules, seed, lineup,
+ *   seats: [{ seat, wins, winRate }], strategies: [{ strategy, seats, wins, winRate, fairShare }],
+ *   firstMover: { winRate, fairShare, advantage },
+ *   lengths: { mean, median, p90, min, max, histogram } }, with game lengths
+ *   counted in rolls over the finished games
+ */
+export function runTournament({
+  board,
+  rules,
+  strategies = ["greedy"],
+  players,
+  games = DEFAULT_TOURNAMENT_GAMES,
+  seed = "tournament",
+  binSize = 10,
+  maxMoves
+}) {
+  if (!strategies.length) throw new Error("Invalid tournament: name at least one strategy.");
+  const unknown = strategies.find((s) => !AI_LEVELS.some((level) => level.id === s));
+  if (unknown) {
+    throw new Error(`Invalid tournament: unknown strategy "${unknown}" (one of ${AI_LEVELS.map((l) => l.id).join(", ")}).`);
+  }
+  const count = players ?? Math.max(2, strategies.length);
+  if (!Number.isInteger(count) || count < 2 || count > 6) {
+    throw new Error("Invalid tournament: players must be a whole number from 2 to 6.");
+  }
+  if (!Number.isInteger(games) || games < 1) throw new Error("Invalid tournament: games must be a whole number above 0.");
+  if (!Number.isInteger(binSize) || binSize < 1) throw new Error("Invalid tournament: binSize must be a whole number above 0.");
+  const fullRules = normalizeRules(rules);
+
+  const lineup = Array.from({ length: count }, (_, i) => strategies[i % strategies.length]);
+  const distinct = [...new Set(lineup)];
+  const seatWins = lineup.map(() => 0);
+  const strategyWins = new Map(distinct.map((s) => [s, 0]));
+  const lengths = [];
+  const random = seededRandom(`${seed}-ai`);
+
+  for (let g = 0; g < games; g++) {
+    // Seat i plays lineup[(i + g) mod n], so every strategy takes every seat in turn
+    const seated = lineup.map((_, i) => lineup[(i + g) % count]);
+    const table = seated.map((skill, i) => ({ id: i + 1, name: `Seat ${i + 1}`, isUser: false, skill }));
+    const { state } = playGame({ board, players: table, rules: fullRules, seed: `${seed}-${g}`, random, maxMoves });
+    if (!state.gameOver) continue;
+    seatWins[state.winner]++;
+    strategyWins.set(seated[state.winner], strategyWins.get(seated[state.winner]) + 1);
+    lengths.push(state.moveCount);
+  }
+
+  const sorted = [...lengths].sort((a, b) => a - b);
+  const firstRate = seatWins[0] / games;
+  return {
+    games,
+    unfinished: games - lengths.length,
+    board: { id: board.id, name: board.name },
+    rules: fullRules,
+    seed,
+    lineup,
+    seats: seatWins.map((wins, i) => ({ seat: i + 1, wins, winRate: wins / games })),
+    strategies: distinct.map((strategy) => {
+      const seats = lineup.filter((s) => s === strategy).length;
+      const wins = strategyWins.get(strategy);
+      return { strategy, seats, wins, winRate: wins / games, fairShare: seats / count };
+    }),
+    firstMover: { winRate: firstRate, fairShare: 1 / count, advantage: firstRate - 1 / count },
+    lengths: {
+      mean: lengths.length ? lengths.reduce((sum, n) => sum + n, 0) / lengths.length : null,
+      median: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+      min: sorted.length ? sorted[0] : null,
+      max: sorted.length ? sorted[sorted.length - 1] : null,
+      histogram: lengthHistogram(lengths, binSize)
+    }
+  };
+}
+
+const CSV_COLUMNS = ["section", "name", "count", "share"];
+
+const share = (p) => Number(p.toFixed(4));
+
+// PUBLIC_INTERFACE
+/**
+ * A tournament result as one long CSV table (section, name, count, share):
+ * a row per seat, per strategy and per histogram bar, plus the first mover
+ * and the unfinished games.
+ */
+export function tournamentToCsv(result) {
+  const rows = [
+    ...result.seats.map((s) => ["seat", `Seat ${s.seat}`, s.wins, s.winRate]),
+    ...result.strategies.map((s) => ["strategy", s.strategy, s.wins, s.winRate]),
+    ["first-mover", "advantage", result.seats[0].wins, result.firstMover.advantage],
+    ["unfinished", "games", result.unfinished, result.unfinished / result.games],
+    ...result.lengths.histogram.map((bar) => ["length", bar.label, bar.count, bar.count / result.games])
+  ];
+  return [CSV_COLUMNS, ...rows.map(([section, name, count, p]) => [section, name, count, share(p)])]
+    .map((row) => row.join(","))
+    .join("\n") + "\n";
+}
@@ -0,0 +1,57 @@
+import { parseBoard } from "./boardDefinition";
+import { runTournament, tournamentToCsv } from "./tournament";
+
+const board = parseBoard({
+  id: "small",
+  name: "Small",
+  size: 5,
+  snakes: [{ head: 18, tail: 4 }],
+  ladders: [{ base: 3, top: 11 }]
+});
+
+test("every finished game counts once per seat, strategy and length bar", () => {
+  const r = runTournament({ board, players: 3, games: 60, seed: "t" });
+  expect(r.lineup).toEqual(["greedy", "greedy", "greedy"]);
+  const finished = r.games - r.unfinished;
+  expect(r.seats.reduce((sum, s) => sum + s.wins, 0)).toBe(finished);
+  expect(r.strategies).toEqual([{ strategy: "greedy", seats: 3, wins: finished, winRate: finished / 60, fairShare: 1 }]);
+  expect(r.lengths.histogram.reduce((sum, bar) => sum + bar.count, 0)).toBe(finished);
+  expect(r.lengths.min).toBeLessThanOrEqual(r.lengths.median);
+  expect(r.lengths.median).toBeLessThanOrEqual(r.lengths.p90);
+  expect(r.lengths.p90).toBeLessThanOrEqual(r.lengths.max);
+  expect(r.firstMover.fairShare).toBeCloseTo(1 / 3);
+  expect(r.firstMover.advantage).toBeCloseTo(r.seats[0].winRate - 1 / 3);
+});
+
+test("the same seed gives the same tournament; another seed does not", () => {
+  const config = { board, rules: { tokens: 2 }, strategies: ["expectimax", "random"], games: 20, seed: "same" };
+  expect(runTournament(config)).toEqual(runTournament(config));
+  expect(runTournament({ ...config, seed: "other" }).lengths).not.toEqual(runTournament(config).lengths);
+});
+
+test("strategies rotate through the seats and go round the table", () => {
+  const r = runTournament({ board, rules: { tokens: 2 }, strategies: ["expectimax", "random"], players: 4, games: 40 });
+  expect(r.lineup).toEqual(["expectimax", "random", "expectimax", "random"]);
+  expect(r.strategies.map((s) => [s.strategy, s.seats, s.fairShare])).toEqual([
+    ["expectimax", 2, 0.5],
+    ["random", 2, 0.5]
+  ]);
+  expect(r.strategies[0].wins + r.strategies[1].wins).toBe(r.games - r.unfinished);
+});
+
+test("rejects unknown strategies and bad counts", () => {
+  expect(() => runTournament({ board, strategies: ["psychic"] })).toThrow(/unknown strategy "psychic"/);
+  expect(() => runTournament({ board, players: 7 })).toThrow(/players/);
+  expect(() => runTournament({ board, games: 0 })).toThrow(/games/);
+});
+
+test("CSV has a row per seat, strategy and length bar", () => {
+  const r = runTournament({ board, games: 10, seed: "csv", binSize: 5 });
+  const lines = tournamentToCsv(r).trim().split("\n");
+  expect(lines[0]).toBe("section,name,count,share");
+  expect(lines[1]).toBe(`seat,Seat 1,${r.seats[0].wins},${r.seats[0].winRate}`);
+  expect(lines.filter((l) => l.startsWith("seat,"))).toHaveLength(2);
+  expect(lines.filter((l) => l.startsWith("strategy,"))).toHaveLength(1);
+  expect(lines.filter((l) => l.startsWith("length,"))).toHaveLength(r.lengths.histogram.length);
+  expect(lines).toContain(`first-mover,advantage,${r.seats[0].wins},${Number(r.firstMover.advantage.toFixed(4))}`);
+});
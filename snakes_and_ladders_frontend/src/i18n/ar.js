@@ -0,0 +1,423 @@
+/**
+ * Arabic messages (same keys as ./en.js). Counted messages carry all six
+ * Arabic plural forms where the count can reach them.
+ */
+export const messages = {
+  // Header and settings
+  "app.title": "مواجهة الثعابين والسلالم 🎲",
+  "app.language": "اللغة",
+  "app.theme.dark": "🌙 داكن",
+  "app.theme.light": "☀️ فاتح",
+  "app.theme.toDark": "التبديل إلى الوضع الداكن",
+  "app.theme.toLight": "التبديل إلى الوضع الفاتح",
+  "app.board": "اللوحة:",
+  "app.drawFromConfig": "رسم اللوحة من الإعدادات",
+  "app.landingOdds": "إظهار احتمالات الوقوف",
+  "app.reduceMotion": "تقليل الحركة",
+  "app.importReplay": "إعادة عرض لعبة محفوظة:",
+  "app.stats": "📊 الإحصاءات",
+  "app.boardEditor": "🛠 محرر اللوحات",
+
+  // Game controls
+  "app.yourTurn": "🎯 {name}، إنه دورك!",
+  "app.isUp": "الدور على {name}",
+  "app.youWin": "لقد فزت! 🏆",
+  "app.playerWins": "{name} يفوز! 🏆",
+  "app.leaveRoom": "مغادرة الغرفة",
+  "app.resetGame": "إعادة اللعبة",
+  "app.changePlayers": "تغيير اللاعبين",
+  "app.watchReplay": "مشاهدة الإعادة",
+  "app.exportGame": "تصدير اللعبة",
+  "app.chooseToken": "اختر القطعة التي ستحركها",
+  "app.tokenChoice": "القطعة {token}: {from} ← {to}{mark}",
+  "app.playTurn": "🎲 العب دورك",
+  "app.rolling": "جارٍ الرمي…",
+  "app.playShortcut": "الاختصار: R أو المسافة",
+  "app.aiMoving": "{name} يلعب حركته…",
+  "app.keys": "المفاتيح: {r} أو {space} للرمي",
+  "app.keys.tokens": " · {first}–{last} لاختيار قطعة",
+  "app.keys.chat": " · {c} للدردشة",
+  "app.keys.newGame": " · {shift}+{n} لعبة جديدة",
+  "app.analysis": "تحتاج القطعة الواحدة إلى {rolls} رمية في المتوسط لتنهي{spread}.",
+  "app.analysis.spread": " (نصف الألعاب خلال {median}، و90٪ خلال {p90})",
+  "app.analysis.stuck": " ⚠ قد لا تنتهي بعض الألعاب أبدًا بهذه القواعد.",
+  "app.shieldUp": "الدرع مرفوع: يُتجاهل الثعبان التالي",
+  "app.frozen": "متجمد: يخسر الدور التالي",
+  "app.cards": "البطاقات",
+  "app.cardTitle": "{name}: {text}",
+  "app.playCard": "العب {name} مع الرمية التالية",
+  "app.cardUnusable": "{text} (لا يمكن لعبها الآن)",
+  "app.footer":
+    "{note} تمر دردشة الذكاء الاصطناعي عبر خادم اللعبة ({command}). اضبط {key} في بيئته لدردشة حية مع الذكاء الاصطناعي (أو {ollama} لنموذج محلي). بدون ذلك يستخدم الذكاء الاصطناعي عبارات استفزاز جاهزة دون اتصال.",
+  "app.footer.note": "ملاحظة:",
+
+  // Status notes after a roll
+  "note.threeSixes.goBack": "😵 ثلاث ستات متتالية! {name} يعود إلى الوراء.",
+  "note.threeSixes.loseTurn": "😵 ثلاث ستات متتالية! {name} يخسر الدور.",
+  "note.extraTurn": "🎲 ستة! {name} يرمي مرة أخرى.",
+  "note.needSix": "يحتاج {name} إلى 6 لدخول اللوحة.",
+  "note.shielded": "🛡️ درع {name} يصد الثعبان!",
+  "note.frozen": {
+    one: "🧊 {names} متجمد ويخسر دورًا.",
+    two: "🧊 {names} متجمدان ويخسران دورًا.",
+    other: "🧊 {names} متجمدون ويخسرون دورًا."
+  },
+  "note.draw": "🎴 {name} يسحب {card}.",
+
+  // Chaos cards
+  "card.shield": "درع",
+  "card.shield.text": "تجاهل الثعبان التالي الذي تقف عليه.",
+  "card.swap": "تبديل",
+  "card.swap.text": "بدّل مكانك مع المتصدر.",
+  "card.double": "رمية مضاعفة",
+  "card.double.text": "هذه الرمية تتحرك ضعف المسافة.",
+  "card.freeze": "تجميد",
+  "card.freeze.text": "يخسر المتصدر دوره التالي.",
+  "card.teleport": "انتقال فوري",
+  "card.teleport.text": "اقفز إلى أعلى السلم التالي أمامك.",
+
+  // Board
+  "board.tokenTitle": "{name}، القطعة {token}",
+  "board.tokenLabel": "{name} على الخانة {cell}",
+  "board.tokenLabel.numbered": "{name} القطعة {token} على الخانة {cell}",
+  "board.tokenStatus": "{label}، {status}",
+  "board.status.shielded": "محمي بالدرع",
+  "board.status.frozen": "متجمد",
+  "board.banner.played": "{icon} {name} يلعب {card}",
+  "board.banner.playedWith": "{icon} {name} يلعب {card} مع {target}",
+  "board.banner.playedOn": "{icon} {name} يلعب {card} على {target}",
+  "board.banner.shielded": "🛡️ الدرع صامد!",
+  "board.banner.drew": "🎴 {name} يسحب {card}",
+  "board.banner.frozen": "🧊 {name} يخسر دورًا",
+
+  // Board as text
+  "table.title": "اللوحة نصًا",
+  "table.positions": "مواقع القطع",
+  "table.player": "{name}: الخانة {cell}، باقٍ {left}",
+  "table.playerTokens": "{name}: القطع على الخانات {cells}، باقٍ {left} للأخيرة",
+  "table.cards": "؛ البطاقات: {cards}",
+  "table.shield": "؛ الدرع مرفوع",
+  "table.frozen": "؛ متجمد",
+  "table.next": " (يرمي التالي)",
+  "table.caption": "{board}: البداية على {start}، والنهاية على {end}. الصف العلوي أولًا.",
+  "table.snake": "ثعبان نزولًا إلى {to}",
+  "table.ladder": "سلم صعودًا إلى {to}",
+  "table.card": "بطاقة",
+
+  // Dice seed and roll history
+  "rolls.commitment": "🔒 التزام النرد (SHA-256): {hash} – تُكشف البذرة عند انتهاء اللعبة",
+  "rolls.seed": "🎲 بذرة النرد: {seed}",
+  "rolls.verified": {
+    zero: "✓ لا رميات للتحقق منها.",
+    one: "✓ الرمية الوحيدة تطابق البذرة.",
+    two: "✓ الرميتان تطابقان البذرة.",
+    few: "✓ الرميات الـ{count} كلها تطابق البذرة.",
+    many: "✓ الرميات الـ{count} كلها تطابق البذرة.",
+    other: "✓ جميع الرميات ({count}) تطابق البذرة."
+  },
+  "rolls.verifiedCommitment": {
+    zero: "✓ لا رميات للتحقق منها، والبذرة تطابق التزامها.",
+    one: "✓ الرمية الوحيدة تطابق البذرة والتزامها.",
+    two: "✓ الرميتان تطابقان البذرة والتزامها.",
+    few: "✓ الرميات الـ{count} كلها تطابق البذرة والتزامها.",
+    many: "✓ الرميات الـ{count} كلها تطابق البذرة والتزامها.",
+    other: "✓ جميع الرميات ({count}) تطابق البذرة والتزامها."
+  },
+  "rolls.badCommitment": "✗ البذرة المكشوفة لا تطابق الالتزام!",
+  "rolls.mismatch": "✗ الرمية {roll} لا تنتج عن البذرة!",
+  "rolls.history": "سجل الرميات",
+  "rolls.rolled": "{name} رمى {dice}",
+
+  // Replay viewer
+  "replay.label": "إعادة اللعبة",
+  "replay.title": "إعادة: {board}",
+  "replay.titleWon": "إعادة: {board} – فاز {name}",
+  "replay.previous": "الحركة السابقة",
+  "replay.next": "الحركة التالية",
+  "replay.play": "▶ تشغيل",
+  "replay.pause": "⏸ إيقاف مؤقت",
+  "replay.position": "موضع الإعادة",
+  "replay.step": "الحركة {step} / {total}",
+  "replay.start": "بداية اللعبة",
+  "replay.ai": "الذكاء الاصطناعي",
+  "replay.player": "لاعب",
+  "replay.export": "تصدير JSON",
+  "replay.close": "إغلاق الإعادة",
+
+  // Replay captions, one per move (see describeLoggedMove in ./game/gameLog)
+  "replay.move": "رمى {name} {dice}: {steps}",
+  "replay.move.list": "{items}، {item}",
+  "replay.move.token": "القطعة {token}",
+  "replay.move.played": "يلعب {card}",
+  "replay.move.playedWith": "يلعب {card} مع {target}",
+  "replay.move.playedOn": "يلعب {card} على {target}",
+  "replay.move.shielded": "الدرع يصد الثعبان على {cell}",
+  "replay.move.drew": "يسحب {card}",
+  "replay.move.frozen": "{name} متجمد",
+  "replay.move.moved": "{from} ← {to}",
+  "replay.move.stays": "تجاوز النهاية، يبقى على {cell}",
+  "replay.move.bounced": "ارتد إلى {to}",
+  "replay.move.snake": "ثعبان إلى {to}",
+  "replay.move.ladder": "سلم إلى {to}",
+  "replay.move.needSix": "يلزمه 6 للدخول",
+  "replay.move.again": "يرمي مرة أخرى",
+  "replay.move.threeSixes.lost": "ثلاث ستات، خسر الدور",
+  "replay.move.threeSixes.back": "ثلاث ستات، عاد إلى {to}",
+  "replay.move.home": "وصلت",
+  "replay.move.won": "فاز!",
+
+  // Board editor
+  "editor.label": "محرر اللوحات",
+  "editor.startFrom": "البدء من:",
+  "editor.emptyBoard": "لوحة فارغة",
+  "editor.name": "الاسم:",
+  "editor.size": "الحجم:",
+  "editor.tool": "الأداة",
+  "editor.tool.snake": "🐍 ثعبان (اسحب من الرأس إلى الذيل)",
+  "editor.tool.ladder": "🪜 سلم (اسحب من القاعدة إلى القمة)",
+  "editor.tool.card": "🎴 خانة بطاقة (انقر للإضافة أو الإزالة)",
+  "editor.from": "من",
+  "editor.to": "إلى",
+  "editor.cell": "الخانة",
+  "editor.fromCell": "خانة البداية",
+  "editor.toCell": "خانة النهاية",
+  "editor.cardCell": "خانة البطاقة",
+  "editor.add.snake": "أضف ثعبانًا",
+  "editor.add.ladder": "أضف سلمًا",
+  "editor.add.card": "أضف خانة بطاقة أو أزلها",
+  "editor.valid": "✓ لوحة صالحة",
+  "editor.jumps": "الثعابين والسلالم",
+  "editor.remove.snake": "أزل الثعبان {from}→{to}",
+  "editor.remove.ladder": "أزل السلم {from}→{to}",
+  "editor.cards": "خانات البطاقات",
+  "editor.removeCard": "أزل خانة البطاقة {cell}",
+  "editor.analysis": "تحتاج القطعة الواحدة إلى {rolls} رمية في المتوسط لتصل{spread}؛ وأسرع فوز يستغرق {shortest}.",
+  "editor.busiestSnake": "أكثر الثعابين ازدحامًا: {head}→{tail}، يُصاب {hits} مرة في كل مباراة.",
+  "editor.stuck": "⚠ قد لا تنتهي بعض المباريات أبدًا بهذه القواعد.",
+  "editor.image": "صورة الخلفية (اختيارية):",
+  "editor.removeImage": "أزل الصورة",
+  "editor.loadJson": "حمّل لوحة (JSON):",
+  "editor.readError": "تعذرت قراءة {file}.",
+  "editor.notBoard": "ليس تعريف لوحة.",
+  "editor.invalidFile": "ملف لوحة غير صالح: {reason}",
+  "editor.saved": "حُفظت «{name}». اخترها من قائمة اللوحة.",
+  "editor.savedForVisit": "حُفظت «{name}» لهذه الزيارة فقط: إنها أكبر من أن تُحفظ (جرّب صورة أصغر).",
+  "editor.save": "احفظ اللوحة",
+  "editor.export": "صدّر JSON",
+  "editor.close": "أغلق المحرر",
+
+  // Match statistics
+  "stats.label": "الإحصاءات",
+  "stats.title": "إحصاءات المباريات",
+  "stats.loading": "جارٍ التحميل…",
+  "stats.readError": "تعذرت قراءة سجل المباريات.",
+  "stats.clearError": "تعذر مسح سجل المباريات.",
+  "stats.confirmClear": "أتريد حذف كل المباريات المحفوظة؟",
+  "stats.empty": "لا توجد مباريات منتهية بعد. العب واحدة وستظهر هنا.",
+  "stats.games": {
+    one: "لُعبت مباراة واحدة",
+    two: "لُعبت مباراتان",
+    few: "لُعبت {count} مباريات",
+    many: "لُعبت {count} مباراة",
+    other: "لُعبت {count} مباراة"
+  },
+  "stats.thisVisit": " (لهذه الزيارة فقط: المتصفح لا يدعم IndexedDB)",
+  "stats.winRates": "نسب الفوز",
+  "stats.player": "اللاعب",
+  "stats.played": "لعب",
+  "stats.won": "فاز",
+  "stats.lost": "خسر",
+  "stats.winRate": "نسبة الفوز",
+  "stats.percent": "{percent}٪",
+  "stats.headToHead": "وجهًا لوجه",
+  "stats.against": "ضد",
+  "stats.length": "طول المباراة (أدوار)",
+  "stats.lengthChart": "طول المباراة",
+  "stats.cursedSnakes": "أكثر الثعابين شؤمًا",
+  "stats.longestSlide": {
+    one: "أطول انزلاق: {name}، {head}→{tail} على {board} (خانة واحدة)",
+    two: "أطول انزلاق: {name}، {head}→{tail} على {board} (خانتان)",
+    few: "أطول انزلاق: {name}، {head}→{tail} على {board} ({count} خانات)",
+    many: "أطول انزلاق: {name}، {head}→{tail} على {board} ({count} خانة)",
+    other: "أطول انزلاق: {name}، {head}→{tail} على {board} ({count} خانة)"
+  },
+  "stats.dice": "النرد",
+  "stats.rolls": "توزيع الرميات",
+  "stats.exportCsv": "صدّر CSV",
+  "stats.exportJson": "صدّر JSON",
+  "stats.clear": "امسح السجل",
+  "stats.close": "أغلق الإحصاءات",
+
+  // Lobby
+  "lobby.label": "ردهة اللعبة",
+  "lobby.players": "اللاعبون",
+  "lobby.seatName": "اسم المقعد {seat}",
+  "lobby.seatColor": "لون المقعد {seat}",
+  "lobby.seatAvatar": "صورة المقعد {seat}",
+  "lobby.seatType": "نوع المقعد {seat}",
+  "lobby.seatPersona": "شخصية المقعد {seat}",
+  "lobby.seatSkill": "مستوى المقعد {seat}",
+  "lobby.removeSeat": "إزالة المقعد {seat}",
+  "lobby.colorOnly": "لون فقط",
+  "lobby.human": "إنسان",
+  "lobby.ai": "ذكاء اصطناعي",
+  "lobby.skillTitle": "كيف يختار الذكاء الاصطناعي القطعة التي يحركها",
+  "lobby.seed": "بذرة النرد",
+  "lobby.seedPlaceholder": "بذرة النرد (عشوائية)",
+  "lobby.seedTitle": "أعد استخدام بذرة لتكرار الرميات نفسها تمامًا",
+  "lobby.commitReveal": "نرد بالالتزام والكشف",
+  "lobby.commitRevealTitle": "لا يظهر إلا تجزئة البذرة حتى تنتهي اللعبة، ثم يمكن لأي أحد التحقق من كل رمية",
+  "lobby.loadPersonas": "تحميل شخصيات (JSON):",
+  "lobby.loadPersonasTitle":
+    "قائمة JSON من الشخصيات: id وname وavatar وtauntFrequency وtemperature وmaxTokens. لا يُعتد بـsystemPrompt وtemplates إلا إذا حمّل خادم اللعبة الملف نفسه (CHAT_PERSONAS)",
+  "lobby.addPlayer": "+ إضافة لاعب",
+  "lobby.start": "ابدأ اللعبة",
+  "lobby.hotSeat": {
+    two: "🔁 تناوب: لاعبان يتشاركان هذا الجهاز. في دورك اضغط «العب دورك» أو R أو المسافة.",
+    few: "🔁 تناوب: {count} لاعبين يتشاركون هذا الجهاز. في دورك اضغط «العب دورك» أو R أو المسافة.",
+    other: "🔁 تناوب: {count} لاعب يتشاركون هذا الجهاز. في دورك اضغط «العب دورك» أو R أو المسافة."
+  },
+
+  // AI skill levels
+  "ai.level.random": "عشوائي",
+  "ai.level.greedy": "جشع",
+  "ai.level.expectimax": "إكسبكتيماكس",
+  "ai.level.montecarlo": "مونت كارلو",
+
+  // House rules
+  "rules.label": "قواعد البيت",
+  "rules.finish": "النهاية",
+  "rules.finishRule": "قاعدة النهاية",
+  "rules.finish.exact": "يجب الرمي بالعدد المضبوط",
+  "rules.finish.bounce": "الارتداد بمقدار الزيادة",
+  "rules.dice": "النرد",
+  "rules.diceCount": "عدد أحجار النرد",
+  "rules.dice.option": { one: "نرد واحد", two: "نردان", other: "{count} نرد" },
+  "rules.extraTurn": "ارمِ مرة أخرى عند 6",
+  "rules.threeSixes": "ثلاث ستات متتالية",
+  "rules.threeSixesPenalty": "عقوبة الستات الثلاث",
+  "rules.threeSixes.off": "بلا عقوبة",
+  "rules.threeSixes.loseTurn": "خسارة الدور",
+  "rules.threeSixes.goBack": "العودة إلى الوراء",
+  "rules.enterOnSix": "يلزم 6 لدخول اللوحة",
+  "rules.tokens": "القطع لكل لاعب",
+  "rules.tokensLabel": "عدد القطع لكل لاعب",
+  "rules.tokensTitle": "مع أكثر من قطعة تختار القطعة التي تحركها كل رمية، ويجب أن تصل كلها إلى النهاية للفوز",
+  "rules.tokens.classic": "1 (كلاسيكي)",
+  "rules.tokens.choose": "{count}، مع اختيار ما يتحرك",
+  "rules.chaos": "بطاقات الفوضى 🎴",
+  "rules.chaosTitle": "خانات البطاقات على اللوحة توزع مزايا: درع، تبديل مع المتصدر، رمية مضاعفة، تجميد، انتقال فوري",
+  "rules.twoDice": "مع نردين تُحتسب الستة على أي منهما.",
+  "rules.summary.exact": "رمية مضبوطة للنهاية",
+  "rules.summary.bounce": "ارتداد",
+  "rules.summary.extraTurn": "دور إضافي عند 6",
+  "rules.summary.loseTurn": "ثلاث ستات تخسر الدور",
+  "rules.summary.goBack": "ثلاث ستات تعيد إلى الوراء",
+  "rules.summary.enterOnSix": "6 للدخول",
+  "rules.summary.dice": { one: "نرد واحد", two: "نردان", other: "{count} نرد" },
+  "rules.summary.tokens": {
+    one: "قطعة واحدة لكل لاعب",
+    two: "قطعتان لكل لاعب",
+    few: "{count} قطع لكل لاعب",
+    other: "{count} قطعة لكل لاعب"
+  },
+  "rules.summary.chaos": "بطاقات الفوضى",
+
+  // Online play
+  "online.title": "العب عبر الإنترنت",
+  "online.name": "اسمك",
+  "online.create": "إنشاء غرفة",
+  "online.code": "رمز الغرفة",
+  "online.codePlaceholder": "الرمز",
+  "online.join": "انضمام",
+  "online.noServer": "تعذر الاتصال بخادم اللعبة على {url}. هل «npm run server» قيد التشغيل؟",
+  "online.room": "غرفة عبر الإنترنت",
+  "online.roomCode": "الغرفة {code}",
+  "online.share": "شارك هذا الرمز ليتمكن أصدقاؤك من الانضمام.",
+  "online.host": " (المضيف)",
+  "online.you": " – أنت",
+  "online.aiSeats": "مقاعد الذكاء الاصطناعي",
+  "online.start": "بدء اللعبة عبر الإنترنت",
+  "online.waiting": "بانتظار أن يبدأ المضيف…",
+  "online.leave": "مغادرة الغرفة",
+  "online.error.nameMissing": "أدخل اسمًا أولًا.",
+  "online.error.noRoom": "لا توجد غرفة بالرمز {code}.",
+  "online.error.started": "بدأت تلك اللعبة بالفعل.",
+  "online.error.roomFull": "تلك الغرفة ممتلئة.",
+  "online.error.nameTaken": "الاسم {name} مستخدم بالفعل في هذه الغرفة.",
+  "online.error.hostOnly": "المضيف وحده يستطيع فعل ذلك.",
+  "online.error.tooFewPlayers": {
+    two: "يلزم لاعبان على الأقل.",
+    few: "يلزم {count} لاعبين على الأقل.",
+    other: "يلزم {count} لاعب على الأقل."
+  },
+  "online.error.oneToken": "تُلعب المباريات عبر الإنترنت بقطعة واحدة لكل لاعب.",
+  "online.error.noChaos": "تُلعب المباريات عبر الإنترنت بدون بطاقات الفوضى.",
+  "online.error.notStarted": "لم تبدأ اللعبة بعد.",
+  "online.error.gameOver": "انتهت اللعبة.",
+  "online.error.notYourTurn": "ليس دورك.",
+  "online.error.server": "حدث خطأ في خادم اللعبة. حاول مرة أخرى.",
+
+  // Chat
+  "chat.welcome": "ها! مستعد لتتلقى درسًا في الثعابين والسلالم؟",
+  "chat.typing": "الذكاء الاصطناعي يكتب…",
+  "chat.input": "أرسل رسالة",
+  "chat.placeholder.ai": "قل شيئًا للذكاء الاصطناعي…",
+  "chat.placeholder.room": "راسل الغرفة…",
+  "chat.send": "إرسال",
+  "chat.error": "خطأ غير متوقع",
+  "chat.blocked": "لنحافظ على الود: لم تُرسل هذه الرسالة.",
+  "chat.blockedReply": "لنحافظ على الود! لنعد إلى اللعبة.",
+  "chat.missingKey": "لا يملك خادم اللعبة مفتاح ذكاء اصطناعي بعد: اضبط OPENAI_API_KEY في بيئته.",
+  "chat.auth": "رفضت خدمة الذكاء الاصطناعي مفتاح خادم اللعبة.",
+  "chat.rateLimited": "على مهلك! رسائل كثيرة جدًا، حاول مرة أخرى بعد قليل.",
+  "chat.budget": "تكلم الذكاء الاصطناعي بما يكفي الآن. حاول لاحقًا.",
+  "chat.server": "واجهت خدمة الذكاء الاصطناعي مشكلة. حاول مرة أخرى بعد قليل.",
+  "chat.unreachable": "تعذر الوصول إلى خادم الدردشة. هل «npm run server» قيد التشغيل؟",
+  "chat.timeout": "تأخر الذكاء الاصطناعي كثيرًا في الرد.",
+  "chat.filter": "مرشّح الدردشة",
+  "chat.filter.kidSafe": "آمن للأطفال",
+  "chat.filter.standard": "عادي",
+  "chat.filter.off": "متوقف",
+
+  // Screen-reader announcements
+  "announce.start": "لعبة جديدة على {board}، النهاية على الخانة {end}. أول من يرمي: {name}.",
+  "announce.played": "لعب {name} {card}.",
+  "announce.playedWith": "لعب {name} {card} مع {target}.",
+  "announce.playedOn": "لعب {name} {card} على {target}.",
+  "announce.rolled": { other: "رمى {name} {count}" },
+  "announce.threeSixes.lost": "رمى {name} ستة ثالثة متتالية: خسر الدور.",
+  "announce.threeSixes.back": "رمى {name} ستة ثالثة متتالية: عاد إلى {to}.",
+  "announce.needSix": "{rolled}؛ يلزم 6 لدخول اللوحة.",
+  "announce.stays": "{rolled}، أكثر من اللازم للنهاية، فيبقى على {cell}.",
+  "announce.stays.token": "{rolled}، أكثر من اللازم للنهاية، فتبقى القطعة {token} على {cell}.",
+  "announce.bounced": "{rolled}، وصل إلى {to} وارتد إلى {back}.",
+  "announce.bounced.token": "{rolled}، وصلت القطعة {token} إلى {to} وارتدت إلى {back}.",
+  "announce.moved": "{rolled} وتحرك من {from} إلى {to}.",
+  "announce.moved.token": "{rolled} وحرك القطعة {token} من {from} إلى {to}.",
+  "announce.rolledOnly": "{rolled}.",
+  "announce.shielded": "ثعبان، لكن الدرع صامد على {cell}.",
+  "announce.snake": "ثعبان! نزولًا إلى {to}.",
+  "announce.ladder": "سلم! صعودًا إلى {to}.",
+  "announce.home": "وصلت القطعة {token} إلى النهاية.",
+  "announce.drew": "سحب {name} {card}.",
+  "announce.frozen": "{name} متجمد ويخسر دورًا.",
+  "announce.won": "انتهت اللعبة: فاز {name}!",
+  "announce.again": "رمية أخرى لـ{name}.",
+  "announce.next": "التالي: {name}.",
+  "announce.choose": "{rolled}. اختر قطعة: {options}.",
+  "announce.option": "القطعة {token} من {from} إلى {to}",
+  "announce.or": "{items} أو {last}",
+
+  // Moves as the chat tells them (server side, see server/chatPrompts.mjs)
+  "move.drew": "سحب {name} بطاقة {card}.",
+  "move.played": "لعب {name} بطاقة {card}!",
+  "move.swapped": "لعب {name} بطاقة {card} وبدّل مكانه مع {target}!",
+  "move.playedOn": "لعب {name} بطاقة {card} على {target}!",
+  "move.won": "فاز {name} باللعبة!",
+  "move.snake": "رمى {name} {dice} (من {from} إلى {to}) ونزل عبر ثعبان!",
+  "move.ladder": "رمى {name} {dice} (من {from} إلى {to}) وصعد سلمًا!",
+  "move.stuck": "رمى {name} {dice} ولم يستطع التحرك.",
+  "move.bounced": "رمى {name} {dice}، وتجاوز النهاية فارتد إلى {to}.",
+  "move.moved": "رمى {name} {dice} وتحرك إلى {to}."
+};
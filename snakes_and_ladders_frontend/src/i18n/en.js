@@ -0,0 +1,393 @@
+/**
+ * English messages, the reference catalog: every other catalog has the same
+ * keys (validateCatalog in ./index checks). Keys are grouped by screen.
+ */
+export const messages = {
+  // Header and settings
+  "app.title": "Snakes & Ladders Showdown 🎲",
+  "app.language": "Language",
+  "app.theme.dark": "🌙 Dark",
+  "app.theme.light": "☀️ Light",
+  "app.theme.toDark": "Switch to dark mode",
+  "app.theme.toLight": "Switch to light mode",
+  "app.board": "Board:",
+  "app.drawFromConfig": "Draw board from config",
+  "app.landingOdds": "Show landing odds",
+  "app.reduceMotion": "Reduce motion",
+  "app.importReplay": "Replay a saved game:",
+  "app.stats": "📊 Stats",
+  "app.boardEditor": "🛠 Board editor",
+
+  // Game controls
+  "app.yourTurn": "🎯 {name}, your turn!",
+  "app.isUp": "{name} is up",
+  "app.youWin": "You win! 🏆",
+  "app.playerWins": "{name} wins! 🏆",
+  "app.leaveRoom": "Leave Room",
+  "app.resetGame": "Reset Game",
+  "app.changePlayers": "Change Players",
+  "app.watchReplay": "Watch replay",
+  "app.exportGame": "Export game",
+  "app.chooseToken": "Choose a token to move",
+  "app.tokenChoice": "Token {token}: {from} → {to}{mark}",
+  "app.playTurn": "🎲 Play Turn",
+  "app.rolling": "Rolling…",
+  "app.playShortcut": "Shortcut: R or Space",
+  "app.aiMoving": "{name} is making its move…",
+  "app.keys": "Keys: {r} or {space} roll",
+  "app.keys.tokens": " · {first}–{last} pick a token",
+  "app.keys.chat": " · {c} chat",
+  "app.keys.newGame": " · {shift}+{n} new game",
+  "app.analysis": "One token needs {rolls} rolls on average to finish{spread}.",
+  "app.analysis.spread": " (half of games within {median}, 90% within {p90})",
+  "app.analysis.stuck": " ⚠ Some games may never finish under these rules.",
+  "app.shieldUp": "Shield up: the next snake is ignored",
+  "app.frozen": "Frozen: misses the next turn",
+  "app.cards": "Cards",
+  "app.cardTitle": "{name}: {text}",
+  "app.playCard": "Play {name} with the next roll",
+  "app.cardUnusable": "{text} (cannot be played now)",
+  "app.footer":
+    "{note} AI chat goes through the game server ({command}). Set {key} in its environment for live AI chat (or {ollama} for a local model). Without one, the AI uses offline canned taunts.",
+  "app.footer.note": "Note:",
+
+  // Status notes after a roll
+  "note.threeSixes.goBack": "😵 Three sixes in a row! {name} goes back.",
+  "note.threeSixes.loseTurn": "😵 Three sixes in a row! {name} loses the turn.",
+  "note.extraTurn": "🎲 A six! {name} rolls again.",
+  "note.needSix": "{name} needs a 6 to enter the board.",
+  "note.shielded": "🛡️ {name}'s shield holds off the snake!",
+  "note.frozen": {
+    one: "🧊 {names} is frozen and misses a turn.",
+    other: "🧊 {names} are frozen and miss a turn."
+  },
+  "note.draw": "🎴 {name} draws {card}.",
+
+  // Chaos cards
+  "card.shield": "Shield",
+  "card.shield.text": "Ignore the next snake you land on.",
+  "card.swap": "Swap",
+  "card.swap.text": "Swap places with the leader.",
+  "card.double": "Double roll",
+  "card.double.text": "This roll moves twice as far.",
+  "card.freeze": "Freeze",
+  "card.freeze.text": "The leader misses their next turn.",
+  "card.teleport": "Teleport",
+  "card.teleport.text": "Jump to the top of the next ladder ahead.",
+
+  // Board
+  "board.tokenTitle": "{name}, token {token}",
+  "board.tokenLabel": "{name} on cell {cell}",
+  "board.tokenLabel.numbered": "{name} token {token} on cell {cell}",
+  "board.tokenStatus": "{label}, {status}",
+  "board.status.shielded": "shielded",
+  "board.status.frozen": "frozen",
+  "board.banner.played": "{icon} {name} plays {card}",
+  "board.banner.playedWith": "{icon} {name} plays {card} with {target}",
+  "board.banner.playedOn": "{icon} {name} plays {card} on {target}",
+  "board.banner.shielded": "🛡️ The shield holds!",
+  "board.banner.drew": "🎴 {name} draws {card}",
+  "board.banner.frozen": "🧊 {name} misses a turn",
+
+  // Board as text
+  "table.title": "Board as text",
+  "table.positions": "Token positions",
+  "table.player": "{name}: cell {cell}, {left} to go",
+  "table.playerTokens": "{name}: tokens on cells {cells}, {left} to go for the last one",
+  "table.cards": "; cards: {cards}",
+  "table.shield": "; shield up",
+  "table.frozen": "; frozen",
+  "table.next": " (rolls next)",
+  "table.caption": "{board}: start on {start}, finish on {end}. Top row first.",
+  "table.snake": "snake down to {to}",
+  "table.ladder": "ladder up to {to}",
+  "table.card": "card",
+
+  // Dice seed and roll history
+  "rolls.commitment": "🔒 Dice commitment (SHA-256): {hash} – the seed is revealed when the game ends",
+  "rolls.seed": "🎲 Dice seed: {seed}",
+  "rolls.verified": { other: "✓ All {count} rolls match the seed." },
+  "rolls.verifiedCommitment": { other: "✓ All {count} rolls match the seed and its commitment." },
+  "rolls.badCommitment": "✗ The revealed seed does not match the commitment!",
+  "rolls.mismatch": "✗ Roll {roll} does not follow from the seed!",
+  "rolls.history": "Roll history",
+  "rolls.rolled": "{name} rolled {dice}",
+
+  // Replay viewer
+  "replay.label": "Game replay",
+  "replay.title": "Replay: {board}",
+  "replay.titleWon": "Replay: {board} – {name} won",
+  "replay.previous": "Previous move",
+  "replay.next": "Next move",
+  "replay.play": "▶ Play",
+  "replay.pause": "⏸ Pause",
+  "replay.position": "Replay position",
+  "replay.step": "Move {step} / {total}",
+  "replay.start": "Game start",
+  "replay.ai": "AI",
+  "replay.player": "Player",
+  "replay.export": "Export JSON",
+  "replay.close": "Close replay",
+
+  // Replay captions, one per move (see describeLoggedMove in ./game/gameLog)
+  "replay.move": "{name} rolled {dice}: {steps}",
+  "replay.move.list": "{items}, {item}",
+  "replay.move.token": "token {token}",
+  "replay.move.played": "plays {card}",
+  "replay.move.playedWith": "plays {card} with {target}",
+  "replay.move.playedOn": "plays {card} on {target}",
+  "replay.move.shielded": "shield blocks the snake on {cell}",
+  "replay.move.drew": "draws {card}",
+  "replay.move.frozen": "{name} is frozen",
+  "replay.move.moved": "{from} → {to}",
+  "replay.move.stays": "overshot, stays on {cell}",
+  "replay.move.bounced": "bounced back to {to}",
+  "replay.move.snake": "snake to {to}",
+  "replay.move.ladder": "ladder to {to}",
+  "replay.move.needSix": "needs a 6 to enter",
+  "replay.move.again": "rolls again",
+  "replay.move.threeSixes.lost": "three 6s, turn lost",
+  "replay.move.threeSixes.back": "three 6s, back to {to}",
+  "replay.move.home": "home",
+  "replay.move.won": "wins!",
+
+  // Board editor
+  "editor.label": "Board editor",
+  "editor.startFrom": "Start from:",
+  "editor.emptyBoard": "Empty board",
+  "editor.name": "Name:",
+  "editor.size": "Size:",
+  "editor.tool": "Tool",
+  "editor.tool.snake": "🐍 Snake (drag head → tail)",
+  "editor.tool.ladder": "🪜 Ladder (drag base → top)",
+  "editor.tool.card": "🎴 Card cell (click to add or remove)",
+  "editor.from": "From",
+  "editor.to": "to",
+  "editor.cell": "Cell",
+  "editor.fromCell": "From cell",
+  "editor.toCell": "To cell",
+  "editor.cardCell": "Card cell",
+  "editor.add.snake": "Add snake",
+  "editor.add.ladder": "Add ladder",
+  "editor.add.card": "Add or remove card cell",
+  "editor.valid": "✓ Valid board",
+  "editor.jumps": "Snakes and ladders",
+  "editor.remove.snake": "Remove snake {from}→{to}",
+  "editor.remove.ladder": "Remove ladder {from}→{to}",
+  "editor.cards": "Card cells",
+  "editor.removeCard": "Remove card cell {cell}",
+  "editor.analysis": "One token needs {rolls} rolls on average to finish{spread}; the quickest win takes {shortest}.",
+  "editor.busiestSnake": "Busiest snake: {head}→{tail}, hit {hits} times per game.",
+  "editor.stuck": "⚠ Some games may never finish under these rules.",
+  "editor.image": "Background image (optional):",
+  "editor.removeImage": "Remove image",
+  "editor.loadJson": "Load board (JSON):",
+  "editor.readError": "Could not read {file}.",
+  "editor.notBoard": "not a board definition.",
+  "editor.invalidFile": "Invalid board file: {reason}",
+  "editor.saved": "Saved \"{name}\". Pick it from the Board menu.",
+  "editor.savedForVisit": "Saved \"{name}\" for this visit only: it is too large to keep (try a smaller image).",
+  "editor.save": "Save board",
+  "editor.export": "Export JSON",
+  "editor.close": "Close editor",
+
+  // Match statistics
+  "stats.label": "Statistics",
+  "stats.title": "Match statistics",
+  "stats.loading": "Loading…",
+  "stats.readError": "Could not read the match history.",
+  "stats.clearError": "Could not clear the match history.",
+  "stats.confirmClear": "Delete every saved match?",
+  "stats.empty": "No finished games yet. Play one and it shows up here.",
+  "stats.games": { one: "{count} game played", other: "{count} games played" },
+  "stats.thisVisit": " (this visit only: the browser has no IndexedDB)",
+  "stats.winRates": "Win rates",
+  "stats.player": "Player",
+  "stats.played": "Played",
+  "stats.won": "Won",
+  "stats.lost": "Lost",
+  "stats.winRate": "Win rate",
+  "stats.percent": "{percent}%",
+  "stats.headToHead": "Head to head",
+  "stats.against": "Against",
+  "stats.length": "Game length (turns)",
+  "stats.lengthChart": "Game length",
+  "stats.cursedSnakes": "Most cursed snakes",
+  "stats.longestSlide": {
+    one: "Longest slide: {name}, {head}→{tail} on {board} ({count} cell)",
+    other: "Longest slide: {name}, {head}→{tail} on {board} ({count} cells)"
+  },
+  "stats.dice": "Dice",
+  "stats.rolls": "Roll distribution",
+  "stats.exportCsv": "Export CSV",
+  "stats.exportJson": "Export JSON",
+  "stats.clear": "Clear history",
+  "stats.close": "Close stats",
+
+  // Lobby
+  "lobby.label": "Game lobby",
+  "lobby.players": "Players",
+  "lobby.seatName": "Seat {seat} name",
+  "lobby.seatColor": "Seat {seat} color",
+  "lobby.seatAvatar": "Seat {seat} avatar",
+  "lobby.seatType": "Seat {seat} type",
+  "lobby.seatPersona": "Seat {seat} persona",
+  "lobby.seatSkill": "Seat {seat} skill",
+  "lobby.removeSeat": "Remove seat {seat}",
+  "lobby.colorOnly": "Color only",
+  "lobby.human": "Human",
+  "lobby.ai": "AI",
+  "lobby.skillTitle": "How the AI picks which token to move",
+  "lobby.seed": "Dice seed",
+  "lobby.seedPlaceholder": "Dice seed (random)",
+  "lobby.seedTitle": "Reuse a seed to replay the exact same rolls",
+  "lobby.commitReveal": "Commit-reveal dice",
+  "lobby.commitRevealTitle": "Only a hash of the seed is shown until the game ends, then anyone can re-check every roll",
+  "lobby.loadPersonas": "Load personas (JSON):",
+  "lobby.loadPersonasTitle":
+    "A JSON list of personas: id, name, avatar, tauntFrequency, temperature, maxTokens. A systemPrompt and templates only count when the game server loads the same file (CHAT_PERSONAS)",
+  "lobby.addPlayer": "+ Add player",
+  "lobby.start": "Start Game",
+  "lobby.hotSeat": {
+    other: "🔁 Hot-seat: {count} players share this device. On your turn, press \"Play Turn\", R or Space."
+  },
+
+  // AI skill levels
+  "ai.level.random": "Random",
+  "ai.level.greedy": "Greedy",
+  "ai.level.expectimax": "Expectimax",
+  "ai.level.montecarlo": "Monte Carlo",
+
+  // House rules
+  "rules.label": "House rules",
+  "rules.finish": "Finish",
+  "rules.finishRule": "Finish rule",
+  "rules.finish.exact": "Must roll exactly",
+  "rules.finish.bounce": "Bounce back by the excess",
+  "rules.dice": "Dice",
+  "rules.diceCount": "Number of dice",
+  "rules.dice.option": { one: "{count} die", other: "{count} dice" },
+  "rules.extraTurn": "Roll again on a 6",
+  "rules.threeSixes": "Three 6s in a row",
+  "rules.threeSixesPenalty": "Three sixes penalty",
+  "rules.threeSixes.off": "No penalty",
+  "rules.threeSixes.loseTurn": "Lose the turn",
+  "rules.threeSixes.goBack": "Go back",
+  "rules.enterOnSix": "Need a 6 to enter the board",
+  "rules.tokens": "Tokens each",
+  "rules.tokensLabel": "Tokens per player",
+  "rules.tokensTitle": "With more than one token, you pick which token each roll moves, and all of them must get home to win",
+  "rules.tokens.classic": "1 (classic)",
+  "rules.tokens.choose": "{count}, choose which to move",
+  "rules.chaos": "Chaos cards 🎴",
+  "rules.chaosTitle": "Card cells on the board deal power-ups: shield, swap with the leader, double roll, freeze, teleport",
+  "rules.twoDice": "With two dice, a six on either die counts.",
+  "rules.summary.exact": "Exact roll to finish",
+  "rules.summary.bounce": "Bounce back",
+  "rules.summary.extraTurn": "Extra turn on 6",
+  "rules.summary.loseTurn": "Three 6s lose the turn",
+  "rules.summary.goBack": "Three 6s go back",
+  "rules.summary.enterOnSix": "6 to enter",
+  "rules.summary.dice": { other: "{count} dice" },
+  "rules.summary.tokens": { other: "{count} tokens each" },
+  "rules.summary.chaos": "Chaos cards",
+
+  // Online play
+  "online.title": "Play online",
+  "online.name": "Your name",
+  "online.create": "Create room",
+  "online.code": "Room code",
+  "online.codePlaceholder": "CODE",
+  "online.join": "Join",
+  "online.noServer": "Could not connect to the game server at {url}. Is \"npm run server\" running?",
+  "online.room": "Online room",
+  "online.roomCode": "Room {code}",
+  "online.share": "Share this code so friends can join.",
+  "online.host": " (host)",
+  "online.you": " – you",
+  "online.aiSeats": "AI seats",
+  "online.start": "Start online game",
+  "online.waiting": "Waiting for the host to start…",
+  "online.leave": "Leave room",
+  "online.error.nameMissing": "Enter a name first.",
+  "online.error.noRoom": "No room with code {code}.",
+  "online.error.started": "That game has already started.",
+  "online.error.roomFull": "That room is full.",
+  "online.error.nameTaken": "The name {name} is already taken in this room.",
+  "online.error.hostOnly": "Only the host can do that.",
+  "online.error.tooFewPlayers": { other: "At least {count} players are needed." },
+  "online.error.oneToken": "Online games are played with one token each.",
+  "online.error.noChaos": "Online games are played without chaos cards.",
+  "online.error.notStarted": "The game has not started yet.",
+  "online.error.gameOver": "The game is over.",
+  "online.error.notYourTurn": "It is not your turn.",
+  "online.error.server": "Something went wrong on the game server. Try again.",
+
+  // Chat
+  "chat.welcome": "Ha! Ready to get schooled in Snakes and Ladders?",
+  "chat.typing": "AI is typing…",
+  "chat.input": "Send a message",
+  "chat.placeholder.ai": "Say something to the AI…",
+  "chat.placeholder.room": "Message the room…",
+  "chat.send": "Send",
+  "chat.error": "Unexpected error",
+  "chat.blocked": "Let's keep it friendly: that message was not sent.",
+  "chat.blockedReply": "Let's keep it friendly! Back to the game.",
+  "chat.missingKey": "The game server has no AI key yet: set OPENAI_API_KEY in its environment.",
+  "chat.auth": "The AI service rejected the game server's key.",
+  "chat.rateLimited": "Slow down! Too many chat messages, try again in a moment.",
+  "chat.budget": "The AI has talked enough for now. Try again later.",
+  "chat.server": "The AI service ran into a problem. Try again in a moment.",
+  "chat.unreachable": "Chat server unreachable. Is \"npm run server\" running?",
+  "chat.timeout": "The AI took too long to answer.",
+  "chat.filter": "Chat filter",
+  "chat.filter.kidSafe": "Kid-safe",
+  "chat.filter.standard": "Standard",
+  "chat.filter.off": "Off",
+
+  // Screen-reader announcements
+  "announce.start": "New game on {board}, finish on cell {end}. First to roll: {name}.",
+  "announce.played": "{name} played {card}.",
+  "announce.playedWith": "{name} played {card} with {target}.",
+  "announce.playedOn": "{name} played {card} on {target}.",
+  "announce.rolled": {
+    "=8": "{name} rolled an 8",
+    "=11": "{name} rolled an 11",
+    "=18": "{name} rolled an 18",
+    other: "{name} rolled a {count}"
+  },
+  "announce.threeSixes.lost": "{name} rolled a third 6 in a row: the turn is lost.",
+  "announce.threeSixes.back": "{name} rolled a third 6 in a row: back to {to}.",
+  "announce.needSix": "{rolled}; a 6 is needed to enter the board.",
+  "announce.stays": "{rolled}, too many to finish, and stays on {cell}.",
+  "announce.stays.token": "{rolled}, too many to finish, and token {token} stays on {cell}.",
+  "announce.bounced": "{rolled}, reached {to} and bounced back to {back}.",
+  "announce.bounced.token": "{rolled}, token {token} reached {to} and bounced back to {back}.",
+  "announce.moved": "{rolled} and moved from {from} to {to}.",
+  "announce.moved.token": "{rolled} and moved token {token} from {from} to {to}.",
+  "announce.rolledOnly": "{rolled}.",
+  "announce.shielded": "A snake, but the shield holds on {cell}.",
+  "announce.snake": "A snake! Down to {to}.",
+  "announce.ladder": "A ladder! Up to {to}.",
+  "announce.home": "Token {token} is home.",
+  "announce.drew": "{name} drew {card}.",
+  "announce.frozen": "{name} is frozen and misses a turn.",
+  "announce.won": "Game over: {name} won!",
+  "announce.again": "Another roll for {name}.",
+  "announce.next": "Next up: {name}.",
+  "announce.choose": "{rolled}. Choose a token: {options}.",
+  "announce.option": "token {token} from {from} to {to}",
+  "announce.or": "{items}, or {last}",
+
+  // Moves as the chat tells them (server side, see server/chatPrompts.mjs)
+  "move.drew": "{name} drew the {card} card.",
+  "move.played": "{name} played the {card} card!",
+  "move.swapped": "{name} played the {card} card and swapped places with {target}!",
+  "move.playedOn": "{name} played the {card} card on {target}!",
+  "move.won": "{name} won the game!",
+  "move.snake": "{name} rolled a {dice} (from {from} to {to}) and went down a snake!",
+  "move.ladder": "{name} rolled a {dice} (from {from} to {to}) and climbed a ladder!",
+  "move.stuck": "{name} rolled a {dice} and could not move.",
+  "move.bounced": "{name} rolled a {dice}, overshot the end and bounced back to {to}.",
+  "move.moved": "{name} rolled a {dice} and moved to {to}."
+};
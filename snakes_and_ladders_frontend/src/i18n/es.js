@@ -0,0 +1,395 @@
+/**
+ * Spanish messages (same keys as ./en.js).
+ */
+export const messages = {
+  // Header and settings
+  "app.title": "Duelo de Serpientes y Escaleras 🎲",
+  "app.language": "Idioma",
+  "app.theme.dark": "🌙 Oscuro",
+  "app.theme.light": "☀️ Claro",
+  "app.theme.toDark": "Cambiar al modo oscuro",
+  "app.theme.toLight": "Cambiar al modo claro",
+  "app.board": "Tablero:",
+  "app.drawFromConfig": "Dibujar el tablero desde la configuración",
+  "app.landingOdds": "Mostrar probabilidades de caída",
+  "app.reduceMotion": "Reducir el movimiento",
+  "app.importReplay": "Repetir una partida guardada:",
+  "app.stats": "📊 Estadísticas",
+  "app.boardEditor": "🛠 Editor de tableros",
+
+  // Game controls
+  "app.yourTurn": "🎯 ¡{name}, te toca!",
+  "app.isUp": "Le toca a {name}",
+  "app.youWin": "¡Has ganado! 🏆",
+  "app.playerWins": "¡{name} gana! 🏆",
+  "app.leaveRoom": "Salir de la sala",
+  "app.resetGame": "Reiniciar partida",
+  "app.changePlayers": "Cambiar jugadores",
+  "app.watchReplay": "Ver repetición",
+  "app.exportGame": "Exportar partida",
+  "app.chooseToken": "Elige la ficha que quieres mover",
+  "app.tokenChoice": "Ficha {token}: {from} → {to}{mark}",
+  "app.playTurn": "🎲 Jugar turno",
+  "app.rolling": "Tirando…",
+  "app.playShortcut": "Atajo: R o Espacio",
+  "app.aiMoving": "{name} está haciendo su jugada…",
+  "app.keys": "Teclas: {r} o {space} tirar",
+  "app.keys.tokens": " · {first}–{last} elegir ficha",
+  "app.keys.chat": " · {c} chat",
+  "app.keys.newGame": " · {shift}+{n} nueva partida",
+  "app.analysis": "Una ficha necesita {rolls} tiradas de media para terminar{spread}.",
+  "app.analysis.spread": " (la mitad de las partidas en {median} o menos, el 90 % en {p90})",
+  "app.analysis.stuck": " ⚠ Con estas reglas algunas partidas podrían no terminar nunca.",
+  "app.shieldUp": "Escudo activo: se ignora la próxima serpiente",
+  "app.frozen": "Congelado: pierde el próximo turno",
+  "app.cards": "Cartas",
+  "app.cardTitle": "{name}: {text}",
+  "app.playCard": "Jugar {name} con la próxima tirada",
+  "app.cardUnusable": "{text} (no se puede jugar ahora)",
+  "app.footer":
+    "{note} El chat con la IA pasa por el servidor del juego ({command}). Define {key} en su entorno para chatear con una IA real (o {ollama} para un modelo local). Sin ninguna, la IA usa pullas predefinidas sin conexión.",
+  "app.footer.note": "Nota:",
+
+  // Status notes after a roll
+  "note.threeSixes.goBack": "😵 ¡Tres seises seguidos! {name} vuelve atrás.",
+  "note.threeSixes.loseTurn": "😵 ¡Tres seises seguidos! {name} pierde el turno.",
+  "note.extraTurn": "🎲 ¡Un seis! {name} vuelve a tirar.",
+  "note.needSix": "{name} necesita un 6 para entrar en el tablero.",
+  "note.shielded": "🛡️ ¡El escudo de {name} frena a la serpiente!",
+  "note.frozen": {
+    one: "🧊 {names} está congelado y pierde un turno.",
+    other: "🧊 {names} están congelados y pierden un turno."
+  },
+  "note.draw": "🎴 {name} roba {card}.",
+
+  // Chaos cards
+  "card.shield": "Escudo",
+  "card.shield.text": "Ignora la próxima serpiente en la que caigas.",
+  "card.swap": "Intercambio",
+  "card.swap.text": "Cambia tu sitio con el del líder.",
+  "card.double": "Tirada doble",
+  "card.double.text": "Esta tirada avanza el doble.",
+  "card.freeze": "Congelar",
+  "card.freeze.text": "El líder pierde su próximo turno.",
+  "card.teleport": "Teletransporte",
+  "card.teleport.text": "Salta a lo alto de la próxima escalera.",
+
+  // Board
+  "board.tokenTitle": "{name}, ficha {token}",
+  "board.tokenLabel": "{name} en la casilla {cell}",
+  "board.tokenLabel.numbered": "{name} ficha {token} en la casilla {cell}",
+  "board.tokenStatus": "{label}, {status}",
+  "board.status.shielded": "con escudo",
+  "board.status.frozen": "congelado",
+  "board.banner.played": "{icon} {name} juega {card}",
+  "board.banner.playedWith": "{icon} {name} juega {card} con {target}",
+  "board.banner.playedOn": "{icon} {name} juega {card} contra {target}",
+  "board.banner.shielded": "🛡️ ¡El escudo aguanta!",
+  "board.banner.drew": "🎴 {name} roba {card}",
+  "board.banner.frozen": "🧊 {name} pierde un turno",
+
+  // Board as text
+  "table.title": "Tablero en texto",
+  "table.positions": "Posiciones de las fichas",
+  "table.player": "{name}: casilla {cell}, faltan {left}",
+  "table.playerTokens": "{name}: fichas en las casillas {cells}, faltan {left} para la última",
+  "table.cards": "; cartas: {cards}",
+  "table.shield": "; escudo activo",
+  "table.frozen": "; congelado",
+  "table.next": " (tira a continuación)",
+  "table.caption": "{board}: salida en {start}, meta en {end}. Primero la fila de arriba.",
+  "table.snake": "serpiente hasta {to}",
+  "table.ladder": "escalera hasta {to}",
+  "table.card": "carta",
+
+  // Dice seed and roll history
+  "rolls.commitment": "🔒 Compromiso de los dados (SHA-256): {hash} – la semilla se revela al acabar la partida",
+  "rolls.seed": "🎲 Semilla de los dados: {seed}",
+  "rolls.verified": {
+    one: "✓ La única tirada coincide con la semilla.",
+    other: "✓ Las {count} tiradas coinciden con la semilla."
+  },
+  "rolls.verifiedCommitment": {
+    one: "✓ La única tirada coincide con la semilla y su compromiso.",
+    other: "✓ Las {count} tiradas coinciden con la semilla y su compromiso."
+  },
+  "rolls.badCommitment": "✗ ¡La semilla revelada no coincide con el compromiso!",
+  "rolls.mismatch": "✗ ¡La tirada {roll} no sale de la semilla!",
+  "rolls.history": "Historial de tiradas",
+  "rolls.rolled": "{name} sacó {dice}",
+
+  // Replay viewer
+  "replay.label": "Repetición de la partida",
+  "replay.title": "Repetición: {board}",
+  "replay.titleWon": "Repetición: {board} – ganó {name}",
+  "replay.previous": "Jugada anterior",
+  "replay.next": "Jugada siguiente",
+  "replay.play": "▶ Reproducir",
+  "replay.pause": "⏸ Pausa",
+  "replay.position": "Posición de la repetición",
+  "replay.step": "Jugada {step} / {total}",
+  "replay.start": "Inicio de la partida",
+  "replay.ai": "IA",
+  "replay.player": "Jugador",
+  "replay.export": "Exportar JSON",
+  "replay.close": "Cerrar repetición",
+
+  // Replay captions, one per move (see describeLoggedMove in ./game/gameLog)
+  "replay.move": "{name} sacó {dice}: {steps}",
+  "replay.move.list": "{items}, {item}",
+  "replay.move.token": "ficha {token}",
+  "replay.move.played": "juega {card}",
+  "replay.move.playedWith": "juega {card} con {target}",
+  "replay.move.playedOn": "juega {card} contra {target}",
+  "replay.move.shielded": "el escudo para la serpiente en {cell}",
+  "replay.move.drew": "roba {card}",
+  "replay.move.frozen": "{name} queda congelado",
+  "replay.move.moved": "{from} → {to}",
+  "replay.move.stays": "se pasa y se queda en {cell}",
+  "replay.move.bounced": "rebota hasta {to}",
+  "replay.move.snake": "serpiente hasta {to}",
+  "replay.move.ladder": "escalera hasta {to}",
+  "replay.move.needSix": "necesita un 6 para entrar",
+  "replay.move.again": "vuelve a tirar",
+  "replay.move.threeSixes.lost": "tres 6, pierde el turno",
+  "replay.move.threeSixes.back": "tres 6, vuelve a {to}",
+  "replay.move.home": "en casa",
+  "replay.move.won": "¡gana!",
+
+  // Board editor
+  "editor.label": "Editor de tableros",
+  "editor.startFrom": "Partir de:",
+  "editor.emptyBoard": "Tablero vacío",
+  "editor.name": "Nombre:",
+  "editor.size": "Tamaño:",
+  "editor.tool": "Herramienta",
+  "editor.tool.snake": "🐍 Serpiente (arrastra cabeza → cola)",
+  "editor.tool.ladder": "🪜 Escalera (arrastra base → cima)",
+  "editor.tool.card": "🎴 Casilla de carta (haz clic para añadirla o quitarla)",
+  "editor.from": "De",
+  "editor.to": "a",
+  "editor.cell": "Casilla",
+  "editor.fromCell": "Casilla de origen",
+  "editor.toCell": "Casilla de destino",
+  "editor.cardCell": "Casilla de carta",
+  "editor.add.snake": "Añadir serpiente",
+  "editor.add.ladder": "Añadir escalera",
+  "editor.add.card": "Añadir o quitar casilla de carta",
+  "editor.valid": "✓ Tablero válido",
+  "editor.jumps": "Serpientes y escaleras",
+  "editor.remove.snake": "Quitar serpiente {from}→{to}",
+  "editor.remove.ladder": "Quitar escalera {from}→{to}",
+  "editor.cards": "Casillas de carta",
+  "editor.removeCard": "Quitar casilla de carta {cell}",
+  "editor.analysis": "Una ficha necesita {rolls} tiradas de media para terminar{spread}; la victoria más rápida lleva {shortest}.",
+  "editor.busiestSnake": "Serpiente más transitada: {head}→{tail}, {hits} veces por partida.",
+  "editor.stuck": "⚠ Algunas partidas podrían no terminar nunca con estas reglas.",
+  "editor.image": "Imagen de fondo (opcional):",
+  "editor.removeImage": "Quitar imagen",
+  "editor.loadJson": "Cargar tablero (JSON):",
+  "editor.readError": "No se pudo leer {file}.",
+  "editor.notBoard": "no es una definición de tablero.",
+  "editor.invalidFile": "Archivo de tablero no válido: {reason}",
+  "editor.saved": "«{name}» guardado. Elígelo en el menú Tablero.",
+  "editor.savedForVisit": "«{name}» guardado solo para esta visita: es demasiado grande para conservarlo (prueba con una imagen más pequeña).",
+  "editor.save": "Guardar tablero",
+  "editor.export": "Exportar JSON",
+  "editor.close": "Cerrar editor",
+
+  // Match statistics
+  "stats.label": "Estadísticas",
+  "stats.title": "Estadísticas de partidas",
+  "stats.loading": "Cargando…",
+  "stats.readError": "No se pudo leer el historial de partidas.",
+  "stats.clearError": "No se pudo borrar el historial de partidas.",
+  "stats.confirmClear": "¿Borrar todas las partidas guardadas?",
+  "stats.empty": "Todavía no hay partidas terminadas. Juega una y aparecerá aquí.",
+  "stats.games": { one: "{count} partida jugada", other: "{count} partidas jugadas" },
+  "stats.thisVisit": " (solo esta visita: el navegador no tiene IndexedDB)",
+  "stats.winRates": "Porcentaje de victorias",
+  "stats.player": "Jugador",
+  "stats.played": "Jugadas",
+  "stats.won": "Ganadas",
+  "stats.lost": "Perdidas",
+  "stats.winRate": "Victorias",
+  "stats.percent": "{percent} %",
+  "stats.headToHead": "Cara a cara",
+  "stats.against": "Contra",
+  "stats.length": "Duración de las partidas (turnos)",
+  "stats.lengthChart": "Duración de las partidas",
+  "stats.cursedSnakes": "Serpientes más malditas",
+  "stats.longestSlide": {
+    one: "Caída más larga: {name}, {head}→{tail} en {board} ({count} casilla)",
+    other: "Caída más larga: {name}, {head}→{tail} en {board} ({count} casillas)"
+  },
+  "stats.dice": "Dados",
+  "stats.rolls": "Reparto de tiradas",
+  "stats.exportCsv": "Exportar CSV",
+  "stats.exportJson": "Exportar JSON",
+  "stats.clear": "Borrar historial",
+  "stats.close": "Cerrar estadísticas",
+
+  // Lobby
+  "lobby.label": "Sala de espera",
+  "lobby.players": "Jugadores",
+  "lobby.seatName": "Nombre del puesto {seat}",
+  "lobby.seatColor": "Color del puesto {seat}",
+  "lobby.seatAvatar": "Avatar del puesto {seat}",
+  "lobby.seatType": "Tipo del puesto {seat}",
+  "lobby.seatPersona": "Personaje del puesto {seat}",
+  "lobby.seatSkill": "Nivel del puesto {seat}",
+  "lobby.removeSeat": "Quitar el puesto {seat}",
+  "lobby.colorOnly": "Solo color",
+  "lobby.human": "Humano",
+  "lobby.ai": "IA",
+  "lobby.skillTitle": "Cómo elige la IA qué ficha mover",
+  "lobby.seed": "Semilla de los dados",
+  "lobby.seedPlaceholder": "Semilla (aleatoria)",
+  "lobby.seedTitle": "Reutiliza una semilla para repetir exactamente las mismas tiradas",
+  "lobby.commitReveal": "Dados con compromiso",
+  "lobby.commitRevealTitle":
+    "Solo se muestra un hash de la semilla hasta que acaba la partida; después cualquiera puede comprobar cada tirada",
+  "lobby.loadPersonas": "Cargar personajes (JSON):",
+  "lobby.loadPersonasTitle":
+    "Una lista JSON de personajes: id, name, avatar, tauntFrequency, temperature, maxTokens. systemPrompt y templates solo cuentan si el servidor del juego carga el mismo archivo (CHAT_PERSONAS)",
+  "lobby.addPlayer": "+ Añadir jugador",
+  "lobby.start": "Empezar partida",
+  "lobby.hotSeat": {
+    one: "🔁 Por turnos: {count} jugador comparte este dispositivo. En tu turno, pulsa «Jugar turno», R o Espacio.",
+    other: "🔁 Por turnos: {count} jugadores comparten este dispositivo. En tu turno, pulsa «Jugar turno», R o Espacio."
+  },
+
+  // AI skill levels
+  "ai.level.random": "Al azar",
+  "ai.level.greedy": "Codicioso",
+  "ai.level.expectimax": "Expectimax",
+  "ai.level.montecarlo": "Montecarlo",
+
+  // House rules
+  "rules.label": "Reglas de la casa",
+  "rules.finish": "Final",
+  "rules.finishRule": "Regla del final",
+  "rules.finish.exact": "Hay que sacar el número exacto",
+  "rules.finish.bounce": "Rebotar por el exceso",
+  "rules.dice": "Dados",
+  "rules.diceCount": "Número de dados",
+  "rules.dice.option": { one: "{count} dado", other: "{count} dados" },
+  "rules.extraTurn": "Volver a tirar con un 6",
+  "rules.threeSixes": "Tres 6 seguidos",
+  "rules.threeSixesPenalty": "Castigo por tres seises",
+  "rules.threeSixes.off": "Sin castigo",
+  "rules.threeSixes.loseTurn": "Perder el turno",
+  "rules.threeSixes.goBack": "Volver atrás",
+  "rules.enterOnSix": "Hace falta un 6 para entrar en el tablero",
+  "rules.tokens": "Fichas por jugador",
+  "rules.tokensLabel": "Fichas por jugador",
+  "rules.tokensTitle": "Con más de una ficha eliges qué ficha mueve cada tirada, y todas deben llegar a la meta para ganar",
+  "rules.tokens.classic": "1 (clásico)",
+  "rules.tokens.choose": "{count}, eligiendo cuál mover",
+  "rules.chaos": "Cartas del caos 🎴",
+  "rules.chaosTitle": "Las casillas de carta reparten ventajas: escudo, intercambio con el líder, tirada doble, congelar, teletransporte",
+  "rules.twoDice": "Con dos dados, cuenta un seis en cualquiera de ellos.",
+  "rules.summary.exact": "Tirada exacta para terminar",
+  "rules.summary.bounce": "Rebote",
+  "rules.summary.extraTurn": "Turno extra con 6",
+  "rules.summary.loseTurn": "Tres 6 pierden el turno",
+  "rules.summary.goBack": "Tres 6 vuelven atrás",
+  "rules.summary.enterOnSix": "6 para entrar",
+  "rules.summary.dice": { one: "{count} dado", other: "{count} dados" },
+  "rules.summary.tokens": { one: "{count} ficha cada uno", other: "{count} fichas cada uno" },
+  "rules.summary.chaos": "Cartas del caos",
+
+  // Online play
+  "online.title": "Jugar en línea",
+  "online.name": "Tu nombre",
+  "online.create": "Crear sala",
+  "online.code": "Código de la sala",
+  "online.codePlaceholder": "CÓDIGO",
+  "online.join": "Unirse",
+  "online.noServer": "No se pudo conectar con el servidor del juego en {url}. ¿Está en marcha «npm run server»?",
+  "online.room": "Sala en línea",
+  "online.roomCode": "Sala {code}",
+  "online.share": "Comparte este código para que tus amigos se unan.",
+  "online.host": " (anfitrión)",
+  "online.you": " – tú",
+  "online.aiSeats": "Puestos de IA",
+  "online.start": "Empezar partida en línea",
+  "online.waiting": "Esperando a que el anfitrión empiece…",
+  "online.leave": "Salir de la sala",
+  "online.error.nameMissing": "Primero escribe un nombre.",
+  "online.error.noRoom": "No hay ninguna sala con el código {code}.",
+  "online.error.started": "Esa partida ya ha empezado.",
+  "online.error.roomFull": "Esa sala está llena.",
+  "online.error.nameTaken": "El nombre {name} ya está en uso en esta sala.",
+  "online.error.hostOnly": "Solo el anfitrión puede hacer eso.",
+  "online.error.tooFewPlayers": { one: "Hace falta al menos {count} jugador.", other: "Hacen falta al menos {count} jugadores." },
+  "online.error.oneToken": "Las partidas en línea se juegan con una ficha cada uno.",
+  "online.error.noChaos": "Las partidas en línea se juegan sin cartas del caos.",
+  "online.error.notStarted": "La partida aún no ha empezado.",
+  "online.error.gameOver": "La partida ha terminado.",
+  "online.error.notYourTurn": "No es tu turno.",
+  "online.error.server": "Algo falló en el servidor del juego. Inténtalo de nuevo.",
+
+  // Chat
+  "chat.welcome": "¡Ja! ¿Listo para recibir una lección de Serpientes y Escaleras?",
+  "chat.typing": "La IA está escribiendo…",
+  "chat.input": "Enviar un mensaje",
+  "chat.placeholder.ai": "Dile algo a la IA…",
+  "chat.placeholder.room": "Escribe a la sala…",
+  "chat.send": "Enviar",
+  "chat.error": "Error inesperado",
+  "chat.blocked": "Mantengamos un ambiente amable: ese mensaje no se envió.",
+  "chat.blockedReply": "¡Mantengamos un ambiente amable! Volvamos al juego.",
+  "chat.missingKey": "El servidor del juego aún no tiene clave de IA: define OPENAI_API_KEY en su entorno.",
+  "chat.auth": "El servicio de IA rechazó la clave del servidor del juego.",
+  "chat.rateLimited": "¡Más despacio! Demasiados mensajes, inténtalo de nuevo en un momento.",
+  "chat.budget": "La IA ya ha hablado bastante por ahora. Inténtalo más tarde.",
+  "chat.server": "El servicio de IA tuvo un problema. Inténtalo de nuevo en un momento.",
+  "chat.unreachable": "No se puede contactar con el servidor del chat. ¿Está en marcha «npm run server»?",
+  "chat.timeout": "La IA tardó demasiado en responder.",
+  "chat.filter": "Filtro del chat",
+  "chat.filter.kidSafe": "Apto para niños",
+  "chat.filter.standard": "Estándar",
+  "chat.filter.off": "Desactivado",
+
+  // Screen-reader announcements
+  "announce.start": "Nueva partida en {board}, meta en la casilla {end}. Empieza a tirar: {name}.",
+  "announce.played": "{name} jugó {card}.",
+  "announce.playedWith": "{name} jugó {card} con {target}.",
+  "announce.playedOn": "{name} jugó {card} contra {target}.",
+  "announce.rolled": { other: "{name} sacó un {count}" },
+  "announce.threeSixes.lost": "{name} sacó un tercer 6 seguido: pierde el turno.",
+  "announce.threeSixes.back": "{name} sacó un tercer 6 seguido: vuelve a {to}.",
+  "announce.needSix": "{rolled}; hace falta un 6 para entrar en el tablero.",
+  "announce.stays": "{rolled}, demasiado para terminar, y se queda en {cell}.",
+  "announce.stays.token": "{rolled}, demasiado para terminar, y la ficha {token} se queda en {cell}.",
+  "announce.bounced": "{rolled}, llegó a {to} y rebotó hasta {back}.",
+  "announce.bounced.token": "{rolled}, la ficha {token} llegó a {to} y rebotó hasta {back}.",
+  "announce.moved": "{rolled} y avanzó de {from} a {to}.",
+  "announce.moved.token": "{rolled} y movió la ficha {token} de {from} a {to}.",
+  "announce.rolledOnly": "{rolled}.",
+  "announce.shielded": "Una serpiente, pero el escudo aguanta en {cell}.",
+  "announce.snake": "¡Una serpiente! Baja a {to}.",
+  "announce.ladder": "¡Una escalera! Sube a {to}.",
+  "announce.home": "La ficha {token} ha llegado a la meta.",
+  "announce.drew": "{name} robó {card}.",
+  "announce.frozen": "{name} está congelado y pierde un turno.",
+  "announce.won": "Fin de la partida: ¡ganó {name}!",
+  "announce.again": "Otra tirada para {name}.",
+  "announce.next": "Siguiente: {name}.",
+  "announce.choose": "{rolled}. Elige una ficha: {options}.",
+  "announce.option": "la ficha {token} de {from} a {to}",
+  "announce.or": "{items} o {last}",
+
+  // Moves as the chat tells them (server side, see server/chatPrompts.mjs)
+  "move.drew": "{name} robó la carta {card}.",
+  "move.played": "¡{name} jugó la carta {card}!",
+  "move.swapped": "¡{name} jugó la carta {card} y cambió su sitio con {target}!",
+  "move.playedOn": "¡{name} jugó la carta {card} contra {target}!",
+  "move.won": "¡{name} ganó la partida!",
+  "move.snake": "¡{name} sacó un {dice} (de {from} a {to}) y bajó por una serpiente!",
+  "move.ladder": "¡{name} sacó un {dice} (de {from} a {to}) y subió por una escalera!",
+  "move.stuck": "{name} sacó un {dice} y no pudo moverse.",
+  "move.bounced": "{name} sacó un {dice}, se pasó de la meta y rebotó hasta {to}.",
+  "move.moved": "{name} sacó un {dice} y avanzó hasta {to}."
+};
@@ -0,0 +1,170 @@
+import { messages as en } from "./en.js";
+import { messages as es } from "./es.js";
+import { messages as ar } from "./ar.js";
+
+/**
+ * Translations: a message catalog per locale, plurals and text direction.
+ *
+ * Catalogs (./en.js and friends) map keys to messages. A message is a string
+ * with {placeholders}, or, for anything counted, an object of plural forms
+ * picked by Intl.PluralRules for the locale: "one" and "other" always, plus
+ * "zero", "two", "few" and "many" where the language has them (Arabic has
+ * all six). "=N" forms match a count exactly, as in ICU messages. A key a
+ * catalog lacks falls back to English, and an unknown key shows as itself.
+ *
+ * The same translators word the screen-reader announcements, describe moves
+ * in the chat on the server, and tell the model which language to reply in.
+ */
+
+export const LOCALES = [
+  { id: "en", name: "English", englishName: "English", dir: "ltr" },
+  { id: "es", name: "Español", englishName: "Spanish", dir: "ltr" },
+  { id: "ar", name: "العربية", englishName: "Arabic", dir: "rtl" }
+];
+
+export const DEFAULT_LOCALE = "en";
+export const LOCALE_KEY = "snakes-and-ladders:locale";
+
+const CATALOGS = { en, es, ar };
+
+// PUBLIC_INTERFACE
+/**
+ * The locale with this id, falling back to English.
+ */
+export function getLocale(id) {
+  return LOCALES.find((l) => l.id === id) || LOCALES[0];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The first supported locale among language tags such as navigator.languages
+ * ("es-MX" matches Spanish), or English.
+ * @param {string[]} tags
+ */
+export function matchLocale(tags = []) {
+  for (const tag of tags) {
+    const base = String(tag).toLowerCase().split("-")[0];
+    if (LOCALES.some((l) => l.id === base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function pickForm(message, count, plurals) {
+  if (typeof message === "string") return message;
+  return message[`=${count}`] ?? message[plurals.select(count)] ?? message.other;
+}
+
+// Splits a message into text and the values of its placeholders, in order
+function fill(message, params) {
+  const parts = [];
+  let last = 0;
+  for (const m of message.matchAll(/\{(\w+)\}/g)) {
+    parts.push(message.slice(last, m.index), params[m[1]] === undefined ? m[0] : params[m[1]]);
+    last = m.index + m[0].length;
+  }
+  parts.push(message.slice(last));
+  return parts.filter((p) => p !== "");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A translator for a locale: t(key, params) gives the message with its
+ * placeholders filled, choosing the plural form by params.count.
+ * t.parts(key, params) gives the pieces instead, so placeholders can be
+ * filled with React elements. t.locale and t.dir ("ltr" or "rtl") tell the
+ * locale, and t.list(items, type) joins items the way the language does
+ * ("a, b and c", or with type "disjunction" "a, b or c").
+ * @param {string} [locale=DEFAULT_LOCALE]
+ * @returns {Function}
+ */
+export function createTranslator(locale = DEFAULT_LOCALE) {
+  const { id, dir } = getLocale(locale);
+  const plurals = new Intl.PluralRules(id);
+  const lists = {};
+  const message = (key, params) => {
+    const found = CATALOGS[id][key] ?? en[key];
+    return found === undefined ? null : pickForm(found, params.count, plurals);
+  };
+  const t = (key, params = {}) => {
+    const text = message(key, params);
+    return text === null ? key : fill(text, params).join("");
+  };
+  t.parts = (key, params = {}) => {
+    const text = message(key, params);
+    return text === null ? [key] : fill(text, params);
+  };
+  t.list = (items, type = "conjunction") => {
+    lists[type] = lists[type] || new Intl.ListFormat(id, { type });
+    return lists[type].format(items.map(String));
+  };
+  t.locale = id;
+  t.dir = dir;
+  return t;
+}
+
+const forms = (message) => (typeof message === "string" ? [message] : Object.values(message));
+const placeholders = (message) => forms(message).flatMap((text) => [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]));
+
+// PUBLIC_INTERFACE
+/**
+ * Checks a catalog against the English one.
+ * @returns {string[]} human-readable problems: keys missing or unknown,
+ *   plural messages without an "other" form, strings that should be plural
+ *   (or the other way round), and placeholders English does not have
+ */
+export function validateCatalog(catalog, reference = en) {
+  const errors = [];
+  for (const key of Object.keys(reference)) {
+    if (!(key in catalog)) errors.push(`Missing "${key}".`);
+  }
+  for (const [key, message] of Object.entries(catalog)) {
+    const expected = reference[key];
+    if (expected === undefined) {
+      errors.push(`Unknown key "${key}".`);
+      continue;
+    }
+    if (typeof message !== typeof expected) {
+      errors.push(`"${key}" must be ${typeof expected === "string" ? "a string" : "a set of plural forms"}.`);
+      continue;
+    }
+    if (typeof message === "object" && typeof message.other !== "string") errors.push(`"${key}" needs an "other" form.`);
+    const allowed = new Set(placeholders(expected));
+    const extra = [...new Set(placeholders(message))].filter((name) => !allowed.has(name));
+    if (extra.length) errors.push(`"${key}" uses unknown placeholders: ${extra.join(", ")}.`);
+  }
+  return errors;
+}
+
+function defaultStorage() {
+  return typeof localStorage !== "undefined" ? localStorage : null;
+}
+
+function browserLanguages() {
+  return typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The locale picked on an earlier visit, or the best match for the browser's languages.
+ */
+export function loadLocale(storage = defaultStorage(), languages = browserLanguages()) {
+  let saved = null;
+  try {
+    saved = storage?.getItem(LOCALE_KEY);
+  } catch {
+    // Storage blocked: go by the browser
+  }
+  return LOCALES.some((l) => l.id === saved) ? saved : matchLocale(languages);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Remembers the picked locale; best effort like the other saved settings.
+ */
+export function saveLocale(locale, storage = defaultStorage()) {
+  try {
+    storage?.setItem(LOCALE_KEY, locale);
+  } catch {
+    // The choice only lasts for this visit
+  }
+}
@@ -0,0 +1,76 @@
+import { createTranslator, validateCatalog, matchLocale, loadLocale, saveLocale, getLocale, LOCALE_KEY } from './index';
+import { messages as en } from './en';
+import { messages as es } from './es';
+import { messages as ar } from './ar';
+import { describeRules } from '../game/rules';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+  };
+}
+
+test('fills placeholders, and falls back to English, then to the key', () => {
+  const t = createTranslator('es');
+  expect(t('app.yourTurn', { name: 'Ana' })).toBe('🎯 ¡Ana, te toca!');
+  expect(t('app.keys', {})).toBe('Teclas: {r} o {space} tirar');
+  expect(t('no.such.key')).toBe('no.such.key');
+  expect(createTranslator('xx').locale).toBe('en');
+  expect(t.parts('rolls.seed', { seed: 42 })).toEqual(['🎲 Semilla de los dados: ', 42]);
+});
+
+test('picks plural forms by the language\'s rules, exact counts first', () => {
+  const en = createTranslator('en');
+  expect(en('announce.rolled', { name: 'Ann', count: 8 })).toBe('Ann rolled an 8');
+  expect(en('announce.rolled', { name: 'Ann', count: 5 })).toBe('Ann rolled a 5');
+  expect(en('rules.dice.option', { count: 1 })).toBe('1 die');
+
+  const ar = createTranslator('ar');
+  expect(ar('rules.summary.tokens', { count: 1 })).toBe('قطعة واحدة لكل لاعب');
+  expect(ar('rules.summary.tokens', { count: 2 })).toBe('قطعتان لكل لاعب');
+  expect(ar('rules.summary.tokens', { count: 3 })).toBe('3 قطع لكل لاعب');
+  expect(ar('rolls.verified', { count: 0 })).toBe('✓ لا رميات للتحقق منها.');
+  expect(ar('rolls.verified', { count: 11 })).toBe('✓ الرميات الـ11 كلها تطابق البذرة.');
+  expect(ar('rolls.verified', { count: 100 })).toBe('✓ جميع الرميات (100) تطابق البذرة.');
+});
+
+test('knows each language\'s direction and list words', () => {
+  expect(createTranslator('ar').dir).toBe('rtl');
+  expect(createTranslator('es').dir).toBe('ltr');
+  expect(createTranslator('en').list(['Ann', 'Bo'])).toBe('Ann and Bo');
+  expect(createTranslator('es').list(['Ana', 'Bo'])).toBe('Ana y Bo');
+  expect(getLocale('es').englishName).toBe('Spanish');
+});
+
+test('every shipped catalog matches the English one', () => {
+  expect(validateCatalog(es)).toEqual([]);
+  expect(validateCatalog(ar)).toEqual([]);
+  expect(validateCatalog({ ...en, 'app.title': 'Hola {who}', 'extra.key': 'x', 'note.frozen': { one: 'uno' } })).toEqual([
+    '"app.title" uses unknown placeholders: who.',
+    '"note.frozen" needs an "other" form.',
+    'Unknown key "extra.key".',
+  ]);
+  expect(validateCatalog({ 'app.title': 'x' })).toContain('Missing "app.language".');
+});
+
+test('the rules summary reads in the player\'s language', () => {
+  const rules = { finish: 'bounce', extraTurnOnSix: true, diceCount: 2, tokens: 3 };
+  expect(describeRules(rules, createTranslator('es'))).toBe('Rebote · Turno extra con 6 · 2 dados · 3 fichas cada uno');
+});
+
+test('the locale is remembered, else taken from the browser\'s languages', () => {
+  expect(matchLocale(['fr-FR', 'es-MX', 'en'])).toBe('es');
+  expect(matchLocale(['de'])).toBe('en');
+  const storage = memoryStorage();
+  expect(loadLocale(storage, ['ar-EG'])).toBe('ar');
+  saveLocale('es', storage);
+  expect(storage.getItem(LOCALE_KEY)).toBe('es');
+  expect(loadLocale(storage, ['ar-EG'])).toBe('es');
+  storage.setItem(LOCALE_KEY, 'klingon');
+  expect(loadLocale(storage, [])).toBe('en');
+  const blocked = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('denied'); } };
+  expect(loadLocale(blocked, ['es'])).toBe('es');
+  expect(() => saveLocale('es', blocked)).not.toThrow();
+});
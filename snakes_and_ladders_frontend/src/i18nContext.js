@@ -0,0 +1,23 @@
+import React, { createContext, useContext } from "react";
+import { createTranslator } from "./i18n";
+
+// The translator for the player's language (./i18n); English until App provides one
+export const I18nContext = createContext(createTranslator());
+
+// PUBLIC_INTERFACE
+/**
+ * The current translator: t(key, params), plus t.parts, t.list, t.locale and t.dir.
+ */
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A translated message whose placeholders may be React elements, e.g.
+ * <Message id="app.keys" values={{ r: <kbd>R</kbd>, space: <kbd>Space</kbd> }} />.
+ */
+export function Message({ id, values }) {
+  const t = useI18n();
+  return t.parts(id, values).map((part, i) => <React.Fragment key={i}>{part}</React.Fragment>);
+}
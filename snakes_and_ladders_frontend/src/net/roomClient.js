@@ -0,0 +1,87 @@
+/**
+ * Client for the online game server (server/gameServer.mjs).
+ *
+ * Messages are JSON objects with a "type". The client only sends intents
+ * (create/join/start/roll/chat/moderation); the server owns the game state and
+ * broadcasts "room", "started", "rolled", "state", "chat" and "error" messages.
+ *
+ * Works in the browser (global WebSocket) and in Node, where the test
+ * harness passes the WebSocket class from the "ws" package.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Opens a connection to the game server.
+ * @param {string} url - e.g. "ws://localhost:4000"
+ * @param {object} [options]
+ * @param {Function} [options.WebSocketImpl] - WebSocket constructor, defaults to the global one
+ * @returns {object} client with ready, on(), send helpers and close()
+ */
+export function createRoomClient(url, { WebSocketImpl = typeof WebSocket !== "undefined" ? WebSocket : undefined } = {}) {
+  const socket = new WebSocketImpl(url);
+  const listeners = new Map();
+
+  const emit = (type, payload) => {
+    for (const fn of listeners.get(type) || []) fn(payload);
+  };
+
+  const ready = new Promise((resolve, reject) => {
+    socket.onopen = () => resolve();
+    socket.onerror = () => {
+      reject(new Error(`Could not connect to game server at ${url}`));
+      emit("error", { type: "error", message: "Connection error" });
+    };
+  });
+  // Avoid unhandled rejections when nobody awaits ready
+  ready.catch(() => {});
+
+  socket.onmessage = (event) => {
+    let msg;
+    try {
+      msg = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    if (msg && typeof msg.type === "string") emit(msg.type, msg);
+  };
+  socket.onclose = () => emit("close", { type: "close" });
+
+  const send = (type, payload = {}) => {
+    socket.send(JSON.stringify({ type, ...payload }));
+  };
+
+  return {
+    ready,
+    /**
+     * Subscribes to a server message type ("room", "started", "rolled", "state",
+     * "chat", "error", "joined") or "close". Returns an unsubscribe function.
+     */
+    on(type, fn) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(fn);
+      return () => listeners.get(type).delete(fn);
+    },
+    createRoom(name, boardId, moderation) {
+      send("create", { name, boardId, moderation });
+    },
+    joinRoom(code, name) {
+      send("join", { code: code.trim().toUpperCase(), name });
+    },
+    startGame({ aiSeats = 0, rules } = {}) {
+      send("start", { aiSeats, rules });
+    },
+    roll() {
+      send("roll");
+    },
+    chat(text) {
+      send("chat", { text });
+    },
+    // Host only: the room's chat filter level (../chat/moderation.js)
+    setModeration(level) {
+      send("moderation", { level });
+    },
+    close() {
+      socket.close();
+    }
+  };
+}
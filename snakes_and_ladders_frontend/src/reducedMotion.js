@@ -0,0 +1,25 @@
+import { useEffect, useState } from "react";
+
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+function mediaQuery() {
+  return typeof window !== "undefined" && window.matchMedia ? window.matchMedia(QUERY) : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether the user asked the system for less motion (prefers-reduced-motion),
+ * kept up to date when the setting changes. False where media queries are
+ * unavailable.
+ */
+export function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(() => Boolean(mediaQuery()?.matches));
+  useEffect(() => {
+    const query = mediaQuery();
+    if (!query) return undefined;
+    const onChange = () => setReduced(query.matches);
+    query.addEventListener?.("change", onChange);
+    return () => query.removeEventListener?.("change", onChange);
+  }, []);
+  return reduced;
+}
@@ -0,0 +1,208 @@
+import { DEFAULT_PERSONA_ID, PERSONAS, getPersona } from "../chat/personas.js";
+import { gameFromLog } from "../game/gameLog.js";
+
+/**
+ * Match history records and the statistics built from them.
+ *
+ * Every finished game is boiled down to a record (see summarizeGame) that is
+ * kept in IndexedDB (./matchStore). Records are plain JSON:
+ *   {
+ *     id, startedAt, finishedAt,
+ *     board: { id, name },
+ *     rules,
+ *     players: [{ name, isUser, persona: { id, name } | null,   // persona for AI seats
+ *                 finalPosition, turns, snakes, ladders }],
+ *     winner,                        // player index
+ *     turns,                         // rolls made in the whole game
+ *     longestSlide: { player, head, tail, length } | null,
+ *     snakeHits: [{ head, tail, count }],
+ *     rollCounts: [ones, twos, …, sixes]   // every die thrown
+ *   }
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Summarizes a finished game log into a match record.
+ * @param {object} log - game log (see ../game/gameLog)
+ * @param {object[]} [personas=PERSONAS] - personas to name the AI seats by
+ */
+export function summarizeGame(log, personas = PERSONAS) {
+  const final = gameFromLog(log);
+  const players = log.players.map((p, i) => ({
+    name: p.name,
+    isUser: Boolean(p.isUser),
+    persona: p.isUser ? null : personaRef(p.persona, personas),
+    finalPosition: final.players[i].position,
+    turns: 0,
+    snakes: 0,
+    ladders: 0
+  }));
+  const rollCounts = [0, 0, 0, 0, 0, 0];
+  const snakeHits = new Map();
+  let longestSlide = null;
+
+  for (const move of log.moves) {
+    const player = players[move.playerIndex];
+    player.turns++;
+    (move.rolls || [move.dice]).forEach((v) => rollCounts[v - 1]++);
+    for (const e of move.events) {
+      if (e.type === "ladder") player.ladders++;
+      if (e.type !== "snake") continue;
+      player.snakes++;
+      const key = `${e.from}-${e.to}`;
+      snakeHits.set(key, { head: e.from, tail: e.to, count: (snakeHits.get(key)?.count || 0) + 1 });
+      if (!longestSlide || e.from - e.to > longestSlide.length) {
+        longestSlide = { player: player.name, head: e.from, tail: e.to, length: e.from - e.to };
+      }
+    }
+  }
+
+  return {
+    id: log.id,
+    startedAt: log.startedAt,
+    finishedAt: log.finishedAt,
+    board: { id: log.board.id, name: log.board.name },
+    rules: log.rules,
+    players,
+    winner: log.winner,
+    turns: log.moves.length,
+    longestSlide,
+    snakeHits: [...snakeHits.values()],
+    rollCounts
+  };
+}
+
+function personaRef(id, personas) {
+  const persona = getPersona(id || DEFAULT_PERSONA_ID, personas);
+  return { id: persona.id, name: persona.name };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Statistics over match records.
+ * @returns {{
+ *   games: number,
+ *   players: { name, played, won, winRate }[],          // by name, most wins first
+ *   headToHead: { player, persona, won, lost }[],         // humans against each AI persona
+ *   lengths: number[],                                     // turns per game, oldest first
+ *   cursedSnakes: { board, head, tail, count }[],          // most hit first
+ *   longestSlide: { player, board, head, tail, length } | null,
+ *   rollCounts: number[]
+ * }}
+ */
+export function computeStats(records) {
+  const byName = new Map();
+  const pairs = new Map();
+  const snakes = new Map();
+  const rollCounts = [0, 0, 0, 0, 0, 0];
+  let longestSlide = null;
+
+  const sorted = [...records].sort((a, b) => String(a.finishedAt).localeCompare(String(b.finishedAt)));
+  for (const record of sorted) {
+    record.players.forEach((p, i) => {
+      const entry = byName.get(p.name) || { name: p.name, played: 0, won: 0 };
+      entry.played++;
+      if (record.winner === i) entry.won++;
+      byName.set(p.name, entry);
+    });
+
+    // Head-to-head: whoever finished further along, so every human/AI pair in a game counts
+    const humans = record.players.filter((p) => p.isUser);
+    const ais = record.players.filter((p) => !p.isUser && p.persona);
+    for (const human of humans) {
+      for (const ai of ais) {
+        const key = `${human.name}\u0000${ai.persona.id}`;
+        const entry = pairs.get(key) || { player: human.name, persona: ai.persona.name, won: 0, lost: 0 };
+        if (human.finalPosition > ai.finalPosition) entry.won++;
+        if (human.finalPosition < ai.finalPosition) entry.lost++;
+        pairs.set(key, entry);
+      }
+    }
+
+    for (const hit of record.snakeHits) {
+      const key = `${record.board.id}:${hit.head}-${hit.tail}`;
+      const entry = snakes.get(key) || { board: record.board.name, head: hit.head, tail: hit.tail, count: 0 };
+      entry.count += hit.count;
+      snakes.set(key, entry);
+    }
+    record.rollCounts.forEach((n, face) => {
+      rollCounts[face] += n;
+    });
+    if (record.longestSlide && (!longestSlide || record.longestSlide.length > longestSlide.length)) {
+      longestSlide = { ...record.longestSlide, board: record.board.name };
+    }
+  }
+
+  return {
+    games: records.length,
+    players: [...byName.values()]
+      .map((p) => ({ ...p, winRate: p.played ? p.won / p.played : 0 }))
+      .sort((a, b) => b.won - a.won || b.winRate - a.winRate || a.name.localeCompare(b.name)),
+    headToHead: [...pairs.values()],
+    lengths: sorted.map((r) => r.turns),
+    cursedSnakes: [...snakes.values()].sort((a, b) => b.count - a.count || b.head - a.head),
+    longestSlide,
+    rollCounts
+  };
+}
+
+const CSV_COLUMNS = [
+  "id",
+  "finishedAt",
+  "board",
+  "players",
+  "winner",
+  "turns",
+  "snakes",
+  "ladders",
+  "longestSlide",
+  "ones",
+  "twos",
+  "threes",
+  "fours",
+  "fives",
+  "sixes"
+];
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * One CSV row per match, for spreadsheets.
+ */
+export function matchesToCsv(records) {
+  const rows = records.map((r) => [
+    r.id,
+    r.finishedAt,
+    r.board.name,
+    r.players.map((p) => (p.persona ? `${p.name} (${p.persona.name})` : p.name)).join("; "),
+    r.players[r.winner]?.name,
+    r.turns,
+    r.players.reduce((sum, p) => sum + p.snakes, 0),
+    r.players.reduce((sum, p) => sum + p.ladders, 0),
+    r.longestSlide ? `${r.longestSlide.player} ${r.longestSlide.head}→${r.longestSlide.tail}` : "",
+    ...r.rollCounts
+  ]);
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Game lengths grouped for a histogram: [{ label: "1–10", count }, …],
+ * from the shortest bin to the longest, including empty bins in between.
+ */
+export function lengthHistogram(lengths, binSize = 10) {
+  if (!lengths.length) return [];
+  const bin = (n) => Math.floor((n - 1) / binSize);
+  const first = Math.min(...lengths.map(bin));
+  const last = Math.max(...lengths.map(bin));
+  const bins = [];
+  for (let b = first; b <= last; b++) {
+    bins.push({ label: `${b * binSize + 1}–${(b + 1) * binSize}`, count: 0 });
+  }
+  lengths.forEach((n) => bins[bin(n) - first].count++);
+  return bins;
+}
@@ -0,0 +1,82 @@
+import { createGame, applyRoll } from '../game/engine';
+import { parseBoard } from '../game/boardDefinition';
+import { createGameLog, recordMove } from '../game/gameLog';
+import { summarizeGame, computeStats, matchesToCsv, lengthHistogram } from './matchStats';
+import { createMatchStore } from './matchStore';
+
+const board = parseBoard({ id: 'tiny', name: 'Tiny', size: 3, snakes: [{ head: 8, tail: 2 }], ladders: [{ base: 3, top: 6 }] });
+const players = [
+  { id: 1, name: 'Ann', color: '#f00', isUser: true },
+  { id: 2, name: 'Bot', color: '#0f0', isUser: false, persona: 'smug-robot' },
+];
+
+function finishedGame(diceList, at = 1000) {
+  let state = createGame({ board, players });
+  let log = createGameLog({ board, players, now: () => at });
+  for (const dice of diceList) {
+    const result = applyRoll(state, dice);
+    state = result.state;
+    log = recordMove(log, { dice, events: result.events, state }, () => at + 1);
+  }
+  return log;
+}
+
+// Ann: 1 → 3 ladder 6, 6 → 8 snake 2, 2 → 4, 4 → 9 wins; Bot: 1 → 2 → 3 ladder 6 → 7
+const annWins = () => finishedGame([2, 1, 2, 1, 2, 1, 5]);
+
+test('summarizes a finished game', () => {
+  const record = summarizeGame(annWins());
+  expect(record.winner).toBe(0);
+  expect(record.turns).toBe(7);
+  expect(record.board).toEqual({ id: 'tiny', name: 'Tiny' });
+  expect(record.players[0]).toMatchObject({ name: 'Ann', persona: null, finalPosition: 9, turns: 4, snakes: 1, ladders: 1 });
+  expect(record.players[1]).toMatchObject({ name: 'Bot', persona: { id: 'smug-robot' }, finalPosition: 7, turns: 3, ladders: 1 });
+  expect(record.longestSlide).toEqual({ player: 'Ann', head: 8, tail: 2, length: 6 });
+  expect(record.snakeHits).toEqual([{ head: 8, tail: 2, count: 1 }]);
+  expect(record.rollCounts).toEqual([3, 3, 0, 0, 1, 0]);
+});
+
+test('computes win rates, head-to-head records and cursed snakes', () => {
+  const first = summarizeGame(annWins());
+  const second = { ...summarizeGame(annWins()), id: 'game-2', finishedAt: '2030-01-01T00:00:00.000Z', winner: 1 };
+  second.players = [{ ...second.players[0], finalPosition: 4 }, { ...second.players[1], finalPosition: 9 }];
+  const stats = computeStats([second, first]);
+  expect(stats.games).toBe(2);
+  expect(stats.players).toEqual([
+    { name: 'Ann', played: 2, won: 1, winRate: 0.5 },
+    { name: 'Bot', played: 2, won: 1, winRate: 0.5 },
+  ]);
+  expect(stats.headToHead).toEqual([{ player: 'Ann', persona: 'Smug Robot', won: 1, lost: 1 }]);
+  expect(stats.cursedSnakes).toEqual([{ board: 'Tiny', head: 8, tail: 2, count: 2 }]);
+  expect(stats.lengths).toEqual([7, 7]);
+  expect(stats.rollCounts).toEqual([6, 6, 0, 0, 2, 0]);
+  expect(stats.longestSlide).toMatchObject({ player: 'Ann', board: 'Tiny', length: 6 });
+});
+
+test('exports one CSV row per match, quoting where needed', () => {
+  const record = { ...summarizeGame(annWins()), board: { id: 'x', name: 'Big, "bad" board' } };
+  const [header, row] = matchesToCsv([record]).trim().split('\n');
+  expect(header).toBe('id,finishedAt,board,players,winner,turns,snakes,ladders,longestSlide,ones,twos,threes,fours,fives,sixes');
+  expect(row).toContain('"Big, ""bad"" board",Ann; Bot (Smug Robot),Ann,7,1,2,Ann 8→2,3,3,0,0,1,0');
+});
+
+test('groups game lengths into histogram bins', () => {
+  expect(lengthHistogram([])).toEqual([]);
+  expect(lengthHistogram([3, 10, 11, 35])).toEqual([
+    { label: '1–10', count: 2 },
+    { label: '11–20', count: 1 },
+    { label: '21–30', count: 0 },
+    { label: '31–40', count: 1 },
+  ]);
+});
+
+test('keeps matches in memory without IndexedDB', async () => {
+  const store = createMatchStore({ idb: null });
+  const record = summarizeGame(annWins());
+  await store.save(record);
+  await store.save(record);
+  expect(store.persistent).toBe(false);
+  expect(await store.list()).toEqual([record]);
+  await store.clear();
+  expect(await store.list()).toEqual([]);
+});
@@ -0,0 +1,80 @@
+/**
+ * Match history storage: finished games' records (./matchStats) in
+ * IndexedDB, so they survive reloads and never leave the device. Where
+ * IndexedDB is unavailable (private windows, tests) records are kept in
+ * memory for the visit.
+ */
+
+const DB_NAME = "snakes-and-ladders";
+const DB_VERSION = 1;
+const STORE = "matches";
+
+function defaultIndexedDB() {
+  return typeof indexedDB !== "undefined" ? indexedDB : null;
+}
+
+// Wraps an IDBRequest in a promise
+function done(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function memoryStore() {
+  const records = new Map();
+  return {
+    persistent: false,
+    async save(record) {
+      records.set(record.id, record);
+    },
+    async list() {
+      return [...records.values()];
+    },
+    async clear() {
+      records.clear();
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Opens the match history.
+ * @param {object} [options]
+ * @param {IDBFactory|null} [options.idb] - defaults to the browser's indexedDB
+ * @returns {{ persistent: boolean, save: (record) => Promise<void>,
+ *   list: () => Promise<object[]>, clear: () => Promise<void> }}
+ *   save() replaces a record with the same id, so saving a game twice is harmless
+ */
+export function createMatchStore({ idb = defaultIndexedDB() } = {}) {
+  if (!idb) return memoryStore();
+  let opening = null;
+  const open = () => {
+    if (!opening) {
+      const request = idb.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE)) {
+          request.result.createObjectStore(STORE, { keyPath: "id" });
+        }
+      };
+      opening = done(request);
+    }
+    return opening;
+  };
+  const run = async (mode, action) => {
+    const db = await open();
+    return done(action(db.transaction(STORE, mode).objectStore(STORE)));
+  };
+  return {
+    persistent: true,
+    async save(record) {
+      await run("readwrite", (store) => store.put(record));
+    },
+    list() {
+      return run("readonly", (store) => store.getAll());
+    },
+    async clear() {
+      await run("readwrite", (store) => store.clear());
+    }
+  };
+}